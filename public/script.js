@@ -12,7 +12,25 @@ const AppState = {
     searchContext: null, // Store context about current AI search
     currentProperty: null, // Store currently viewed property for AI context
     user: null, // Store authenticated user info
-    authToken: null // Store JWT token
+    authToken: null, // Store JWT access token (short-lived)
+    refreshToken: null, // Rotating refresh token used to renew the access token
+    refreshPromise: null, // In-flight refresh, shared so a refresh token is only used once
+    oidcProvidersPromise: null, // Sign-in providers, fetched once for the auth modals
+    currentView: 'grid', // grid, list or map
+    map: null, // Leaflet map, created the first time the map view opens
+    savedCollections: [], // The user's saved rental lists
+    currentCollectionId: null, // List shown in the Saved tab
+    collectionTag: null, // Tag filter for the shown list
+    collectionSort: 'added', // added (newest first) or votes
+    shownCollectionItems: [], // Items of the shown list, for the note editor
+    notificationTimer: null, // Polls the unread notification count
+    searchSuggestions: [], // Recent chat searches offered as saved searches
+    reviewState: null, // Listing, sort and loaded pages of the reviews modal
+    compareItems: [], // Rentals picked for comparison ({ id, name }), up to 4
+    comparison: null, // Comparison shown in the drawer
+    compareDifferencesOnly: false, // Hide rows where every rental is the same
+    chatComparisons: [], // Comparisons made by the AI, opened from their chat cards
+    mapMarkers: null // Leaflet layer holding the rental pins
 };
 
 // API Configuration  
@@ -62,7 +80,14 @@ function initializeViewSwitcher() {
             
             const view = this.dataset.view;
             const grid = document.getElementById('resultsGrid');
+            AppState.currentView = view;
             
+            if (view === 'map') {
+                showMapView();
+                return;
+            }
+            
+            hideMapView();
             if (view === 'list') {
                 grid.classList.add('list-view');
             } else {
@@ -72,6 +97,125 @@ function initializeViewSwitcher() {
     });
 }
 
+// ======================
+// MAP VIEW
+// ======================
+
+// Show the map instead of the results grid, pinning the current results
+function showMapView() {
+    if (typeof L === 'undefined') {
+        showError('The map could not be loaded');
+        return;
+    }
+    
+    document.getElementById('resultsGrid').style.display = 'none';
+    document.getElementById('pagination').style.display = 'none';
+    document.getElementById('resultsMap').classList.add('active');
+    
+    if (!AppState.map) {
+        AppState.map = L.map('resultsMap').setView([40.7128, -74.0060], 11);
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            maxZoom: 19,
+            attribution: '&copy; OpenStreetMap contributors'
+        }).addTo(AppState.map);
+        AppState.mapMarkers = L.layerGroup().addTo(AppState.map);
+        
+        // Re-query for the visible area whenever the user pans or zooms
+        let moveTimer = null;
+        AppState.map.on('moveend', () => {
+            clearTimeout(moveTimer);
+            moveTimer = setTimeout(loadRentalsInMapBounds, 300);
+        });
+    }
+    
+    // The container was hidden, so Leaflet needs to re-measure it
+    AppState.map.invalidateSize();
+    renderMapPins(AppState.rentals, { fitToPins: true });
+}
+
+function hideMapView() {
+    document.getElementById('resultsMap').classList.remove('active');
+    document.getElementById('resultsGrid').style.display = '';
+    document.getElementById('pagination').style.display = '';
+}
+
+// Coordinates of a rental as [lat, lng] for Leaflet (GeoJSON stores [lng, lat])
+function getRentalLatLng(rental) {
+    const coordinates = rental.address?.location?.coordinates;
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+    return [coordinates[1], coordinates[0]];
+}
+
+// Replace the pins on the map; fitToPins moves the map to show all of them
+function renderMapPins(rentals, { fitToPins = false } = {}) {
+    if (!AppState.map) return;
+    
+    AppState.mapMarkers.clearLayers();
+    const points = [];
+    
+    rentals.forEach(rental => {
+        const latLng = getRentalLatLng(rental);
+        if (!latLng) return;
+        
+        points.push(latLng);
+        L.marker(latLng)
+            .bindPopup(`
+                <div class="map-popup">
+                    <strong>${escapeHtml(rental.name || 'Rental Property')}</strong>
+                    <div>$${rental.price || 0}/night${rental.distance_km !== undefined ? ` · ${rental.distance_km} km away` : ''}</div>
+                    <button onclick="viewRental('${rental._id}')">View details</button>
+                </div>
+            `)
+            .addTo(AppState.mapMarkers);
+    });
+    
+    if (fitToPins && points.length > 0) {
+        AppState.map.fitBounds(points, { padding: [40, 40], maxZoom: 15 });
+    }
+}
+
+// Fetch rentals inside the visible map area, keeping the current filters and stay dates
+async function loadRentalsInMapBounds() {
+    if (AppState.currentView !== 'map' || !AppState.map) return;
+    
+    const bounds = AppState.map.getBounds();
+    const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value));
+    const bbox = [
+        clamp(bounds.getWest(), 180),
+        clamp(bounds.getSouth(), 90),
+        clamp(bounds.getEast(), 180),
+        clamp(bounds.getNorth(), 90)
+    ].map(value => value.toFixed(6)).join(',');
+    
+    // The map area replaces the text location, other filters still apply
+    const params = new URLSearchParams();
+    Object.keys(AppState.currentFilters).forEach(key => {
+        if (AppState.currentFilters[key]) {
+            params.append(key, AppState.currentFilters[key]);
+        }
+    });
+    
+    if (AppState.currentSearchParams.guests && AppState.currentSearchParams.guests !== '1' && !AppState.currentFilters.min_accommodates) {
+        params.append('min_accommodates', AppState.currentSearchParams.guests);
+    }
+    
+    appendStayParams(params);
+    
+    params.append('bbox', bbox);
+    params.append('limit', '100');
+    
+    try {
+        const response = await fetch(`${API_BASE}/rentals?${params.toString()}`);
+        const data = await response.json();
+        
+        if (data.success) {
+            renderMapPins(data.data);
+        }
+    } catch (error) {
+        console.error('Error loading rentals for map:', error);
+    }
+}
+
 // Load initial rentals
 async function loadInitialRentals() {
     showLoading(true);
@@ -126,6 +270,8 @@ async function searchRentals() {
         params.append('min_accommodates', guests);
     }
     
+    appendStayParams(params);
+    
     params.append('limit', '12');
     params.append('sortBy', 'price');
     params.append('sortOrder', '1');
@@ -154,6 +300,15 @@ async function searchRentals() {
     }
 }
 
+// Add the selected stay dates so only rentals free for that stay are returned
+function appendStayParams(params) {
+    const { checkin, checkout } = AppState.currentSearchParams;
+    if (checkin && checkout && checkout > checkin) {
+        params.append('checkin', checkin);
+        params.append('checkout', checkout);
+    }
+}
+
 // Apply filters
 async function applyFilters() {
     const filters = {
@@ -194,6 +349,8 @@ async function applyFilters() {
         params.append('min_accommodates', AppState.currentSearchParams.guests);
     }
     
+    appendStayParams(params);
+    
     params.append('limit', '12');
     params.append('page', '1');
     
@@ -222,6 +379,10 @@ async function applyFilters() {
 function renderRentals(rentals) {
     const grid = document.getElementById('resultsGrid');
     
+    if (AppState.currentView === 'map') {
+        renderMapPins(rentals, { fitToPins: true });
+    }
+    
     if (rentals.length === 0) {
         grid.innerHTML = `
             <div class="no-results">
@@ -235,18 +396,18 @@ function renderRentals(rentals) {
     grid.innerHTML = rentals.map(rental => `
         <div class="rental-card" onclick="viewRental('${rental._id}')">
             <div class="rental-image">
-                <img src="${rental.images?.picture_url || '/place_holder.png?v=1'}" 
-                     alt="${rental.name}" 
+                <img src="${escapeHtml(rental.images?.picture_url || '/place_holder.png?v=1')}" 
+                     alt="${escapeHtml(rental.name)}" 
                      onerror="this.src='/place_holder.png?v=1'" />
                 ${rental.host?.host_is_superhost ? '<div class="rental-badge">Superhost</div>' : ''}
             </div>
             <div class="rental-content">
                 <div class="rental-header">
                     <div>
-                        <div class="rental-title">${rental.name || 'Rental Property'}</div>
+                        <div class="rental-title">${escapeHtml(rental.name || 'Rental Property')}</div>
                         <div class="rental-location">
                             <i class="fas fa-map-marker-alt"></i>
-                            ${rental.address?.neighbourhood || rental.address?.market || rental.address?.country || 'Location not specified'}
+                            ${escapeHtml(rental.address?.neighbourhood || rental.address?.market || rental.address?.country || 'Location not specified')}
                         </div>
                     </div>
                     ${rental.review_scores?.review_scores_rating ? `
@@ -340,6 +501,8 @@ async function changePage(page) {
         params.append('min_accommodates', AppState.currentSearchParams.guests);
     }
     
+    appendStayParams(params);
+    
     params.append('limit', '12');
     params.append('page', page.toString());
     
@@ -388,7 +551,7 @@ function showRentalModal(rental) {
     AppState.currentProperty = rental;
     
     // Add property context to chat and ask for assistance
-    addAIMessage(`Great choice! I can see you're interested in **${rental.name}**. Would you like me to help you with booking, find similar properties, or answer questions about this rental?`, true);
+    addAIMessage(`Great choice! I can see you're interested in **${escapeHtml(rental.name)}**. Would you like me to help you with booking, find similar properties, or answer questions about this rental?`, true);
     
     // Ensure AI assistant is visible
     if (!AppState.aiAssistantVisible) {
@@ -416,12 +579,12 @@ function createPropertyContextHTML(property) {
                 </div>
             </div>
             <div class="property-context-content">
-                <img src="${imageUrl}" alt="${property.name}" class="property-context-image" onerror="this.src='/place_holder.png?v=1'" />
+                <img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(property.name)}" class="property-context-image" onerror="this.src='/place_holder.png?v=1'" />
                 <div class="property-context-details">
-                    <div class="property-context-name">${property.name || 'Rental Property'}</div>
+                    <div class="property-context-name">${escapeHtml(property.name || 'Rental Property')}</div>
                     <div class="property-context-location">
                         <i class="fas fa-map-marker-alt"></i>
-                        ${location || 'Location not specified'}
+                        ${escapeHtml(location || 'Location not specified')}
                     </div>
                     <div class="property-context-features">
                         ${property.bedrooms ? `${property.bedrooms} bed${property.bedrooms !== 1 ? 's' : ''}` : ''}
@@ -431,12 +594,128 @@ function createPropertyContextHTML(property) {
                         ${rating ? `⭐ ${rating}` : ''}
                     </div>
                     <div class="property-context-price">$${property.price || 0}/night</div>
+                    <button type="button" class="property-context-reviews" onclick="showReviewsModal('${property._id}')">
+                        <i class="fas fa-comment-alt"></i> ${property.number_of_reviews ? `${property.number_of_reviews} review${property.number_of_reviews === 1 ? '' : 's'}` : 'Reviews'}
+                    </button>
+                </div>
+            </div>
+            ${createReviewSummaryHTML(property.review_summary, property.review_highlights)}
+        </div>
+    `;
+}
+
+// What guests say about a listing, from the review summary job
+function createReviewSummaryHTML(reviewSummary, highlights = []) {
+    if (!reviewSummary?.summary) return '';
+    
+    const aspects = Object.entries(REVIEW_SUMMARY_ASPECT_LABELS)
+        .filter(([aspect]) => typeof reviewSummary.aspects?.[aspect]?.score === 'number')
+        .map(([aspect, label]) => `<span>${label} <strong>${reviewSummary.aspects[aspect].score.toFixed(1)}</strong></span>`)
+        .join('');
+    const bullets = (items, icon) => items.map(item => `<li><i class="fas ${icon}"></i> ${escapeHtml(item)}</li>`).join('');
+    
+    return `
+        <div class="review-summary">
+            <div class="review-summary-title"><i class="fas fa-comments"></i> What guests say</div>
+            ${(highlights || []).length > 0 ? `
+                <div class="review-highlights">
+                    ${highlights.map(highlight => `<span class="review-highlight">${REVIEW_HIGHLIGHT_LABELS[highlight] || escapeHtml(highlight)}</span>`).join('')}
                 </div>
+            ` : ''}
+            <p>${escapeHtml(reviewSummary.summary)}</p>
+            ${aspects ? `<div class="review-aspects">${aspects}</div>` : ''}
+            ${reviewSummary.pros?.length || reviewSummary.cons?.length ? `
+                <ul class="review-summary-points">
+                    ${bullets(reviewSummary.pros || [], 'fa-plus')}
+                    ${bullets(reviewSummary.cons || [], 'fa-minus')}
+                </ul>
+            ` : ''}
+            <div class="review-summary-note">Summarized from ${reviewSummary.based_on_reviews} recent review${reviewSummary.based_on_reviews === 1 ? '' : 's'}</div>
+        </div>
+    `;
+}
+
+// Create availability quote HTML for chat
+function createQuoteHTML(result) {
+    if (!result || !result.quote) return '';
+    
+    const quote = result.quote;
+    const status = result.available ?
+        '<div class="quote-status available"><i class="fas fa-check-circle"></i> Available</div>' :
+        `<div class="quote-status unavailable"><i class="fas fa-times-circle"></i> ${(result.unavailable_reasons || []).join('. ') || 'Unavailable'}</div>`;
+    
+    return `
+        <div class="quote-card">
+            <div class="quote-header">
+                <div class="quote-title">${escapeHtml(result.property_name || 'Stay quote')}</div>
+                <div class="quote-dates">${result.checkin} → ${result.checkout} • ${quote.guests} guest${quote.guests !== 1 ? 's' : ''}</div>
+            </div>
+            ${status}
+            <div class="quote-lines">
+                ${quote.line_items.filter(item => item.amount > 0).map(item => `
+                    <div class="quote-line">
+                        <span>${escapeHtml(item.label)}</span>
+                        <span>${formatPrice(item.amount)}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="quote-total">
+                <span>Total</span>
+                <span>${formatPrice(quote.total)}</span>
             </div>
         </div>
     `;
 }
 
+// Add availability quote card to chat
+function addQuoteMessage(result) {
+    const quoteHtml = createQuoteHTML(result);
+    if (!quoteHtml) return;
+    
+    const messagesContainer = document.getElementById('chatMessages');
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message ai-message';
+    messageDiv.innerHTML = `<div class="message-content">${quoteHtml}</div>`;
+    
+    messagesContainer.appendChild(messageDiv);
+    scrollToBottom();
+}
+
+// Create the quoted review snippets the AI cited, as HTML for chat
+function createReviewSourcesHTML(sources) {
+    if (!sources || sources.length === 0) return '';
+    
+    return `
+        <div class="review-sources">
+            <div class="review-sources-title"><i class="fas fa-quote-left"></i> From guest reviews</div>
+            ${sources.map(source => `
+                <blockquote class="review-source" data-review-id="${escapeHtml(source.review_id)}">
+                    <p>${escapeHtml(source.text)}</p>
+                    <footer>
+                        <span class="review-source-ref">${escapeHtml(source.ref)}</span>
+                        ${escapeHtml(source.reviewer_name || 'Guest')}${source.date ? ` • ${new Date(source.date).toLocaleDateString()}` : ''} •
+                        <a href="#" onclick="event.preventDefault(); showReviewsModal('${escapeHtml(source.rental_id)}')">${escapeHtml(source.rental_name || 'View reviews')}</a>
+                    </footer>
+                </blockquote>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Add the cited review snippets under the AI answer
+function addReviewSourcesMessage(sources) {
+    const sourcesHtml = createReviewSourcesHTML(sources);
+    if (!sourcesHtml) return;
+    
+    const messagesContainer = document.getElementById('chatMessages');
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message ai-message';
+    messageDiv.innerHTML = `<div class="message-content">${sourcesHtml}</div>`;
+    
+    messagesContainer.appendChild(messageDiv);
+    scrollToBottom();
+}
+
 // Show/hide loading
 function showLoading(show) {
     const spinner = document.getElementById('loadingSpinner');
@@ -566,6 +845,21 @@ async function sendMessage() {
             // Add AI response
             addAIMessage(data.message);
             
+            // Render the stay quote if the AI checked availability
+            if (data.context?.search_metadata?.quote) {
+                addQuoteMessage(data.context.search_metadata.quote);
+            }
+            
+            // Quote the review snippets the AI cited
+            if (data.context?.search_metadata?.review_sources) {
+                addReviewSourcesMessage(data.context.search_metadata.review_sources);
+            }
+            
+            // Offer the AI's comparison in the comparison drawer
+            if (data.context?.search_metadata?.comparison) {
+                addComparisonMessage(data.context.search_metadata.comparison);
+            }
+            
             // Debug: Log the entire response context
             console.log('Full AI response data:', data);
             console.log('Response context:', data.context);
@@ -686,6 +980,122 @@ function hideTypingIndicator() {
     }
 }
 
+// Create an empty AI message that is filled in as tokens stream in
+function createStreamingAIMessage() {
+    const messagesContainer = document.getElementById('chatMessages');
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message ai-message streaming';
+    messageDiv.innerHTML = `
+        <div class="message-content"></div>
+        <div class="message-tool-status"></div>
+        <div class="message-time">${formatTime(new Date())}</div>
+    `;
+    
+    messagesContainer.appendChild(messageDiv);
+    scrollToBottom();
+    
+    return messageDiv;
+}
+
+// Re-render the streamed markdown received so far
+function updateStreamingAIMessage(messageDiv, text) {
+    messageDiv.querySelector('.message-content').innerHTML = marked.parse(text);
+    scrollToBottom();
+}
+
+// Show which tool the assistant is currently running
+function setStreamingToolStatus(messageDiv, toolName) {
+    const statusLabels = {
+        searchRentals: 'Searching rentals...',
+        findRentalsNearPlace: 'Finding rentals nearby...',
+        getPropertyDetails: 'Loading property details...',
+        checkAvailabilityAndQuote: 'Checking availability and pricing...',
+        compareProperties: 'Comparing properties...'
+    };
+    
+    const status = messageDiv.querySelector('.message-tool-status');
+    status.textContent = toolName ? (statusLabels[toolName] || `Running ${toolName}...`) : '';
+}
+
+// Finish a streamed AI message, replacing the streamed text with the final output
+function finishStreamingAIMessage(messageDiv, text) {
+    messageDiv.classList.remove('streaming');
+    setStreamingToolStatus(messageDiv, null);
+    updateStreamingAIMessage(messageDiv, text);
+    
+    // Show notification if assistant is closed
+    if (!AppState.aiAssistantVisible) {
+        const notification = document.querySelector('.ai-notification');
+        notification.style.display = 'flex';
+        notification.textContent = parseInt(notification.textContent) + 1;
+    }
+}
+
+// Read a text/event-stream response, calling onEvent(event, data) for each event
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            
+            let event = 'message';
+            let data = '';
+            rawEvent.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data += line.slice(5).trim();
+                }
+            });
+            
+            onEvent(event, data ? JSON.parse(data) : {});
+        }
+    }
+}
+
+// Apply the search/quote metadata returned with an AI response
+function handleChatResponseContext(aiMessage, userMessage, responseContext) {
+    // Render the stay quote if the AI checked availability
+    if (responseContext?.search_metadata?.quote) {
+        addQuoteMessage(responseContext.search_metadata.quote);
+    }
+    
+    // Quote the review snippets the AI cited
+    if (responseContext?.search_metadata?.review_sources) {
+        addReviewSourcesMessage(responseContext.search_metadata.review_sources);
+    }
+    
+    // Offer the AI's comparison in the comparison drawer
+    if (responseContext?.search_metadata?.comparison) {
+        addComparisonMessage(responseContext.search_metadata.comparison);
+    }
+    
+    // If the response contains rental search results, activate search mode
+    if (responseContext?.has_rental_results && responseContext?.search_metadata?.search_performed) {
+        console.log('AI response contains rental search results:', responseContext.search_metadata);
+        activateSearchMode(aiMessage, userMessage, responseContext.search_metadata);
+    } else if (responseContext?.search_metadata) {
+        // Even if search_performed is not explicitly true, try to apply filters if metadata exists
+        console.log('Attempting to apply filters from search metadata:', responseContext.search_metadata);
+        applyStructuredFilters(responseContext.search_metadata);
+    } else {
+        console.log('No search metadata found in AI response, trying to parse user message directly');
+        // Fallback: try to parse the user's message directly for search criteria
+        parseUserMessageForFilters(userMessage);
+    }
+}
+
 // Format time
 function formatTime(date) {
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -1049,6 +1459,8 @@ async function performAITriggeredSearch(rentalIds = null) {
             !AppState.currentFilters.min_accommodates) {
             params.append('min_accommodates', AppState.currentSearchParams.guests);
         }
+        
+        appendStayParams(params);
     }
     
     params.append('limit', '12');
@@ -1355,6 +1767,14 @@ function formatPrice(price) {
     }).format(price);
 }
 
+// Escape user- and host-entered text (names, notes, tags, image URLs) before putting it in
+// innerHTML. Quotes are escaped too, so the result is safe inside attribute values.
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 // ======================
 // AUTHENTICATION FUNCTIONALITY
 // ======================
@@ -1363,6 +1783,9 @@ function formatPrice(price) {
 document.addEventListener('DOMContentLoaded', function() {
     initializeAuth();
     setupAuthEventListeners();
+    checkPasswordResetLink();
+    checkOidcRedirect();
+    checkSharedListLink();
 });
 
 // Initialize authentication state
@@ -1371,10 +1794,101 @@ function initializeAuth() {
     const token = localStorage.getItem('authToken');
     if (token) {
         AppState.authToken = token;
+        AppState.refreshToken = localStorage.getItem('refreshToken');
         validateToken();
     }
 }
 
+// Store the tokens returned by login, register and refresh
+function storeAuthTokens(data) {
+    AppState.authToken = data.token;
+    AppState.refreshToken = data.refresh_token || null;
+    localStorage.setItem('authToken', data.token);
+    if (data.refresh_token) {
+        localStorage.setItem('refreshToken', data.refresh_token);
+    }
+}
+
+function clearAuthTokens() {
+    AppState.authToken = null;
+    AppState.refreshToken = null;
+    AppState.user = null;
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+}
+
+// Seconds until the access token expires (0 when unreadable)
+function getAccessTokenTtl() {
+    try {
+        const payload = JSON.parse(atob(AppState.authToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.exp - Date.now() / 1000;
+    } catch (error) {
+        return 0;
+    }
+}
+
+// Get a new access token with the refresh token. Concurrent callers share one request:
+// refresh tokens rotate, and replaying a used one signs the whole session out.
+function refreshAccessToken() {
+    if (!AppState.refreshToken) {
+        return Promise.resolve(false);
+    }
+    
+    if (!AppState.refreshPromise) {
+        AppState.refreshPromise = fetch(`${API_BASE}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refresh_token: AppState.refreshToken })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    storeAuthTokens(data);
+                    return true;
+                }
+                
+                clearAuthTokens();
+                updateUIForAnonymousUser();
+                return false;
+            })
+            .catch(error => {
+                console.error('Token refresh error:', error);
+                return false;
+            })
+            .finally(() => {
+                AppState.refreshPromise = null;
+            });
+    }
+    
+    return AppState.refreshPromise;
+}
+
+// Current access token, refreshed first when it is about to expire
+async function getValidAccessToken() {
+    if (AppState.authToken && getAccessTokenTtl() < 30) {
+        await refreshAccessToken();
+    }
+    return AppState.authToken;
+}
+
+// fetch() with the access token; on a 401 the token is refreshed and the request retried once
+async function authFetch(url, options = {}) {
+    const send = (token) => fetch(url, {
+        ...options,
+        headers: {
+            ...(options.headers || {}),
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    
+    const response = await send(await getValidAccessToken());
+    if (response.status !== 401 || !(await refreshAccessToken())) {
+        return response;
+    }
+    
+    return send(AppState.authToken);
+}
+
 // Setup event listeners for auth buttons
 function setupAuthEventListeners() {
     // Sign In button
@@ -1440,6 +1954,11 @@ function createAuthModal(type) {
                         <small class="form-help">Minimum 6 characters</small>
                     </div>
                     ${!isSignIn ? `
+                        <div class="form-group">
+                            <label for="signupEmail">Email (optional)</label>
+                            <input type="email" id="signupEmail" name="email" placeholder="you@example.com">
+                            <small class="form-help">Lets you reset a forgotten password</small>
+                        </div>
                         <div class="form-group">
                             <label for="signupPasswordConfirm">Confirm Password</label>
                             <input type="password" id="signupPasswordConfirm" name="passwordConfirm" required 
@@ -1453,7 +1972,11 @@ function createAuthModal(type) {
                         </button>
                     </div>
                 </form>
+                <div class="oidc-providers" hidden></div>
                 <div class="auth-modal-footer">
+                    ${isSignIn ? `
+                        <p><a href="#" onclick="showForgotPasswordModal()">Forgot your password?</a></p>
+                    ` : ''}
                     <p>
                         ${isSignIn ? "Don't have an account?" : "Already have an account?"}
                         <a href="#" onclick="switchAuthModal('${isSignIn ? 'signup' : 'signin'}')">
@@ -1474,6 +1997,8 @@ function createAuthModal(type) {
         }
     });
     
+    renderOidcProviderButtons(modal.querySelector('.oidc-providers'));
+    
     return modal;
 }
 
@@ -1526,9 +2051,8 @@ async function handleAuthSignIn(event) {
         
         if (data.success) {
             // Store token and user info
-            AppState.authToken = data.token;
+            storeAuthTokens(data);
             AppState.user = data.user;
-            localStorage.setItem('authToken', data.token);
             
             // Update UI
             updateUIForAuthenticatedUser();
@@ -1562,6 +2086,7 @@ async function handleAuthSignUp(event) {
     const username = form.username.value.trim();
     const password = form.password.value;
     const passwordConfirm = form.passwordConfirm.value;
+    const email = form.email.value.trim();
     
     if (!username || !password || !passwordConfirm) {
         showAuthError('Please fill in all fields');
@@ -1593,16 +2118,15 @@ async function handleAuthSignUp(event) {
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ username, password })
+            body: JSON.stringify({ username, password, ...(email ? { email } : {}) })
         });
         
         const data = await response.json();
         
         if (data.success) {
             // Store token and user info
-            AppState.authToken = data.token;
+            storeAuthTokens(data);
             AppState.user = data.user;
-            localStorage.setItem('authToken', data.token);
             
             // Update UI
             updateUIForAuthenticatedUser();
@@ -1662,6 +2186,10 @@ function updateUIForAuthenticatedUser() {
     const navActions = document.querySelector('.nav-actions');
     if (navActions && AppState.user) {
         navActions.innerHTML = `
+            <button class="notifications-toggle" onclick="showNotificationsModal()" title="Notifications">
+                <i class="fas fa-bell"></i>
+                <span class="notification-badge" id="notificationBadge" hidden></span>
+            </button>
             <div class="user-menu">
                 <button class="user-menu-toggle" onclick="toggleUserMenu()">
                     <i class="fas fa-user"></i>
@@ -1677,15 +2205,43 @@ function updateUIForAuthenticatedUser() {
                         <i class="fas fa-comments"></i>
                         Chat History
                     </a>
+                    <a href="#" onclick="showSavedSearchesModal()">
+                        <i class="fas fa-search"></i>
+                        Saved Searches
+                    </a>
+                    <a href="#" onclick="showNotificationSettingsModal()">
+                        <i class="fas fa-bell"></i>
+                        Notification Settings
+                    </a>
+                    <a href="#" onclick="showLinkedAccountsModal()">
+                        <i class="fas fa-link"></i>
+                        Linked Accounts
+                    </a>
+                    <a href="#" onclick="showChangePasswordModal()">
+                        <i class="fas fa-key"></i>
+                        Change Password
+                    </a>
+                    <a href="#" onclick="showDeleteAccountModal()">
+                        <i class="fas fa-user-slash"></i>
+                        Delete Account
+                    </a>
                     <div class="user-menu-divider"></div>
                     <a href="#" onclick="signOut()">
                         <i class="fas fa-sign-out-alt"></i>
                         Sign Out
                     </a>
+                    <a href="#" onclick="signOutEverywhere()">
+                        <i class="fas fa-laptop-house"></i>
+                        Sign Out Everywhere
+                    </a>
                 </div>
             </div>
         `;
     }
+    
+    updateHostNavLink();
+    refreshNotificationBadge();
+    checkNotificationLink();
 }
 
 // Toggle user menu
@@ -1736,23 +2292,23 @@ function showConversationHistory() {
 // Sign out user
 async function signOut() {
     try {
-        // Call logout endpoint
+        // Revoke the session on the server
         if (AppState.authToken) {
             await fetch(`${API_BASE}/auth/logout`, {
                 method: 'POST',
                 headers: {
+                    'Content-Type': 'application/json',
                     'Authorization': `Bearer ${AppState.authToken}`
-                }
+                },
+                body: JSON.stringify({ refresh_token: AppState.refreshToken || undefined })
             });
         }
     } catch (error) {
         console.error('Logout error:', error);
     } finally {
         // Clear local state
-        AppState.authToken = null;
-        AppState.user = null;
+        clearAuthTokens();
         AppState.chatSessionId = null;
-        localStorage.removeItem('authToken');
         
         // Reset UI
         updateUIForAnonymousUser();
@@ -1762,61 +2318,537 @@ async function signOut() {
     }
 }
 
-// Update UI for anonymous user
-function updateUIForAnonymousUser() {
-    const navActions = document.querySelector('.nav-actions');
-    if (navActions) {
-        navActions.innerHTML = `
-            <button class="btn-secondary" onclick="showSignInModal()">Sign In</button>
-            <button class="btn-primary" onclick="showSignUpModal()">Sign Up</button>
-        `;
-    }
-}
-
-// Validate stored token
-async function validateToken() {
-    if (!AppState.authToken) return;
-    
+// Sign out on every device
+async function signOutEverywhere() {
     try {
-        const response = await fetch(`${API_BASE}/auth/validate`, {
-            headers: {
-                'Authorization': `Bearer ${AppState.authToken}`
-            }
-        });
-        
+        const response = await authFetch(`${API_BASE}/auth/logout-all`, { method: 'POST' });
         const data = await response.json();
         
-        if (data.success && data.user) {
-            AppState.user = data.user;
-            updateUIForAuthenticatedUser();
-        } else {
-            // Token is invalid, clear it
-            AppState.authToken = null;
-            AppState.user = null;
-            localStorage.removeItem('authToken');
+        if (!data.success) {
+            showError(data.error || 'Could not sign out of all devices');
+            return;
         }
     } catch (error) {
-        console.error('Token validation error:', error);
-        // Clear invalid token
-        AppState.authToken = null;
-        AppState.user = null;
-        localStorage.removeItem('authToken');
+        console.error('Logout all error:', error);
+        showError('Could not sign out of all devices');
+        return;
     }
+    
+    clearAuthTokens();
+    AppState.chatSessionId = null;
+    updateUIForAnonymousUser();
+    addAIMessage("You've been signed out on all your devices.");
 }
 
-// Update chat requests to include auth token
-const originalSendMessage = sendMessage;
-sendMessage = async function() {
-    const input = document.getElementById('chatInput');
-    const message = input.value.trim();
+// Modal with the auth modal look for the account forms below
+function showAccountModal(title, formHtml) {
+    closeAuthModal();
     
-    if (!message) return;
+    const dropdown = document.getElementById('userMenuDropdown');
+    if (dropdown) dropdown.classList.remove('active');
     
-    // Add user message immediately
-    addUserMessage(message);
-    input.value = '';
+    const modal = document.createElement('div');
+    modal.className = 'auth-modal-overlay';
+    modal.innerHTML = `
+        <div class="auth-modal">
+            <div class="auth-modal-header">
+                <h2>${title}</h2>
+                <button class="auth-modal-close" onclick="closeAuthModal()">&times;</button>
+            </div>
+            <div class="auth-modal-body">
+                ${formHtml}
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
     
-    // Show typing indicator
+    setTimeout(() => {
+        const firstInput = modal.querySelector('input');
+        if (firstInput) firstInput.focus();
+    }, 100);
+    
+    return modal;
+}
+
+function accountModalActions(submitId, submitLabel) {
+    return `
+        <div class="auth-modal-actions">
+            <button type="button" class="btn-secondary" onclick="closeAuthModal()">Cancel</button>
+            <button type="submit" class="btn-primary" id="${submitId}">${submitLabel}</button>
+        </div>
+    `;
+}
+
+// Forgot password: ask for the username or email to send a reset link to
+function showForgotPasswordModal() {
+    showAccountModal('Reset Password', `
+        <form onsubmit="handleForgotPassword(event)">
+            <p class="form-help">Enter your username or email. If your account has an email address, we'll send you a link to choose a new password.</p>
+            <div class="form-group">
+                <label for="forgotIdentifier">Username or email</label>
+                <input type="text" id="forgotIdentifier" name="identifier" required>
+            </div>
+            ${accountModalActions('forgotSubmitBtn', 'Send Reset Link')}
+        </form>
+    `);
+}
+
+async function handleForgotPassword(event) {
+    event.preventDefault();
+    
+    const submitBtn = event.target.querySelector('#forgotSubmitBtn');
+    submitBtn.disabled = true;
+    
+    try {
+        const response = await fetch(`${API_BASE}/auth/password/forgot`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ identifier: event.target.identifier.value.trim() })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showAuthError(data.error || 'Could not send a reset link');
+            return;
+        }
+        
+        closeAuthModal();
+        addAIMessage(data.message);
+        if (!AppState.aiAssistantVisible) {
+            toggleAssistant();
+        }
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        showAuthError('Connection error. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// Reset links from the email open the app with ?reset_token=
+function checkPasswordResetLink() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('reset_token');
+    if (!token) return;
+    
+    // Keep the token out of the address bar and history
+    params.delete('reset_token');
+    const query = params.toString();
+    window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    
+    const modal = showAccountModal('Choose a New Password', `
+        <form onsubmit="handleResetPassword(event)">
+            <div class="form-group">
+                <label for="resetPassword">New password</label>
+                <input type="password" id="resetPassword" name="password" required minlength="6">
+                <small class="form-help">Minimum 6 characters</small>
+            </div>
+            <div class="form-group">
+                <label for="resetPasswordConfirm">Confirm new password</label>
+                <input type="password" id="resetPasswordConfirm" name="passwordConfirm" required minlength="6">
+            </div>
+            ${accountModalActions('resetSubmitBtn', 'Reset Password')}
+        </form>
+    `);
+    modal.querySelector('form').dataset.token = token;
+}
+
+async function handleResetPassword(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    if (form.password.value !== form.passwordConfirm.value) {
+        showAuthError('Passwords do not match');
+        return;
+    }
+    
+    const submitBtn = form.querySelector('#resetSubmitBtn');
+    submitBtn.disabled = true;
+    
+    try {
+        const response = await fetch(`${API_BASE}/auth/password/reset`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: form.dataset.token, new_password: form.password.value })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showAuthError(data.error || 'Could not reset your password');
+            return;
+        }
+        
+        // Every session was signed out, including this browser's
+        clearAuthTokens();
+        updateUIForAnonymousUser();
+        showSignInModal();
+    } catch (error) {
+        console.error('Reset password error:', error);
+        showAuthError('Connection error. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+function showChangePasswordModal() {
+    showAccountModal('Change Password', `
+        <form onsubmit="handleChangePassword(event)">
+            <div class="form-group">
+                <label for="currentPassword">Current password</label>
+                <input type="password" id="currentPassword" name="currentPassword">
+                <small class="form-help">Leave blank if you only sign in with a linked account</small>
+            </div>
+            <div class="form-group">
+                <label for="newPassword">New password</label>
+                <input type="password" id="newPassword" name="password" required minlength="6">
+                <small class="form-help">Minimum 6 characters. Your other devices will be signed out.</small>
+            </div>
+            <div class="form-group">
+                <label for="newPasswordConfirm">Confirm new password</label>
+                <input type="password" id="newPasswordConfirm" name="passwordConfirm" required minlength="6">
+            </div>
+            ${accountModalActions('changePasswordSubmitBtn', 'Change Password')}
+        </form>
+    `);
+}
+
+async function handleChangePassword(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    if (form.password.value !== form.passwordConfirm.value) {
+        showAuthError('Passwords do not match');
+        return;
+    }
+    
+    const submitBtn = form.querySelector('#changePasswordSubmitBtn');
+    submitBtn.disabled = true;
+    
+    try {
+        const response = await authFetch(`${API_BASE}/auth/password`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                current_password: form.currentPassword.value || undefined,
+                new_password: form.password.value
+            })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showAuthError(data.error || 'Could not change your password');
+            return;
+        }
+        
+        closeAuthModal();
+        addAIMessage('Your password has been changed. Any other devices you were signed in on have been signed out.');
+        if (!AppState.aiAssistantVisible) {
+            toggleAssistant();
+        }
+    } catch (error) {
+        console.error('Change password error:', error);
+        showAuthError('Connection error. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+function showDeleteAccountModal() {
+    showAccountModal('Delete Account', `
+        <form onsubmit="handleDeleteAccount(event)">
+            <p class="form-help">This permanently deletes your account, saved rentals and chat history, and cancels your upcoming bookings. It can't be undone.</p>
+            <div class="form-group">
+                <label for="deleteAccountPassword">Password</label>
+                <input type="password" id="deleteAccountPassword" name="password">
+                <small class="form-help">Leave blank if you only sign in with a linked account</small>
+            </div>
+            <div class="form-group">
+                <label>
+                    <input type="checkbox" name="export" checked>
+                    Download a copy of my data first
+                </label>
+            </div>
+            ${accountModalActions('deleteAccountSubmitBtn', 'Delete Account')}
+        </form>
+    `);
+}
+
+async function handleDeleteAccount(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const submitBtn = form.querySelector('#deleteAccountSubmitBtn');
+    submitBtn.disabled = true;
+    
+    try {
+        const response = await authFetch(`${API_BASE}/auth/account`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: form.password.value || undefined, export: form.export.checked })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showAuthError(data.error || 'Could not delete your account');
+            return;
+        }
+        
+        if (data.export) {
+            downloadJson(data.export, `rentai-account-${AppState.user?.username || 'export'}.json`);
+        }
+        
+        closeAuthModal();
+        clearAuthTokens();
+        AppState.chatSessionId = null;
+        updateUIForAnonymousUser();
+        addAIMessage('Your account and data have been deleted.');
+    } catch (error) {
+        console.error('Delete account error:', error);
+        showAuthError('Connection error. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+function downloadJson(data, filename) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// ======================
+// SIGN IN WITH IDENTITY PROVIDERS (OIDC)
+// ======================
+
+// Configured providers, fetched once
+function getOidcProviders() {
+    if (!AppState.oidcProvidersPromise) {
+        AppState.oidcProvidersPromise = fetch(`${API_BASE}/auth/oidc/providers`)
+            .then(response => response.json())
+            .then(data => data.success ? data.providers : [])
+            .catch(() => []);
+    }
+    return AppState.oidcProvidersPromise;
+}
+
+// "Continue with ..." buttons in the sign in and sign up modals
+async function renderOidcProviderButtons(container) {
+    const providers = await getOidcProviders();
+    if (!container || providers.length === 0) return;
+    
+    container.innerHTML = `
+        <div class="oidc-divider"><span>or</span></div>
+        ${providers.map(provider => `
+            <button type="button" class="btn-oidc" onclick="startOidcSignIn('${provider.id}')">
+                <i class="fas fa-right-to-bracket"></i>
+                Continue with ${escapeHtml(provider.name)}
+            </button>
+        `).join('')}
+    `;
+    container.hidden = false;
+}
+
+// Send the browser to the provider. Linking needs the signed-in user's token.
+async function startOidcSignIn(providerId, mode = 'login') {
+    try {
+        const request = {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mode })
+        };
+        const response = mode === 'link'
+            ? await authFetch(`${API_BASE}/auth/oidc/${providerId}/start`, request)
+            : await fetch(`${API_BASE}/auth/oidc/${providerId}/start`, request);
+        const data = await response.json();
+        
+        if (!data.success) {
+            showAuthError(data.error || 'Could not start signing in');
+            return;
+        }
+        
+        window.location.href = data.authorization_url;
+    } catch (error) {
+        console.error('OIDC start error:', error);
+        showAuthError('Connection error. Please try again.');
+    }
+}
+
+// The provider callback sends the browser back with ?oidc_ticket= (or ?oidc_error=)
+async function checkOidcRedirect() {
+    const params = new URLSearchParams(window.location.search);
+    const ticket = params.get('oidc_ticket');
+    const error = params.get('oidc_error');
+    if (!ticket && !error) return;
+    
+    // The ticket works once; keep it out of the address bar and history
+    params.delete('oidc_ticket');
+    params.delete('oidc_error');
+    const query = params.toString();
+    window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    
+    if (error) {
+        showError(error);
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/auth/oidc/exchange`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ticket })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showError(data.error || 'Sign in failed');
+            return;
+        }
+        
+        storeAuthTokens(data);
+        AppState.user = data.user;
+        updateUIForAuthenticatedUser();
+        
+        if (data.linked) {
+            addAIMessage('Your account has been linked. You can now sign in with it too.');
+        } else if (data.is_new_user) {
+            addAIMessage(`Welcome to RentAI, ${data.user.username}! 🎉 Your account has been created successfully. I can now remember our conversations and learn your preferences to provide better recommendations.`);
+        } else {
+            addAIMessage(`Welcome back, ${data.user.username}! 🎉 You're now signed in and I can remember our conversations and your preferences.`);
+        }
+        
+        if (!AppState.aiAssistantVisible) {
+            toggleAssistant();
+        }
+    } catch (exchangeError) {
+        console.error('OIDC exchange error:', exchangeError);
+        showError('Connection error. Please try again.');
+    }
+}
+
+// Linked accounts: link more providers or unlink one
+async function showLinkedAccountsModal() {
+    const modal = showAccountModal('Linked Accounts', '<p class="form-help">Loading...</p>');
+    const body = modal.querySelector('.auth-modal-body');
+    
+    try {
+        const response = await authFetch(`${API_BASE}/auth/identities`);
+        const data = await response.json();
+        
+        if (!data.success) {
+            body.innerHTML = '';
+            showAuthError(data.error || 'Could not load your linked accounts');
+            return;
+        }
+        
+        const linked = new Set(data.identities.map(identity => identity.provider));
+        const rows = data.providers.map(provider => {
+            const identity = data.identities.find(item => item.provider === provider.id);
+            return `
+                <div class="linked-account">
+                    <div>
+                        <strong>${escapeHtml(provider.name)}</strong>
+                        ${identity ? `<small class="form-help">${escapeHtml(identity.email || 'Linked')}</small>` : ''}
+                    </div>
+                    ${identity
+                        ? `<button type="button" class="btn-secondary" onclick="unlinkOidcIdentity('${provider.id}')">Unlink</button>`
+                        : `<button type="button" class="btn-primary" onclick="startOidcSignIn('${provider.id}', 'link')">Link</button>`}
+                </div>
+            `;
+        });
+        
+        // Identities from providers that are no longer configured can still be unlinked
+        data.identities
+            .filter(identity => !data.providers.some(provider => provider.id === identity.provider))
+            .forEach(identity => rows.push(`
+                <div class="linked-account">
+                    <div><strong>${escapeHtml(identity.provider)}</strong></div>
+                    <button type="button" class="btn-secondary" onclick="unlinkOidcIdentity('${escapeHtml(identity.provider)}')">Unlink</button>
+                </div>
+            `));
+        
+        body.innerHTML = `
+            <p class="form-help">
+                ${data.has_password ? 'You can sign in with your password' : 'You have no password yet; set one with Change Password'}${linked.size ? ' or any linked account below.' : '.'}
+            </p>
+            ${rows.length ? rows.join('') : '<p class="form-help">No sign-in providers are configured.</p>'}
+        `;
+    } catch (error) {
+        console.error('Linked accounts error:', error);
+        showAuthError('Connection error. Please try again.');
+    }
+}
+
+async function unlinkOidcIdentity(providerId) {
+    try {
+        const response = await authFetch(`${API_BASE}/auth/identities/${encodeURIComponent(providerId)}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showAuthError(data.error || 'Could not unlink the account');
+            return;
+        }
+        
+        showLinkedAccountsModal();
+    } catch (error) {
+        console.error('Unlink error:', error);
+        showAuthError('Connection error. Please try again.');
+    }
+}
+
+// Update UI for anonymous user
+function updateUIForAnonymousUser() {
+    const navActions = document.querySelector('.nav-actions');
+    if (navActions) {
+        navActions.innerHTML = `
+            <button class="btn-secondary" onclick="showSignInModal()">Sign In</button>
+            <button class="btn-primary" onclick="showSignUpModal()">Sign Up</button>
+        `;
+    }
+    
+    updateHostNavLink();
+}
+
+// Validate stored token
+async function validateToken() {
+    if (!AppState.authToken) return;
+    
+    try {
+        const response = await authFetch(`${API_BASE}/auth/validate`);
+        
+        const data = await response.json();
+        
+        if (data.success && data.user) {
+            AppState.user = data.user;
+            updateUIForAuthenticatedUser();
+        } else {
+            // Token is invalid and couldn't be refreshed, clear it
+            clearAuthTokens();
+        }
+    } catch (error) {
+        console.error('Token validation error:', error);
+        // Clear invalid token
+        clearAuthTokens();
+    }
+}
+
+// Update chat requests to include auth token
+const originalSendMessage = sendMessage;
+sendMessage = async function() {
+    const input = document.getElementById('chatInput');
+    const message = input.value.trim();
+    
+    if (!message) return;
+    
+    // Add user message immediately
+    addUserMessage(message);
+    input.value = '';
+    
+    // Show typing indicator
     showTypingIndicator();
     
     try {
@@ -1844,13 +2876,14 @@ sendMessage = async function() {
             'Content-Type': 'application/json'
         };
         
-        // Add auth token if available
-        if (AppState.authToken) {
-            headers['Authorization'] = `Bearer ${AppState.authToken}`;
+        // Add auth token if available (renewed first if it's about to expire)
+        const accessToken = await getValidAccessToken();
+        if (accessToken) {
+            headers['Authorization'] = `Bearer ${accessToken}`;
         }
         
-        // Send to RAG agent
-        const response = await fetch(`${API_BASE}/chat`, {
+        // Stream the RAG agent response
+        const response = await fetch(`${API_BASE}/chat/stream`, {
             method: 'POST',
             headers,
             body: JSON.stringify({
@@ -1860,39 +2893,71 @@ sendMessage = async function() {
             })
         });
         
-        const data = await response.json();
+        if (!response.ok || !response.headers.get('Content-Type')?.includes('text/event-stream')) {
+            const data = await response.json().catch(() => ({}));
+            hideTypingIndicator();
+            // Rate limits and the daily chat quota explain themselves
+            addAIMessage(response.status === 429 && data.error
+                ? data.error
+                : "I'm sorry, I encountered an error. Please try again.");
+            console.error('Chat API error:', data.error);
+            return;
+        }
         
-        // Hide typing indicator
-        hideTypingIndicator();
+        let streamingMessage = null;
+        let streamedText = '';
+        let responseContext = null;
+        let failed = false;
         
-        if (data.success) {
-            // Store session ID for future requests
-            AppState.chatSessionId = data.sessionId;
-            
-            // Add AI response
-            addAIMessage(data.message);
-            
-            // Debug: Log the entire response context
-            console.log('Full AI response data:', data);
-            console.log('Response context:', data.context);
-            
-            // If the response contains rental search results, activate search mode
-            if (data.context?.has_rental_results && data.context?.search_metadata?.search_performed) {
-                console.log('AI response contains rental search results:', data.context.search_metadata);
-                activateSearchMode(data.message, message, data.context.search_metadata);
-            } else if (data.context?.search_metadata) {
-                // Even if search_performed is not explicitly true, try to apply filters if metadata exists
-                console.log('Attempting to apply filters from search metadata:', data.context.search_metadata);
-                applyStructuredFilters(data.context.search_metadata);
-            } else {
-                console.log('No search metadata found in AI response, trying to parse user message directly');
-                // Fallback: try to parse the user's message directly for search criteria
-                parseUserMessageForFilters(message);
+        // Swap the typing indicator for a message bubble on the first visible event
+        const ensureStreamingMessage = () => {
+            if (!streamingMessage) {
+                hideTypingIndicator();
+                streamingMessage = createStreamingAIMessage();
             }
-        } else {
+            return streamingMessage;
+        };
+        
+        await readEventStream(response, (event, data) => {
+            switch (event) {
+                case 'session':
+                    // Store session ID for future requests
+                    AppState.chatSessionId = data.sessionId;
+                    break;
+                case 'token':
+                    streamedText += data.delta;
+                    updateStreamingAIMessage(ensureStreamingMessage(), streamedText);
+                    break;
+                case 'tool_call_started':
+                    setStreamingToolStatus(ensureStreamingMessage(), data.name);
+                    break;
+                case 'tool_call_finished':
+                    setStreamingToolStatus(ensureStreamingMessage(), null);
+                    break;
+                case 'metadata':
+                    responseContext = data;
+                    break;
+                case 'done':
+                    finishStreamingAIMessage(ensureStreamingMessage(), data.message || streamedText);
+                    streamedText = data.message || streamedText;
+                    break;
+                case 'error':
+                    failed = true;
+                    console.error('Chat stream error:', data.error);
+                    break;
+            }
+        });
+        
+        hideTypingIndicator();
+        
+        if (failed) {
+            if (streamingMessage) streamingMessage.remove();
             addAIMessage("I'm sorry, I encountered an error. Please try again.");
-            console.error('Chat API error:', data.error);
+            return;
         }
+        
+        console.log('Streamed AI response context:', responseContext);
+        handleChatResponseContext(streamedText, message, responseContext);
     } catch (error) {
         hideTypingIndicator();
         addAIMessage("I'm having trouble connecting right now. Please try again.");
@@ -1927,6 +2992,8 @@ function setupNavigationEventListeners() {
                 showExploreTab();
             } else if (linkText === 'Saved') {
                 showSavedTab();
+            } else if (linkText === 'Host') {
+                showHostTab();
             } else if (linkText === 'Help') {
                 showHelpTab();
             }
@@ -1936,11 +3003,13 @@ function setupNavigationEventListeners() {
 
 // Show explore tab
 function showExploreTab() {
-    // Hide saved rentals section
-    const savedSection = document.getElementById('savedRentalsSection');
-    if (savedSection) {
-        savedSection.style.display = 'none';
-    }
+    // Hide saved rentals and host sections
+    ['savedRentalsSection', 'hostDashboardSection'].forEach(id => {
+        const section = document.getElementById(id);
+        if (section) {
+            section.style.display = 'none';
+        }
+    });
     
     // Show main sections
     showMainSections();
@@ -1954,144 +3023,1639 @@ function showSavedTab() {
     // Hide main sections
     hideMainSections();
     
+    const hostSection = document.getElementById('hostDashboardSection');
+    if (hostSection) {
+        hostSection.style.display = 'none';
+    }
+    
     // Show saved rentals section
     const savedSection = document.getElementById('savedRentalsSection');
     if (savedSection) {
         savedSection.style.display = 'block';
         loadSavedRentals();
     }
-    
-    // Update active nav
-    updateActiveNavLink('Saved');
+    
+    // Update active nav
+    updateActiveNavLink('Saved');
+}
+
+// Show help tab
+function showHelpTab() {
+    // For now, just show help message in AI assistant
+    addAIMessage(`**RentAI Help** 🏠\n\n**Getting Started:**\n• Use the search bar to find rentals by location\n• Chat with me using natural language: "Find me a 2-bedroom apartment in New York under $200/night"\n• Apply filters to narrow down your search\n• Save properties you like by clicking the heart icon\n\n**AI Assistant Features:**\n• I can search for rentals based on your preferences\n• Ask me about specific properties, neighborhoods, or amenities\n• I'll remember your conversations if you're signed in\n• I can access and help you compare your saved rentals\n\n**Authentication:**\n• Sign up to save your preferences and conversation history\n• Your saved rentals are stored in your account\n• I provide better recommendations when you're signed in\n\nFeel free to ask me anything about rentals!`);
+    
+    if (!AppState.aiAssistantVisible) {
+        toggleAssistant();
+    }
+}
+
+// Show main sections (hero, filters, results)
+function showMainSections() {
+    const sections = ['.hero', '.filters-section', '.results-section'];
+    sections.forEach(selector => {
+        const section = document.querySelector(selector);
+        if (section) {
+            section.style.display = 'block';
+        }
+    });
+}
+
+// Hide main sections
+function hideMainSections() {
+    const sections = ['.hero', '.filters-section', '.results-section'];
+    sections.forEach(selector => {
+        const section = document.querySelector(selector);
+        if (section) {
+            section.style.display = 'none';
+        }
+    });
+}
+
+// Update active navigation link
+function updateActiveNavLink(activeText) {
+    const navLinks = document.querySelectorAll('.nav-link');
+    navLinks.forEach(link => {
+        const isActive = link.textContent.trim() === activeText;
+        link.classList.toggle('active', isActive);
+    });
+}
+
+// ======================
+// HOST DASHBOARD FUNCTIONALITY
+// ======================
+
+function isHostUser() {
+    return ['host', 'admin'].includes(AppState.user?.role);
+}
+
+// Only hosts and admins see the Host tab
+function updateHostNavLink() {
+    const hostLink = document.querySelector('.host-nav-link');
+    if (hostLink) {
+        hostLink.style.display = isHostUser() ? '' : 'none';
+    }
+    
+    const hostSection = document.getElementById('hostDashboardSection');
+    if (!isHostUser() && hostSection && hostSection.style.display !== 'none') {
+        showExploreTab();
+    }
+}
+
+// Show host dashboard tab
+function showHostTab() {
+    hideMainSections();
+    
+    const savedSection = document.getElementById('savedRentalsSection');
+    if (savedSection) {
+        savedSection.style.display = 'none';
+    }
+    
+    const hostSection = document.getElementById('hostDashboardSection');
+    if (hostSection) {
+        hostSection.style.display = 'block';
+        loadHostListings();
+    }
+    
+    updateActiveNavLink('Host');
+}
+
+// Call a /host endpoint with the user's token; rejects with the API error message
+async function hostRequest(path, options = {}) {
+    const response = await authFetch(`${API_BASE}/host${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(options.headers || {})
+        }
+    });
+    
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || data.summary || `Request failed (${response.status})`);
+    }
+    return data;
+}
+
+// Load the host's listings
+async function loadHostListings() {
+    const loadingSpinner = document.getElementById('hostLoadingSpinner');
+    const emptyState = document.getElementById('emptyHostState');
+    const grid = document.getElementById('hostListingsGrid');
+    
+    [loadingSpinner, emptyState, grid].forEach(el => {
+        if (el) el.style.display = 'none';
+    });
+    
+    if (!AppState.authToken || !isHostUser()) {
+        showExploreTab();
+        return;
+    }
+    
+    if (loadingSpinner) loadingSpinner.style.display = 'block';
+    
+    try {
+        const data = await hostRequest('/listings?limit=100');
+        
+        if (data.data.length > 0) {
+            renderHostListings(data.data);
+            if (grid) grid.style.display = 'grid';
+        } else if (emptyState) {
+            emptyState.style.display = 'block';
+        }
+    } catch (error) {
+        console.error('Error loading host listings:', error);
+        showError(`Couldn't load your listings: ${error.message}`);
+    } finally {
+        if (loadingSpinner) loadingSpinner.style.display = 'none';
+    }
+}
+
+// Render host listing cards with status, saves and actions
+function renderHostListings(listings) {
+    const grid = document.getElementById('hostListingsGrid');
+    if (!grid) return;
+    
+    grid.innerHTML = listings.map(listing => {
+        const image = listing.images?.thumbnail_url || listing.images?.picture_url || '';
+        const location = listing.address ?
+            [listing.address.neighbourhood, listing.address.market].filter(Boolean).join(', ') :
+            '';
+        const isPublished = listing.status === 'published';
+        
+        return `
+            <div class="saved-rental-card host-listing-card" data-rental-id="${listing._id}">
+                <div class="saved-rental-image">
+                    ${image ?
+                        `<img src="${escapeHtml(image)}" alt="${escapeHtml(listing.name)}" style="width: 100%; height: 100%; object-fit: cover;" />` :
+                        '<div class="placeholder-image">No Image</div>'}
+                    <div class="listing-status-badge status-${listing.status}">${listing.status}</div>
+                </div>
+                <div class="saved-rental-content">
+                    <h3 class="saved-rental-name">${escapeHtml(listing.name || 'Untitled listing')}</h3>
+                    <div class="saved-rental-location">
+                        <i class="fas fa-map-marker-alt"></i>
+                        ${escapeHtml(location || 'No address yet')}
+                    </div>
+                    <div class="saved-rental-features">
+                        <div class="saved-rental-feature">
+                            <i class="fas fa-heart"></i>
+                            ${listing.saves} save${listing.saves !== 1 ? 's' : ''}
+                        </div>
+                        ${listing.number_of_reviews ? `<div class="saved-rental-feature">
+                            <i class="fas fa-star"></i>
+                            ${listing.number_of_reviews} review${listing.number_of_reviews !== 1 ? 's' : ''}
+                        </div>` : ''}
+                    </div>
+                    <div class="saved-rental-price">${listing.price ? formatPrice(listing.price) : 'No price'}/night</div>
+                    <div class="host-listing-stats" id="hostStats-${listing._id}"></div>
+                    <div class="saved-rental-actions">
+                        <button class="btn-saved-action" onclick="openListingEditor('${listing._id}')">
+                            <i class="fas fa-pen"></i>
+                            Edit
+                        </button>
+                        <button class="btn-saved-action" onclick="showListingPerformance('${listing._id}')">
+                            <i class="fas fa-chart-line"></i>
+                            Stats
+                        </button>
+                        <button class="btn-saved-action primary" onclick="setListingPublished('${listing._id}', ${!isPublished})">
+                            <i class="fas fa-${isPublished ? 'pause' : 'globe'}"></i>
+                            ${isPublished ? 'Unpublish' : 'Publish'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Publish or unpublish a listing
+async function setListingPublished(listingId, publish) {
+    try {
+        await hostRequest(`/listings/${listingId}/${publish ? 'publish' : 'unpublish'}`, { method: 'POST' });
+        loadHostListings();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Show saves, chat mentions and bookings under a listing card
+async function showListingPerformance(listingId) {
+    const container = document.getElementById(`hostStats-${listingId}`);
+    if (!container) return;
+    
+    if (container.innerHTML) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    try {
+        const { data } = await hostRequest(`/listings/${listingId}/performance`);
+        const lastMentioned = data.chat.last_mentioned_at ?
+            new Date(data.chat.last_mentioned_at).toLocaleDateString() :
+            'never';
+        
+        container.innerHTML = `
+            <div><strong>${data.saves}</strong> saves</div>
+            <div><strong>${data.chat.mentions}</strong> chat mentions in ${data.chat.conversations} conversation${data.chat.conversations !== 1 ? 's' : ''} (last: ${lastMentioned})</div>
+            <div><strong>${data.bookings.confirmed}</strong> bookings, ${data.bookings.upcoming} upcoming, ${data.bookings.nights_booked} nights</div>
+            <div><strong>${formatPrice(data.bookings.revenue)}</strong> booked revenue</div>
+        `;
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Open the listing editor - a new draft when no ID is given
+async function openListingEditor(listingId = null) {
+    let listing = {};
+    
+    if (listingId) {
+        try {
+            listing = (await hostRequest(`/listings/${listingId}`)).data;
+        } catch (error) {
+            showError(error.message);
+            return;
+        }
+    }
+    
+    const modal = document.createElement('div');
+    modal.className = 'auth-modal-overlay';
+    modal.innerHTML = `
+        <div class="auth-modal host-listing-modal">
+            <div class="auth-modal-header">
+                <h2>${listingId ? 'Edit listing' : 'New draft'}</h2>
+                <button class="auth-modal-close" onclick="closeListingEditor()">&times;</button>
+            </div>
+            <div class="auth-modal-body">
+                <form id="listingEditorForm" data-listing-id="${listingId || ''}" onsubmit="handleListingEditorSubmit(event)">
+                    <div class="form-group">
+                        <label for="listingName">Name</label>
+                        <input type="text" id="listingName" name="name" required value="${escapeHtml(listing.name)}">
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="listingPropertyType">Property type</label>
+                            <input type="text" id="listingPropertyType" name="property_type" value="${escapeHtml(listing.property_type)}" placeholder="Apartment">
+                        </div>
+                        <div class="form-group">
+                            <label for="listingMarket">City / market</label>
+                            <input type="text" id="listingMarket" name="market" value="${escapeHtml(listing.address?.market)}">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="listingPrice">Nightly price</label>
+                            <input type="number" id="listingPrice" name="price" min="0" value="${listing.price ?? ''}">
+                        </div>
+                        <div class="form-group">
+                            <label for="listingCleaningFee">Cleaning fee</label>
+                            <input type="number" id="listingCleaningFee" name="cleaning_fee" min="0" value="${listing.cleaning_fee ?? ''}">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label for="listingPhoto">Photo URL</label>
+                        <input type="url" id="listingPhoto" name="picture_url" value="${escapeHtml(listing.images?.picture_url)}">
+                    </div>
+                    <div class="form-group">
+                        <label for="listingAmenities">Amenities</label>
+                        <input type="text" id="listingAmenities" name="amenities" value="${(listing.amenities || []).join(', ')}" placeholder="Wifi, Kitchen, Washer">
+                        <small class="form-help">Separate amenities with commas</small>
+                    </div>
+                    <div class="host-form-error" id="listingEditorError"></div>
+                    <div class="auth-modal-actions">
+                        <button type="button" class="btn-secondary" onclick="closeListingEditor()">Cancel</button>
+                        <button type="submit" class="btn-primary">${listingId ? 'Save changes' : 'Create draft'}</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+}
+
+function closeListingEditor() {
+    const modal = document.querySelector('.host-listing-modal');
+    if (modal) {
+        modal.closest('.auth-modal-overlay').remove();
+    }
+}
+
+// Build the listing payload from the editor form, leaving out empty fields
+function getListingEditorPayload(form) {
+    const values = Object.fromEntries(new FormData(form).entries());
+    const payload = { name: values.name.trim() };
+    
+    if (values.property_type) payload.property_type = values.property_type.trim();
+    if (values.price !== '') payload.price = parseFloat(values.price);
+    if (values.cleaning_fee !== '') payload.cleaning_fee = parseFloat(values.cleaning_fee);
+    if (values.picture_url) payload.images = { picture_url: values.picture_url.trim(), thumbnail_url: values.picture_url.trim() };
+    if (values.market) payload.address = { market: values.market.trim() };
+    payload.amenities = values.amenities.split(',').map(amenity => amenity.trim()).filter(Boolean);
+    
+    return payload;
+}
+
+// Create a draft or save edits
+async function handleListingEditorSubmit(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const listingId = form.dataset.listingId;
+    const errorElement = document.getElementById('listingEditorError');
+    
+    try {
+        await hostRequest(listingId ? `/listings/${listingId}` : '/listings', {
+            method: listingId ? 'PATCH' : 'POST',
+            body: JSON.stringify(getListingEditorPayload(form))
+        });
+        
+        closeListingEditor();
+        loadHostListings();
+    } catch (error) {
+        if (errorElement) errorElement.textContent = error.message;
+    }
+}
+
+// ======================
+// COMPARISON
+// ======================
+
+const MAX_COMPARE_RENTALS = 4;
+
+function isComparing(rentalId) {
+    return AppState.compareItems.some(item => item.id === rentalId.toString());
+}
+
+// Add a rental to the comparison tray, or take it out again
+function toggleCompare(event, rentalId, name) {
+    event?.stopPropagation();
+    const id = rentalId.toString();
+    
+    if (isComparing(id)) {
+        AppState.compareItems = AppState.compareItems.filter(item => item.id !== id);
+    } else if (AppState.compareItems.length >= MAX_COMPARE_RENTALS) {
+        showError(`You can compare up to ${MAX_COMPARE_RENTALS} rentals at a time`);
+        return;
+    } else {
+        AppState.compareItems.push({ id, name: name || 'Rental' });
+    }
+    
+    updateCompareButtons();
+    renderCompareTray();
+}
+
+function updateCompareButtons() {
+    document.querySelectorAll('[data-compare-id]').forEach(button => {
+        button.classList.toggle('active', isComparing(button.dataset.compareId));
+    });
+}
+
+function clearCompare() {
+    AppState.compareItems = [];
+    updateCompareButtons();
+    renderCompareTray();
+}
+
+// Bar along the bottom of the page listing the rentals picked for comparison
+function renderCompareTray() {
+    let tray = document.getElementById('compareTray');
+    if (!tray) {
+        tray = document.createElement('div');
+        tray.id = 'compareTray';
+        tray.className = 'compare-tray';
+        document.body.appendChild(tray);
+    }
+    
+    const items = AppState.compareItems;
+    tray.style.display = items.length > 0 ? 'flex' : 'none';
+    tray.innerHTML = `
+        <div class="compare-tray-items">
+            ${items.map(item => `
+                <span class="compare-chip">
+                    ${escapeHtml(item.name)}
+                    <button type="button" onclick="toggleCompare(event, '${escapeHtml(item.id)}')" title="Remove"><i class="fas fa-times"></i></button>
+                </span>
+            `).join('')}
+            ${items.length < 2 ? '<span class="compare-tray-hint">Pick one more rental to compare</span>' : ''}
+        </div>
+        <div class="compare-tray-actions">
+            <button type="button" class="btn-secondary" onclick="clearCompare()">Clear</button>
+            <button type="button" class="btn-primary" onclick="openComparison()" ${items.length < 2 ? 'disabled' : ''}>
+                <i class="fas fa-columns"></i> Compare (${items.length})
+            </button>
+        </div>
+    `;
+}
+
+// Load the comparison of the picked rentals, priced for the searched dates when there are some
+async function openComparison() {
+    if (AppState.compareItems.length < 2) return;
+    
+    const params = new URLSearchParams({ ids: AppState.compareItems.map(item => item.id).join(',') });
+    appendStayParams(params);
+    if (params.has('checkin') && AppState.currentSearchParams.guests) {
+        params.append('guests', AppState.currentSearchParams.guests);
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/rentals/compare?${params.toString()}`);
+        const data = await response.json();
+        
+        if (!data.success) {
+            showError(data.error || 'Could not compare these rentals');
+            return;
+        }
+        
+        showComparisonDrawer(data);
+    } catch (error) {
+        console.error('Error loading comparison:', error);
+        showError('Could not compare these rentals');
+    }
+}
+
+function formatCompareValue(value, format) {
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+        return '<span class="compare-empty">—</span>';
+    }
+    
+    switch (format) {
+        case 'currency':
+            return formatPrice(value);
+        case 'stars':
+            return `<i class="fas fa-star"></i> ${value.toFixed(1)}`;
+        case 'percent':
+            return `${value}%`;
+        case 'boolean':
+            return value
+                ? '<i class="fas fa-check compare-yes" title="Yes"></i>'
+                : '<i class="fas fa-times compare-no" title="No"></i>';
+        case 'list':
+            return value.map(item => escapeHtml(REVIEW_HIGHLIGHT_LABELS[item] || item)).join('<br>');
+        default:
+            return escapeHtml(String(value));
+    }
+}
+
+// Table with one column per rental and one row per compared field, best values marked
+function createComparisonHTML(comparison) {
+    const differencesOnly = AppState.compareDifferencesOnly;
+    
+    const header = comparison.rentals.map(rental => `
+        <th>
+            <div class="compare-rental">
+                <img src="${escapeHtml(rental.image || '/place_holder.png?v=1')}" alt="" onerror="this.src='/place_holder.png?v=1'" />
+                <div class="compare-rental-name">${escapeHtml(rental.name || 'Rental')}</div>
+                ${rental.location ? `<div class="compare-rental-location">${escapeHtml(rental.location)}</div>` : ''}
+                <div class="compare-rental-actions">
+                    <button type="button" class="btn-saved-action" onclick="viewRental('${escapeHtml(rental.id)}')">View</button>
+                    <button type="button" class="btn-saved-action" onclick="removeFromComparison('${escapeHtml(rental.id)}')" title="Remove from comparison">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+        </th>
+    `).join('');
+    
+    const body = comparison.sections.map(section => {
+        const rows = section.rows.filter(row => !differencesOnly || row.differs);
+        if (rows.length === 0) return '';
+        
+        return `
+            <tr class="compare-section"><th colspan="${comparison.rentals.length + 1}">${escapeHtml(section.label)}</th></tr>
+            ${rows.map(row => `
+                <tr>
+                    <th scope="row">${escapeHtml(row.label)}</th>
+                    ${row.values.map((value, index) => `
+                        <td class="${row.best.includes(index) ? 'compare-best' : ''}">${formatCompareValue(value, row.format)}</td>
+                    `).join('')}
+                </tr>
+            `).join('')}
+        `;
+    }).join('');
+    
+    const stay = comparison.stay;
+    
+    return `
+        <div class="compare-drawer-meta">
+            ${stay
+                ? `${stay.checkin} → ${stay.checkout} • ${stay.nights} night${stay.nights !== 1 ? 's' : ''} • ${stay.guests} guest${stay.guests !== 1 ? 's' : ''}`
+                : 'Pick dates in the search bar to compare stay totals'}
+        </div>
+        <div class="compare-table-wrapper">
+            <table class="compare-table">
+                <thead><tr><th></th>${header}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>
+        ${comparison.shared_amenities.length > 0 && !differencesOnly ? `
+            <p class="compare-shared"><strong>All have:</strong> ${comparison.shared_amenities.map(escapeHtml).join(', ')}</p>
+        ` : ''}
+    `;
+}
+
+// Slide-in drawer with the comparison table; the tray follows the rentals shown
+function showComparisonDrawer(comparison) {
+    AppState.comparison = comparison;
+    AppState.compareItems = comparison.rentals.map(rental => ({ id: rental.id, name: rental.name }));
+    updateCompareButtons();
+    renderCompareTray();
+    
+    let overlay = document.getElementById('compareDrawer');
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.id = 'compareDrawer';
+        overlay.className = 'compare-drawer-overlay';
+        overlay.addEventListener('click', event => {
+            if (event.target === overlay) closeComparisonDrawer();
+        });
+        document.body.appendChild(overlay);
+    }
+    
+    overlay.innerHTML = `
+        <aside class="compare-drawer" role="dialog" aria-label="Compare rentals">
+            <div class="compare-drawer-header">
+                <h3><i class="fas fa-columns"></i> Compare rentals</h3>
+                <label class="compare-differences">
+                    <input type="checkbox" ${AppState.compareDifferencesOnly ? 'checked' : ''} onchange="toggleComparisonDifferences(this.checked)">
+                    Only differences
+                </label>
+                <button type="button" class="auth-modal-close" onclick="closeComparisonDrawer()" title="Close">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="compare-drawer-body">${createComparisonHTML(comparison)}</div>
+        </aside>
+    `;
+    overlay.style.display = 'flex';
+}
+
+function closeComparisonDrawer() {
+    const overlay = document.getElementById('compareDrawer');
+    if (overlay) overlay.style.display = 'none';
+}
+
+function toggleComparisonDifferences(checked) {
+    AppState.compareDifferencesOnly = checked;
+    if (AppState.comparison) {
+        document.querySelector('#compareDrawer .compare-drawer-body').innerHTML = createComparisonHTML(AppState.comparison);
+    }
+}
+
+// Drop a column; the comparison is reloaded while at least two rentals are left
+function removeFromComparison(rentalId) {
+    AppState.compareItems = AppState.compareItems.filter(item => item.id !== rentalId);
+    updateCompareButtons();
+    renderCompareTray();
+    
+    if (AppState.compareItems.length >= 2) {
+        openComparison();
+    } else {
+        closeComparisonDrawer();
+    }
+}
+
+// Chat card for a comparison made by the AI, opening it in the drawer
+function addComparisonMessage(comparison) {
+    if (!comparison?.rentals?.length) return;
+    
+    AppState.chatComparisons.push(comparison);
+    const index = AppState.chatComparisons.length - 1;
+    
+    const messagesContainer = document.getElementById('chatMessages');
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message ai-message';
+    messageDiv.innerHTML = `
+        <div class="message-content">
+            <div class="compare-card">
+                <div class="compare-card-title"><i class="fas fa-columns"></i> Side-by-side comparison</div>
+                <div class="compare-card-names">${comparison.rentals.map(rental => escapeHtml(rental.name || 'Rental')).join(' vs ')}</div>
+                <button type="button" class="compare-card-btn" onclick="showComparisonDrawer(AppState.chatComparisons[${index}])">
+                    Open comparison
+                </button>
+            </div>
+        </div>
+    `;
+    
+    messagesContainer.appendChild(messageDiv);
+    scrollToBottom();
+}
+
+// ======================
+// REVIEWS
+// ======================
+
+const REVIEW_ASPECT_LABELS = {
+    accuracy: 'Accuracy',
+    cleanliness: 'Cleanliness',
+    checkin: 'Check-in',
+    communication: 'Communication',
+    location: 'Location',
+    value: 'Value'
+};
+
+// Aspects scored by the review summary (out of 5) and the highlights listings earn for them
+const REVIEW_SUMMARY_ASPECT_LABELS = {
+    cleanliness: 'Cleanliness',
+    noise: 'Quiet',
+    location: 'Location',
+    communication: 'Host',
+    accuracy: 'Accuracy'
+};
+
+const REVIEW_HIGHLIGHT_LABELS = {
+    quiet: 'Quiet',
+    clean: 'Clean',
+    great_location: 'Great location',
+    responsive_host: 'Responsive host',
+    as_described: 'As described'
+};
+
+const REVIEW_FLAG_REASONS = {
+    spam: 'Spam or advertising',
+    offensive: 'Offensive or abusive',
+    off_topic: 'Not about this rental',
+    fake: 'Fake review',
+    other: 'Something else'
+};
+
+// Call a /rentals/:id/reviews endpoint for the listing shown in the reviews modal.
+// Reading works signed out; writing needs the access token.
+async function reviewRequest(path, options = {}, errorMessage = 'Something went wrong') {
+    const url = `${API_BASE}/rentals/${AppState.reviewState.rentalId}/reviews${path}`;
+    const request = {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    };
+    
+    try {
+        const response = AppState.authToken ? await authFetch(url, request) : await fetch(url, request);
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || errorMessage);
+        }
+        return data;
+    } catch (error) {
+        console.error(errorMessage, error);
+        showAuthError(escapeHtml(error.message));
+        return null;
+    }
+}
+
+function renderStars(rating) {
+    return `${'★'.repeat(rating)}${'☆'.repeat(5 - rating)}`;
+}
+
+async function showReviewsModal(rentalId) {
+    AppState.reviewState = { rentalId, sort: 'newest', page: 0, reviews: [], viewer: null };
+    
+    const modal = showAccountModal('Reviews', `
+        <div id="reviewsSummary" class="reviews-summary"></div>
+        <div class="reviews-toolbar">
+            <select id="reviewSort" onchange="setReviewSort(this.value)">
+                <option value="newest">Newest first</option>
+                <option value="oldest">Oldest first</option>
+                <option value="highest">Highest rated</option>
+                <option value="lowest">Lowest rated</option>
+            </select>
+            <button type="button" id="writeReviewBtn" class="btn-saved-action primary" onclick="showReviewForm()" hidden>
+                <i class="fas fa-pen"></i> Write a review
+            </button>
+        </div>
+        <div id="reviewFormContainer"></div>
+        <div id="reviewsList" class="reviews-list"><p class="form-help">Loading reviews...</p></div>
+        <button type="button" id="reviewsMoreBtn" class="btn-saved-action" onclick="loadReviews()" hidden>Show more reviews</button>
+    `);
+    modal.querySelector('.auth-modal').classList.add('reviews-modal');
+    
+    await loadReviews(true);
+}
+
+// Load the first page (reset) or the next one
+async function loadReviews(reset = false) {
+    const state = AppState.reviewState;
+    const page = reset ? 1 : state.page + 1;
+    
+    const data = await reviewRequest(`?sort=${state.sort}&page=${page}&limit=10`, {}, 'Could not load reviews');
+    const list = document.getElementById('reviewsList');
+    if (!data) {
+        if (reset && list) list.innerHTML = '';
+        return;
+    }
+    
+    state.page = data.pagination.page;
+    state.reviews = reset ? data.reviews : [...state.reviews, ...data.reviews];
+    state.viewer = data.viewer;
+    
+    renderReviewSummary(data.summary);
+    renderReviews();
+    
+    const moreButton = document.getElementById('reviewsMoreBtn');
+    if (moreButton) moreButton.hidden = !data.pagination.hasMore;
+    
+    const writeButton = document.getElementById('writeReviewBtn');
+    if (writeButton) writeButton.hidden = !!AppState.authToken && !data.viewer.can_review;
+}
+
+function renderReviewSummary(summary) {
+    const container = document.getElementById('reviewsSummary');
+    if (!container) return;
+    
+    const aspects = Object.entries(REVIEW_ASPECT_LABELS)
+        .filter(([aspect]) => typeof summary.scores[`review_scores_${aspect}`] === 'number')
+        .map(([aspect, label]) => `
+            <span>${label} <strong>${(summary.scores[`review_scores_${aspect}`] / 2).toFixed(1)}</strong></span>
+        `).join('');
+    
+    container.innerHTML = `
+        <div class="reviews-score">
+            <i class="fas fa-star"></i> ${summary.rating !== null ? summary.rating.toFixed(1) : 'New'}
+            <span>${summary.count} review${summary.count === 1 ? '' : 's'}</span>
+        </div>
+        ${aspects ? `<div class="review-aspects">${aspects}</div>` : ''}
+    `;
+}
+
+function renderReviews() {
+    const list = document.getElementById('reviewsList');
+    if (!list) return;
+    
+    const { reviews } = AppState.reviewState;
+    if (reviews.length === 0) {
+        list.innerHTML = '<p class="form-help">No reviews yet.</p>';
+        return;
+    }
+    
+    list.innerHTML = reviews.map(review => `
+        <div class="review-item" id="review-${review.id}">
+            <div class="review-header">
+                <strong>${escapeHtml(review.reviewer_name)}</strong>
+                ${review.verified_stay ? '<span class="review-verified"><i class="fas fa-check-circle"></i> Stayed here</span>' : ''}
+                <span class="review-date">${new Date(review.created_at).toLocaleDateString()}</span>
+            </div>
+            ${review.rating ? `<div class="review-stars">${renderStars(review.rating)}</div>` : ''}
+            <p class="review-comments">${escapeHtml(review.comments)}</p>
+            ${review.host_reply ? `
+                <div class="review-reply">
+                    <strong>Response from ${escapeHtml(review.host_reply.author_name)}</strong>
+                    <p>${escapeHtml(review.host_reply.text)}</p>
+                </div>
+            ` : ''}
+            <div class="review-actions">
+                ${review.can_reply ? `
+                    <button type="button" onclick="showReviewReplyForm('${review.id}')">${review.host_reply ? 'Edit reply' : 'Reply'}</button>
+                    ${review.host_reply ? `<button type="button" onclick="deleteReviewReply('${review.id}')">Remove reply</button>` : ''}
+                ` : ''}
+                ${review.can_delete ? `<button type="button" onclick="deleteReview('${review.id}')">Delete</button>` : ''}
+                ${review.can_flag ? `<button type="button" onclick="showReviewFlagForm('${review.id}')">Report</button>` : ''}
+            </div>
+            <div class="review-inline-form" id="reviewInline-${review.id}"></div>
+        </div>
+    `).join('');
+}
+
+function setReviewSort(sort) {
+    AppState.reviewState.sort = sort;
+    loadReviews(true);
+}
+
+function showReviewForm() {
+    if (!AppState.authToken) {
+        closeAuthModal();
+        showSignInModal();
+        return;
+    }
+    
+    const container = document.getElementById('reviewFormContainer');
+    if (!container) return;
+    
+    const { viewer } = AppState.reviewState;
+    container.innerHTML = `
+        <form class="review-form" onsubmit="handleSubmitReview(event)">
+            ${viewer?.requires_stay ? '<p class="form-help">Reviews are open to guests who have stayed here.</p>' : ''}
+            <div class="form-group">
+                <label for="reviewRating">Overall rating</label>
+                <select id="reviewRating" required>
+                    ${[5, 4, 3, 2, 1].map(value => `<option value="${value}">${renderStars(value)}</option>`).join('')}
+                </select>
+            </div>
+            <div class="review-aspect-inputs">
+                ${Object.entries(REVIEW_ASPECT_LABELS).map(([aspect, label]) => `
+                    <label>${label}
+                        <select data-aspect="${aspect}">
+                            <option value="">-</option>
+                            ${[5, 4, 3, 2, 1].map(value => `<option value="${value}">${value}</option>`).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="form-group">
+                <label for="reviewComments">Your review</label>
+                <textarea id="reviewComments" rows="4" maxlength="2000" required placeholder="How was your stay?"></textarea>
+            </div>
+            <div class="auth-modal-actions">
+                <button type="button" class="btn-secondary" onclick="document.getElementById('reviewFormContainer').innerHTML = ''">Cancel</button>
+                <button type="submit" class="btn-primary" id="submitReviewBtn">Post review</button>
+            </div>
+        </form>
+    `;
+    document.getElementById('reviewComments').focus();
+}
+
+async function handleSubmitReview(event) {
+    event.preventDefault();
+    
+    const scores = {};
+    document.querySelectorAll('.review-aspect-inputs select').forEach(select => {
+        if (select.value) scores[select.dataset.aspect] = parseInt(select.value);
+    });
+    
+    const button = document.getElementById('submitReviewBtn');
+    button.disabled = true;
+    
+    const data = await reviewRequest('', {
+        method: 'POST',
+        body: JSON.stringify({
+            rating: parseInt(document.getElementById('reviewRating').value),
+            scores,
+            comments: document.getElementById('reviewComments').value
+        })
+    }, 'Could not post the review');
+    
+    button.disabled = false;
+    if (!data) return;
+    
+    document.getElementById('reviewFormContainer').innerHTML = '';
+    await loadReviews(true);
+}
+
+async function deleteReview(reviewId) {
+    if (!confirm('Delete this review?')) return;
+    
+    if (await reviewRequest(`/${reviewId}`, { method: 'DELETE' }, 'Could not delete the review')) {
+        await loadReviews(true);
+    }
+}
+
+function showReviewReplyForm(reviewId) {
+    const review = AppState.reviewState.reviews.find(item => item.id === reviewId);
+    const container = document.getElementById(`reviewInline-${reviewId}`);
+    if (!review || !container) return;
+    
+    container.innerHTML = `
+        <form onsubmit="handleReviewReply(event, '${reviewId}')">
+            <textarea id="reviewReplyText-${reviewId}" rows="3" maxlength="1000" required placeholder="Reply publicly to this guest">${escapeHtml(review.host_reply?.text || '')}</textarea>
+            <div class="review-actions">
+                <button type="button" onclick="document.getElementById('reviewInline-${reviewId}').innerHTML = ''">Cancel</button>
+                <button type="submit" class="primary">Post reply</button>
+            </div>
+        </form>
+    `;
+    document.getElementById(`reviewReplyText-${reviewId}`).focus();
+}
+
+async function handleReviewReply(event, reviewId) {
+    event.preventDefault();
+    
+    const text = document.getElementById(`reviewReplyText-${reviewId}`).value;
+    if (await reviewRequest(`/${reviewId}/reply`, { method: 'PUT', body: JSON.stringify({ text }) }, 'Could not post the reply')) {
+        await loadReviews(true);
+    }
+}
+
+async function deleteReviewReply(reviewId) {
+    if (!confirm('Remove your reply?')) return;
+    
+    if (await reviewRequest(`/${reviewId}/reply`, { method: 'DELETE' }, 'Could not remove the reply')) {
+        await loadReviews(true);
+    }
+}
+
+function showReviewFlagForm(reviewId) {
+    const container = document.getElementById(`reviewInline-${reviewId}`);
+    if (!container) return;
+    
+    container.innerHTML = `
+        <form onsubmit="handleFlagReview(event, '${reviewId}')">
+            <select id="reviewFlagReason-${reviewId}">
+                ${Object.entries(REVIEW_FLAG_REASONS).map(([reason, label]) => `<option value="${reason}">${label}</option>`).join('')}
+            </select>
+            <input type="text" id="reviewFlagDetails-${reviewId}" maxlength="500" placeholder="Details (optional)">
+            <div class="review-actions">
+                <button type="button" onclick="document.getElementById('reviewInline-${reviewId}').innerHTML = ''">Cancel</button>
+                <button type="submit" class="primary">Report</button>
+            </div>
+        </form>
+    `;
+}
+
+async function handleFlagReview(event, reviewId) {
+    event.preventDefault();
+    
+    const data = await reviewRequest(`/${reviewId}/flag`, {
+        method: 'POST',
+        body: JSON.stringify({
+            reason: document.getElementById(`reviewFlagReason-${reviewId}`).value,
+            details: document.getElementById(`reviewFlagDetails-${reviewId}`).value
+        })
+    }, 'Could not report the review');
+    if (!data) return;
+    
+    if (data.hidden) {
+        await loadReviews(true);
+    } else {
+        document.getElementById(`reviewInline-${reviewId}`).innerHTML = `<p class="form-help">${escapeHtml(data.message)}</p>`;
+    }
+}
+
+// ======================
+// NOTIFICATIONS AND SAVED SEARCHES
+// ======================
+
+const NOTIFICATION_POLL_MS = 5 * 60 * 1000;
+const NOTIFICATION_CHANNEL_LABELS = {
+    in_app: 'In the app',
+    email: 'Email',
+    webhook: 'Webhook'
+};
+
+// Unread count on the bell, refreshed every few minutes while signed in
+async function refreshNotificationBadge() {
+    const badge = document.getElementById('notificationBadge');
+    if (!badge || !AppState.authToken) return;
+    
+    try {
+        const response = await authFetch(`${API_BASE}/notifications/unread-count`);
+        const data = await response.json();
+        if (data.success) {
+            badge.textContent = data.unread_count > 99 ? '99+' : data.unread_count;
+            badge.hidden = data.unread_count === 0;
+        }
+    } catch (error) {
+        console.error('Error loading notification count:', error);
+    }
+    
+    if (!AppState.notificationTimer) {
+        AppState.notificationTimer = setInterval(() => {
+            if (AppState.authToken) {
+                refreshNotificationBadge();
+            } else {
+                clearInterval(AppState.notificationTimer);
+                AppState.notificationTimer = null;
+            }
+        }, NOTIFICATION_POLL_MS);
+    }
+}
+
+function formatNotificationTime(value) {
+    const date = new Date(value);
+    const minutes = Math.round((Date.now() - date.getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+    return date.toLocaleDateString();
+}
+
+async function showNotificationsModal() {
+    const modal = showAccountModal('Notifications', '<p class="form-help">Loading...</p>');
+    const body = modal.querySelector('.auth-modal-body');
+    
+    try {
+        const response = await authFetch(`${API_BASE}/notifications?limit=50`);
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Could not load notifications');
+        }
+        
+        body.innerHTML = `
+            <div class="notifications-actions">
+                <button type="button" class="btn-saved-action" onclick="markAllNotificationsRead()" ${data.unread_count ? '' : 'disabled'}>
+                    <i class="fas fa-check-double"></i> Mark all read
+                </button>
+                <button type="button" class="btn-saved-action" onclick="showSavedSearchesModal()">
+                    <i class="fas fa-search"></i> Saved searches
+                </button>
+                <button type="button" class="btn-saved-action" onclick="showNotificationSettingsModal()">
+                    <i class="fas fa-cog"></i> Settings
+                </button>
+            </div>
+            ${data.notifications.length === 0 ? `
+                <p class="form-help">No notifications yet. Save a search with the <strong>Save Search</strong> button under the filters to get alerts for new listings and price changes.</p>
+            ` : data.notifications.map(notification => {
+                const rentals = [...(notification.data.new || []), ...(notification.data.repriced || []), ...(notification.data.rentals || [])];
+                return `
+                    <div class="notification-item ${notification.read ? '' : 'unread'}" data-id="${notification.id}">
+                        <div class="notification-header">
+                            <strong>${escapeHtml(notification.title)}</strong>
+                            <button type="button" class="notification-delete" title="Delete" onclick="deleteNotification(event, '${notification.id}')">&times;</button>
+                        </div>
+                        <div class="notification-body">${escapeHtml(notification.body)}</div>
+                        <div class="notification-footer">
+                            <span>${formatNotificationTime(notification.created_at)}</span>
+                            ${rentals.slice(0, 3).map(rental => `
+                                <a href="#" onclick="openNotificationRental(event, '${notification.id}', '${escapeHtml(rental.rental_id)}')">${escapeHtml(rental.name || 'View listing')}</a>
+                            `).join('')}
+                            ${notification.type === 'review_reply' && notification.data.rental_id ? `
+                                <a href="#" onclick="openNotificationReviews(event, '${notification.id}', '${escapeHtml(notification.data.rental_id)}')">View reviews</a>
+                            ` : ''}
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        `;
+        
+        body.querySelectorAll('.notification-item.unread').forEach(item => {
+            item.addEventListener('click', () => markNotificationRead(item.dataset.id), { once: true });
+        });
+    } catch (error) {
+        body.innerHTML = `<p class="form-help">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function markNotificationRead(notificationId) {
+    const item = document.querySelector(`.notification-item[data-id="${notificationId}"]`);
+    if (item) item.classList.remove('unread');
+    
+    await authFetch(`${API_BASE}/notifications/${notificationId}/read`, { method: 'POST' });
+    refreshNotificationBadge();
+}
+
+async function markAllNotificationsRead() {
+    await authFetch(`${API_BASE}/notifications/read-all`, { method: 'POST' });
+    refreshNotificationBadge();
+    showNotificationsModal();
+}
+
+async function deleteNotification(event, notificationId) {
+    event.stopPropagation();
+    await authFetch(`${API_BASE}/notifications/${notificationId}`, { method: 'DELETE' });
+    refreshNotificationBadge();
+    showNotificationsModal();
+}
+
+function openNotificationRental(event, notificationId, rentalId) {
+    event.preventDefault();
+    markNotificationRead(notificationId);
+    closeAuthModal();
+    viewRental(rentalId);
+}
+
+function openNotificationReviews(event, notificationId, rentalId) {
+    event.preventDefault();
+    markNotificationRead(notificationId);
+    showReviewsModal(rentalId);
+}
+
+// Save the current location and filters (or a natural-language query) as an alert
+function showSaveSearchModal(defaults = {}) {
+    if (!AppState.authToken || !AppState.user) {
+        showSignIn();
+        return;
+    }
+    
+    const filters = defaults.filters || getSavedSearchFilters();
+    const summary = describeSavedSearch({ query: defaults.query, filters });
+    
+    const modal = showAccountModal('Save Search', `
+        <form onsubmit="handleSaveSearch(event)">
+            <p class="form-help">We'll let you know when new listings match, or matching listings change price.</p>
+            <p class="saved-search-criteria">${escapeHtml(summary)}</p>
+            <div class="form-group">
+                <label for="savedSearchName">Name</label>
+                <input type="text" id="savedSearchName" name="name" required maxlength="80">
+            </div>
+            ${accountModalActions('saveSearchSubmitBtn', 'Save Search')}
+        </form>
+    `);
+    
+    const form = modal.querySelector('form');
+    form.name.value = defaults.query || filters.location || 'My search';
+    form.dataset.search = JSON.stringify({ query: defaults.query || null, filters });
+}
+
+// The filters currently applied on the Explore tab, in saved search form
+function getSavedSearchFilters() {
+    const filters = { ...(AppState.currentFilters || {}) };
+    if (AppState.currentSearchParams.location) {
+        filters.location = AppState.currentSearchParams.location;
+    }
+    if (AppState.currentSearchParams.guests && AppState.currentSearchParams.guests !== '1' && !filters.min_accommodates) {
+        filters.min_accommodates = AppState.currentSearchParams.guests;
+    }
+    
+    return Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+}
+
+function describeSavedSearch({ query, filters = {} }) {
+    const parts = [];
+    if (query) parts.push(`"${query}"`);
+    if (filters.location) parts.push(`in ${filters.location}`);
+    if (filters.property_type) parts.push(filters.property_type);
+    if (filters.min_price && filters.max_price) parts.push(`$${filters.min_price}-$${filters.max_price}`);
+    else if (filters.max_price) parts.push(`up to $${filters.max_price}`);
+    else if (filters.min_price) parts.push(`from $${filters.min_price}`);
+    if (filters.min_bedrooms) parts.push(`${filters.min_bedrooms}+ bedrooms`);
+    if (filters.min_accommodates) parts.push(`${filters.min_accommodates}+ guests`);
+    if (filters.superhost_only) parts.push('superhosts');
+    if (filters.instant_bookable) parts.push('instant book');
+    if (filters.near) parts.push(`within ${filters.radius_km || 10} km of a point`);
+    
+    return parts.length ? parts.join(', ') : 'All listings';
+}
+
+async function handleSaveSearch(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const search = JSON.parse(form.dataset.search);
+    if (!search.query && Object.keys(search.filters).length === 0) {
+        showAuthError('Pick a location or a filter first, so the search has something to match');
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`${API_BASE}/auth/saved-searches`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: form.name.value.trim(), ...search })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Could not save the search');
+        }
+        
+        closeAuthModal();
+        addAIMessage(`Saved "${escapeHtml(data.search.name)}". ${data.matched} listings match today; we'll tell you about new ones.`);
+    } catch (error) {
+        showAuthError(error.message);
+    }
+}
+
+async function showSavedSearchesModal() {
+    const modal = showAccountModal('Saved Searches', '<p class="form-help">Loading...</p>');
+    const body = modal.querySelector('.auth-modal-body');
+    
+    try {
+        const [searchesResponse, suggestionsResponse] = await Promise.all([
+            authFetch(`${API_BASE}/auth/saved-searches`),
+            authFetch(`${API_BASE}/auth/saved-searches/suggestions`)
+        ]);
+        const [data, suggestions] = await Promise.all([searchesResponse.json(), suggestionsResponse.json()]);
+        if (!data.success) {
+            throw new Error(data.error || 'Could not load saved searches');
+        }
+        AppState.searchSuggestions = suggestions.success ? suggestions.suggestions : [];
+        
+        body.innerHTML = `
+            ${data.searches.length === 0 ? '<p class="form-help">No saved searches yet.</p>' : data.searches.map(search => `
+                <div class="saved-search-item ${search.enabled ? '' : 'paused'}">
+                    <div>
+                        <strong>${escapeHtml(search.name)}</strong>
+                        <p class="saved-search-criteria">${escapeHtml(describeSavedSearch(search))}</p>
+                        <small class="form-help">${search.last_run_at ? `Checked ${formatNotificationTime(search.last_run_at)}` : 'Not checked yet'}${search.last_result?.error ? ' - last check failed' : ''}</small>
+                    </div>
+                    <div class="saved-search-actions">
+                        <button type="button" class="btn-saved-action" onclick="openSavedSearch('${search.id}')">Show</button>
+                        <button type="button" class="btn-saved-action" onclick="toggleSavedSearch('${search.id}', ${!search.enabled})">${search.enabled ? 'Pause' : 'Resume'}</button>
+                        <button type="button" class="btn-saved-action" onclick="deleteSavedSearch('${search.id}')"><i class="fas fa-trash"></i></button>
+                    </div>
+                </div>
+            `).join('')}
+            ${AppState.searchSuggestions.length ? `
+                <h4 class="saved-search-heading">From your recent chats</h4>
+                ${AppState.searchSuggestions.slice(0, 5).map((suggestion, index) => `
+                    <div class="saved-search-item">
+                        <p class="saved-search-criteria">${escapeHtml(describeSavedSearch(suggestion))}</p>
+                        <button type="button" class="btn-saved-action" onclick="saveSuggestedSearch(${index})"><i class="fas fa-bell"></i> Save</button>
+                    </div>
+                `).join('')}
+            ` : ''}
+        `;
+    } catch (error) {
+        body.innerHTML = `<p class="form-help">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function saveSuggestedSearch(index) {
+    showSaveSearchModal(AppState.searchSuggestions[index]);
+}
+
+async function toggleSavedSearch(searchId, enabled) {
+    await authFetch(`${API_BASE}/auth/saved-searches/${searchId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled })
+    });
+    showSavedSearchesModal();
+}
+
+async function deleteSavedSearch(searchId) {
+    if (!confirm('Delete this saved search? You will stop getting alerts for it.')) return;
+    
+    await authFetch(`${API_BASE}/auth/saved-searches/${searchId}`, { method: 'DELETE' });
+    showSavedSearchesModal();
+}
+
+// Run a saved search: filters go through the Explore tab, a query goes to the assistant
+async function openSavedSearch(searchId) {
+    try {
+        const response = await authFetch(`${API_BASE}/auth/saved-searches/${searchId}`);
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Saved search not found');
+        }
+        
+        closeAuthModal();
+        showExploreTab();
+        
+        const { query, filters } = data.search;
+        if (query) {
+            if (!AppState.aiAssistantVisible) {
+                toggleAssistant();
+            }
+            setTimeout(() => {
+                const input = document.getElementById('chatInput');
+                if (input) {
+                    input.value = filters.location ? `${query} in ${filters.location}` : query;
+                    sendMessage();
+                }
+            }, 300);
+            return;
+        }
+        
+        AppState.currentSearchParams.location = filters.location || '';
+        document.getElementById('locationInput').value = filters.location || '';
+        document.getElementById('propertyType').value = filters.property_type || '';
+        document.getElementById('minPrice').value = filters.min_price || '';
+        document.getElementById('maxPrice').value = filters.max_price || '';
+        document.getElementById('bedrooms').value = filters.min_bedrooms || '';
+        document.querySelectorAll('.tag').forEach(tag => {
+            const active = (tag.dataset.filter === 'superhost' && filters.superhost_only) ||
+                (tag.dataset.filter === 'instant' && filters.instant_bookable);
+            tag.classList.toggle('active', !!active);
+        });
+        
+        applyFilters();
+    } catch (error) {
+        showError(error.message);
+    }
 }
 
-// Show help tab
-function showHelpTab() {
-    // For now, just show help message in AI assistant
-    addAIMessage(`**RentAI Help** 🏠\n\n**Getting Started:**\n• Use the search bar to find rentals by location\n• Chat with me using natural language: "Find me a 2-bedroom apartment in New York under $200/night"\n• Apply filters to narrow down your search\n• Save properties you like by clicking the heart icon\n\n**AI Assistant Features:**\n• I can search for rentals based on your preferences\n• Ask me about specific properties, neighborhoods, or amenities\n• I'll remember your conversations if you're signed in\n• I can access and help you compare your saved rentals\n\n**Authentication:**\n• Sign up to save your preferences and conversation history\n• Your saved rentals are stored in your account\n• I provide better recommendations when you're signed in\n\nFeel free to ask me anything about rentals!`);
+async function showNotificationSettingsModal() {
+    const modal = showAccountModal('Notification Settings', '<p class="form-help">Loading...</p>');
+    const body = modal.querySelector('.auth-modal-body');
     
-    if (!AppState.aiAssistantVisible) {
-        toggleAssistant();
+    try {
+        const response = await authFetch(`${API_BASE}/notifications/settings`);
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Could not load settings');
+        }
+        
+        const { settings } = data;
+        body.innerHTML = `
+            <form onsubmit="handleNotificationSettings(event)">
+                <div class="form-group">
+                    <label>Send alerts by</label>
+                    ${data.available_channels.map(channel => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" name="channels" value="${channel}" ${settings.channels.includes(channel) ? 'checked' : ''}>
+                            ${NOTIFICATION_CHANNEL_LABELS[channel] || escapeHtml(channel)}
+                        </label>
+                    `).join('')}
+                    ${data.has_email ? '' : '<small class="form-help">Add an email address in your profile to get alerts by email.</small>'}
+                </div>
+                <div class="form-group">
+                    <label for="webhookUrl">Webhook URL</label>
+                    <input type="url" id="webhookUrl" name="webhook_url" placeholder="https://example.com/hooks/rentai">
+                    <small class="form-help">Alerts are POSTed as JSON to this URL.</small>
+                </div>
+                <div class="form-group">
+                    <label class="checkbox-label">
+                        <input type="checkbox" name="price_drops" ${settings.price_drops ? 'checked' : ''}>
+                        Tell me when a saved rental gets cheaper
+                    </label>
+                </div>
+                <div class="auth-modal-actions">
+                    <button type="button" class="btn-secondary" onclick="sendTestNotification()">Send Test</button>
+                    <button type="submit" class="btn-primary" id="notificationSettingsSubmitBtn">Save</button>
+                </div>
+            </form>
+        `;
+        body.querySelector('form').webhook_url.value = settings.webhook_url || '';
+    } catch (error) {
+        body.innerHTML = `<p class="form-help">${escapeHtml(error.message)}</p>`;
     }
 }
 
-// Show main sections (hero, filters, results)
-function showMainSections() {
-    const sections = ['.hero', '.filters-section', '.results-section'];
-    sections.forEach(selector => {
-        const section = document.querySelector(selector);
-        if (section) {
-            section.style.display = 'block';
+async function handleNotificationSettings(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const settings = {
+        channels: [...form.querySelectorAll('input[name="channels"]:checked')].map(input => input.value),
+        webhook_url: form.webhook_url.value.trim() || null,
+        price_drops: form.price_drops.checked
+    };
+    
+    try {
+        const response = await authFetch(`${API_BASE}/notifications/settings`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(settings)
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Could not save settings');
         }
-    });
+        
+        closeAuthModal();
+        addAIMessage('Notification settings saved');
+    } catch (error) {
+        showAuthError(error.message);
+    }
 }
 
-// Hide main sections
-function hideMainSections() {
-    const sections = ['.hero', '.filters-section', '.results-section'];
-    sections.forEach(selector => {
-        const section = document.querySelector(selector);
-        if (section) {
-            section.style.display = 'none';
+async function sendTestNotification() {
+    try {
+        const response = await authFetch(`${API_BASE}/notifications/test`, { method: 'POST' });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Could not send a test notification');
         }
-    });
+        
+        const failed = data.deliveries.filter(delivery => !delivery.success);
+        if (failed.length > 0) {
+            showAuthError(failed.map(delivery => `${NOTIFICATION_CHANNEL_LABELS[delivery.channel] || delivery.channel}: ${delivery.error}`).join('; '));
+        } else {
+            addAIMessage(data.deliveries.length ? 'Test notification sent' : 'No channels are turned on');
+        }
+        refreshNotificationBadge();
+    } catch (error) {
+        showAuthError(error.message);
+    }
 }
 
-// Update active navigation link
-function updateActiveNavLink(activeText) {
-    const navLinks = document.querySelectorAll('.nav-link');
-    navLinks.forEach(link => {
-        const isActive = link.textContent.trim() === activeText;
-        link.classList.toggle('active', isActive);
-    });
+// Links in alerts: /?saved_search=<id> runs the search, /?reviews=<rental id> opens its reviews, /?tab=saved opens saved rentals
+function checkNotificationLink() {
+    const params = new URLSearchParams(window.location.search);
+    const searchId = params.get('saved_search');
+    const reviewsRentalId = params.get('reviews');
+    const tab = params.get('tab');
+    if (!searchId && !reviewsRentalId && tab !== 'saved') return;
+    
+    params.delete('saved_search');
+    params.delete('reviews');
+    params.delete('tab');
+    const query = params.toString();
+    window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    
+    if (searchId) {
+        openSavedSearch(searchId);
+    } else if (reviewsRentalId) {
+        showReviewsModal(reviewsRentalId);
+    } else {
+        showSavedTab();
+    }
 }
 
 // ======================
 // SAVED RENTALS FUNCTIONALITY
 // ======================
 
-// Load saved rentals
-async function loadSavedRentals() {
-    const authRequired = document.getElementById('savedAuthRequired');
-    const loadingSpinner = document.getElementById('savedLoadingSpinner');
-    const emptyState = document.getElementById('emptySavedState');
-    const savedGrid = document.getElementById('savedRentalsGrid');
+// Show one state of the Saved tab (auth, loading, empty or grid) and hide the others
+function setSavedState(state) {
+    const elements = {
+        auth: document.getElementById('savedAuthRequired'),
+        loading: document.getElementById('savedLoadingSpinner'),
+        empty: document.getElementById('emptySavedState'),
+        grid: document.getElementById('savedRentalsGrid')
+    };
     
-    // Hide all states initially
-    [authRequired, loadingSpinner, emptyState, savedGrid].forEach(el => {
+    Object.entries(elements).forEach(([name, el]) => {
+        if (el) el.style.display = name === state ? (name === 'grid' ? 'grid' : 'block') : 'none';
+    });
+}
+
+function setSavedHeader(title, subtitle) {
+    const header = document.querySelector('#savedRentalsSection .saved-header');
+    if (!header) return;
+    header.querySelector('h2').innerHTML = `<i class="fas fa-heart"></i> ${escapeHtml(title)}`;
+    header.querySelector('.saved-subtitle').textContent = subtitle;
+}
+
+// Load the user's lists, then the selected one
+async function loadSavedRentals() {
+    const bar = document.getElementById('savedCollectionsBar');
+    const toolbar = document.getElementById('collectionToolbar');
+    [bar, toolbar].forEach(el => {
         if (el) el.style.display = 'none';
     });
+    setSavedHeader('My Saved Rentals', "Properties you've bookmarked for later, organised in lists");
     
     // Check if user is authenticated
     if (!AppState.authToken || !AppState.user) {
-        if (authRequired) authRequired.style.display = 'block';
+        setSavedState('auth');
         return;
     }
     
-    // Show loading
-    if (loadingSpinner) loadingSpinner.style.display = 'block';
+    setSavedState('loading');
     
     try {
-        const response = await fetch(`${API_BASE}/auth/saved-rentals?include_details=true`, {
-            headers: {
-                'Authorization': `Bearer ${AppState.authToken}`
-            }
-        });
-        
+        const response = await authFetch(`${API_BASE}/auth/saved-rentals/collections`);
         const data = await response.json();
         
-        if (data.success) {
-            if (data.saved_rentals && data.saved_rentals.length > 0) {
-                renderSavedRentals(data.saved_rentals);
-                if (savedGrid) savedGrid.style.display = 'grid';
-            } else {
-                if (emptyState) emptyState.style.display = 'block';
-            }
-        } else {
+        if (!data.success) {
             throw new Error(data.error || 'Failed to load saved rentals');
         }
+        
+        AppState.savedCollections = data.collections;
+        if (!data.collections.some(list => list.id === AppState.currentCollectionId)) {
+            AppState.currentCollectionId = data.collections[0]?.id || null;
+            AppState.collectionTag = null;
+        }
+        
+        renderCollectionsBar();
+        await loadCollection(AppState.currentCollectionId);
     } catch (error) {
         console.error('Error loading saved rentals:', error);
+        showSavedError();
+    }
+}
+
+function showSavedError() {
+    const emptyState = document.getElementById('emptySavedState');
+    setSavedState('empty');
+    if (emptyState) {
+        emptyState.querySelector('h3').textContent = 'Error loading saved rentals';
+        emptyState.querySelector('p').textContent = 'Please try again or contact support if the problem persists.';
+    }
+}
+
+// List tabs plus a button to create a new list
+function renderCollectionsBar() {
+    const bar = document.getElementById('savedCollectionsBar');
+    if (!bar) return;
+    
+    bar.innerHTML = `
+        ${AppState.savedCollections.map(list => `
+            <button class="collection-tab ${list.id === AppState.currentCollectionId ? 'active' : ''}"
+                    onclick="selectCollection('${list.id}')">
+                ${list.role === 'collaborator' ? '<i class="fas fa-user-friends" title="Shared with you"></i>' : ''}
+                ${escapeHtml(list.name)}
+                <span class="collection-count">${list.item_count}</span>
+            </button>
+        `).join('')}
+        <button class="collection-tab new-collection" onclick="showCollectionModal()">
+            <i class="fas fa-plus"></i>
+            New list
+        </button>
+    `;
+    bar.style.display = 'flex';
+}
+
+function selectCollection(collectionId) {
+    AppState.currentCollectionId = collectionId;
+    AppState.collectionTag = null;
+    renderCollectionsBar();
+    loadCollection(collectionId);
+}
+
+async function loadCollection(collectionId) {
+    if (!collectionId) {
+        setSavedState('empty');
+        return;
+    }
+    
+    setSavedState('loading');
+    
+    try {
+        const params = new URLSearchParams({ sort: AppState.collectionSort });
+        if (AppState.collectionTag) params.set('tag', AppState.collectionTag);
+        
+        const response = await authFetch(`${API_BASE}/auth/saved-rentals/collections/${collectionId}?${params}`);
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load list');
+        }
+        
+        renderCollectionToolbar(data.collection);
+        showCollectionItems(data.collection);
+    } catch (error) {
+        console.error('Error loading list:', error);
+        showSavedError();
+    }
+}
+
+function showCollectionItems(collection, options = {}) {
+    if (collection.items.length === 0) {
+        const emptyState = document.getElementById('emptySavedState');
+        setSavedState('empty');
         if (emptyState) {
-            emptyState.style.display = 'block';
-            emptyState.querySelector('h3').textContent = 'Error loading saved rentals';
-            emptyState.querySelector('p').textContent = 'Please try again or contact support if the problem persists.';
+            emptyState.querySelector('h3').textContent = AppState.collectionTag && !options.readOnly
+                ? `Nothing tagged "${AppState.collectionTag}"`
+                : 'No saved rentals yet';
+            emptyState.querySelector('p').textContent = options.readOnly
+                ? 'This list is empty.'
+                : 'Start exploring and save properties you like by clicking the heart icon.';
         }
-    } finally {
-        if (loadingSpinner) loadingSpinner.style.display = 'none';
+        return;
     }
+    
+    renderSavedRentals(collection.items, collection, options);
+    setSavedState('grid');
+}
+
+// Name, tag filters, sort and the actions the user can take on the list
+function renderCollectionToolbar(collection) {
+    const toolbar = document.getElementById('collectionToolbar');
+    if (!toolbar) return;
+    
+    const isOwner = collection.role === 'owner';
+    const collaborators = collection.collaborators.map(person => escapeHtml(person.username)).join(', ');
+    
+    toolbar.innerHTML = `
+        <div class="collection-info">
+            <h3>${escapeHtml(collection.name)}</h3>
+            ${collection.description ? `<p>${escapeHtml(collection.description)}</p>` : ''}
+            ${collaborators ? `<p class="collection-members"><i class="fas fa-user-friends"></i> With ${collaborators}</p>` : ''}
+        </div>
+        <div class="collection-filters">
+            ${collection.tags.map(tag => `
+                <button class="tag-chip ${tag === AppState.collectionTag ? 'active' : ''}" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>
+            `).join('')}
+            <select class="collection-sort" onchange="setCollectionSort(this.value)">
+                <option value="added" ${AppState.collectionSort === 'added' ? 'selected' : ''}>Newest first</option>
+                <option value="votes" ${AppState.collectionSort === 'votes' ? 'selected' : ''}>Most votes</option>
+            </select>
+        </div>
+        <div class="collection-actions">
+            ${isOwner ? `
+                <button class="btn-saved-action" onclick="showShareCollectionModal()"><i class="fas fa-share-alt"></i> Share</button>
+                <button class="btn-saved-action" onclick="showCollectionModal('${collection.id}')"><i class="fas fa-pen"></i> Rename</button>
+                ${collection.is_default ? '' : `<button class="btn-saved-action" onclick="deleteCollection('${collection.id}')"><i class="fas fa-trash"></i> Delete</button>`}
+            ` : `
+                <button class="btn-saved-action" onclick="leaveCollection('${collection.id}')"><i class="fas fa-sign-out-alt"></i> Leave list</button>
+            `}
+        </div>
+    `;
+    
+    toolbar.querySelectorAll('.tag-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            AppState.collectionTag = chip.dataset.tag === AppState.collectionTag ? null : chip.dataset.tag;
+            loadCollection(collection.id);
+        });
+    });
+    
+    toolbar.style.display = 'block';
+}
+
+function setCollectionSort(sort) {
+    AppState.collectionSort = sort;
+    loadCollection(AppState.currentCollectionId);
 }
 
-// Render saved rentals
-function renderSavedRentals(savedRentals) {
+function getCurrentCollection() {
+    return AppState.savedCollections.find(list => list.id === AppState.currentCollectionId) || null;
+}
+
+// Render saved rentals of a list. Read-only for lists opened from a share link.
+function renderSavedRentals(items, collection, { readOnly = false } = {}) {
     const grid = document.getElementById('savedRentalsGrid');
     if (!grid) return;
     
-    grid.innerHTML = savedRentals.map(saved => {
-        const rental = saved.full_rental_data || saved.rental_data;
-        const savedDate = new Date(saved.saved_at).toLocaleDateString();
+    // Voting only makes sense once more than one person uses the list
+    const showVotes = !readOnly && (collection.collaborators?.length > 0 || collection.role === 'collaborator');
+    const otherLists = AppState.savedCollections.filter(list => list.id !== collection.id);
+    
+    grid.innerHTML = items.map(item => {
+        const rental = item.rental;
+        const savedDate = new Date(item.added_at).toLocaleDateString();
         
         // Handle missing rental data gracefully
-        const name = rental?.name || 'Property Name Unavailable';
+        const name = escapeHtml(rental?.name || 'No longer available');
         const price = rental?.price ? `$${rental.price}` : 'Price unavailable';
-        const location = rental?.location || 
-                        (rental?.address ? `${rental.address.neighbourhood || rental.address.market || ''}, ${rental.address.country || ''}`.replace(/^, /, '') : '') ||
+        const location = escapeHtml(rental?.address ? `${rental.address.neighbourhood || rental.address.market || ''}, ${rental.address.country || ''}`.replace(/^, /, '') : '') ||
                         'Location unavailable';
         const bedrooms = rental?.bedrooms || 0;
         const bathrooms = rental?.bathrooms || 0;
         const accommodates = rental?.accommodates || 0;
-        const image = rental?.image || rental?.images?.thumbnail_url || rental?.images?.picture_url || '';
+        const image = rental?.images?.thumbnail_url || rental?.images?.picture_url || '';
         
         return `
-            <div class="saved-rental-card" data-rental-id="${saved.rental_id}">
+            <div class="saved-rental-card ${item.available ? '' : 'unavailable'}" data-rental-id="${item.rental_id}">
                 <div class="saved-rental-image">
                     ${image ? 
-                        `<img src="${image}" alt="${name}" style="width: 100%; height: 100%; object-fit: cover;" />` : 
+                        `<img src="${escapeHtml(image)}" alt="${name}" style="width: 100%; height: 100%; object-fit: cover;" />` : 
                         '<div class="placeholder-image">No Image</div>'}
                     <div class="saved-date-badge">Saved ${savedDate}</div>
-                    <button class="unsave-btn" onclick="unsaveRental('${saved.rental_id}')" title="Remove from saved">
-                        <i class="fas fa-heart"></i>
-                    </button>
+                    ${readOnly ? '' : `
+                        <button class="unsave-btn" onclick="removeFromCollection('${item.rental_id}')" title="Remove from this list">
+                            <i class="fas fa-heart"></i>
+                        </button>
+                    `}
                 </div>
                 <div class="saved-rental-content">
                     <h3 class="saved-rental-name">${name}</h3>
@@ -2114,12 +4678,31 @@ function renderSavedRentals(savedRentals) {
                         </div>` : ''}
                     </div>
                     <div class="saved-rental-price">${price}/night</div>
-                    <div class="saved-rental-actions">
-                        <button class="btn-saved-action" onclick="viewSavedRental('${saved.rental_id}')">
-                            <i class="fas fa-eye"></i>
-                            View Details
+                    ${item.note ? `<p class="saved-note"><i class="fas fa-sticky-note"></i> ${escapeHtml(item.note)}</p>` : ''}
+                    ${item.tags.length ? `<div class="saved-tags">${item.tags.map(tag => `<span class="tag-chip">#${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+                    ${showVotes ? `
+                        <button class="vote-btn ${item.voted ? 'voted' : ''}" onclick="toggleVote('${item.rental_id}', ${!item.voted})">
+                            <i class="fas fa-thumbs-up"></i>
+                            ${item.vote_count} vote${item.vote_count !== 1 ? 's' : ''}
                         </button>
-                        <button class="btn-saved-action primary ask-ai-btn" data-rental-id="${saved.rental_id}" data-property-name="${name}">
+                    ` : ''}
+                    <div class="saved-rental-actions">
+                        ${readOnly ? '' : `
+                            <button class="btn-saved-action" onclick="showSavedItemModal('${item.rental_id}')">
+                                <i class="fas fa-pen"></i>
+                                Note
+                            </button>
+                            ${otherLists.length ? `<button class="btn-saved-action" onclick="showMoveItemModal('${item.rental_id}')">
+                                <i class="fas fa-exchange-alt"></i>
+                                Move
+                            </button>` : ''}
+                        `}
+                        ${rental ? `<button class="btn-saved-action compare-saved-btn ${isComparing(item.rental_id) ? 'active' : ''}" data-compare-id="${item.rental_id}" data-name="${name}"
+                                onclick="toggleCompare(event, '${item.rental_id}', this.dataset.name)">
+                            <i class="fas fa-columns"></i>
+                            Compare
+                        </button>` : ''}
+                        <button class="btn-saved-action primary ask-ai-btn" data-rental-id="${item.rental_id}" data-property-name="${name}">
                             <i class="fas fa-robot"></i>
                             Ask AI
                         </button>
@@ -2129,6 +4712,8 @@ function renderSavedRentals(savedRentals) {
         `;
     }).join('');
     
+    AppState.shownCollectionItems = items;
+    
     // Add event listeners for "Ask AI" buttons
     setTimeout(() => {
         const askAIButtons = document.querySelectorAll('.ask-ai-btn');
@@ -2142,6 +4727,283 @@ function renderSavedRentals(savedRentals) {
     }, 100);
 }
 
+// Send a change to the shown list and reload it; returns false (with the error shown) on failure
+async function collectionRequest(path, options = {}, errorMessage = 'Something went wrong') {
+    try {
+        const response = await authFetch(`${API_BASE}/auth/saved-rentals${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || errorMessage);
+        }
+        return data;
+    } catch (error) {
+        console.error(errorMessage, error);
+        if (document.querySelector('.auth-modal-overlay')) {
+            showAuthError(error.message);
+        } else {
+            showError(error.message);
+        }
+        return null;
+    }
+}
+
+// Create a list, or rename the list with this ID
+function showCollectionModal(collectionId = null) {
+    const list = collectionId ? AppState.savedCollections.find(item => item.id === collectionId) : null;
+    
+    const modal = showAccountModal(list ? 'Rename List' : 'New List', `
+        <form onsubmit="handleCollectionForm(event)">
+            <div class="form-group">
+                <label for="collectionName">Name</label>
+                <input type="text" id="collectionName" name="name" required maxlength="60" placeholder="e.g. Barcelona trip">
+            </div>
+            <div class="form-group">
+                <label for="collectionDescription">Description (optional)</label>
+                <input type="text" id="collectionDescription" name="description" maxlength="500">
+            </div>
+            ${accountModalActions('collectionSubmitBtn', list ? 'Save' : 'Create List')}
+        </form>
+    `);
+    
+    const form = modal.querySelector('form');
+    form.dataset.collectionId = collectionId || '';
+    form.name.value = list?.name || '';
+    form.description.value = list?.description || '';
+}
+
+async function handleCollectionForm(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const collectionId = form.dataset.collectionId;
+    const body = JSON.stringify({ name: form.name.value.trim(), description: form.description.value.trim() });
+    
+    const data = collectionId
+        ? await collectionRequest(`/collections/${collectionId}`, { method: 'PATCH', body }, 'Could not rename the list')
+        : await collectionRequest('/collections', { method: 'POST', body }, 'Could not create the list');
+    if (!data) return;
+    
+    closeAuthModal();
+    AppState.currentCollectionId = data.collection.id;
+    loadSavedRentals();
+}
+
+async function deleteCollection(collectionId) {
+    if (!confirm('Delete this list? The rentals in it stay in your other lists.')) return;
+    
+    if (await collectionRequest(`/collections/${collectionId}`, { method: 'DELETE' }, 'Could not delete the list')) {
+        AppState.currentCollectionId = null;
+        loadSavedRentals();
+    }
+}
+
+async function leaveCollection(collectionId) {
+    if (!confirm('Leave this list? You will no longer see it.')) return;
+    
+    if (await collectionRequest(`/collections/${collectionId}/collaborators/${AppState.user.id}`, { method: 'DELETE' }, 'Could not leave the list')) {
+        AppState.currentCollectionId = null;
+        loadSavedRentals();
+    }
+}
+
+// Remove a rental from the shown list (the heart on a saved card)
+async function removeFromCollection(rentalId) {
+    const collectionId = AppState.currentCollectionId;
+    if (await collectionRequest(`/collections/${collectionId}/items/${rentalId}`, { method: 'DELETE' }, 'Could not remove the rental')) {
+        loadSavedRentals();
+    }
+}
+
+async function toggleVote(rentalId, voted) {
+    const path = `/collections/${AppState.currentCollectionId}/items/${rentalId}/vote`;
+    if (await collectionRequest(path, { method: voted ? 'PUT' : 'DELETE' }, 'Could not save your vote')) {
+        loadCollection(AppState.currentCollectionId);
+    }
+}
+
+// Edit the note and tags of a saved rental
+function showSavedItemModal(rentalId) {
+    const item = AppState.shownCollectionItems.find(entry => entry.rental_id === rentalId);
+    
+    const modal = showAccountModal('Note and Tags', `
+        <form onsubmit="handleSavedItemForm(event)">
+            <div class="form-group">
+                <label for="savedItemNote">Note</label>
+                <textarea id="savedItemNote" name="note" rows="3" maxlength="1000" placeholder="e.g. Close to the conference venue"></textarea>
+            </div>
+            <div class="form-group">
+                <label for="savedItemTags">Tags</label>
+                <input type="text" id="savedItemTags" name="tags" placeholder="beach, pet-friendly">
+                <small class="form-help">Separate tags with commas (up to 10)</small>
+            </div>
+            ${accountModalActions('savedItemSubmitBtn', 'Save')}
+        </form>
+    `);
+    
+    const form = modal.querySelector('form');
+    form.dataset.rentalId = rentalId;
+    form.note.value = item?.note || '';
+    form.tags.value = (item?.tags || []).join(', ');
+}
+
+async function handleSavedItemForm(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const tags = form.tags.value.split(',').map(tag => tag.trim()).filter(Boolean).slice(0, 10);
+    const path = `/collections/${AppState.currentCollectionId}/items/${form.dataset.rentalId}`;
+    
+    if (await collectionRequest(path, { method: 'PATCH', body: JSON.stringify({ note: form.note.value.trim(), tags }) }, 'Could not save the note')) {
+        closeAuthModal();
+        loadCollection(AppState.currentCollectionId);
+    }
+}
+
+function showMoveItemModal(rentalId) {
+    const otherLists = AppState.savedCollections.filter(list => list.id !== AppState.currentCollectionId);
+    
+    const modal = showAccountModal('Move to List', `
+        <form onsubmit="handleMoveItem(event)">
+            <div class="form-group">
+                <label for="moveTarget">List</label>
+                <select id="moveTarget" name="target">
+                    ${otherLists.map(list => `<option value="${list.id}">${escapeHtml(list.name)}</option>`).join('')}
+                </select>
+            </div>
+            ${accountModalActions('moveSubmitBtn', 'Move')}
+        </form>
+    `);
+    modal.querySelector('form').dataset.rentalId = rentalId;
+}
+
+async function handleMoveItem(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const path = `/collections/${AppState.currentCollectionId}/items/${form.dataset.rentalId}/move`;
+    
+    if (await collectionRequest(path, { method: 'POST', body: JSON.stringify({ collection_id: form.target.value }) }, 'Could not move the rental')) {
+        closeAuthModal();
+        loadSavedRentals();
+    }
+}
+
+// Share link and collaborators of the shown list (owner only)
+function showShareCollectionModal() {
+    const list = getCurrentCollection();
+    if (!list) return;
+    
+    showAccountModal(`Share "${escapeHtml(list.name)}"`, `
+        <div class="share-section">
+            <h4>Read-only link</h4>
+            <p class="form-help">Anyone with the link can see this list without signing in.</p>
+            ${list.share_url ? `
+                <div class="share-link">
+                    <input type="text" readonly value="${escapeHtml(list.share_url)}" onclick="this.select()">
+                    <button type="button" class="btn-secondary" onclick="copyShareLink(this)">Copy</button>
+                </div>
+                <button type="button" class="btn-saved-action" onclick="setCollectionShared(false)">Stop sharing</button>
+            ` : `
+                <button type="button" class="btn-saved-action primary" onclick="setCollectionShared(true)">Create link</button>
+            `}
+        </div>
+        <div class="share-section">
+            <h4>Collaborators</h4>
+            <p class="form-help">Collaborators can add rentals, edit notes and vote.</p>
+            ${list.collaborators.map(person => `
+                <div class="linked-account">
+                    <span>${escapeHtml(person.username)}</span>
+                    <button type="button" class="btn-secondary" onclick="removeCollaborator('${person.user_id}')">Remove</button>
+                </div>
+            `).join('')}
+            <form onsubmit="handleAddCollaborator(event)">
+                <div class="form-group">
+                    <label for="collaboratorUsername">Invite by username</label>
+                    <input type="text" id="collaboratorUsername" name="username" required>
+                </div>
+                ${accountModalActions('collaboratorSubmitBtn', 'Invite')}
+            </form>
+        </div>
+    `);
+}
+
+// Reload the lists, then reopen the share dialog with the new state
+async function refreshShareModal() {
+    await loadSavedRentals();
+    showShareCollectionModal();
+}
+
+async function setCollectionShared(shared) {
+    const path = `/collections/${AppState.currentCollectionId}/share`;
+    if (await collectionRequest(path, { method: shared ? 'POST' : 'DELETE' }, 'Could not update sharing')) {
+        refreshShareModal();
+    }
+}
+
+function copyShareLink(button) {
+    const input = button.parentElement.querySelector('input');
+    navigator.clipboard.writeText(input.value).then(() => {
+        button.textContent = 'Copied';
+    }).catch(() => input.select());
+}
+
+async function handleAddCollaborator(event) {
+    event.preventDefault();
+    
+    const path = `/collections/${AppState.currentCollectionId}/collaborators`;
+    const body = JSON.stringify({ username: event.target.username.value.trim() });
+    if (await collectionRequest(path, { method: 'POST', body }, 'Could not invite the user')) {
+        refreshShareModal();
+    }
+}
+
+async function removeCollaborator(userId) {
+    const path = `/collections/${AppState.currentCollectionId}/collaborators/${userId}`;
+    if (await collectionRequest(path, { method: 'DELETE' }, 'Could not remove the collaborator')) {
+        refreshShareModal();
+    }
+}
+
+// Share links open the app with ?shared_list=<token>; show that list read-only
+async function checkSharedListLink() {
+    const token = new URLSearchParams(window.location.search).get('shared_list');
+    if (!token) return;
+    
+    hideMainSections();
+    const savedSection = document.getElementById('savedRentalsSection');
+    if (savedSection) savedSection.style.display = 'block';
+    ['savedCollectionsBar', 'collectionToolbar'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = 'none';
+    });
+    setSavedState('loading');
+    
+    try {
+        const response = await fetch(`${API_BASE}/auth/saved-rentals/shared/${encodeURIComponent(token)}`);
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Could not open the shared list');
+        }
+        
+        const { collection } = data;
+        setSavedHeader(collection.name, collection.description || (collection.owner ? `Shared by ${collection.owner}` : 'Shared list'));
+        showCollectionItems(collection, { readOnly: true });
+    } catch (error) {
+        console.error('Error loading shared list:', error);
+        setSavedState('empty');
+        const emptyState = document.getElementById('emptySavedState');
+        if (emptyState) {
+            emptyState.querySelector('h3').textContent = 'List not available';
+            emptyState.querySelector('p').textContent = error.message;
+        }
+    }
+}
+
 // Save a rental
 async function saveRental(rentalId, rentalData = null) {
     if (!AppState.authToken) {
@@ -2150,11 +5012,8 @@ async function saveRental(rentalId, rentalData = null) {
     }
     
     try {
-        const response = await fetch(`${API_BASE}/auth/saved-rentals/${rentalId}`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${AppState.authToken}`
-            }
+        const response = await authFetch(`${API_BASE}/auth/saved-rentals/${rentalId}`, {
+            method: 'POST'
         });
         
         const data = await response.json();
@@ -2184,11 +5043,8 @@ async function unsaveRental(rentalId) {
     }
     
     try {
-        const response = await fetch(`${API_BASE}/auth/saved-rentals/${rentalId}`, {
-            method: 'DELETE',
-            headers: {
-                'Authorization': `Bearer ${AppState.authToken}`
-            }
+        const response = await authFetch(`${API_BASE}/auth/saved-rentals/${rentalId}`, {
+            method: 'DELETE'
         });
         
         const data = await response.json();
@@ -2232,11 +5088,7 @@ async function checkIfRentalSaved(rentalId) {
     }
     
     try {
-        const response = await fetch(`${API_BASE}/auth/saved-rentals/${rentalId}/check`, {
-            headers: {
-                'Authorization': `Bearer ${AppState.authToken}`
-            }
-        });
+        const response = await authFetch(`${API_BASE}/auth/saved-rentals/${rentalId}/check`);
         
         const data = await response.json();
         
@@ -2319,7 +5171,7 @@ renderRentals = function(rentals) {
             <div class="rental-card" onclick="selectRental('${rental._id}')" data-rental-id="${rental._id}">
                 <div class="rental-image">
                     ${(rental.images?.thumbnail_url || rental.images?.picture_url) ? 
-                        `<img src="${rental.images.thumbnail_url || rental.images.picture_url}" alt="${rental.name}" />` : 
+                        `<img src="${escapeHtml(rental.images.thumbnail_url || rental.images.picture_url)}" alt="${escapeHtml(rental.name)}" />` : 
                         '<div class="placeholder-image">No Image</div>'}
                     ${rental.host?.host_is_superhost ? '<div class="rental-badge">Superhost</div>' : ''}
                     ${AppState.authToken ? `
@@ -2327,12 +5179,16 @@ renderRentals = function(rentals) {
                             <i class="far fa-heart"></i>
                         </button>
                     ` : ''}
+                    <button class="compare-toggle ${isComparing(rental._id) ? 'active' : ''}" data-compare-id="${rental._id}" data-name="${escapeHtml(rental.name)}"
+                            onclick="toggleCompare(event, '${rental._id}', this.dataset.name)" title="Compare">
+                        <i class="fas fa-columns"></i> Compare
+                    </button>
                 </div>
                 <div class="rental-content">
                     <div class="rental-header">
                         <div>
-                            <div class="rental-title">${rental.name}</div>
-                            <div class="rental-location">${location}</div>
+                            <div class="rental-title">${escapeHtml(rental.name)}</div>
+                            <div class="rental-location">${escapeHtml(location)}</div>
                         </div>
                         ${rating ? `
                             <div class="rental-rating">
@@ -1,8 +1,23 @@
-import { Agent, tool, run, user } from '@openai/agents';
+import { Agent, tool, run, user, assistant, system } from '@openai/agents';
 import { z } from 'zod';
 import { vectorSearchService } from '../services/vector-search.service.js';
-import { UserModel } from '../models/user.js';
-import { RentalModel } from '../models/rental.js';
+import { quoteService } from '../services/quote.service.js';
+import { placeSearchService } from '../services/place-search.service.js';
+import { wishlistService } from '../services/wishlist.service.js';
+import { reviewSearchService } from '../services/review-search.service.js';
+import { comparisonService, MAX_COMPARE_RENTALS } from '../services/comparison.service.js';
+import { REVIEW_HIGHLIGHTS } from '../models/review.js';
+
+// Approximate token budget for replayed history; older turns beyond it are summarized
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET || '6000');
+// Tool outputs (e.g. search results) are capped before being stored for replay
+const MAX_STORED_TOOL_OUTPUT_CHARS = 8000;
+// Run item types that can be fed back to the model as input
+const REPLAYABLE_ITEM_TYPES = ['message', 'function_call', 'function_call_result'];
+// Only the most recent overflow turns make it into the summary
+const MAX_SUMMARIZED_TURNS = 20;
+// Properties a review search covers when it falls back to the latest search results
+const MAX_REVIEW_SEARCH_PROPERTIES = 5;
 
 class RentalRAGAgent {
   constructor() {
@@ -20,6 +35,7 @@ class RentalRAGAgent {
           min_bedrooms: z.number().nullable().optional().describe('Minimum number of bedrooms'),
           min_accommodates: z.number().nullable().optional().describe('Minimum number of guests'),
           superhost_only: z.boolean().nullable().optional().describe('Only show superhost properties'),
+          review_highlights: z.array(z.enum(REVIEW_HIGHLIGHTS)).nullable().optional().describe('Only properties guests praise for all of these in their reviews (e.g. ["quiet"] for a quiet place)'),
           location: z.string().nullable().optional().describe('City/Market filter - use exact market names like "New York", "Barcelona", "Montreal", etc.'),
           country: z.string().nullable().optional().describe('Country filter - only use when specifically filtering by country, not city')
         }).nullable().optional(),
@@ -41,26 +57,92 @@ class RentalRAGAgent {
     // Define the get saved rentals tool
     this.getSavedRentalsTool = tool({
       name: 'getSavedRentals',
-      description: 'Get the user\'s saved rental properties. Only works when user is authenticated. Use this to show saved rentals, compare saved properties, or help with decisions based on previously saved items.',
+      description: 'Get the user\'s saved rental properties, organised in named lists with the user\'s notes and tags. Only works when user is authenticated. Use this to show saved rentals, compare saved properties, or help with decisions based on previously saved items.',
       parameters: z.object({
-        includeDetails: z.boolean().default(false).describe('Whether to include full rental details or just basic saved info')
+        includeDetails: z.boolean().default(false).describe('Whether to include full rental details or just basic saved info'),
+        collection: z.string().nullable().optional().describe('Only rentals in the saved list with this name, e.g. "Barcelona trip"')
       }),
       execute: this.handleGetSavedRentals.bind(this)
     });
 
+    // Define the availability and quote tool
+    this.checkAvailabilityAndQuoteTool = tool({
+      name: 'checkAvailabilityAndQuote',
+      description: 'Check whether a specific rental property is available for the given dates and guest count, and get an itemized price quote (nightly price x nights, cleaning fee, extra-guest fee, taxes, total). Use this whenever the user asks about availability or cost for specific dates.',
+      parameters: z.object({
+        propertyId: z.string().describe('The ID of the property to check'),
+        checkin: z.string().describe('Check-in date in YYYY-MM-DD format'),
+        checkout: z.string().describe('Check-out date in YYYY-MM-DD format'),
+        guests: z.number().default(1).describe('Number of guests staying')
+      }),
+      execute: this.handleCheckAvailabilityAndQuote.bind(this)
+    });
+
+    // Define the rentals near a landmark tool
+    this.findRentalsNearPlaceTool = tool({
+      name: 'findRentalsNearPlace',
+      description: 'Find rentals within walking distance of a named landmark or place (e.g. "Sagrada Familia", "Bondi Beach", "Central Park"), nearest first. Use this instead of searchRentals whenever the user wants to stay near a specific place. Results include the estimated walking distance and time.',
+      parameters: z.object({
+        place: z.string().describe('Name of the landmark or place, e.g. "Sagrada Familia" or "the beach"'),
+        market: z.string().nullable().optional().describe('Market the place is in, using the exact market names (e.g. "Barcelona", "New York")'),
+        max_walking_km: z.number().nullable().optional().describe('Maximum walking distance from the place in km (default 2)'),
+        query: z.string().nullable().optional().describe('Optional description of the rental the user wants (e.g. "quiet apartment with a balcony")'),
+        filters: z.object({
+          property_type: z.string().nullable().optional().describe('Type of property (e.g., Apartment, House, Loft)'),
+          room_type: z.string().nullable().optional().describe('Room type (e.g., Entire home/apt, Private room)'),
+          min_price: z.number().nullable().optional().describe('Minimum price per night'),
+          max_price: z.number().nullable().optional().describe('Maximum price per night'),
+          min_bedrooms: z.number().nullable().optional().describe('Minimum number of bedrooms'),
+          min_accommodates: z.number().nullable().optional().describe('Minimum number of guests'),
+          superhost_only: z.boolean().nullable().optional().describe('Only show superhost properties'),
+          review_highlights: z.array(z.enum(REVIEW_HIGHLIGHTS)).nullable().optional().describe('Only properties guests praise for all of these in their reviews (e.g. ["quiet"] for a quiet place)')
+        }).nullable().optional(),
+        limit: z.number().default(5).describe('Maximum number of results to return')
+      }),
+      execute: this.handleFindRentalsNearPlace.bind(this)
+    });
+
+    // Define the guest review search tool
+    this.searchReviewsTool = tool({
+      name: 'searchReviews',
+      description: 'Search what guests wrote in their reviews of one property or a shortlist, e.g. "is it noisy at night?", "is the host responsive?", "was it clean?". Returns the most relevant review snippets per property, each with a source ref, review ID and date to cite. Leave propertyIds empty to search the property the user is viewing, or else the results of a search made in this turn.',
+      parameters: z.object({
+        query: z.string().describe('What to look for in the reviews, phrased the way a guest would write it (e.g. "street noise at night", "host replied quickly")'),
+        propertyIds: z.array(z.string()).nullable().optional().describe('IDs of the properties to search (up to 10), e.g. a shortlist from earlier results'),
+        limit: z.number().default(3).describe('Maximum number of snippets per property')
+      }),
+      execute: this.handleSearchReviews.bind(this)
+    });
+
+    // Define the side-by-side comparison tool
+    this.comparePropertiesTool = tool({
+      name: 'compareProperties',
+      description: `Compare 2 to ${MAX_COMPARE_RENTALS} rental properties side by side: nightly price and fees, the total and availability for a stay when dates are given, bedrooms, beds and bathrooms, rating sub-scores, cancellation policy, host stats, and the amenities only some of them have. Use this whenever the user wants to compare or choose between specific properties.`,
+      parameters: z.object({
+        propertyIds: z.array(z.string()).describe(`IDs of the 2-${MAX_COMPARE_RENTALS} properties to compare, e.g. from search results or saved rentals`),
+        checkin: z.string().nullable().optional().describe('Check-in date in YYYY-MM-DD format, to compare the total cost of a stay'),
+        checkout: z.string().nullable().optional().describe('Check-out date in YYYY-MM-DD format'),
+        guests: z.number().nullable().optional().describe('Number of guests staying (default 1)')
+      }),
+      execute: this.handleCompareProperties.bind(this)
+    });
+
     // Create the agent with tools
     this.agent = new Agent({
       name: "RentalAssistant",
       model: "gpt-5-mini",
-      instructions: `You are an AI rental assistant that helps users find perfect rental properties. You have access to a comprehensive database of rental properties with detailed information including descriptions, amenities, locations, pricing, and more.
+      instructions: () => `You are an AI rental assistant that helps users find perfect rental properties. You have access to a comprehensive database of rental properties with detailed information including descriptions, amenities, locations, pricing, and more.
 
 Your primary capabilities:
 1. Search for rentals based on user preferences using semantic search
-2. Provide detailed information about specific properties
-3. Access user's saved rental properties (when authenticated)
-4. Compare properties and make recommendations
-5. Answer questions about neighborhoods, amenities, and property features
-6. Help with booking-related questions and guidance
+2. Find rentals within walking distance of landmarks and other named places
+3. Provide detailed information about specific properties
+4. Access user's saved rental properties (when authenticated)
+5. Compare properties side by side and make recommendations
+6. Answer questions about neighborhoods, amenities, and property features
+7. Help with booking-related questions and guidance
+8. Check availability and quote the total cost of a stay for specific dates
+9. Answer questions about what staying at a property is like from guest reviews, citing them
 
 Available Markets in Database:
 The rental database contains properties in these specific markets (use these exact names for location searches):
@@ -97,7 +179,7 @@ Guidelines:
 - When showing multiple properties, present them in order of relevance/quality
 - When user is viewing a specific property (indicated in context), provide targeted advice about that property
 - Use markdown formatting like **bold**, *italic*, lists, and headers to make responses more readable
-- For property comparisons, use tables or structured lists
+- For property comparisons, use compareProperties and present its rows as a markdown table with one column per property
 - Include helpful tips about booking, neighborhoods, or amenities when relevant
 
 Property Context Handling:
@@ -113,26 +195,74 @@ Saved Rentals Context:
 - Help users make decisions between their saved properties by highlighting differences in price, location, amenities, etc.
 - If user isn't logged in, politely explain they need to log in to access saved rentals
 - When users mention comparing a specific property with their saved rentals, use getSavedRentals with includeDetails=true
+- To compare saved properties side by side, pass their IDs from getSavedRentals to compareProperties
+- Saved rentals are organised in lists (e.g. "Barcelona trip"); pass collection when the user names one, and take their notes and tags into account
+
+Availability and Pricing:
+- Today's date is ${new Date().toISOString().split('T')[0]}. Resolve relative or partial dates (e.g. "June 3-7", "next weekend") to YYYY-MM-DD, using the next upcoming occurrence when the year is omitted
+- Use checkAvailabilityAndQuote whenever users ask if a property is free for certain dates or what a stay will cost - never estimate totals yourself
+- Present the itemized quote (nightly price x nights, cleaning fee, extra-guest fee, taxes, total) and explain any reason the stay is unavailable, such as minimum nights or guest capacity
+- If the user hasn't given dates or a guest count, ask for them before quoting
+
+Comparing Properties:
+- Use compareProperties when users want to compare or choose between 2-${MAX_COMPARE_RENTALS} specific properties - from search results, saved rentals or ones they name - instead of comparing details yourself
+- Pass checkin, checkout and guests when the user has given dates, so the table includes each stay total and whether it is available
+- Render the rows as a markdown table, keeping the rows that differ and the ones the user cares about, then recommend one and say why; the user can also open the full comparison from the chat
+
+Nearby Places:
+- When users want to stay near a landmark, beach, station or other named place, use findRentalsNearPlace with the place name and market
+- Mention the estimated walking distance/time for each result, and say it is an estimate
+- If the place isn't found, offer the suggested places from the tool result or fall back to searchRentals
+
+Guest Reviews:
+- Use searchReviews when users ask what a stay is like - noise, cleanliness, the host's responsiveness, check-in, safety, the neighbourhood - instead of guessing from the description
+- Pass the IDs of the properties being discussed; without them the viewed property or this turn's search results are searched
+- Answer from the returned snippets only: quote short phrases and cite each with its ref in square brackets, e.g. [R2]. Mention when reviews are old or disagree
+- If no snippets come back, say guests haven't mentioned it rather than inferring an answer
+- getPropertyDetails includes a review summary with aspect scores out of 5 and pros/cons; use it for an overview, and searchReviews for the guests' own words
+- When users want a quiet, clean or well-located place, or a responsive host, pass review_highlights (quiet, clean, great_location, responsive_host, as_described) in the search filters
 
 IMPORTANT: When you perform a property search using the searchRentals tool, you MUST include the metadata "search_performed: true" in your response. This helps the UI understand when search results are being presented.`,
 
-      tools: [this.searchRentalsTool, this.getPropertyDetailsTool, this.getSavedRentalsTool]
+      tools: [this.searchRentalsTool, this.findRentalsNearPlaceTool, this.getPropertyDetailsTool, this.getSavedRentalsTool, this.checkAvailabilityAndQuoteTool, this.searchReviewsTool, this.comparePropertiesTool]
     });
   }
 
-  async handleSearchRentals({ query, filters = {}, limit = 5 }) {
+  // Build the per-request state carried through the Agents SDK run context,
+  // so concurrent chats never share user IDs or tool results
+  createRunContext({ userId = null, sessionId = null, viewedProperty = null } = {}) {
+    return {
+      userId,
+      sessionId,
+      viewedProperty,
+      lastSearchResults: null,
+      lastNearbyPlace: null,
+      lastQuote: null,
+      lastComparison: null,
+      // Review snippets cited in this run; refs (R1, R2, ...) keep counting across calls
+      reviewSources: []
+    };
+  }
+
+  // Tools receive the SDK RunContext; our own state lives on its `context` property
+  getAgentContext(runContext) {
+    return runContext?.context || this.createRunContext();
+  }
+
+  async handleSearchRentals({ query, filters = {}, limit = 5 }, runContext) {
+    const agentContext = this.getAgentContext(runContext);
     try {
       console.log('RAG Agent searching for:', query, 'with filters:', filters);
       
       const results = await vectorSearchService.hybridSearch(query, filters, limit);
       
       if (results.length === 0) {
-        this.lastSearchResults = [];
+        agentContext.lastSearchResults = [];
         return "No rental properties found matching your criteria. Try adjusting your search terms or filters.";
       }
 
       // Store the raw results for metadata extraction
-      this.lastSearchResults = results;
+      agentContext.lastSearchResults = results;
 
       // Format results for the agent
       const formattedResults = results.map((rental, index) => ({
@@ -148,6 +278,7 @@ IMPORTANT: When you perform a property search using the searchRentals tool, you
         location: `${rental.address?.neighbourhood || rental.address?.market || ''}, ${rental.address?.country || ''}`.replace(/^, /, ''),
         rating: rental.review_scores?.review_scores_rating ? (rental.review_scores.review_scores_rating / 20).toFixed(1) : null,
         superhost: rental.host?.host_is_superhost,
+        review_highlights: rental.review_highlights || [],
         similarity_score: rental.score ? rental.score.toFixed(3) : null,
         description: rental.description ? rental.description.substring(0, 200) + '...' : 'No description available'
       }));
@@ -160,11 +291,67 @@ IMPORTANT: When you perform a property search using the searchRentals tool, you
       });
     } catch (error) {
       console.error('Error in handleSearchRentals:', error);
-      this.lastSearchResults = [];
+      agentContext.lastSearchResults = [];
       return `I encountered an error while searching for rentals: ${error.message}. Please try again.`;
     }
   }
 
+  async handleFindRentalsNearPlace({ place, market = null, max_walking_km = null, query = null, filters = {}, limit = 5 }, runContext) {
+    const agentContext = this.getAgentContext(runContext);
+    try {
+      console.log('RAG Agent finding rentals near:', place, 'in', market || 'any market');
+      
+      const result = await placeSearchService.findRentalsNearPlace({
+        place,
+        market,
+        radiusKm: max_walking_km || undefined,
+        query,
+        filters,
+        limit
+      });
+      
+      if (!result.success) {
+        agentContext.lastSearchResults = [];
+        return JSON.stringify({ error: result.error, suggestions: result.suggestions || [] });
+      }
+
+      // Store the raw results for metadata extraction
+      agentContext.lastSearchResults = result.rentals;
+      agentContext.lastNearbyPlace = result.place;
+
+      if (result.rentals.length === 0) {
+        return `No rentals found within ${result.radius_km} km walking distance of ${result.place.name}. Try a larger distance or fewer filters.`;
+      }
+
+      return JSON.stringify({
+        place: result.place.name,
+        market: result.place.market,
+        max_walking_km: result.radius_km,
+        total_found: result.rentals.length,
+        results: result.rentals.map((rental, index) => ({
+          rank: index + 1,
+          id: rental._id,
+          name: rental.name,
+          type: rental.property_type,
+          room_type: rental.room_type,
+          price: rental.price,
+          bedrooms: rental.bedrooms,
+          accommodates: rental.accommodates,
+          neighbourhood: rental.address?.neighbourhood || null,
+          rating: rental.review_scores?.review_scores_rating ? (rental.review_scores.review_scores_rating / 20).toFixed(1) : null,
+          superhost: rental.host?.host_is_superhost,
+          review_highlights: rental.review_highlights || [],
+          walking_distance_km: rental.walking_distance_km,
+          walking_minutes: rental.walking_minutes
+        }))
+      });
+    } catch (error) {
+      console.error('Error in handleFindRentalsNearPlace:', error);
+      agentContext.lastSearchResults = [];
+      return `I encountered an error while searching near ${place}: ${error.message}. Please try again.`;
+    }
+  }
+
   async handleGetPropertyDetails({ propertyId }) {
     try {
       console.log('RAG Agent getting details for property:', propertyId);
@@ -204,7 +391,12 @@ IMPORTANT: When you perform a property search using the searchRentals tool, you
           count: property.number_of_reviews,
           cleanliness: property.review_scores?.review_scores_cleanliness,
           communication: property.review_scores?.review_scores_communication,
-          location_score: property.review_scores?.review_scores_location
+          location_score: property.review_scores?.review_scores_location,
+          // Written by the review summary job from what guests said
+          summary: property.review_summary?.summary || null,
+          aspects: property.review_summary?.aspects || null,
+          pros: property.review_summary?.pros || [],
+          cons: property.review_summary?.cons || []
         },
         policies: {
           cancellation_policy: property.cancellation_policy,
@@ -224,153 +416,393 @@ IMPORTANT: When you perform a property search using the searchRentals tool, you
     }
   }
 
-  async handleGetSavedRentals({ includeDetails = false }) {
+  async handleGetSavedRentals({ includeDetails = false, collection = null }, runContext) {
     try {
-      console.log('RAG Agent getting saved rentals, includeDetails:', includeDetails);
+      console.log('RAG Agent getting saved rentals, includeDetails:', includeDetails, 'collection:', collection);
       
-      // This method needs access to the user ID from context
-      // The user ID should be passed in from the chat controller
-      const userId = this.currentUserId;
+      // The user ID comes from this request's run context, set by the chat controller
+      const { userId } = this.getAgentContext(runContext);
       
       if (!userId) {
         return "I can only access your saved rentals when you're logged in. Please log in to see your saved properties.";
       }
 
-      const result = await UserModel.getSavedRentals(userId);
+      // Saved items only keep the rental ID, so details are always looked up. A named list
+      // can be one shared with the user, so its items are loaded too.
+      const result = await wishlistService.getSavedRentals(userId, { includeDetails: true, includeShared: !!collection });
       
       if (!result.success) {
         return `I encountered an error accessing your saved rentals: ${result.error}. Please try again.`;
       }
 
-      const savedRentals = result.savedRentals || [];
+      let savedRentals = result.savedRentals;
+      if (collection) {
+        const wanted = collection.trim().toLowerCase();
+        const match = result.collections.find(list => list.name.toLowerCase() === wanted)
+          || result.collections.find(list => list.name.toLowerCase().includes(wanted));
+        if (!match) {
+          return JSON.stringify({
+            error: `No saved list named "${collection}"`,
+            lists: result.collections.map(list => list.name)
+          });
+        }
+        savedRentals = savedRentals.filter(saved => saved.collections.some(list => list.id.toString() === match.id.toString()));
+      }
       
       if (savedRentals.length === 0) {
         return "You don't have any saved rental properties yet. When you find properties you like, you can save them to your list!";
       }
 
-      // If detailed info requested, fetch full rental data
-      if (includeDetails) {
-        const rentalModel = new RentalModel();
-        const detailedRentals = await Promise.all(
-          savedRentals.map(async (saved) => {
-            try {
-              const rental = await rentalModel.findById(saved.rental_id);
-              return {
-                ...saved,
-                full_rental_data: rental || saved.rental_data // Fallback to saved basic data
-              };
-            } catch (error) {
-              console.error(`Error fetching rental ${saved.rental_id}:`, error);
-              return saved; // Return basic saved data if full fetch fails
-            }
-          })
-        );
-        
-        return JSON.stringify({
-          total_saved: detailedRentals.length,
-          saved_rentals: detailedRentals.map((saved, index) => ({
-            rank: index + 1,
-            id: saved.rental_id,
-            saved_at: saved.saved_at,
-            name: saved.full_rental_data?.name || saved.rental_data?.name,
-            type: saved.full_rental_data?.property_type || saved.rental_data?.property_type,
-            price: saved.full_rental_data?.price || saved.rental_data?.price,
-            location: saved.full_rental_data ? 
-              `${saved.full_rental_data.address?.neighbourhood || saved.full_rental_data.address?.market || ''}, ${saved.full_rental_data.address?.country || ''}`.replace(/^, /, '') :
-              saved.rental_data?.location,
-            bedrooms: saved.full_rental_data?.bedrooms,
-            bathrooms: saved.full_rental_data?.bathrooms,
-            accommodates: saved.full_rental_data?.accommodates,
-            rating: saved.full_rental_data?.review_scores?.review_scores_rating ? (saved.full_rental_data.review_scores.review_scores_rating / 20).toFixed(1) : null,
-            superhost: saved.full_rental_data?.host?.host_is_superhost,
-            description: saved.full_rental_data?.description ? saved.full_rental_data.description.substring(0, 200) + '...' : 'No description available'
-          }))
-        });
-      } else {
-        // Return basic saved info only
-        return JSON.stringify({
-          total_saved: savedRentals.length,
-          saved_rentals: savedRentals.map((saved, index) => ({
+      return JSON.stringify({
+        total_saved: savedRentals.length,
+        lists: result.collections.map(list => ({ name: list.name, rentals: list.item_count, role: list.role })),
+        saved_rentals: savedRentals.map((saved, index) => {
+          const rental = saved.full_rental_data;
+          const basic = {
             rank: index + 1,
             id: saved.rental_id,
             saved_at: saved.saved_at,
-            name: saved.rental_data?.name || 'Unknown Property',
-            type: saved.rental_data?.property_type || 'Unknown Type',
-            price: saved.rental_data?.price || null,
-            location: saved.rental_data?.location || 'Unknown Location',
-            image: saved.rental_data?.image || null
-          }))
-        });
-      }
+            lists: saved.collections.map(list => list.name),
+            notes: saved.notes,
+            tags: saved.tags,
+            available: saved.available,
+            name: rental?.name || 'No longer available',
+            type: rental?.property_type,
+            price: rental?.price,
+            location: rental ? `${rental.address?.neighbourhood || rental.address?.market || ''}, ${rental.address?.country || ''}`.replace(/^, /, '') : null
+          };
+
+          if (!includeDetails || !rental) {
+            return { ...basic, image: rental?.images?.thumbnail_url || null };
+          }
+
+          return {
+            ...basic,
+            bedrooms: rental.bedrooms,
+            bathrooms: rental.bathrooms,
+            accommodates: rental.accommodates,
+            rating: rental.review_scores?.review_scores_rating ? (rental.review_scores.review_scores_rating / 20).toFixed(1) : null,
+            superhost: rental.host?.host_is_superhost,
+            description: rental.summary ? rental.summary.substring(0, 200) + '...' : 'No description available'
+          };
+        })
+      });
     } catch (error) {
       console.error('Error in handleGetSavedRentals:', error);
       return `I encountered an error while getting your saved rentals: ${error.message}. Please try again.`;
     }
   }
 
-  async chat(userMessage, conversationHistory = [], userId = null) {
+  async handleCheckAvailabilityAndQuote({ propertyId, checkin, checkout, guests = 1 }, runContext) {
+    const agentContext = this.getAgentContext(runContext);
+    try {
+      console.log('RAG Agent quoting property:', propertyId, checkin, checkout, 'guests:', guests);
+      
+      const result = await quoteService.checkAvailabilityAndQuote(propertyId, checkin, checkout, guests);
+      
+      if (!result.success) {
+        agentContext.lastQuote = null;
+        return `I couldn't check availability: ${result.error}.`;
+      }
+
+      // Store the quote for metadata extraction
+      const { success, ...quote } = result;
+      agentContext.lastQuote = quote;
+
+      return JSON.stringify(quote);
+    } catch (error) {
+      console.error('Error in handleCheckAvailabilityAndQuote:', error);
+      agentContext.lastQuote = null;
+      return `I encountered an error while checking availability: ${error.message}. Please try again.`;
+    }
+  }
+
+  // Properties a review search covers: the ones asked for, else the viewed property,
+  // else this run's search results
+  resolveReviewPropertyIds(propertyIds, agentContext) {
+    if (propertyIds?.length > 0) {
+      return propertyIds;
+    }
+    if (agentContext.viewedProperty?.id) {
+      return [agentContext.viewedProperty.id.toString()];
+    }
+    return (agentContext.lastSearchResults || [])
+      .slice(0, MAX_REVIEW_SEARCH_PROPERTIES)
+      .map(rental => rental._id.toString());
+  }
+
+  async handleSearchReviews({ query, propertyIds = null, limit = 3 }, runContext) {
+    const agentContext = this.getAgentContext(runContext);
+    try {
+      const rentalIds = this.resolveReviewPropertyIds(propertyIds, agentContext);
+      console.log('RAG Agent searching reviews for:', query, 'properties:', rentalIds);
+
+      if (rentalIds.length === 0) {
+        return "I don't know which property to check the reviews of. Ask the user which property they mean, or search for properties first.";
+      }
+
+      const result = await reviewSearchService.searchReviews(query, { rentalIds, limit });
+      if (!result.success) {
+        return `I couldn't search the reviews: ${result.error}.`;
+      }
+
+      // Number the snippets so the answer can cite them, and keep them for the UI
+      const properties = result.rentals.map(rental => ({
+        id: rental.id,
+        name: rental.name,
+        number_of_reviews: rental.number_of_reviews,
+        snippets: rental.snippets.map(snippet => {
+          const source = {
+            ref: `R${agentContext.reviewSources.length + 1}`,
+            review_id: snippet.review_id,
+            rental_id: rental.id,
+            rental_name: rental.name,
+            reviewer_name: snippet.reviewer_name,
+            date: snippet.date ? new Date(snippet.date).toISOString().split('T')[0] : null,
+            text: snippet.text
+          };
+          agentContext.reviewSources.push(source);
+          return { ref: source.ref, review_id: source.review_id, date: source.date, reviewer: source.reviewer_name, text: source.text };
+        })
+      }));
+
+      return JSON.stringify({
+        query,
+        properties,
+        note: properties.every(property => property.snippets.length === 0)
+          ? 'No review mentions this. Say guests have not commented on it.'
+          : 'Cite snippets by ref in square brackets, e.g. [R1].'
+      });
+    } catch (error) {
+      console.error('Error in handleSearchReviews:', error);
+      return `I encountered an error while searching the reviews: ${error.message}. Please try again.`;
+    }
+  }
+
+  async handleCompareProperties({ propertyIds, checkin = null, checkout = null, guests = null }, runContext) {
+    const agentContext = this.getAgentContext(runContext);
+    try {
+      console.log('RAG Agent comparing properties:', propertyIds, checkin, checkout, 'guests:', guests);
+
+      const result = await comparisonService.compareRentals(propertyIds, { checkin, checkout, guests: guests || 1 });
+      if (!result.success) {
+        agentContext.lastComparison = null;
+        return `I couldn't compare these properties: ${result.error}.`;
+      }
+
+      // Store the full matrix for the UI's comparison drawer
+      const { success, ...comparison } = result;
+      agentContext.lastComparison = comparison;
+
+      // The model gets the rows with the best values named, without images
+      return JSON.stringify({
+        properties: comparison.rentals.map(({ id, name, location }) => ({ id, name, location })),
+        stay: comparison.stay,
+        sections: comparison.sections.map(section => ({
+          section: section.label,
+          rows: section.rows.map(row => ({
+            label: row.label,
+            values: row.values,
+            best: row.best.map(index => comparison.rentals[index].name),
+            differs: row.differs
+          }))
+        })),
+        shared_amenities: comparison.shared_amenities
+      });
+    } catch (error) {
+      console.error('Error in handleCompareProperties:', error);
+      agentContext.lastComparison = null;
+      return `I encountered an error while comparing properties: ${error.message}. Please try again.`;
+    }
+  }
+
+  // Rough token estimate (~4 characters per token) used for the history budget
+  estimateTokens(items) {
+    return Math.ceil(JSON.stringify(items).length / 4);
+  }
+
+  // Model input items produced by a run, in a form that can be stored and replayed.
+  // Reasoning items and provider IDs are dropped since they can't be re-sent on their own.
+  serializeRunItems(result) {
+    return (result.output || [])
+      .filter(item => REPLAYABLE_ITEM_TYPES.includes(item.type))
+      .map(({ id, providerData, ...item }) => {
+        if (item.type === 'function_call_result' && item.output?.type === 'text' &&
+            item.output.text.length > MAX_STORED_TOOL_OUTPUT_CHARS) {
+          return {
+            ...item,
+            output: {
+              type: 'text',
+              text: item.output.text.substring(0, MAX_STORED_TOOL_OUTPUT_CHARS) + '... [truncated]'
+            }
+          };
+        }
+        return item;
+      });
+  }
+
+  // Group stored messages into turns: a user message plus the assistant reply that followed
+  groupHistoryIntoTurns(conversationHistory = []) {
+    const turns = [];
+
+    for (const msg of conversationHistory) {
+      if (msg.role === 'user') {
+        turns.push({ userContent: msg.content, assistantContent: null, runItems: null });
+      } else if (msg.role === 'assistant') {
+        if (turns.length === 0) {
+          turns.push({ userContent: null, assistantContent: null, runItems: null });
+        }
+        const turn = turns[turns.length - 1];
+        turn.assistantContent = msg.content;
+        turn.runItems = msg.run_items?.length > 0 ? msg.run_items : null;
+      }
+    }
+
+    return turns;
+  }
+
+  // Replay a turn faithfully: the user message, then the stored run items
+  // (tool calls, tool results, assistant message) or just the reply text
+  turnToInputItems(turn) {
+    const items = [];
+    if (turn.userContent) {
+      items.push(user(turn.userContent));
+    }
+    if (turn.runItems) {
+      items.push(...turn.runItems);
+    } else if (turn.assistantContent) {
+      items.push(assistant(turn.assistantContent));
+    }
+    return items;
+  }
+
+  // Condense turns that don't fit in the budget into a single system note
+  summarizeTurns(turns) {
+    const truncate = (text, length) => text && text.length > length ? text.substring(0, length) + '...' : text;
+
+    const omittedCount = Math.max(0, turns.length - MAX_SUMMARIZED_TURNS);
+    const lines = turns.slice(omittedCount).map(turn => {
+      const parts = [];
+      if (turn.userContent) {
+        parts.push(`User: ${truncate(turn.userContent, 200)}`);
+      }
+
+      const toolNames = [...new Set((turn.runItems || [])
+        .filter(item => item.type === 'function_call')
+        .map(item => item.name))];
+      if (toolNames.length > 0) {
+        parts.push(`(tools used: ${toolNames.join(', ')})`);
+      }
+
+      if (turn.assistantContent) {
+        parts.push(`Assistant: ${truncate(turn.assistantContent, 300)}`);
+      }
+      return `- ${parts.join(' ')}`;
+    });
+
+    if (omittedCount > 0) {
+      lines.unshift(`- (${omittedCount} earlier turn${omittedCount !== 1 ? 's' : ''} omitted)`);
+    }
+
+    return system(`Summary of earlier conversation turns (oldest first):\n${lines.join('\n')}`);
+  }
+
+  // Convert stored conversation history plus the new message to OpenAI Agents format.
+  // Recent turns are replayed in full while they fit the token budget; older ones are summarized.
+  buildRunInput(userMessage, conversationHistory = []) {
+    const turns = this.groupHistoryIntoTurns(conversationHistory);
+    const currentMessage = user(userMessage);
+
+    let remainingBudget = HISTORY_TOKEN_BUDGET - this.estimateTokens([currentMessage]);
+    const replayedTurns = [];
+    let index = turns.length - 1;
+
+    for (; index >= 0; index--) {
+      const items = this.turnToInputItems(turns[index]);
+      const tokens = this.estimateTokens(items);
+      if (tokens > remainingBudget) break;
+
+      remainingBudget -= tokens;
+      replayedTurns.unshift(items);
+    }
+
+    const history = [];
+    if (index >= 0) {
+      history.push(this.summarizeTurns(turns.slice(0, index + 1)));
+    }
+    replayedTurns.forEach(items => history.push(...items));
+    
+    // Add current user message
+    history.push(currentMessage);
+    
+    return history;
+  }
+
+  // Tokens used across every model request of a completed run
+  extractUsage(result) {
+    const usage = result.state?._context?.usage;
+    return {
+      requests: usage?.requests || 0,
+      input_tokens: usage?.inputTokens || 0,
+      output_tokens: usage?.outputTokens || 0,
+      total_tokens: usage?.totalTokens || 0
+    };
+  }
+
+  // Build the chat response (tool calls + search metadata) from a completed run
+  buildChatResponse(result, userMessage, agentContext) {
+    // Extract tool calls from the OpenAI Agents SDK structure
+    const extractedToolCalls = this.extractToolCallsFromResult(result);
+    
+    // Check if any search tools were called
+    const searchPerformed = extractedToolCalls?.some(call => 
+      call.name === 'searchRentals' || call.name === 'findRentalsNearPlace' || call.name === 'getPropertyDetails'
+    ) || false;
+
+    // Also check the message content for search indicators
+    const messageHasSearchResults = result.finalOutput?.includes('*search_performed: true*') || 
+                                   result.finalOutput?.includes('search_performed: true') ||
+                                   result.finalOutput?.includes('Search performed: true') ||
+                                   searchPerformed;
+
+    // Extract search metadata if available
+    const searchMetadata = this.extractSearchMetadata(extractedToolCalls, userMessage, agentContext);
+
+    console.log('RAG Agent Debug:', {
+      extractedToolCalls,
+      searchPerformed,
+      messageHasSearchResults,
+      searchMetadata
+    });
+
+    return {
+      success: true,
+      message: result.finalOutput,
+      toolCalls: extractedToolCalls || [],
+      runItems: this.serializeRunItems(result),
+      usage: this.extractUsage(result),
+      metadata: {
+        search_performed: messageHasSearchResults,
+        ...searchMetadata
+      }
+    };
+  }
+
+  async chat(userMessage, conversationHistory = [], { userId = null, sessionId = null, viewedProperty = null } = {}) {
     try {
       console.log('RAG Agent processing message:', userMessage);
       console.log('RAG Agent conversation history length:', conversationHistory.length);
       console.log('RAG Agent user ID:', userId);
       
-      // Set the current user ID for the saved rentals tool
-      this.currentUserId = userId;
-      
-      // Convert simple conversation history to OpenAI Agents format
-      let history = [];
-      
-      // Convert existing conversation history to proper format
-      if (conversationHistory && conversationHistory.length > 0) {
-        history = conversationHistory.map(msg => {
-          if (msg.role === 'user') {
-            return user(msg.content);
-          }
-          // For assistant messages, we can't easily reconstruct them
-          // Skip them for now and let the agent handle context
-          return null;
-        }).filter(Boolean);
-      }
+      // Per-request state shared by this run's tools and metadata extraction
+      const agentContext = this.createRunContext({ userId, sessionId, viewedProperty });
       
-      // Add current user message
-      history.push(user(userMessage));
+      const history = this.buildRunInput(userMessage, conversationHistory);
       
       // Use the standalone run function with proper history format
-      const result = await run(this.agent, history);
-
-      // Extract tool calls from the OpenAI Agents SDK structure
-      const extractedToolCalls = this.extractToolCallsFromResult(result);
-      
-      // Check if any search tools were called
-      const searchPerformed = extractedToolCalls?.some(call => 
-        call.name === 'searchRentals' || call.name === 'getPropertyDetails'
-      ) || false;
-
-      // Also check the message content for search indicators
-      const messageHasSearchResults = result.finalOutput?.includes('*search_performed: true*') || 
-                                     result.finalOutput?.includes('search_performed: true') ||
-                                     result.finalOutput?.includes('Search performed: true') ||
-                                     searchPerformed;
-
-      // Extract search metadata if available
-      const searchMetadata = this.extractSearchMetadata(extractedToolCalls, userMessage, result.finalOutput);
-
-      console.log('RAG Agent Debug:', {
-        extractedToolCalls,
-        searchPerformed,
-        messageHasSearchResults,
-        searchMetadata
-      });
+      const result = await run(this.agent, history, { context: agentContext });
 
-      return {
-        success: true,
-        message: result.finalOutput,
-        toolCalls: extractedToolCalls || [],
-        metadata: {
-          search_performed: messageHasSearchResults,
-          ...searchMetadata
-        }
-      };
+      return this.buildChatResponse(result, userMessage, agentContext);
     } catch (error) {
       console.error('Error in RAG agent chat:', error);
       return {
@@ -431,8 +863,8 @@ IMPORTANT: When you perform a property search using the searchRentals tool, you
     }
   }
 
-  // Extract search metadata from tool calls
-  extractSearchMetadata(toolCalls, userMessage) {
+  // Extract search metadata from tool calls and this run's context
+  extractSearchMetadata(toolCalls, userMessage, agentContext = this.createRunContext()) {
     if (!toolCalls || toolCalls.length === 0) {
       return {};
     }
@@ -451,8 +883,8 @@ IMPORTANT: When you perform a property search using the searchRentals tool, you
       // Extract rental IDs from the search results in the final output
       // The handleSearchRentals returns JSON with results array containing id field
       try {
-        if (this.lastSearchResults) {
-          metadata.rental_ids = this.lastSearchResults.map(rental => rental._id);
+        if (agentContext.lastSearchResults) {
+          metadata.rental_ids = agentContext.lastSearchResults.map(rental => rental._id);
           console.log('Extracted rental IDs for UI:', metadata.rental_ids);
         }
       } catch (error) {
@@ -460,6 +892,17 @@ IMPORTANT: When you perform a property search using the searchRentals tool, you
       }
     }
 
+    // When the landmark search ran last, its results are the ones the UI should show
+    const lastSearchCall = toolCalls.filter(call => call.name === 'searchRentals' || call.name === 'findRentalsNearPlace').pop();
+    if (lastSearchCall?.name === 'findRentalsNearPlace' && agentContext.lastNearbyPlace) {
+      metadata.search_type = 'nearby_search';
+      metadata.search_query = lastSearchCall.arguments?.query || userMessage;
+      metadata.search_filters = lastSearchCall.arguments?.filters || {};
+      metadata.search_limit = lastSearchCall.arguments?.limit || 5;
+      metadata.near_place = agentContext.lastNearbyPlace;
+      metadata.rental_ids = (agentContext.lastSearchResults || []).map(rental => rental._id);
+    }
+
     // Find property details tool calls
     const detailsCalls = toolCalls.filter(call => call.name === 'getPropertyDetails');
     if (detailsCalls.length > 0) {
@@ -467,25 +910,53 @@ IMPORTANT: When you perform a property search using the searchRentals tool, you
       metadata.property_ids = detailsCalls.map(call => call.arguments?.propertyId);
     }
 
+    // Find availability/quote tool calls so the UI can render the latest quote
+    const quoteCalls = toolCalls.filter(call => call.name === 'checkAvailabilityAndQuote');
+    if (quoteCalls.length > 0) {
+      metadata.quote_requested = true;
+      if (agentContext.lastQuote) {
+        metadata.quote = agentContext.lastQuote;
+      }
+    }
+
+    // Comparison matrix, opened by the UI in its comparison drawer
+    const compareCalls = toolCalls.filter(call => call.name === 'compareProperties');
+    if (compareCalls.length > 0) {
+      metadata.comparison_requested = true;
+      if (agentContext.lastComparison) {
+        metadata.comparison = agentContext.lastComparison;
+      }
+    }
+
+    // Review snippets cited by the answer, rendered by the UI as quoted sources
+    const reviewCalls = toolCalls.filter(call => call.name === 'searchReviews');
+    if (reviewCalls.length > 0) {
+      metadata.reviews_searched = true;
+      if (agentContext.reviewSources?.length > 0) {
+        metadata.review_sources = agentContext.reviewSources;
+      }
+    }
+
     return metadata;
   }
 
-  async streamChat(userMessage, conversationHistory = []) {
+  // Start a streamed run; the caller consumes `stream` and then calls
+  // buildChatResponse(stream, userMessage, agentContext) once it completes
+  async streamChat(userMessage, conversationHistory = [], { userId = null, sessionId = null, viewedProperty = null } = {}) {
     try {
-      const messages = [
-        ...conversationHistory,
-        { role: "user", content: userMessage }
-      ];
-
       console.log('RAG Agent streaming message:', userMessage);
+      console.log('RAG Agent user ID:', userId);
+      
+      const agentContext = this.createRunContext({ userId, sessionId, viewedProperty });
+      const history = this.buildRunInput(userMessage, conversationHistory);
       
       // Use the standalone run function with streaming enabled
-      const stream = await run(this.agent, userMessage, {
-        messages: messages,
-        stream: true
+      const stream = await run(this.agent, history, {
+        stream: true,
+        context: agentContext
       });
 
-      return stream;
+      return { stream, agentContext };
     } catch (error) {
       console.error('Error in RAG agent stream:', error);
       throw error;
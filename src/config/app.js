@@ -0,0 +1,2 @@
+// Public URL of the app, used in links that leave the server (emails, sign-in redirects)
+export const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:3001').replace(/\/$/, '');
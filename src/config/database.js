@@ -5,6 +5,7 @@ import dotenv from 'dotenv';
 dotenv.config({ path: '.env.local' });
 
 const uri = process.env.MONGODB_URI;
+export const DB_NAME = process.env.MONGODB_DB_NAME || 'rental_app';
 
 if (!uri) {
   throw new Error('MONGODB_URI environment variable is required. Please check your .env.local file.');
@@ -18,10 +19,11 @@ class Database {
     this.isConnected = false;
   }
 
-  async connect() {
+  // Scripts can connect to another database on the same cluster (e.g. search eval fixtures)
+  async connect({ dbName = DB_NAME } = {}) {
     try {
       await this.client.connect();
-      this.db = this.client.db('rental_app');
+      this.db = this.client.db(dbName);
       this.rentalsCollection = this.db.collection('rentals');
       this.isConnected = true;
       console.log('✅ Connected to MongoDB Atlas');
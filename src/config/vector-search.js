@@ -1,23 +1,17 @@
 // Vector Search Index Configuration for MongoDB Atlas
 // This configuration is used to create the vector search index via Atlas UI or API
+// The vector dimensions come from the configured embedding provider (EMBEDDING_PROVIDER)
 
-export const VECTOR_SEARCH_INDEX_CONFIG = {
-  // Index name
-  name: "rental_vector_search",
-  
-  // Collection to index
-  collection: "rentals",
-  
-  // Database
-  database: "rental_app",
-  
-  // Vector Search Index Definition
-  definition: {
+import { embeddingProvider } from '../services/embedding-provider.js';
+
+// Build the index definition for embeddings with the given number of dimensions
+export function buildVectorSearchIndexDefinition(numDimensions) {
+  return {
     "fields": [
       {
         "type": "vector",
         "path": "text_embeddings",
-        "numDimensions": 1536,
+        "numDimensions": numDimensions,
         "similarity": "cosine"
       },
       {
@@ -51,11 +45,147 @@ export const VECTOR_SEARCH_INDEX_CONFIG = {
       {
         "type": "filter",
         "path": "host.host_is_superhost"
+      },
+      // Scalar copies of address.location for geo pre-filtering
+      {
+        "type": "filter",
+        "path": "address.latitude"
+      },
+      {
+        "type": "filter",
+        "path": "address.longitude"
+      },
+      // What guests praise, from the review summary job
+      {
+        "type": "filter",
+        "path": "review_highlights"
+      }
+    ]
+  };
+}
+
+export const VECTOR_SEARCH_INDEX_CONFIG = {
+  // Index name
+  name: process.env.VECTOR_SEARCH_INDEX || "rental_vector_search",
+  
+  // Collection to index
+  collection: "rentals",
+  
+  // Database
+  database: "rental_app",
+
+  // Embedding provider the index was sized for
+  embedding: {
+    provider: embeddingProvider.name,
+    model: embeddingProvider.model,
+    dimensions: embeddingProvider.dimensions
+  },
+  
+  // Vector Search Index Definition
+  definition: buildVectorSearchIndexDefinition(embeddingProvider.dimensions)
+};
+
+// Build the index definition for review chunk embeddings; searches are always
+// narrowed to one listing or a shortlist, so rental_id is a filter field
+export function buildReviewVectorSearchIndexDefinition(numDimensions) {
+  return {
+    "fields": [
+      {
+        "type": "vector",
+        "path": "embedding",
+        "numDimensions": numDimensions,
+        "similarity": "cosine"
+      },
+      {
+        "type": "filter",
+        "path": "rental_id"
       }
     ]
+  };
+}
+
+// Vector index over review snippets (review_chunks), used by the assistant's searchReviews tool
+export const REVIEW_VECTOR_SEARCH_INDEX_CONFIG = {
+  // Index name
+  name: process.env.REVIEW_VECTOR_SEARCH_INDEX || "review_chunks_vector_search",
+  
+  // Collection to index
+  collection: "review_chunks",
+  
+  // Database
+  database: "rental_app",
+
+  // Embedding provider the index was sized for
+  embedding: {
+    provider: embeddingProvider.name,
+    model: embeddingProvider.model,
+    dimensions: embeddingProvider.dimensions
+  },
+  
+  // Vector Search Index Definition
+  definition: buildReviewVectorSearchIndexDefinition(embeddingProvider.dimensions)
+};
+
+// Atlas Search (full-text) index used by hybrid search
+export const TEXT_SEARCH_INDEX_CONFIG = {
+  // Index name
+  name: process.env.TEXT_SEARCH_INDEX || "rental_text_search",
+  
+  // Collection to index
+  collection: "rentals",
+  
+  // Database
+  database: "rental_app",
+  
+  // Search Index Definition - text fields are analyzed for fuzzy matching,
+  // filter fields use token/number/boolean types so they can be used in `equals`/`range`
+  definition: {
+    "mappings": {
+      "dynamic": false,
+      "fields": {
+        "name": { "type": "string" },
+        "summary": { "type": "string" },
+        "description": { "type": "string" },
+        "property_type": { "type": "token" },
+        "room_type": { "type": "token" },
+        "price": { "type": "number" },
+        "bedrooms": { "type": "number" },
+        "accommodates": { "type": "number" },
+        "review_highlights": { "type": "token" },
+        "address": {
+          "type": "document",
+          "fields": {
+            "neighbourhood": { "type": "string" },
+            "market": { "type": "token" },
+            "country": { "type": "token" },
+            "latitude": { "type": "number" },
+            "longitude": { "type": "number" }
+          }
+        },
+        "host": {
+          "type": "document",
+          "fields": {
+            "host_is_superhost": { "type": "boolean" }
+          }
+        }
+      }
+    }
   }
 };
 
+// Reciprocal rank fusion settings for hybrid search
+export const HYBRID_SEARCH_CONFIG = {
+  // Relative weight of each result list in the fused score
+  vectorWeight: parseFloat(process.env.HYBRID_VECTOR_WEIGHT || '1'),
+  textWeight: parseFloat(process.env.HYBRID_TEXT_WEIGHT || '1'),
+  
+  // RRF constant - larger values flatten the difference between top and lower ranks
+  rrfK: parseInt(process.env.HYBRID_RRF_K || '60'),
+  
+  // Each search fetches limit x this many candidates before fusion
+  candidateMultiplier: parseInt(process.env.HYBRID_CANDIDATE_MULTIPLIER || '4')
+};
+
 // Atlas CLI command to create the index:
 // atlas clusters search indexes create --clusterName ILCluster --file vector-search-index.json
 
@@ -67,45 +197,8 @@ export const VECTOR_SEARCH_INDEX_CONFIG = {
 // 5. Choose "JSON Editor"
 // 6. Paste the definition above
 
-export const SEARCH_INDEX_JSON = `{
-  "fields": [
-    {
-      "type": "vector",
-      "path": "text_embeddings", 
-      "numDimensions": 1536,
-      "similarity": "cosine"
-    },
-    {
-      "type": "filter",
-      "path": "property_type"
-    },
-    {
-      "type": "filter",
-      "path": "room_type"
-    },
-    {
-      "type": "filter", 
-      "path": "address.country"
-    },
-    {
-      "type": "filter",
-      "path": "price"
-    },
-    {
-      "type": "filter",
-      "path": "bedrooms"
-    },
-    {
-      "type": "filter",
-      "path": "bathrooms"
-    },
-    {
-      "type": "filter",
-      "path": "accommodates"
-    },
-    {
-      "type": "filter",
-      "path": "host.host_is_superhost"
-    }
-  ]
-}`;
\ No newline at end of file
+export const SEARCH_INDEX_JSON = JSON.stringify(VECTOR_SEARCH_INDEX_CONFIG.definition, null, 2);
+
+export const TEXT_SEARCH_INDEX_JSON = JSON.stringify(TEXT_SEARCH_INDEX_CONFIG.definition, null, 2);
+
+export const REVIEW_SEARCH_INDEX_JSON = JSON.stringify(REVIEW_VECTOR_SEARCH_INDEX_CONFIG.definition, null, 2);
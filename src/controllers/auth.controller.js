@@ -83,7 +83,7 @@ export class AuthController {
       }
 
       // Generate JWT token
-      const token = AuthMiddleware.generateToken(result.user._id, username);
+      const token = AuthMiddleware.generateToken(result.user._id, username, UserModel.getRole(result.user));
 
       res.json({
         success: true,
@@ -0,0 +1,149 @@
+import { BookingModel } from '../models/booking.js';
+import { RentalModel } from '../models/rental.js';
+import { quoteService } from '../services/quote.service.js';
+
+export class BookingController {
+  // Resolve and validate the requested stay, returning an error result if invalid
+  static parseStay(checkinValue, checkoutValue) {
+    const checkin = BookingModel.parseDate(checkinValue);
+    const checkout = BookingModel.parseDate(checkoutValue);
+
+    if (!checkin || !checkout) {
+      return { error: 'checkin and checkout must be dates in YYYY-MM-DD format' };
+    }
+
+    if (checkout <= checkin) {
+      return { error: 'checkout must be after checkin' };
+    }
+
+    return { checkin, checkout, nights: BookingModel.countNights(checkin, checkout) };
+  }
+
+  // POST /bookings - Book a rental for the authenticated user
+  async createBooking({ body, userId }) {
+    try {
+      const { rental_id, checkin: checkinValue, checkout: checkoutValue, guests = 1 } = body;
+
+      const stay = BookingController.parseStay(checkinValue, checkoutValue);
+      if (stay.error) {
+        return { success: false, error: stay.error, statusCode: 400 };
+      }
+
+      const today = BookingModel.parseDate(new Date().toISOString().split('T')[0]);
+      if (stay.checkin < today) {
+        return { success: false, error: 'checkin cannot be in the past', statusCode: 400 };
+      }
+
+      const rentalModel = new RentalModel();
+      const rental = await rentalModel.findById(rental_id, true);
+
+      if (!rental) {
+        return { success: false, error: 'Rental not found', statusCode: 404 };
+      }
+
+      const violations = quoteService.checkStayRules(rental, stay.nights, guests);
+      if (violations.length > 0) {
+        return { success: false, error: violations[0], statusCode: 400 };
+      }
+
+      const result = await BookingModel.createBooking({
+        rentalId: rental._id,
+        userId,
+        checkin: stay.checkin,
+        checkout: stay.checkout,
+        guests,
+        quote: quoteService.calculateQuote(rental, stay.nights, guests)
+      });
+
+      if (!result.success) {
+        return {
+          success: false,
+          error: result.error,
+          statusCode: result.conflict ? 409 : 500
+        };
+      }
+
+      return {
+        success: true,
+        data: result.booking,
+        statusCode: 201
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        statusCode: error.message.includes('Invalid') ? 400 : 500
+      };
+    }
+  }
+
+  // DELETE /bookings/:id - Cancel one of the user's bookings
+  async cancelBooking({ params, userId }) {
+    const result = await BookingModel.cancelBooking(params.id, userId);
+
+    if (!result.success) {
+      let statusCode = 500;
+      if (result.notFound) statusCode = 404;
+      else if (result.conflict) statusCode = 409;
+      else if (result.error.includes('Invalid')) statusCode = 400;
+
+      return { success: false, error: result.error, statusCode };
+    }
+
+    return {
+      success: true,
+      data: {
+        message: 'Booking cancelled successfully'
+      }
+    };
+  }
+
+  // GET /bookings/mine - List the user's bookings
+  async getMyBookings({ query, userId }) {
+    const result = await BookingModel.getBookingsByUser(userId, query.include_cancelled === 'true');
+
+    if (!result.success) {
+      return { success: false, error: result.error, statusCode: 500 };
+    }
+
+    return {
+      success: true,
+      data: result.bookings,
+      count: result.bookings.length
+    };
+  }
+
+  // GET /bookings/rental/:rentalId - Availability calendar for a rental
+  async getRentalBookings({ params }) {
+    try {
+      const rentalModel = new RentalModel();
+      const rental = await rentalModel.findById(params.rentalId);
+
+      if (!rental) {
+        return { success: false, error: 'Rental not found', statusCode: 404 };
+      }
+
+      const result = await BookingModel.getBookedRanges(rental._id);
+
+      if (!result.success) {
+        return { success: false, error: result.error, statusCode: 500 };
+      }
+
+      return {
+        success: true,
+        data: {
+          rental_id: rental._id,
+          minimum_nights: parseInt(rental.minimum_nights) || 1,
+          maximum_nights: parseInt(rental.maximum_nights) || null,
+          booked: result.bookings
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        statusCode: error.message.includes('Invalid') ? 400 : 500
+      };
+    }
+  }
+}
@@ -1,15 +1,104 @@
 import { rentalRAGAgent } from '../agents/rental-rag-agent.js';
 import { ConversationModel } from '../models/conversation.js';
 import { UserModel } from '../models/user.js';
+import { chatQuotaService } from '../services/chat-quota.service.js';
 import { ObjectId } from 'mongodb';
 
+// Upper bound on stored messages loaded for replay; the agent trims them to its token budget
+const REPLAY_HISTORY_LIMIT = 200;
+
 export class ChatController {
   constructor() {
     // Generate session ID if not provided
     this.generateSessionId = () => new ObjectId().toString();
   }
 
-  async handleChatMessage({ message, conversation_history = [], context = {}, sessionId = null, userId = null }) {
+  // Get conversation history from MongoDB if not provided by the client.
+  // Assistant turns keep their stored run items so the agent can replay them.
+  async loadHistory(sessionId, conversation_history = []) {
+    if (conversation_history.length > 0) {
+      return conversation_history;
+    }
+
+    const historyResult = await ConversationModel.getConversationHistory(sessionId, REPLAY_HISTORY_LIMIT);
+    if (!historyResult.success) {
+      return conversation_history;
+    }
+
+    return historyResult.messages
+      .filter(msg => !msg.metadata?.error)
+      .map(msg => ({
+        role: msg.role,
+        content: msg.content,
+        run_items: msg.run_items || null
+      }));
+  }
+
+  // Enhance message with the UI context (current search, filters, viewed property)
+  buildEnhancedMessage(message, context = {}) {
+    let enhancedMessage = message;
+    if (context.current_search) {
+      enhancedMessage = `User is currently searching for: "${context.current_search}". ${message}`;
+    }
+    
+    if (context.filters && Object.keys(context.filters).length > 0) {
+      const filterDesc = this.formatFilters(context.filters);
+      enhancedMessage += ` Current filters: ${filterDesc}.`;
+    }
+
+    if (context.current_property) {
+      const property = context.current_property;
+      const locationStr = property.location ? `${property.location.neighbourhood || property.location.market || ''}, ${property.location.country || ''}`.replace(/^, /, '') : 'Unknown location';
+      enhancedMessage += ` User is currently viewing property: "${property.name}" (ID: ${property.id}) - ${property.features?.property_type || 'Property'} for $${property.price}/night in ${locationStr}, ${property.features?.bedrooms || 0} bedrooms, accommodates ${property.features?.accommodates || 0} guests.`;
+    }
+
+    return enhancedMessage;
+  }
+
+  // Store the assistant response and update conversation/user bookkeeping
+  async saveAssistantResponse({ sessionId, userId, clientIp = null, message, enhancedMessage, context = {}, response, extraMetadata = {} }) {
+    // Charge the run's tokens to the caller's daily chat quota
+    await chatQuotaService.recordUsage({ userId, ip: clientIp }, response.usage);
+
+    // Store assistant response in MongoDB
+    await ConversationModel.addMessage(sessionId, 'assistant', response.message, {
+      tool_calls_made: response.toolCalls?.length || 0,
+      usage: response.usage,
+      has_rental_results: response.metadata?.search_performed || false,
+      search_metadata: response.metadata || {},
+      ...extraMetadata,
+      timestamp: new Date().toISOString()
+    }, userId, response.runItems);
+
+    // Track search activity if authenticated and search was performed
+    if (userId && response.metadata?.search_performed) {
+      await this.trackUserActivity(userId, 'search_performed', {
+        search_query: enhancedMessage,
+        results_count: response.metadata.results_count || 0,
+        filters_used: context.filters || {}
+      });
+      
+      // Add to user's search history
+      await UserModel.addToSearchHistory(userId, message, context.filters || {});
+    }
+
+    // Update conversation metadata
+    await ConversationModel.updateConversationMetadata(sessionId, {
+      lastUserMessage: message,
+      lastAssistantResponse: response.message,
+      toolCallsInSession: (response.toolCalls?.length || 0),
+      lastSearchMetadata: response.metadata || {},
+      isAuthenticated: userId !== null,
+      userId: userId
+    });
+
+    // Increment user conversation stats if authenticated
+    if (userId) {
+      await UserModel.incrementUserStats(userId, 'total_conversations');
+    }
+  }
+
+  async handleChatMessage({ message, conversation_history = [], context = {}, sessionId = null, userId = null, clientIp = null }) {
     try {
       console.log('Processing chat message:', message.substring(0, 100) + '...');
       
@@ -18,17 +107,7 @@ export class ChatController {
         sessionId = this.generateSessionId();
       }
 
-      // Get conversation history from MongoDB if not provided
-      let historyToUse = conversation_history;
-      if (conversation_history.length === 0) {
-        const historyResult = await ConversationModel.getConversationHistory(sessionId);
-        if (historyResult.success) {
-          historyToUse = historyResult.messages.map(msg => ({
-            role: msg.role,
-            content: msg.content
-          }));
-        }
-      }
+      const historyToUse = await this.loadHistory(sessionId, conversation_history);
 
       // Store user message in MongoDB (with userId if authenticated)
       await ConversationModel.addMessage(sessionId, 'user', message, {
@@ -44,25 +123,14 @@ export class ChatController {
         });
       }
       
-      // Enhance message with context if available
-      let enhancedMessage = message;
-      if (context.current_search) {
-        enhancedMessage = `User is currently searching for: "${context.current_search}". ${message}`;
-      }
-      
-      if (context.filters && Object.keys(context.filters).length > 0) {
-        const filterDesc = this.formatFilters(context.filters);
-        enhancedMessage += ` Current filters: ${filterDesc}.`;
-      }
-
-      if (context.current_property) {
-        const property = context.current_property;
-        const locationStr = property.location ? `${property.location.neighbourhood || property.location.market || ''}, ${property.location.country || ''}`.replace(/^, /, '') : 'Unknown location';
-        enhancedMessage += ` User is currently viewing property: "${property.name}" (ID: ${property.id}) - ${property.features.property_type || 'Property'} for $${property.price}/night in ${locationStr}, ${property.features.bedrooms || 0} bedrooms, accommodates ${property.features.accommodates || 0} guests.`;
-      }
+      const enhancedMessage = this.buildEnhancedMessage(message, context);
 
       // Get response from RAG agent
-      const response = await rentalRAGAgent.chat(enhancedMessage, historyToUse, userId);
+      const response = await rentalRAGAgent.chat(enhancedMessage, historyToUse, {
+        userId,
+        sessionId,
+        viewedProperty: context.current_property || null
+      });
       
       if (!response.success) {
         // Still store the error response for debugging
@@ -79,40 +147,7 @@ export class ChatController {
         };
       }
 
-      // Store assistant response in MongoDB
-      await ConversationModel.addMessage(sessionId, 'assistant', response.message, {
-        tool_calls_made: response.toolCalls?.length || 0,
-        has_rental_results: response.metadata?.search_performed || false,
-        search_metadata: response.metadata || {},
-        timestamp: new Date().toISOString()
-      }, userId);
-
-      // Track search activity if authenticated and search was performed
-      if (userId && response.metadata?.search_performed) {
-        await this.trackUserActivity(userId, 'search_performed', {
-          search_query: enhancedMessage,
-          results_count: response.metadata.results_count || 0,
-          filters_used: context.filters || {}
-        });
-        
-        // Add to user's search history
-        await UserModel.addToSearchHistory(userId, message, context.filters || {});
-      }
-
-      // Update conversation metadata
-      await ConversationModel.updateConversationMetadata(sessionId, {
-        lastUserMessage: message,
-        lastAssistantResponse: response.message,
-        toolCallsInSession: (response.toolCalls?.length || 0),
-        lastSearchMetadata: response.metadata || {},
-        isAuthenticated: userId !== null,
-        userId: userId
-      });
-
-      // Increment user conversation stats if authenticated
-      if (userId) {
-        await UserModel.incrementUserStats(userId, 'total_conversations');
-      }
+      await this.saveAssistantResponse({ sessionId, userId, clientIp, message, enhancedMessage, context, response });
 
       return {
         success: true,
@@ -153,7 +188,36 @@ export class ChatController {
     }
   }
 
-  async handleStreamChat({ message, conversation_history = [], context = {}, sessionId = null, userId = null }) {
+  // Translate an Agents SDK stream event into the SSE event we expose, if any
+  toStreamEvent(event) {
+    if (event.type === 'raw_model_stream_event' && event.data?.type === 'output_text_delta') {
+      return { event: 'token', data: { delta: event.data.delta } };
+    }
+
+    if (event.type === 'run_item_stream_event') {
+      const rawItem = event.item?.rawItem || {};
+
+      if (event.name === 'tool_called') {
+        let parsedArguments = rawItem.arguments;
+        if (typeof parsedArguments === 'string') {
+          try {
+            parsedArguments = JSON.parse(parsedArguments);
+          } catch (e) {
+            // Keep the raw string if the model produced invalid JSON
+          }
+        }
+        return { event: 'tool_call_started', data: { name: rawItem.name, call_id: rawItem.callId, arguments: parsedArguments } };
+      }
+
+      if (event.name === 'tool_output') {
+        return { event: 'tool_call_finished', data: { name: rawItem.name, call_id: rawItem.callId } };
+      }
+    }
+
+    return null;
+  }
+
+  async handleStreamChat({ message, conversation_history = [], context = {}, sessionId = null, userId = null, clientIp = null }) {
     try {
       console.log('Processing stream chat message:', message.substring(0, 100) + '...');
       
@@ -162,17 +226,7 @@ export class ChatController {
         sessionId = this.generateSessionId();
       }
 
-      // Get conversation history from MongoDB if not provided
-      let historyToUse = conversation_history;
-      if (conversation_history.length === 0) {
-        const historyResult = await ConversationModel.getConversationHistory(sessionId);
-        if (historyResult.success) {
-          historyToUse = historyResult.messages.map(msg => ({
-            role: msg.role,
-            content: msg.content
-          }));
-        }
-      }
+      const historyToUse = await this.loadHistory(sessionId, conversation_history);
 
       // Store user message in MongoDB
       await ConversationModel.addMessage(sessionId, 'user', message, {
@@ -189,26 +243,106 @@ export class ChatController {
         });
       }
       
-      // Enhance message with context
-      let enhancedMessage = message;
-      if (context.current_search) {
-        enhancedMessage = `User is currently searching for: "${context.current_search}". ${message}`;
-      }
-      
-      if (context.filters && Object.keys(context.filters).length > 0) {
-        const filterDesc = this.formatFilters(context.filters);
-        enhancedMessage += ` Current filters: ${filterDesc}.`;
-      }
+      const enhancedMessage = this.buildEnhancedMessage(message, context);
 
       // Get streaming response from RAG agent
-      const stream = await rentalRAGAgent.streamChat(enhancedMessage, historyToUse);
-      
-      return {
-        success: true,
-        stream: stream,
+      const { stream, agentContext } = await rentalRAGAgent.streamChat(enhancedMessage, historyToUse, {
+        userId,
         sessionId,
-        timestamp: new Date().toISOString()
-      };
+        viewedProperty: context.current_property || null
+      });
+
+      const encoder = new TextEncoder();
+      let clientConnected = true;
+
+      const body = new ReadableStream({
+        start: async (controller) => {
+          // Keep consuming the run after a disconnect so the reply is still persisted
+          const send = (event, data) => {
+            if (!clientConnected) return;
+            try {
+              controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+            } catch (enqueueError) {
+              clientConnected = false;
+            }
+          };
+
+          try {
+            send('session', { sessionId });
+
+            for await (const event of stream) {
+              const streamEvent = this.toStreamEvent(event);
+              if (streamEvent) {
+                send(streamEvent.event, streamEvent.data);
+              }
+            }
+
+            await stream.completed;
+
+            const response = rentalRAGAgent.buildChatResponse(stream, enhancedMessage, agentContext);
+
+            send('metadata', {
+              tool_calls_made: response.toolCalls.length,
+              has_rental_results: response.metadata.search_performed || false,
+              search_metadata: response.metadata
+            });
+
+            await this.saveAssistantResponse({
+              sessionId,
+              userId,
+              clientIp,
+              message,
+              enhancedMessage,
+              context,
+              response,
+              extraMetadata: { stream_request: true }
+            });
+
+            send('done', {
+              sessionId,
+              message: response.message,
+              timestamp: new Date().toISOString()
+            });
+          } catch (error) {
+            console.error('Error while streaming chat response:', error);
+
+            send('error', {
+              message: "I'm having trouble processing your streaming request.",
+              error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+
+            try {
+              await ConversationModel.addMessage(sessionId, 'assistant', 
+                "I'm having trouble processing your streaming request.", 
+                { 
+                  error: true, 
+                  stream_request: true,
+                  error_details: error.message 
+                },
+                userId
+              );
+            } catch (logError) {
+              console.error('Failed to log error to conversation:', logError);
+            }
+          } finally {
+            if (clientConnected) {
+              controller.close();
+            }
+          }
+        },
+        cancel: () => {
+          clientConnected = false;
+        }
+      });
+
+      return new Response(body, {
+        headers: {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          'X-Session-Id': sessionId
+        }
+      });
     } catch (error) {
       console.error('Error in stream chat controller:', error);
       
@@ -0,0 +1,302 @@
+import { RentalModel, HOST_LISTING_PROJECTION, HIDDEN_LISTING_STATUSES } from '../models/rental.js';
+import { WishlistModel } from '../models/wishlist.js';
+import { BookingModel } from '../models/booking.js';
+import { ConversationModel } from '../models/conversation.js';
+import { AuthMiddleware } from '../middleware/auth.js';
+
+// Fields a listing needs before it can be published
+const PUBLISH_REQUIREMENTS = [
+  { field: 'name', check: (rental) => !!rental.name },
+  { field: 'property_type', check: (rental) => !!rental.property_type },
+  { field: 'price', check: (rental) => Number(rental.price) > 0 },
+  { field: 'images.picture_url', check: (rental) => !!rental.images?.picture_url },
+  { field: 'address', check: (rental) => !!(rental.address?.market || rental.address?.location) }
+];
+
+export class HostController {
+  // Listings owned by the caller. Imported host IDs are numbers while portal hosts
+  // use their user ID string, so both forms are matched. Admins see every listing,
+  // or one host's listings with ?host_id=. Returns null for a non-admin without a
+  // host ID, so callers refuse instead of falling back to every listing.
+  static buildOwnerQuery(auth, hostIdFilter) {
+    if (auth.role !== 'admin' && !auth.hostId) {
+      return null;
+    }
+
+    const hostId = auth.role === 'admin' ? hostIdFilter : auth.hostId;
+    if (!hostId) {
+      return {};
+    }
+
+    const variants = [hostId.toString()];
+    if (!isNaN(hostId)) {
+      variants.push(Number(hostId));
+    }
+    return { 'host.host_id': { $in: variants } };
+  }
+
+  // Every stored form of a rental ID, for collections that reference rentals loosely
+  static idVariants(id) {
+    const variants = [id, id.toString()];
+    if (typeof id === 'string' && !isNaN(id)) {
+      variants.push(Number(id));
+    }
+    return [...new Set(variants)];
+  }
+
+  // Load a listing in any status and check that the caller manages it (404 before 403)
+  async loadOwnedListing(id, auth) {
+    const rental = await new RentalModel().findForHost(id);
+
+    if (!rental) {
+      return {
+        success: false,
+        error: 'Listing not found',
+        statusCode: 404
+      };
+    }
+
+    if (!AuthMiddleware.canManageRental(auth, rental)) {
+      return {
+        success: false,
+        error: 'You can only manage your own listings',
+        statusCode: 403
+      };
+    }
+
+    return { success: true, rental };
+  }
+
+  // GET /host/listings - The caller's listings in every status, with save counts
+  async listMyListings({ query, auth }) {
+    try {
+      const { limit = 50, page = 1, status, host_id } = query;
+
+      const ownerQuery = HostController.buildOwnerQuery(auth, host_id);
+      if (!ownerQuery) {
+        return {
+          success: false,
+          error: 'Your account is not linked to a host profile',
+          statusCode: 403
+        };
+      }
+
+      if (status === 'published') {
+        ownerQuery.status = { $nin: HIDDEN_LISTING_STATUSES };
+      } else if (status) {
+        ownerQuery.status = status;
+      }
+
+      const result = await new RentalModel().findMany(ownerQuery, {
+        limit: parseInt(limit),
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        sort: { updated_at: -1 },
+        projection: HOST_LISTING_PROJECTION
+      });
+
+      const saves = await WishlistModel.countSaves(result.data.map(rental => rental._id));
+      const counts = saves.success ? saves.counts : {};
+
+      return {
+        success: true,
+        ...result,
+        data: result.data.map(rental => ({
+          ...rental,
+          status: rental.status || 'published',
+          saves: counts[rental._id.toString()] || 0
+        }))
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  // POST /host/listings - Create a draft owned by the caller
+  async createDraft({ body, auth }) {
+    try {
+      const result = await new RentalModel().create({
+        ...body,
+        host: {
+          host_name: auth.username,
+          host_id: auth.hostId || auth.userId
+        },
+        status: 'draft'
+      });
+
+      return {
+        success: true,
+        data: {
+          id: result.insertedId,
+          status: 'draft',
+          message: 'Draft listing created'
+        },
+        statusCode: 201
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  // GET /host/listings/:id - Full listing for the edit form
+  async getListing({ params, auth }) {
+    try {
+      const access = await this.loadOwnedListing(params.id, auth);
+      if (!access.success) {
+        return access;
+      }
+
+      return {
+        success: true,
+        data: { ...access.rental, status: access.rental.status || 'published' }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        statusCode: error.message.includes('Invalid') ? 400 : 500
+      };
+    }
+  }
+
+  // PATCH /host/listings/:id - Edit photos, amenities, pricing and details
+  async updateListing({ params, body, auth }) {
+    try {
+      const access = await this.loadOwnedListing(params.id, auth);
+      if (!access.success) {
+        return access;
+      }
+
+      if (Object.keys(body).length === 0) {
+        return {
+          success: false,
+          error: 'No changes provided',
+          statusCode: 400
+        };
+      }
+
+      // Nested objects are merged so a partial edit (e.g. just the photo URL) keeps the rest
+      const updateData = { ...body };
+      for (const field of ['images', 'address']) {
+        if (body[field]) {
+          updateData[field] = { ...(access.rental[field] || {}), ...body[field] };
+        }
+      }
+
+      const result = await new RentalModel().updateById(params.id, updateData);
+
+      return {
+        success: true,
+        data: {
+          message: 'Listing updated',
+          modifiedCount: result.modifiedCount
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        statusCode: error.message.includes('Invalid') ? 400 : 500
+      };
+    }
+  }
+
+  // POST /host/listings/:id/publish and /unpublish
+  async setPublished({ params, auth }, published) {
+    try {
+      const access = await this.loadOwnedListing(params.id, auth);
+      if (!access.success) {
+        return access;
+      }
+
+      if (published) {
+        const missing = PUBLISH_REQUIREMENTS
+          .filter(requirement => !requirement.check(access.rental))
+          .map(requirement => requirement.field);
+
+        if (missing.length > 0) {
+          return {
+            success: false,
+            error: `Complete these fields before publishing: ${missing.join(', ')}`,
+            missing,
+            statusCode: 400
+          };
+        }
+      }
+
+      const status = published ? 'published' : 'unpublished';
+      const updateData = { status };
+      if (published && !access.rental.published_at) {
+        updateData.published_at = new Date();
+      }
+
+      await new RentalModel().updateById(params.id, updateData);
+
+      return {
+        success: true,
+        data: {
+          id: access.rental._id,
+          status,
+          message: published ? 'Listing published' : 'Listing unpublished'
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        statusCode: error.message.includes('Invalid') ? 400 : 500
+      };
+    }
+  }
+
+  // GET /host/listings/:id/performance - Saves, chat mentions and bookings
+  async getPerformance({ params, auth }) {
+    try {
+      const access = await this.loadOwnedListing(params.id, auth);
+      if (!access.success) {
+        return access;
+      }
+
+      const rentalId = access.rental._id;
+      const [saves, mentions, bookings] = await Promise.all([
+        WishlistModel.countSaves([rentalId]),
+        ConversationModel.getRentalMentions(HostController.idVariants(rentalId)),
+        BookingModel.getRentalBookingStats(rentalId)
+      ]);
+
+      const failed = [saves, mentions, bookings].find(result => !result.success);
+      if (failed) {
+        return {
+          success: false,
+          error: failed.error,
+          statusCode: 500
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          id: rentalId,
+          name: access.rental.name,
+          status: access.rental.status || 'published',
+          saves: saves.counts[rentalId.toString()] || 0,
+          chat: mentions.stats,
+          bookings: bookings.stats
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        statusCode: error.message.includes('Invalid') ? 400 : 500
+      };
+    }
+  }
+}
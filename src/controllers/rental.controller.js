@@ -1,10 +1,51 @@
 import { RentalModel } from '../models/rental.js';
+import { BookingModel } from '../models/booking.js';
+import { vectorSearchService } from '../services/vector-search.service.js';
+import { embeddingCache } from '../services/embedding-cache.service.js';
+import { geoService } from '../services/geo.service.js';
+import { comparisonService } from '../services/comparison.service.js';
+import { AuthMiddleware } from '../middleware/auth.js';
 
 export class RentalController {
   constructor() {
     this.rentalModel = new RentalModel();
   }
 
+  // Resolve checkin/checkout query params into the IDs of rentals booked for that stay
+  async getUnavailableRentalIds({ checkin, checkout }) {
+    if (!checkin && !checkout) {
+      return { unavailableIds: [] };
+    }
+
+    const checkinDate = BookingModel.parseDate(checkin);
+    const checkoutDate = BookingModel.parseDate(checkout);
+
+    if (!checkinDate || !checkoutDate || checkoutDate <= checkinDate) {
+      return { error: 'checkin and checkout must both be YYYY-MM-DD dates with checkout after checkin' };
+    }
+
+    const result = await BookingModel.getUnavailableRentalIds(checkinDate, checkoutDate);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { unavailableIds: result.rentalIds };
+  }
+
+  // Resolve near/radius_km/bbox query params and check that sorting by distance has a point
+  parseGeoQuery({ near, radius_km, bbox }, sortBy) {
+    const { geo, error } = geoService.parseGeoParams({ near, radius_km, bbox });
+    if (error) {
+      return { error };
+    }
+
+    if (sortBy === 'distance' && !geo?.near) {
+      return { error: 'sortBy=distance requires near' };
+    }
+
+    return { geo };
+  }
+
   // GET /rentals - List rentals with filters
   async getAllRentals({ query }) {
     try {
@@ -14,9 +55,32 @@ export class RentalController {
         page = 1,
         sortBy = 'price',
         sortOrder = 1,
+        checkin,
+        checkout,
+        near,
+        radius_km,
+        bbox,
         ...filters
       } = query;
 
+      const geoQuery = this.parseGeoQuery({ near, radius_km, bbox }, sortBy);
+      if (geoQuery.error) {
+        return {
+          success: false,
+          error: geoQuery.error,
+          statusCode: 400
+        };
+      }
+
+      const availability = await this.getUnavailableRentalIds({ checkin, checkout });
+      if (availability.error) {
+        return {
+          success: false,
+          error: availability.error,
+          statusCode: 400
+        };
+      }
+
       // Calculate skip based on page if provided
       const actualSkip = page > 1 ? (parseInt(page) - 1) * parseInt(limit) : parseInt(skip);
       
@@ -25,12 +89,17 @@ export class RentalController {
       const sort = { [sortBy]: sortOrderNum };
       
       // Build search query from filters
-      const searchQuery = RentalModel.buildSearchQuery(filters);
+      const searchQuery = RentalModel.buildSearchQuery({
+        ...filters,
+        unavailable_ids: availability.unavailableIds,
+        geo: geoQuery.geo
+      });
       
       const result = await this.rentalModel.findMany(searchQuery, {
         limit: parseInt(limit),
         skip: actualSkip,
-        sort
+        sort,
+        near: geoQuery.geo?.near
       });
 
       return {
@@ -51,7 +120,8 @@ export class RentalController {
       const { id } = params;
       const rental = await this.rentalModel.findById(id, true); // detailed = true
       
-      if (!rental) {
+      // Drafts and unpublished listings are only visible in the host portal
+      if (!rental || RentalModel.isHidden(rental)) {
         return {
           success: false,
           error: 'Rental not found',
@@ -72,8 +142,50 @@ export class RentalController {
     }
   }
 
+  // GET /rentals/compare - Listings side by side, optionally priced for a stay
+  async compareRentals({ query }) {
+    const { ids, checkin, checkout, guests } = query;
+    return await comparisonService.compareRentals(ids, { checkin, checkout, guests });
+  }
+
+  // Load a rental and check that the caller may change it (404 before 403)
+  async checkRentalAccess(id, auth) {
+    const rental = await this.rentalModel.findById(id);
+    
+    if (!rental) {
+      return {
+        success: false,
+        error: 'Rental not found',
+        statusCode: 404
+      };
+    }
+    
+    if (!AuthMiddleware.canManageRental(auth, rental)) {
+      return {
+        success: false,
+        error: 'You can only manage your own listings',
+        statusCode: 403
+      };
+    }
+    
+    return { success: true, rental };
+  }
+
+  // Hosts can't hand listings to another host; admins may set host.host_id freely
+  applyHostOwnership(data, auth) {
+    if (auth?.role === 'admin') {
+      return data;
+    }
+
+    const { 'host.host_id': _, ...rest } = data;
+    if (rest.host) {
+      rest.host = { ...rest.host, host_id: auth.hostId };
+    }
+    return rest;
+  }
+
   // POST /rentals - Create new rental
-  async createRental({ body }) {
+  async createRental({ body, auth }) {
     try {
       // Basic validation
       if (!body.name || !body.property_type || !body.price) {
@@ -84,7 +196,15 @@ export class RentalController {
         };
       }
 
-      const result = await this.rentalModel.create(body);
+      // Listings created by hosts belong to them
+      const rentalData = auth?.role === 'host'
+        ? this.applyHostOwnership({
+            ...body,
+            host: { host_name: auth.username, ...(body.host || {}) }
+          }, auth)
+        : body;
+
+      const result = await this.rentalModel.create(rentalData);
       
       return {
         success: true,
@@ -104,10 +224,16 @@ export class RentalController {
   }
 
   // PUT /rentals/:id - Update rental
-  async updateRental({ params, body }) {
+  async updateRental({ params, body, auth }) {
     try {
       const { id } = params;
-      const result = await this.rentalModel.updateById(id, body);
+      
+      const access = await this.checkRentalAccess(id, auth);
+      if (!access.success) {
+        return access;
+      }
+      
+      const result = await this.rentalModel.updateById(id, this.applyHostOwnership(body, auth));
       
       if (result.matchedCount === 0) {
         return {
@@ -134,9 +260,15 @@ export class RentalController {
   }
 
   // DELETE /rentals/:id - Delete rental
-  async deleteRental({ params }) {
+  async deleteRental({ params, auth }) {
     try {
       const { id } = params;
+      
+      const access = await this.checkRentalAccess(id, auth);
+      if (!access.success) {
+        return access;
+      }
+      
       const result = await this.rentalModel.deleteById(id);
       
       if (result.deletedCount === 0) {
@@ -174,14 +306,37 @@ export class RentalController {
         ...searchParams
       } = query;
 
+      const geoQuery = this.parseGeoQuery(searchParams, sortBy);
+      if (geoQuery.error) {
+        return {
+          success: false,
+          error: geoQuery.error,
+          statusCode: 400
+        };
+      }
+
+      const availability = await this.getUnavailableRentalIds(searchParams);
+      if (availability.error) {
+        return {
+          success: false,
+          error: availability.error,
+          statusCode: 400
+        };
+      }
+
       const actualSkip = page > 1 ? (parseInt(page) - 1) * parseInt(limit) : parseInt(skip);
       const sortOrderNum = typeof sortOrder === 'string' ? parseInt(sortOrder) : sortOrder;
       const sort = { [sortBy]: sortOrderNum };
       
-      const result = await this.rentalModel.search(searchParams, {
+      const result = await this.rentalModel.search({
+        ...searchParams,
+        unavailable_ids: availability.unavailableIds,
+        geo: geoQuery.geo
+      }, {
         limit: parseInt(limit),
         skip: actualSkip,
-        sort
+        sort,
+        near: geoQuery.geo?.near
       });
 
       return {
@@ -197,6 +352,57 @@ export class RentalController {
     }
   }
 
+  // GET /search/hybrid - Hybrid vector + full-text search with score breakdowns
+  async hybridSearch({ query }) {
+    try {
+      const {
+        q,
+        limit = 10,
+        vector_weight,
+        text_weight,
+        rrf_k,
+        ...filters
+      } = query;
+
+      const options = {};
+      if (vector_weight !== undefined) options.vectorWeight = parseFloat(vector_weight);
+      if (text_weight !== undefined) options.textWeight = parseFloat(text_weight);
+      if (rrf_k !== undefined) options.rrfK = parseInt(rrf_k);
+
+      const { error: geoError } = geoService.parseGeoParams(filters);
+      if (geoError) {
+        return {
+          success: false,
+          error: geoError,
+          statusCode: 400
+        };
+      }
+
+      if (options.vectorWeight === 0 && options.textWeight === 0) {
+        return {
+          success: false,
+          error: 'At least one of vector_weight and text_weight must be greater than 0',
+          statusCode: 400
+        };
+      }
+
+      const results = await vectorSearchService.hybridSearch(q, filters, parseInt(limit), options);
+
+      return {
+        success: true,
+        query: q,
+        filters,
+        count: results.length,
+        data: results
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // GET /stats - Get statistics
   async getStats() {
     try {
@@ -204,7 +410,10 @@ export class RentalController {
       
       return {
         success: true,
-        data: stats
+        data: {
+          ...stats,
+          embedding_cache: embeddingCache.getStats()
+        }
       };
     } catch (error) {
       return {
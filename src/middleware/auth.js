@@ -1,16 +1,21 @@
+import { Elysia } from 'elysia';
 import jwt from 'jsonwebtoken';
-import { UserModel } from '../models/user.js';
+import { UserModel, DEFAULT_ROLE } from '../models/user.js';
+import { SessionModel } from '../models/session.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; clients renew them with a refresh token (POST /auth/refresh)
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 export class AuthMiddleware {
-  static generateToken(userId, username) {
-    return jwt.sign(
-      { userId, username },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+  // sessionId is the refresh token family the access token was issued for
+  static generateToken(userId, username, role = DEFAULT_ROLE, sessionId = null) {
+    const payload = { userId, username, role };
+    if (sessionId) {
+      payload.sid = sessionId;
+    }
+
+    return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
   }
 
   static verifyToken(token) {
@@ -21,79 +26,85 @@ export class AuthMiddleware {
     }
   }
 
-  static async authenticateToken(req, res, next) {
-    try {
-      const authHeader = req.headers.authorization;
-      const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
-      if (!token) {
-        return res.status(401).json({
-          success: false,
-          error: 'Access token required'
-        });
-      }
+  static getBearerToken(headers) {
+    const authHeader = headers?.authorization;
+    return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  }
 
-      const decoded = AuthMiddleware.verifyToken(token);
-      if (!decoded) {
-        return res.status(403).json({
-          success: false,
-          error: 'Invalid or expired token'
-        });
-      }
+  // Resolve the caller from the Authorization header. 401 means "who are you?"
+  // (missing/invalid/expired token, deleted user); roles and ownership are 403s.
+  // The role comes from the user record, so role changes apply to existing tokens.
+  static async authenticate(headers) {
+    const token = AuthMiddleware.getBearerToken(headers);
+    if (!token) {
+      return { success: false, statusCode: 401, error: 'Access token required' };
+    }
 
-      // Get user details
-      const userResult = await UserModel.getUserById(decoded.userId);
-      if (!userResult.success) {
-        return res.status(403).json({
-          success: false,
-          error: 'User not found'
-        });
-      }
+    const decoded = AuthMiddleware.verifyToken(token);
+    if (!decoded) {
+      return { success: false, statusCode: 401, error: 'Invalid or expired token' };
+    }
 
-      // Add user info to request
-      req.user = userResult.user;
-      req.userId = decoded.userId;
-      
-      next();
-    } catch (error) {
-      console.error('Auth middleware error:', error);
-      return res.status(500).json({
-        success: false,
-        error: 'Authentication error'
-      });
+    // Logging out revokes the session, which also ends its outstanding access tokens
+    if (decoded.sid && await SessionModel.isFamilyRevoked(decoded.sid)) {
+      return { success: false, statusCode: 401, error: 'Session has been signed out' };
     }
-  }
 
-  static async optionalAuth(req, res, next) {
-    try {
-      const authHeader = req.headers.authorization;
-      const token = authHeader && authHeader.split(' ')[1];
-
-      if (token) {
-        const decoded = AuthMiddleware.verifyToken(token);
-        if (decoded) {
-          const userResult = await UserModel.getUserById(decoded.userId);
-          if (userResult.success) {
-            req.user = userResult.user;
-            req.userId = decoded.userId;
-          }
-        }
-      }
-      
-      next();
-    } catch (error) {
-      console.error('Optional auth middleware error:', error);
-      next(); // Continue without auth
+    const userResult = await UserModel.getUserById(decoded.userId);
+    if (!userResult.success) {
+      return { success: false, statusCode: 401, error: 'User not found' };
     }
+
+    return {
+      success: true,
+      auth: {
+        userId: decoded.userId,
+        username: userResult.user.username,
+        role: UserModel.getRole(userResult.user),
+        hostId: userResult.user.host_id || null,
+        sessionId: decoded.sid || null,
+        user: userResult.user
+      }
+    };
   }
 
-  static requireAuth(req, res, next) {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required'
-      });
-    }
-    next();
+  // Admins manage every listing; hosts only listings whose host.host_id is theirs
+  static canManageRental(auth, rental) {
+    if (auth?.role === 'admin') return true;
+
+    return auth?.role === 'host' &&
+      !!auth.hostId &&
+      rental?.host?.host_id !== undefined &&
+      rental.host.host_id.toString() === auth.hostId;
   }
 }
+
+// Elysia plugin that authenticates the caller and derives `auth`, `user` and `userId`
+// onto the context. Routes (or a whole group via .guard) choose a mode:
+//   { auth: 'required' }         - 401 unless the caller has a valid token
+//   { auth: 'optional' }         - callers without a token continue as guests (user/userId null)
+//   { auth: ['host', 'admin'] }  - required, and 403 unless the user has one of these roles
+// A token that is sent but invalid, expired or revoked is a 401 in every mode, so clients
+// refresh it instead of silently continuing as a guest.
+export const authPlugin = new Elysia({ name: 'auth' })
+  .macro({
+    auth: (mode) => ({
+      async resolve({ headers, status }) {
+        if (mode === 'optional' && !AuthMiddleware.getBearerToken(headers)) {
+          return { auth: null, user: null, userId: null };
+        }
+
+        const result = await AuthMiddleware.authenticate(headers);
+        if (!result.success) {
+          return status(result.statusCode, { success: false, error: result.error });
+        }
+
+        const roles = Array.isArray(mode) ? mode : [];
+        if (roles.length > 0 && !roles.includes(result.auth.role)) {
+          return status(403, { success: false, error: `This action requires the ${roles.join(' or ')} role` });
+        }
+
+        return { auth: result.auth, user: result.auth.user, userId: result.auth.userId };
+      }
+    })
+  });
@@ -0,0 +1,269 @@
+import { Elysia } from 'elysia';
+import { DatabaseManager } from '../config/database.js';
+import { AuthMiddleware } from './auth.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Rate limit stores count hits per key in fixed windows and share one interface:
+//   increment(key, amount, windowMs) - add to the current window, resolves to { count, resetAt }
+//   get(key, windowMs)               - current window without changing it, resolves to { count, resetAt }
+// Windows are aligned to multiples of windowMs, so daily windows reset at UTC midnight.
+// The store is chosen with RATE_LIMIT_STORE (memory | mongodb).
+
+function getWindow(windowMs, now = Date.now()) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, resetAt: new Date(start + windowMs) };
+}
+
+// Per-process counters; fine for a single server, reset on restart
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.windows = new Map();
+    this.writes = 0;
+  }
+
+  // Drop finished windows now and then so the map doesn't grow forever
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.windows) {
+      if (entry.resetAt.getTime() <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+
+  async increment(key, amount, windowMs) {
+    const { start, resetAt } = getWindow(windowMs);
+    const windowKey = `${key}:${start}`;
+
+    if (++this.writes % 1000 === 0) {
+      this.prune();
+    }
+
+    const entry = this.windows.get(windowKey) || { count: 0, resetAt };
+    entry.count += amount;
+    this.windows.set(windowKey, entry);
+
+    return { count: entry.count, resetAt };
+  }
+
+  async get(key, windowMs) {
+    const { start, resetAt } = getWindow(windowMs);
+    return { count: this.windows.get(`${key}:${start}`)?.count || 0, resetAt };
+  }
+}
+
+// Counters shared by every server instance, in the rate_limits collection
+class MongoRateLimitStore {
+  constructor() {
+    this.name = 'mongodb';
+  }
+
+  getCollection() {
+    return DatabaseManager.getDatabase().collection('rate_limits');
+  }
+
+  async ensureIndexes() {
+    await this.getCollection().createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  async increment(key, amount, windowMs) {
+    const { start, resetAt } = getWindow(windowMs);
+    const update = [
+      { _id: `${key}:${start}` },
+      { $inc: { count: amount }, $setOnInsert: { expires_at: resetAt } },
+      { upsert: true, returnDocument: 'after' }
+    ];
+
+    let doc;
+    try {
+      doc = await this.getCollection().findOneAndUpdate(...update);
+    } catch (error) {
+      // Two first hits in the same window can race on the upsert; the retry updates the winner
+      if (error.code !== 11000) throw error;
+      doc = await this.getCollection().findOneAndUpdate(...update);
+    }
+
+    return { count: doc.count, resetAt };
+  }
+
+  async get(key, windowMs) {
+    const { start, resetAt } = getWindow(windowMs);
+    const doc = await this.getCollection().findOne({ _id: `${key}:${start}` });
+    return { count: doc?.count || 0, resetAt };
+  }
+}
+
+const STORES = {
+  memory: MemoryRateLimitStore,
+  mongodb: MongoRateLimitStore
+};
+
+export function createRateLimitStore({ store = process.env.RATE_LIMIT_STORE || 'memory' } = {}) {
+  const Store = STORES[store];
+  if (!Store) {
+    throw new Error(`Unknown rate limit store "${store}". Use one of: ${Object.keys(STORES).join(', ')}`);
+  }
+
+  return new Store();
+}
+
+// per: 'ip' counts by client IP; 'user' counts by user ID for signed-in callers, else by IP
+export const RATE_LIMIT_POLICIES = {
+  // Every request, per IP
+  api: { windowMs: MINUTE_MS, max: parseInt(process.env.RATE_LIMIT_API_PER_MINUTE) || 300, per: 'ip' },
+  login: { windowMs: MINUTE_MS, max: 10, per: 'ip' },
+  // Failed logins only; checked before each attempt
+  login_failures: { windowMs: 15 * MINUTE_MS, max: 20, per: 'ip' },
+  register: { windowMs: HOUR_MS, max: 10, per: 'ip' },
+  password_reset: { windowMs: HOUR_MS, max: 5, per: 'ip' },
+  chat: { windowMs: MINUTE_MS, max: 20, per: 'user' },
+  // Daily OpenAI token budgets for the chat assistant
+  chat_tokens_anonymous: { windowMs: DAY_MS, max: parseInt(process.env.CHAT_DAILY_TOKENS_ANONYMOUS) || 50000, per: 'ip' },
+  chat_tokens_user: { windowMs: DAY_MS, max: parseInt(process.env.CHAT_DAILY_TOKENS_USER) || 500000, per: 'user' }
+};
+
+export class RateLimiter {
+  constructor(store, policies = RATE_LIMIT_POLICIES) {
+    this.store = store;
+    this.policies = policies;
+  }
+
+  getPolicy(name) {
+    const policy = this.policies[name];
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy "${name}"`);
+    }
+    return policy;
+  }
+
+  buildResult(policy, { count, resetAt }) {
+    const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+    return {
+      allowed: count <= policy.max,
+      limit: policy.max,
+      remaining: Math.max(0, policy.max - count),
+      resetAt,
+      retryAfter
+    };
+  }
+
+  // Count `amount` against the key's bucket. A store outage lets requests through
+  // rather than taking the API down with it.
+  async consume(policyName, key, amount = 1) {
+    const policy = this.getPolicy(policyName);
+    try {
+      const window = await this.store.increment(`${policyName}:${key}`, amount, policy.windowMs);
+      return this.buildResult(policy, window);
+    } catch (error) {
+      console.error(`Rate limit store error (${policyName}):`, error.message);
+      return { allowed: true, limit: policy.max, remaining: policy.max, resetAt: null, retryAfter: 0 };
+    }
+  }
+
+  // Whether the bucket still has room, without using any of it
+  async peek(policyName, key) {
+    const policy = this.getPolicy(policyName);
+    try {
+      const window = await this.store.get(`${policyName}:${key}`, policy.windowMs);
+      return { ...this.buildResult(policy, window), allowed: window.count < policy.max };
+    } catch (error) {
+      console.error(`Rate limit store error (${policyName}):`, error.message);
+      return { allowed: true, limit: policy.max, remaining: policy.max, resetAt: null, retryAfter: 0 };
+    }
+  }
+
+  // Bucket key for a request under the policy's `per` setting
+  getKey(policyName, { headers, ip }) {
+    if (this.getPolicy(policyName).per === 'user') {
+      const token = AuthMiddleware.getBearerToken(headers);
+      const decoded = token ? AuthMiddleware.verifyToken(token) : null;
+      if (decoded?.userId) {
+        return `user:${decoded.userId}`;
+      }
+    }
+    return `ip:${ip}`;
+  }
+}
+
+export const rateLimiter = new RateLimiter(createRateLimitStore());
+
+// Number of reverse proxies in front of the server (TRUST_PROXY=true means one). Off by
+// default: X-Forwarded-For and X-Real-IP are sent by clients too, so they're only
+// believed when a proxy we run sets them.
+export const TRUSTED_PROXIES = parseTrustProxy(process.env.TRUST_PROXY);
+
+function parseTrustProxy(value) {
+  if (value === 'true') return 1;
+  return Math.max(parseInt(value) || 0, 0);
+}
+
+// Client IP: the socket address, or with trusted proxies the address the outermost of
+// them saw. Each proxy appends to X-Forwarded-For, so entries left of that are the
+// client's own and ignored.
+export function getClientIp(headers = {}, request = null, server = null, trustedProxies = TRUSTED_PROXIES) {
+  if (trustedProxies > 0) {
+    const forwarded = (headers['x-forwarded-for'] || '').split(',').map(ip => ip.trim()).filter(Boolean);
+    if (forwarded.length > 0) {
+      return forwarded[Math.max(forwarded.length - trustedProxies, 0)];
+    }
+    if (headers['x-real-ip']) return headers['x-real-ip'];
+  }
+
+  try {
+    return server?.requestIP?.(request)?.address || 'unknown';
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+export function rateLimitHeaders(result) {
+  if (!result.resetAt) {
+    return {};
+  }
+
+  return {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.retryAfter)
+  };
+}
+
+export function tooManyRequests(result, error = 'Too many requests, please try again later') {
+  return new Response(JSON.stringify({ success: false, error, retry_after: result.retryAfter }), {
+    status: 429,
+    headers: {
+      'Content-Type': 'application/json',
+      'Retry-After': String(result.retryAfter),
+      ...rateLimitHeaders(result)
+    }
+  });
+}
+
+// Applies the per-IP `api` policy to every request, and lets routes add a stricter
+// policy with { rateLimit: 'login' }. Blocked requests get a 429 with Retry-After.
+export const rateLimitMiddleware = new Elysia({ name: 'rate-limit' })
+  .onRequest(async ({ request, server }) => {
+    if (request.method === 'OPTIONS') return;
+
+    const headers = Object.fromEntries(request.headers);
+    const result = await rateLimiter.consume('api', `ip:${getClientIp(headers, request, server)}`);
+    if (!result.allowed) {
+      return tooManyRequests(result);
+    }
+  })
+  .macro({
+    rateLimit: (policyName) => ({
+      async beforeHandle({ request, headers, server, set }) {
+        const key = rateLimiter.getKey(policyName, { headers, ip: getClientIp(headers, request, server) });
+        const result = await rateLimiter.consume(policyName, key);
+
+        if (!result.allowed) {
+          return tooManyRequests(result);
+        }
+        set.headers = { ...set.headers, ...rateLimitHeaders(result) };
+      }
+    })
+  });
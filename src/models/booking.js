@@ -0,0 +1,309 @@
+import { DatabaseManager } from '../config/database.js';
+import { ObjectId } from 'mongodb';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bookings of one rental are serialized through a lock document per rental, so two
+// requests can't both pass the availability check and insert overlapping stays. A lock
+// left behind by a crashed request expires on its own.
+const BOOKING_LOCK_TTL_MS = 10 * 1000;
+const BOOKING_LOCK_ATTEMPTS = 40;
+const BOOKING_LOCK_RETRY_MS = 50;
+
+export class BookingModel {
+  static getCollection() {
+    const db = DatabaseManager.getDatabase();
+    return db.collection('bookings');
+  }
+
+  static getLockCollection() {
+    const db = DatabaseManager.getDatabase();
+    return db.collection('booking_locks');
+  }
+
+  // Take the rental's booking lock, waiting for a concurrent booking to finish.
+  // Returns the lock token, or null if the lock stayed busy.
+  static async acquireRentalLock(rentalId) {
+    const collection = this.getLockCollection();
+    const token = new ObjectId();
+
+    for (let attempt = 0; attempt < BOOKING_LOCK_ATTEMPTS; attempt++) {
+      const now = new Date();
+      try {
+        // Matches a missing or expired lock; a live one makes the upsert collide on _id
+        await collection.updateOne(
+          { _id: rentalId.toString(), expires_at: { $lte: now } },
+          { $set: { token, expires_at: new Date(now.getTime() + BOOKING_LOCK_TTL_MS) } },
+          { upsert: true }
+        );
+        return token;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, BOOKING_LOCK_RETRY_MS));
+    }
+
+    return null;
+  }
+
+  // Only the holder's token releases the lock, so an expired lock taken over by
+  // another request isn't freed by the slow one
+  static async releaseRentalLock(rentalId, token) {
+    await this.getLockCollection().deleteOne({ _id: rentalId.toString(), token });
+  }
+
+  // Parse a YYYY-MM-DD date string into a UTC midnight Date (null if invalid). Dates that
+  // don't exist, like 2025-02-30, are rejected rather than rolled over into the next month.
+  static parseDate(value) {
+    if (!value || typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return null;
+    }
+
+    const date = new Date(`${value}T00:00:00.000Z`);
+    if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+      return null;
+    }
+    return date;
+  }
+
+  // Number of nights between two UTC midnight dates
+  static countNights(checkin, checkout) {
+    return Math.round((checkout.getTime() - checkin.getTime()) / DAY_MS);
+  }
+
+  // Two stays overlap when one starts before the other ends (checkout day is free)
+  static buildOverlapQuery(checkin, checkout) {
+    return {
+      status: 'confirmed',
+      checkin: { $lt: checkout },
+      checkout: { $gt: checkin }
+    };
+  }
+
+  static async findOverlapping(rentalId, checkin, checkout) {
+    try {
+      const collection = this.getCollection();
+      const bookings = await collection.find({
+        rental_id: rentalId,
+        ...this.buildOverlapQuery(checkin, checkout)
+      }).toArray();
+
+      return { success: true, bookings };
+    } catch (error) {
+      console.error('Error finding overlapping bookings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async isRentalAvailable(rentalId, checkin, checkout) {
+    const result = await this.findOverlapping(rentalId, checkin, checkout);
+    if (!result.success) {
+      return result;
+    }
+
+    return { success: true, isAvailable: result.bookings.length === 0 };
+  }
+
+  // IDs of rentals with at least one confirmed stay overlapping the range
+  static async getUnavailableRentalIds(checkin, checkout) {
+    try {
+      const collection = this.getCollection();
+      const rentalIds = await collection.distinct(
+        'rental_id',
+        this.buildOverlapQuery(checkin, checkout)
+      );
+
+      return { success: true, rentalIds };
+    } catch (error) {
+      console.error('Error getting unavailable rental IDs:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Availability is checked and the booking inserted while holding the rental's lock
+  static async createBooking({ rentalId, userId, checkin, checkout, guests, quote }) {
+    let lockToken = null;
+    try {
+      const collection = this.getCollection();
+
+      lockToken = await this.acquireRentalLock(rentalId);
+      if (!lockToken) {
+        return { success: false, conflict: true, error: 'Another booking for this rental is in progress, please try again' };
+      }
+
+      const availability = await this.isRentalAvailable(rentalId, checkin, checkout);
+      if (!availability.success) {
+        return availability;
+      }
+      if (!availability.isAvailable) {
+        return { success: false, conflict: true, error: 'Rental is not available for the selected dates' };
+      }
+
+      const booking = {
+        rental_id: rentalId,
+        user_id: userId,
+        checkin,
+        checkout,
+        nights: this.countNights(checkin, checkout),
+        guests,
+        quote,
+        total_price: quote.total,
+        status: 'confirmed',
+        created_at: new Date(),
+        updated_at: new Date()
+      };
+
+      const result = await collection.insertOne(booking);
+
+      return { success: true, booking: { ...booking, _id: result.insertedId } };
+    } catch (error) {
+      console.error('Error creating booking:', error);
+      return { success: false, error: error.message };
+    } finally {
+      if (lockToken) {
+        await this.releaseRentalLock(rentalId, lockToken).catch(error => {
+          console.error('Error releasing booking lock:', error);
+        });
+      }
+    }
+  }
+
+  static async cancelBooking(bookingId, userId) {
+    try {
+      if (!ObjectId.isValid(bookingId)) {
+        return { success: false, error: 'Invalid booking ID format' };
+      }
+
+      const collection = this.getCollection();
+      const booking = await collection.findOne({ _id: new ObjectId(bookingId) });
+
+      if (!booking || booking.user_id !== userId) {
+        return { success: false, notFound: true, error: 'Booking not found' };
+      }
+
+      if (booking.status === 'cancelled') {
+        return { success: false, conflict: true, error: 'Booking is already cancelled' };
+      }
+
+      await collection.updateOne(
+        { _id: booking._id },
+        {
+          $set: {
+            status: 'cancelled',
+            cancelled_at: new Date(),
+            updated_at: new Date()
+          }
+        }
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error cancelling booking:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getBookingsByUser(userId, includeCancelled = false) {
+    try {
+      const collection = this.getCollection();
+      const query = { user_id: userId };
+      if (!includeCancelled) {
+        query.status = 'confirmed';
+      }
+
+      const bookings = await collection
+        .find(query)
+        .sort({ checkin: 1 })
+        .toArray();
+
+      return { success: true, bookings };
+    } catch (error) {
+      console.error('Error getting user bookings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The user's most recent stay at a rental that has ended (what makes a review a verified stay)
+  static async findCompletedStay(rentalId, userId, now = new Date()) {
+    try {
+      const collection = this.getCollection();
+      const [booking = null] = await collection
+        .find({ rental_id: rentalId, user_id: userId, status: 'confirmed', checkout: { $lte: now } })
+        .sort({ checkout: -1 })
+        .limit(1)
+        .toArray();
+
+      return { success: true, booking };
+    } catch (error) {
+      console.error('Error finding completed stay:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // When an account is deleted its upcoming stays are cancelled to free the dates, and every
+  // booking is kept for the host's records without the link to the user
+  static async detachUser(userId, now = new Date()) {
+    try {
+      const collection = this.getCollection();
+
+      const cancelled = await collection.updateMany(
+        { user_id: userId, status: 'confirmed', checkin: { $gte: now } },
+        { $set: { status: 'cancelled', cancelled_at: now, cancelled_reason: 'account_deleted', updated_at: now } }
+      );
+      const detached = await collection.updateMany(
+        { user_id: userId },
+        { $set: { user_id: null, user_deleted: true, updated_at: now } }
+      );
+
+      return { success: true, cancelled: cancelled.modifiedCount, detached: detached.modifiedCount };
+    } catch (error) {
+      console.error('Error detaching user bookings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Booking totals for a rental's host dashboard
+  static async getRentalBookingStats(rentalId, now = new Date()) {
+    try {
+      const collection = this.getCollection();
+      const [stats] = await collection.aggregate([
+        { $match: { rental_id: rentalId, status: 'confirmed' } },
+        {
+          $group: {
+            _id: null,
+            confirmed: { $sum: 1 },
+            upcoming: { $sum: { $cond: [{ $gt: ['$checkin', now] }, 1, 0] } },
+            nights_booked: { $sum: '$nights' },
+            revenue: { $sum: '$total_price' }
+          }
+        }
+      ]).toArray();
+
+      const { _id, ...totals } = stats || { confirmed: 0, upcoming: 0, nights_booked: 0, revenue: 0 };
+      return { success: true, stats: totals };
+    } catch (error) {
+      console.error('Error getting rental booking stats:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Occupied date ranges for a rental - guest details are never exposed here
+  static async getBookedRanges(rentalId, from = new Date()) {
+    try {
+      const collection = this.getCollection();
+      const bookings = await collection
+        .find(
+          { rental_id: rentalId, status: 'confirmed', checkout: { $gt: from } },
+          { projection: { _id: 0, checkin: 1, checkout: 1 } }
+        )
+        .sort({ checkin: 1 })
+        .toArray();
+
+      return { success: true, bookings };
+    } catch (error) {
+      console.error('Error getting rental bookings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -32,7 +32,7 @@ export class ConversationModel {
     }
   }
 
-  static async addMessage(sessionId, role, content, metadata = {}, userId = null) {
+  static async addMessage(sessionId, role, content, metadata = {}, userId = null, runItems = null) {
     try {
       const collection = this.getCollection();
       const message = {
@@ -47,6 +47,11 @@ export class ConversationModel {
         }
       };
 
+      // Agents SDK items for an assistant turn (tool calls, tool results, reply) used to replay it
+      if (runItems && runItems.length > 0) {
+        message.run_items = runItems;
+      }
+
       const updateDoc = {
         $push: { messages: message },
         $inc: { 'metadata.totalMessages': 1 },
@@ -147,6 +152,32 @@ export class ConversationModel {
     }
   }
 
+  static async getConversationsByUser(userId) {
+    try {
+      const collection = this.getCollection();
+      const conversations = await collection
+        .find({ userId: userId.toString() })
+        .sort({ createdAt: 1 })
+        .toArray();
+
+      return { success: true, conversations };
+    } catch (error) {
+      console.error('Error getting user conversations:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteConversationsByUser(userId) {
+    try {
+      const collection = this.getCollection();
+      const result = await collection.deleteMany({ userId: userId.toString() });
+      return { success: true, deletedCount: result.deletedCount };
+    } catch (error) {
+      console.error('Error deleting user conversations:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   static async cleanupOldConversations(daysOld = 30) {
     try {
       const collection = this.getCollection();
@@ -165,6 +196,51 @@ export class ConversationModel {
     }
   }
 
+  // Assistant replies that surfaced a rental (search results, details or quotes).
+  // IDs are matched in every form they're stored in (ObjectId, number, string).
+  static async getRentalMentions(rentalIds) {
+    try {
+      const collection = this.getCollection();
+      const mentionQuery = (prefix) => ({
+        $or: [
+          { [`${prefix}metadata.search_metadata.rental_ids`]: { $in: rentalIds } },
+          { [`${prefix}metadata.search_metadata.property_ids`]: { $in: rentalIds } },
+          { [`${prefix}metadata.search_metadata.quote.property_id`]: { $in: rentalIds } }
+        ]
+      });
+
+      const [mentions] = await collection.aggregate([
+        { $match: mentionQuery('messages.') },
+        { $unwind: '$messages' },
+        { $match: { 'messages.role': 'assistant', ...mentionQuery('messages.') } },
+        {
+          $group: {
+            _id: null,
+            mentions: { $sum: 1 },
+            sessions: { $addToSet: '$sessionId' },
+            last_mentioned_at: { $max: '$messages.timestamp' }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            mentions: 1,
+            conversations: { $size: '$sessions' },
+            last_mentioned_at: 1
+          }
+        }
+      ]).toArray();
+
+      return {
+        success: true,
+        stats: mentions || { mentions: 0, conversations: 0, last_mentioned_at: null }
+      };
+    } catch (error) {
+      console.error('Error getting rental mentions:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   static async getConversationStats() {
     try {
       const collection = this.getCollection();
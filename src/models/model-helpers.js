@@ -0,0 +1,8 @@
+import { ObjectId } from 'mongodb';
+
+// Helpers shared by the models of collections keyed by ObjectId
+
+// An ObjectId for a valid hex string, or null so lookups match nothing
+export function toObjectId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
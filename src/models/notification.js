@@ -0,0 +1,143 @@
+import { DatabaseManager } from '../config/database.js';
+import { toObjectId } from './model-helpers.js';
+
+export const NOTIFICATION_TYPES = ['search_alert', 'price_drop', 'review_reply', 'test'];
+
+// Inbox entries are removed automatically after this many days
+const NOTIFICATION_TTL_DAYS = 90;
+
+// In-app notifications, one document per message in a user's inbox
+//
+// {
+//   user_id, type, title, body,
+//   data: { saved_search_id?, review_id?, rentals: [{ rental_id, name, price, previous_price }] },
+//   link,                 // where the message points in the app
+//   read_at,              // null while unread
+//   created_at
+// }
+export class NotificationModel {
+  static getCollection() {
+    const db = DatabaseManager.getDatabase();
+    return db.collection('notifications');
+  }
+
+  static async ensureIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ user_id: 1, created_at: -1 });
+    await collection.createIndex({ user_id: 1, read_at: 1 });
+    await collection.createIndex({ created_at: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60 });
+  }
+
+  static async create(userId, { type, title, body, data = {}, link = null }) {
+    try {
+      const notification = {
+        user_id: userId.toString(),
+        type,
+        title,
+        body,
+        data,
+        link,
+        read_at: null,
+        created_at: new Date()
+      };
+
+      const result = await this.getCollection().insertOne(notification);
+      return { success: true, notification: { _id: result.insertedId, ...notification } };
+    } catch (error) {
+      console.error('Error creating notification:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Newest first; `before` pages back from a created_at date
+  static async listForUser(userId, { unreadOnly = false, limit = 20, before = null } = {}) {
+    try {
+      const query = { user_id: userId.toString() };
+      if (unreadOnly) query.read_at = null;
+      if (before) query.created_at = { $lt: before };
+
+      const notifications = await this.getCollection()
+        .find(query)
+        .sort({ created_at: -1 })
+        .limit(limit)
+        .toArray();
+
+      return { success: true, notifications };
+    } catch (error) {
+      console.error('Error listing notifications:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async countUnread(userId) {
+    try {
+      const count = await this.getCollection().countDocuments({ user_id: userId.toString(), read_at: null });
+      return { success: true, count };
+    } catch (error) {
+      console.error('Error counting unread notifications:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async markRead(userId, id) {
+    try {
+      const _id = toObjectId(id);
+      const notification = _id ? await this.getCollection().findOneAndUpdate(
+        { _id, user_id: userId.toString() },
+        [{ $set: { read_at: { $ifNull: ['$read_at', '$$NOW'] } } }],
+        { returnDocument: 'after' }
+      ) : null;
+
+      if (!notification) {
+        return { success: false, notFound: true, error: 'Notification not found' };
+      }
+
+      return { success: true, notification };
+    } catch (error) {
+      console.error('Error marking notification read:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async markAllRead(userId) {
+    try {
+      const result = await this.getCollection().updateMany(
+        { user_id: userId.toString(), read_at: null },
+        { $set: { read_at: new Date() } }
+      );
+
+      return { success: true, modifiedCount: result.modifiedCount };
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async delete(userId, id) {
+    try {
+      const _id = toObjectId(id);
+      const result = _id
+        ? await this.getCollection().deleteOne({ _id, user_id: userId.toString() })
+        : { deletedCount: 0 };
+
+      if (result.deletedCount === 0) {
+        return { success: false, notFound: true, error: 'Notification not found' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting notification:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteForUser(userId) {
+    try {
+      const result = await this.getCollection().deleteMany({ user_id: userId.toString() });
+      return { success: true, deletedCount: result.deletedCount };
+    } catch (error) {
+      console.error('Error deleting notifications for user:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,108 @@
+import { DatabaseManager } from '../config/database.js';
+import { randomBytes, createHash } from 'crypto';
+
+const OIDC_LOGIN_TTL_MINUTES = 10;
+
+// Sign-ins with an identity provider in progress. A login starts as `pending` with the
+// PKCE verifier and nonce, is claimed (`callback_received`) by the provider's callback,
+// becomes `completed` once the ID token is verified, and `exchanged` when the browser
+// trades its one-time ticket for tokens. The ticket keeps access and refresh tokens out
+// of redirect URLs; only its SHA-256 is stored.
+export class OidcLoginModel {
+  static getCollection() {
+    const db = DatabaseManager.getDatabase();
+    return db.collection('oidc_logins');
+  }
+
+  static async ensureIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ ticket_hash: 1 }, { unique: true, sparse: true });
+    await collection.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  static hash(value) {
+    return createHash('sha256').update(value).digest('hex');
+  }
+
+  static async createLogin({ state, provider, codeVerifier, nonce, linkUserId = null }) {
+    try {
+      const now = new Date();
+      await this.getCollection().insertOne({
+        _id: state,
+        provider,
+        code_verifier: codeVerifier,
+        nonce,
+        link_user_id: linkUserId ? linkUserId.toString() : null,
+        status: 'pending',
+        created_at: now,
+        expires_at: new Date(now.getTime() + OIDC_LOGIN_TTL_MINUTES * 60 * 1000)
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error creating OIDC login:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Take a pending login for the provider's callback; each state works only once
+  static async claim(state, provider) {
+    try {
+      const login = await this.getCollection().findOneAndUpdate(
+        { _id: state, provider, status: 'pending', expires_at: { $gt: new Date() } },
+        { $set: { status: 'callback_received' } }
+      );
+
+      if (!login) {
+        return { success: false, invalid: true, error: 'Sign-in request expired or was already used. Please try again.' };
+      }
+
+      return { success: true, login };
+    } catch (error) {
+      console.error('Error claiming OIDC login:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Record the signed-in user and hand out the ticket the browser exchanges for tokens
+  static async complete(state, { userId, isNewUser = false, linked = false }) {
+    try {
+      const ticket = randomBytes(32).toString('base64url');
+      await this.getCollection().updateOne(
+        { _id: state },
+        {
+          $set: {
+            status: 'completed',
+            ticket_hash: this.hash(ticket),
+            user_id: userId.toString(),
+            is_new_user: isNewUser,
+            linked
+          }
+        }
+      );
+
+      return { success: true, ticket };
+    } catch (error) {
+      console.error('Error completing OIDC login:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async exchangeTicket(ticket) {
+    try {
+      const login = await this.getCollection().findOneAndUpdate(
+        { ticket_hash: this.hash(ticket), status: 'completed', expires_at: { $gt: new Date() } },
+        { $set: { status: 'exchanged', exchanged_at: new Date() } }
+      );
+
+      if (!login) {
+        return { success: false, invalid: true, error: 'Invalid or expired sign-in ticket' };
+      }
+
+      return { success: true, login };
+    } catch (error) {
+      console.error('Error exchanging OIDC ticket:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,76 @@
+import { DatabaseManager } from '../config/database.js';
+import { randomBytes, createHash } from 'crypto';
+
+export const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Single-use password reset tokens. Only the SHA-256 of a token is stored, and
+// requesting a new token replaces any the user still had outstanding.
+export class PasswordResetModel {
+  static getCollection() {
+    const db = DatabaseManager.getDatabase();
+    return db.collection('password_resets');
+  }
+
+  static async ensureIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ token_hash: 1 }, { unique: true });
+    await collection.createIndex({ user_id: 1 });
+    await collection.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  static hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+  }
+
+  static async createToken(userId) {
+    try {
+      const collection = this.getCollection();
+      const token = randomBytes(32).toString('base64url');
+      const now = new Date();
+
+      await collection.deleteMany({ user_id: userId.toString(), used_at: null });
+      await collection.insertOne({
+        token_hash: this.hashToken(token),
+        user_id: userId.toString(),
+        used_at: null,
+        created_at: now,
+        expires_at: new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+      });
+
+      return { success: true, token };
+    } catch (error) {
+      console.error('Error creating password reset token:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Mark a token used and return its user. Claimed atomically so a token works only once.
+  static async consume(token) {
+    try {
+      const now = new Date();
+      const reset = await this.getCollection().findOneAndUpdate(
+        { token_hash: this.hashToken(token), used_at: null, expires_at: { $gt: now } },
+        { $set: { used_at: now } }
+      );
+
+      if (!reset) {
+        return { success: false, invalid: true, error: 'Invalid or expired reset token' };
+      }
+
+      return { success: true, userId: reset.user_id };
+    } catch (error) {
+      console.error('Error consuming password reset token:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteForUser(userId) {
+    try {
+      const result = await this.getCollection().deleteMany({ user_id: userId.toString() });
+      return { success: true, deletedCount: result.deletedCount };
+    } catch (error) {
+      console.error('Error deleting password reset tokens:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
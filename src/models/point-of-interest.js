@@ -0,0 +1,152 @@
+import { DatabaseManager } from '../config/database.js';
+
+// Named landmarks (beaches, monuments, stations...) per market, used to resolve
+// "near the Sagrada Familia" into coordinates for geo search
+export class PointOfInterestModel {
+  static getCollection() {
+    const db = DatabaseManager.getDatabase();
+    return db.collection('points_of_interest');
+  }
+
+  static async ensureIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ location: '2dsphere' });
+    await collection.createIndex({ market: 1, name_normalized: 1 }, { unique: true });
+  }
+
+  // Lowercase, strip accents and punctuation: "Sagrada Família" -> "sagrada familia"
+  static normalizeName(name) {
+    return (name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  static escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Build a stored document from { name, market, category, aliases, lat, lng } or a GeoJSON Feature
+  static buildDocument(input, defaultMarket = null) {
+    const properties = input.type === 'Feature' ? (input.properties || {}) : input;
+    const coordinates = input.type === 'Feature'
+      ? input.geometry?.coordinates
+      : [parseFloat(input.lng ?? input.longitude), parseFloat(input.lat ?? input.latitude)];
+
+    if (input.type === 'Feature' && input.geometry?.type !== 'Point') {
+      return { error: `"${properties.name}" is not a Point feature` };
+    }
+
+    const market = properties.market || defaultMarket;
+    if (!properties.name || !market) {
+      return { error: 'Points of interest need a name and a market' };
+    }
+
+    if (!Array.isArray(coordinates) || coordinates.length < 2 || coordinates.some(value => typeof value !== 'number' || isNaN(value))) {
+      return { error: `"${properties.name}" has no valid coordinates` };
+    }
+
+    const aliases = Array.isArray(properties.aliases) ? properties.aliases : [];
+
+    return {
+      document: {
+        name: properties.name,
+        name_normalized: this.normalizeName(properties.name),
+        aliases_normalized: aliases.map(alias => this.normalizeName(alias)),
+        aliases,
+        market,
+        category: properties.category || null,
+        location: { type: 'Point', coordinates: [coordinates[0], coordinates[1]] }
+      }
+    };
+  }
+
+  // Insert or replace points of interest, keyed by market + normalized name
+  static async upsertMany(documents) {
+    try {
+      if (documents.length === 0) {
+        return { success: true, upserted: 0, modified: 0 };
+      }
+
+      const result = await this.getCollection().bulkWrite(documents.map(document => ({
+        replaceOne: {
+          filter: { market: document.market, name_normalized: document.name_normalized },
+          replacement: { ...document, updated_at: new Date() },
+          upsert: true
+        }
+      })));
+
+      return { success: true, upserted: result.upsertedCount, modified: result.modifiedCount };
+    } catch (error) {
+      console.error('Error saving points of interest:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteByMarket(market) {
+    try {
+      const result = await this.getCollection().deleteMany({ market });
+      return { success: true, deleted: result.deletedCount };
+    } catch (error) {
+      console.error('Error deleting points of interest:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Resolve a landmark name within a market (all markets when none is given).
+  // Exact name/alias matches win over names that merely contain the words.
+  static async findByName(name, market = null) {
+    try {
+      const normalized = this.normalizeName(name).replace(/^the /, '');
+      if (!normalized) {
+        return { success: true, place: null, candidates: [] };
+      }
+
+      const containsPattern = new RegExp(`(^| )${this.escapeRegex(normalized)}( |$)`);
+      const query = {
+        $or: [
+          { name_normalized: containsPattern },
+          { aliases_normalized: containsPattern }
+        ]
+      };
+      if (market) {
+        query.market = new RegExp(`^${this.escapeRegex(market)}$`, 'i');
+      }
+
+      const candidates = await this.getCollection().find(query).limit(20).toArray();
+
+      const rank = (poi) => {
+        const names = [poi.name_normalized, ...(poi.aliases_normalized || [])].map(value => value.replace(/^the /, ''));
+        if (names.includes(normalized)) return 0;
+        if (names.some(value => value.startsWith(normalized))) return 1;
+        return 2;
+      };
+
+      candidates.sort((a, b) => rank(a) - rank(b) || a.name.length - b.name.length);
+
+      return { success: true, place: candidates[0] || null, candidates };
+    } catch (error) {
+      console.error('Error finding point of interest:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Names of the known places in a market, for suggestions when nothing matches
+  static async listNames(market = null, limit = 15) {
+    try {
+      const query = market ? { market: new RegExp(`^${this.escapeRegex(market)}$`, 'i') } : {};
+      const places = await this.getCollection()
+        .find(query, { projection: { name: 1, market: 1, category: 1 } })
+        .sort({ name: 1 })
+        .limit(limit)
+        .toArray();
+
+      return { success: true, places };
+    } catch (error) {
+      console.error('Error listing points of interest:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -1,5 +1,14 @@
 import { ObjectId } from 'mongodb';
 import { database } from '../config/database.js';
+import { rentalEmbeddingService } from '../services/rental-embedding.service.js';
+import { geoService } from '../services/geo.service.js';
+import { parseReviewHighlights } from './review.js';
+
+// Listing lifecycle managed from the host portal. Listings without a status
+// (e.g. imported data) are published; drafts and unpublished listings are hidden
+// from search and can't be booked.
+export const LISTING_STATUSES = ['draft', 'published', 'unpublished'];
+export const HIDDEN_LISTING_STATUSES = ['draft', 'unpublished'];
 
 // Frontend-safe projection - excludes heavy/unnecessary fields
 export const FRONTEND_PROJECTION = {
@@ -19,6 +28,7 @@ export const FRONTEND_PROJECTION = {
   instant_bookable: 1,
   cancellation_policy: 1,
   number_of_reviews: 1,
+  status: 1,
   
   // Host info (minimal)
   'host.host_id': 1,
@@ -34,6 +44,7 @@ export const FRONTEND_PROJECTION = {
   'address.market': 1,
   'address.country': 1,
   'address.country_code': 1,
+  'address.location': 1,
   
   // Images
   'images.picture_url': 1,
@@ -44,6 +55,7 @@ export const FRONTEND_PROJECTION = {
   
   // Reviews summary
   review_scores: 1,
+  review_highlights: 1,
   
   // Exclude heavy fields that aren't needed in FE:
   // - Full description (use summary instead)
@@ -67,6 +79,13 @@ export const DETAILED_PROJECTION = {
   'host.host_neighbourhood': 1,
   first_review: 1,
   last_review: 1,
+  review_summary: 1,
+  
+  // Pricing details used for stay quotes
+  cleaning_fee: 1,
+  security_deposit: 1,
+  extra_people: 1,
+  guests_included: 1,
 };
 
 // Search-optimized projection
@@ -86,8 +105,67 @@ export const SEARCH_PROJECTION = {
   'address.neighbourhood': 1,
   'address.market': 1,
   'address.country': 1,
+  'address.location': 1,
+  'images.thumbnail_url': 1,
+  'review_scores.review_scores_rating': 1,
+  review_highlights: 1,
+};
+
+// Side-by-side comparison - pricing and stay rules for quotes, full amenities, scores and host stats
+export const COMPARISON_PROJECTION = {
+  _id: 1,
+  name: 1,
+  status: 1,
+  property_type: 1,
+  room_type: 1,
+  accommodates: 1,
+  bedrooms: 1,
+  beds: 1,
+  bathrooms: 1,
+  price: 1,
+  cleaning_fee: 1,
+  security_deposit: 1,
+  extra_people: 1,
+  guests_included: 1,
+  minimum_nights: 1,
+  maximum_nights: 1,
+  instant_bookable: 1,
+  cancellation_policy: 1,
+  number_of_reviews: 1,
+  'host.host_name': 1,
+  'host.host_is_superhost': 1,
+  'host.host_response_rate': 1,
+  'host.host_response_time': 1,
+  'host.host_listings_count': 1,
+  'host.host_identity_verified': 1,
+  'address.neighbourhood': 1,
+  'address.market': 1,
+  'address.country': 1,
+  'images.picture_url': 1,
+  'images.thumbnail_url': 1,
+  amenities: 1,
+  review_scores: 1,
+  review_highlights: 1,
+};
+
+// Host portal list view - includes lifecycle fields hidden from guests
+export const HOST_LISTING_PROJECTION = {
+  _id: 1,
+  name: 1,
+  status: 1,
+  property_type: 1,
+  room_type: 1,
+  price: 1,
+  accommodates: 1,
+  number_of_reviews: 1,
+  'address.neighbourhood': 1,
+  'address.market': 1,
+  'images.picture_url': 1,
   'images.thumbnail_url': 1,
   'review_scores.review_scores_rating': 1,
+  created_at: 1,
+  updated_at: 1,
+  published_at: 1
 };
 
 export class RentalModel {
@@ -100,6 +178,10 @@ export class RentalModel {
     return id && typeof id === 'string' && id.length > 0;
   }
 
+  static isHidden(rental) {
+    return HIDDEN_LISTING_STATUSES.includes(rental?.status);
+  }
+
   // Build search query with proper filtering
   static buildSearchQuery(params) {
     const query = {};
@@ -133,6 +215,9 @@ export class RentalModel {
         query._id = { $in: numericIds };
       }
       
+      // Drafts and unpublished listings stay hidden even when asked for by ID
+      query.status = { $nin: HIDDEN_LISTING_STATUSES };
+
       console.log('Built query for specific IDs:', query);
       return query; // Return early, ignore other filters when using specific IDs
     }
@@ -176,29 +261,69 @@ export class RentalModel {
       query.instant_bookable = true;
     }
     
-    // Review score filter
+    // Review score filter - min_rating is in stars (1-5), review_scores_rating is out of 100
     if (params.min_rating) {
-      query['review_scores.review_scores_rating'] = { $gte: parseInt(params.min_rating) };
+      query['review_scores.review_scores_rating'] = { $gte: parseFloat(params.min_rating) * 20 };
+    }
+    
+    // What guests praise, from the review summary job (e.g. review_highlights=quiet,clean)
+    const highlights = parseReviewHighlights(params.review_highlights);
+    if (highlights.length > 0) {
+      query.review_highlights = { $all: highlights };
+    }
+    
+    // Only published listings are searchable
+    query.status = { $nin: HIDDEN_LISTING_STATUSES };
+    
+    // Availability filter - rentals already booked for the requested dates
+    if (params.unavailable_ids && params.unavailable_ids.length > 0) {
+      query._id = { $nin: params.unavailable_ids };
+    }
+    
+    // Geo filters - radius around a point and/or map bounding box (parsed by geoService)
+    const geoClauses = geoService.buildGeoQueryClauses(params.geo);
+    if (geoClauses.length === 1) {
+      Object.assign(query, geoClauses[0]);
+    } else if (geoClauses.length > 1) {
+      query.$and = geoClauses;
     }
     
     return query;
   }
 
-  // Get rentals with pagination and projection
+  // Aggregation $project equivalent of a find() projection ($slice needs the array form)
+  static toAggregationProjection(projection) {
+    return Object.fromEntries(Object.entries(projection).map(([field, value]) =>
+      value && value.$slice !== undefined
+        ? [field, { $slice: [`$${field}`, value.$slice] }]
+        : [field, value]
+    ));
+  }
+
+  // Get rentals with pagination and projection.
+  // With `near` ({ lat, lng }) results get distance_km, and sort { distance: 1 } orders by it.
   async findMany(query = {}, options = {}) {
     const {
       limit = 20,
       skip = 0,
       sort = { price: 1 },
-      projection = FRONTEND_PROJECTION
+      projection = FRONTEND_PROJECTION,
+      near = null
     } = options;
 
-    const rentals = await this.collection
-      .find(query, { projection })
-      .sort(sort)
-      .limit(parseInt(limit))
-      .skip(parseInt(skip))
-      .toArray();
+    let rentals;
+    if (near && sort.distance !== undefined) {
+      rentals = await this.findNearest(query, near, { limit, skip, projection });
+    } else {
+      rentals = await this.collection
+        .find(query, { projection })
+        .sort(sort)
+        .limit(parseInt(limit))
+        .skip(parseInt(skip))
+        .toArray();
+
+      rentals = geoService.addDistances(rentals, near);
+    }
 
     const total = await this.collection.countDocuments(query);
 
@@ -215,6 +340,30 @@ export class RentalModel {
     };
   }
 
+  // Nearest-first listings matching query, via $geoNear on the 2dsphere index
+  async findNearest(query, near, { limit = 20, skip = 0, projection = FRONTEND_PROJECTION } = {}) {
+    const rentals = await this.collection.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [near.lng, near.lat] },
+          key: 'address.location',
+          distanceField: 'distance_km',
+          distanceMultiplier: 0.001,
+          spherical: true,
+          query
+        }
+      },
+      { $skip: parseInt(skip) },
+      { $limit: parseInt(limit) },
+      { $project: { ...RentalModel.toAggregationProjection(projection), distance_km: 1 } }
+    ]).toArray();
+
+    return rentals.map(rental => ({
+      ...rental,
+      distance_km: Math.round(rental.distance_km * 100) / 100
+    }));
+  }
+
   // Get single rental by ID
   async findById(id, detailed = false) {
     if (!RentalModel.isValidId(id)) {
@@ -236,6 +385,162 @@ export class RentalModel {
     return await this.collection.findOne(query, { projection });
   }
 
+  // Full listing document for its host to edit (embeddings and reviews left out)
+  async findForHost(id) {
+    if (!RentalModel.isValidId(id)) {
+      throw new Error('Invalid rental ID format');
+    }
+
+    let query;
+    if (ObjectId.isValid(id)) {
+      query = { _id: new ObjectId(id) };
+    } else {
+      const numericId = !isNaN(id) ? parseInt(id) : id;
+      query = { _id: numericId };
+    }
+
+    return await this.collection.findOne(query, {
+      projection: { text_embeddings: 0, reviews: 0, embedding_source_hash: 0 }
+    });
+  }
+
+  // _id query for an ID in any stored form (ObjectId, number or string)
+  static buildIdQuery(id) {
+    if (ObjectId.isValid(id)) {
+      return { _id: new ObjectId(id) };
+    }
+    const numericId = !isNaN(id) ? parseInt(id) : id;
+    return { _id: numericId };
+  }
+
+  // Listing fields the reviews service reads and recomputes
+  async findReviewStats(id) {
+    if (!RentalModel.isValidId(id)) {
+      throw new Error('Invalid rental ID format');
+    }
+
+    return await this.collection.findOne(RentalModel.buildIdQuery(id), {
+      projection: {
+        name: 1,
+        status: 1,
+        host: 1,
+        number_of_reviews: 1,
+        review_scores: 1,
+        review_baseline: 1,
+        first_review: 1,
+        last_review: 1
+      }
+    });
+  }
+
+  // Keep the imported number_of_reviews and review_scores the first time reviews are
+  // recomputed, so the ratings behind them still count once guests add their own.
+  // Done in one conditional update so concurrent writers can't record recomputed values.
+  async ensureReviewBaseline(id) {
+    await this.collection.updateOne(
+      { ...RentalModel.buildIdQuery(id), review_baseline: { $exists: false } },
+      [{
+        $set: {
+          review_baseline: {
+            count: { $ifNull: ['$number_of_reviews', 0] },
+            scores: { $ifNull: ['$review_scores', {}] },
+            captured_at: '$$NOW'
+          }
+        }
+      }]
+    );
+
+    return await this.findReviewStats(id);
+  }
+
+  // A changed set of reviews also marks the review summary for the summary job to refresh
+  async updateReviewStats(id, { numberOfReviews, reviewScores, reviewedAt = null }) {
+    const update = {
+      $set: {
+        number_of_reviews: numberOfReviews,
+        review_scores: reviewScores,
+        review_summary_stale_at: new Date()
+      }
+    };
+    if (reviewedAt) {
+      update.$min = { first_review: reviewedAt };
+      update.$max = { last_review: reviewedAt };
+    }
+
+    return await this.collection.updateOne(RentalModel.buildIdQuery(id), update);
+  }
+
+  // Guest-visible listings whose reviews changed since they were summarized, then reviewed
+  // listings that were never summarized. Listings whose last attempt failed wait until their
+  // review_summary_retry_at, unless asked for by ID.
+  async findNeedingReviewSummary({ limit = 25, rentalId = null, now = new Date() } = {}) {
+    const query = rentalId
+      ? RentalModel.buildIdQuery(rentalId)
+      : {
+          $and: [
+            {
+              $or: [
+                { review_summary_stale_at: { $exists: true } },
+                { review_summary: { $exists: false }, number_of_reviews: { $gt: 0 } }
+              ]
+            },
+            {
+              $or: [
+                { review_summary_retry_at: { $exists: false } },
+                { review_summary_retry_at: { $lte: now } }
+              ]
+            }
+          ]
+        };
+    query.status = { $nin: HIDDEN_LISTING_STATUSES };
+
+    return await this.collection
+      .find(query, { projection: { name: 1, property_type: 1, 'address.market': 1, review_summary_stale_at: 1, review_summary_failures: 1 } })
+      .sort({ review_summary_stale_at: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  // Keep a listing whose summary failed out of the job until retryAt
+  async recordReviewSummaryFailure(id, { failures, retryAt, error }) {
+    return await this.collection.updateOne(RentalModel.buildIdQuery(id), {
+      $set: {
+        review_summary_failures: failures,
+        review_summary_retry_at: retryAt,
+        review_summary_error: error
+      }
+    });
+  }
+
+  async markReviewSummaryStale(id) {
+    return await this.collection.updateOne(RentalModel.buildIdQuery(id), {
+      $set: { review_summary_stale_at: new Date() }
+    });
+  }
+
+  // Store a listing's review summary (null when it has too few reviews) and highlights,
+  // clearing any earlier failure. Reviews that arrived after `readAt` keep the listing
+  // marked for the next run.
+  async saveReviewSummary(id, { summary, highlights, readAt }) {
+    await this.collection.updateOne(RentalModel.buildIdQuery(id), {
+      $set: { review_summary: summary, review_highlights: highlights },
+      $unset: { review_summary_failures: '', review_summary_retry_at: '', review_summary_error: '' }
+    });
+
+    return await this.collection.updateOne(
+      { ...RentalModel.buildIdQuery(id), review_summary_stale_at: { $lte: readAt } },
+      { $unset: { review_summary_stale_at: '' } }
+    );
+  }
+
+  // Listings that still carry the reviews embedded by the Airbnb import
+  findWithEmbeddedReviews() {
+    return this.collection.find(
+      { 'reviews.0': { $exists: true } },
+      { projection: { reviews: 1 } }
+    );
+  }
+
   // Create new rental
   async create(rentalData) {
     const rental = {
@@ -243,10 +548,28 @@ export class RentalModel {
       created_at: new Date(),
       updated_at: new Date()
     };
+
+    const coordinates = geoService.buildCoordinateFields(rental.address);
+    if (coordinates) {
+      rental.address = { ...rental.address, ...coordinates };
+    }
+
+    Object.assign(rental, await this.buildEmbeddingFields(rental));
     
     return await this.collection.insertOne(rental);
   }
 
+  // Embedding fields for a listing; failures are logged so the write still succeeds
+  // and the listing is picked up by the embeddings backfill later
+  async buildEmbeddingFields(rental) {
+    try {
+      return await rentalEmbeddingService.buildEmbeddingFields(rental);
+    } catch (error) {
+      console.error('Error generating rental embedding:', error.message);
+      return null;
+    }
+  }
+
   // Update rental
   async updateById(id, updateData) {
     if (!RentalModel.isValidId(id)) {
@@ -257,6 +580,12 @@ export class RentalModel {
       ...updateData,
       updated_at: new Date()
     };
+
+    // Keep the scalar coordinates used by search index filters in sync with address.location
+    const coordinates = geoService.buildCoordinateFields(updateData.address);
+    if (coordinates) {
+      update.address = { ...updateData.address, ...coordinates };
+    }
     
     // Handle different ID formats
     let query;
@@ -266,6 +595,27 @@ export class RentalModel {
       const numericId = !isNaN(id) ? parseInt(id) : id;
       query = { _id: numericId };
     }
+
+    // Re-embed when the update changes the text the embedding is built from
+    if (rentalEmbeddingService.affectsEmbedding(updateData)) {
+      const current = await this.collection.findOne(query, {
+        projection: {
+          name: 1,
+          summary: 1,
+          description: 1,
+          amenities: 1,
+          address: 1,
+          embedding_source_hash: 1,
+          embedding_provider: 1,
+          embedding_model: 1,
+          embedding_dimensions: 1
+        }
+      });
+
+      if (current) {
+        Object.assign(update, await this.buildEmbeddingFields({ ...current, ...updateData }));
+      }
+    }
     
     return await this.collection.updateOne(query, { $set: update });
   }
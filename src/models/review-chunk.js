@@ -0,0 +1,99 @@
+import { DatabaseManager } from '../config/database.js';
+import { REVIEW_VECTOR_SEARCH_INDEX_CONFIG } from '../config/vector-search.js';
+
+// Review text split into snippets and embedded, so the assistant can find what guests
+// said about noise, the host, cleanliness and so on. Chunks are rebuilt whenever a
+// review is written and removed when it is deleted or hidden; `bun run reviews:embed`
+// fills in the rest (e.g. imported reviews).
+//
+// {
+//   review_id, rental_id,       // strings
+//   chunk_index, text,
+//   reviewer_name, review_date, // copied from the review for citations
+//   embedding,
+//   embedding_provider, embedding_model, embedding_dimensions,
+//   created_at
+// }
+export class ReviewChunkModel {
+  static getCollection() {
+    const db = DatabaseManager.getDatabase();
+    return db.collection('review_chunks');
+  }
+
+  static async ensureIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ review_id: 1, chunk_index: 1 }, { unique: true });
+    await collection.createIndex({ rental_id: 1 });
+  }
+
+  // Replace the chunks of each review in one bulk write.
+  // entries: [{ reviewId, chunks: [{ rental_id, chunk_index, text, ... }] }]
+  static async replaceForReviews(entries) {
+    try {
+      const operations = entries.flatMap(({ reviewId, chunks }) => [
+        { deleteMany: { filter: { review_id: reviewId.toString() } } },
+        ...chunks.map(chunk => ({
+          insertOne: { document: { ...chunk, review_id: reviewId.toString() } }
+        }))
+      ]);
+
+      if (operations.length === 0) {
+        return { success: true, inserted: 0 };
+      }
+
+      const result = await this.getCollection().bulkWrite(operations, { ordered: true });
+      return { success: true, inserted: result.insertedCount };
+    } catch (error) {
+      console.error('Error saving review chunks:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteForReviews(reviewIds) {
+    try {
+      const ids = reviewIds.map(id => id.toString());
+      const result = ids.length > 0
+        ? await this.getCollection().deleteMany({ review_id: { $in: ids } })
+        : { deletedCount: 0 };
+
+      return { success: true, deletedCount: result.deletedCount };
+    } catch (error) {
+      console.error('Error deleting review chunks:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Chunks of one listing's reviews closest to the query vector, best first
+  static async vectorSearch(rentalId, queryVector, limit = 10) {
+    try {
+      const chunks = await this.getCollection().aggregate([
+        {
+          $vectorSearch: {
+            index: REVIEW_VECTOR_SEARCH_INDEX_CONFIG.name,
+            path: 'embedding',
+            queryVector,
+            numCandidates: Math.max(100, limit * 10),
+            limit,
+            filter: { rental_id: rentalId.toString() }
+          }
+        },
+        {
+          $project: {
+            review_id: 1,
+            rental_id: 1,
+            chunk_index: 1,
+            text: 1,
+            reviewer_name: 1,
+            review_date: 1,
+            score: { $meta: 'vectorSearchScore' }
+          }
+        }
+      ]).toArray();
+
+      return { success: true, chunks };
+    } catch (error) {
+      console.error('Error searching review chunks:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,477 @@
+import { DatabaseManager } from '../config/database.js';
+import { toObjectId } from './model-helpers.js';
+
+// Per-aspect scores a guest can give next to the overall rating (1-5 stars each)
+export const REVIEW_ASPECTS = ['accuracy', 'cleanliness', 'checkin', 'communication', 'location', 'value'];
+
+// Guest ratings are 1-5 stars; listings keep Airbnb's scales, so a listing's overall
+// rating divided by RATING_SCALE and its aspect scores divided by ASPECT_SCALE are stars
+export const RATING_SCALE = 20;
+export const ASPECT_SCALE = 2;
+
+export const REVIEW_STATUSES = ['published', 'flagged', 'removed'];
+
+export const REVIEW_FLAG_REASONS = ['spam', 'offensive', 'off_topic', 'fake', 'other'];
+
+// Aspects the review summary job scores from what guests wrote (1-5, higher is better, so
+// a high noise score means quiet), and the search highlight a listing earns for each
+export const REVIEW_SUMMARY_ASPECTS = {
+  cleanliness: 'clean',
+  noise: 'quiet',
+  location: 'great_location',
+  communication: 'responsive_host',
+  accuracy: 'as_described'
+};
+
+export const REVIEW_HIGHLIGHTS = Object.values(REVIEW_SUMMARY_ASPECTS);
+
+// Known highlights in a search filter value: a comma-separated string or an array
+export function parseReviewHighlights(value) {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : value.toString().split(',');
+  return [...new Set(values.map(item => item.toString().trim().toLowerCase()))]
+    .filter(item => REVIEW_HIGHLIGHTS.includes(item));
+}
+
+export const REVIEW_SORTS = {
+  newest: { created_at: -1 },
+  oldest: { created_at: 1 },
+  highest: { has_rating: -1, rating: -1, created_at: -1 },
+  lowest: { has_rating: -1, rating: 1, created_at: -1 }
+};
+
+// Guest reviews of listings. Reviews imported with the Airbnb data (the listing's embedded
+// `reviews` array, copied here by `bun run reviews:import`) have comments but no ratings;
+// the listing's imported review_scores stand in for them.
+//
+// {
+//   rental_id,                  // the listing's _id as a string
+//   user_id, reviewer_name,     // user_id is null for imported reviews
+//   imported, source_id,        // source_id is the Airbnb review _id
+//   booking_id, verified_stay,  // the completed stay the review is for, if any
+//   rating,                     // 1-5, null for imported reviews
+//   scores: { accuracy, cleanliness, ... },  // optional, 1-5 each
+//   comments,
+//   status,                     // published, flagged (hidden until moderated) or removed
+//   flags: [{ user_id, reason, details, created_at }],
+//   host_reply: { text, author_id, author_name, created_at, updated_at },
+//   moderated_by, moderated_at,
+//   search_index: { source_hash, chunk_count, embedding_provider, embedding_model,
+//                   embedding_dimensions, indexed_at },  // set once review_chunks are built
+//   created_at, updated_at
+// }
+export class ReviewModel {
+  static getCollection() {
+    const db = DatabaseManager.getDatabase();
+    return db.collection('reviews');
+  }
+
+  static async ensureIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ rental_id: 1, status: 1, created_at: -1 });
+    await collection.createIndex({ rental_id: 1, status: 1, rating: -1 });
+    await collection.createIndex(
+      { rental_id: 1, user_id: 1 },
+      { name: 'one_review_per_guest', unique: true, partialFilterExpression: { user_id: { $type: 'string' } } }
+    );
+    await collection.createIndex(
+      { rental_id: 1, source_id: 1 },
+      { name: 'imported_review', unique: true, partialFilterExpression: { source_id: { $type: 'string' } } }
+    );
+    await collection.createIndex({ status: 1, updated_at: -1 });
+    await collection.createIndex({ user_id: 1 });
+  }
+
+  static async create(review) {
+    try {
+      const now = new Date();
+      const document = {
+        rental_id: review.rental_id.toString(),
+        user_id: review.user_id.toString(),
+        reviewer_name: review.reviewer_name,
+        imported: false,
+        source_id: null,
+        booking_id: review.booking_id || null,
+        verified_stay: !!review.booking_id,
+        rating: review.rating,
+        scores: review.scores || {},
+        comments: review.comments,
+        status: 'published',
+        flags: [],
+        host_reply: null,
+        created_at: now,
+        updated_at: now
+      };
+
+      const result = await this.getCollection().insertOne(document);
+      return { success: true, review: { _id: result.insertedId, ...document } };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, duplicate: true, error: 'You have already reviewed this rental' };
+      }
+      console.error('Error creating review:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // A review of the given listing (the rental ID keeps URLs from reaching other listings' reviews)
+  static async getById(rentalId, reviewId) {
+    try {
+      const _id = toObjectId(reviewId);
+      const review = _id
+        ? await this.getCollection().findOne({ _id, rental_id: rentalId.toString() })
+        : null;
+
+      if (!review) {
+        return { success: false, notFound: true, error: 'Review not found' };
+      }
+
+      return { success: true, review };
+    } catch (error) {
+      console.error('Error getting review:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Published reviews of a listing, one page at a time. Imported reviews have no rating,
+  // so the rating sorts put them after the rated ones.
+  static async listForRental(rentalId, { sort = 'newest', limit = 10, skip = 0 } = {}) {
+    try {
+      const match = { rental_id: rentalId.toString(), status: 'published' };
+      const collection = this.getCollection();
+
+      const [reviews, total] = await Promise.all([
+        collection.aggregate([
+          { $match: match },
+          { $addFields: { has_rating: { $cond: [{ $isNumber: '$rating' }, 1, 0] } } },
+          { $sort: REVIEW_SORTS[sort] || REVIEW_SORTS.newest },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { has_rating: 0, flags: 0 } }
+        ]).toArray(),
+        collection.countDocuments(match)
+      ]);
+
+      return { success: true, reviews, total };
+    } catch (error) {
+      console.error('Error listing reviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async setHostReply(rentalId, reviewId, reply) {
+    try {
+      const review = await this.getCollection().findOneAndUpdate(
+        { _id: toObjectId(reviewId), rental_id: rentalId.toString(), status: { $ne: 'removed' } },
+        { $set: { host_reply: reply, updated_at: new Date() } },
+        { returnDocument: 'after', projection: { flags: 0 } }
+      );
+
+      if (!review) {
+        return { success: false, notFound: true, error: 'Review not found' };
+      }
+
+      return { success: true, review };
+    } catch (error) {
+      console.error('Error saving host reply:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Record a user's flag. Once `threshold` users have flagged a published review it is
+  // hidden until an admin looks at it. Each user can flag a review once.
+  static async addFlag(rentalId, reviewId, { userId, reason, details = '' }, threshold) {
+    try {
+      const _id = toObjectId(reviewId);
+      const user = userId.toString();
+      const flag = { user_id: user, reason, details, created_at: new Date() };
+
+      const review = _id ? await this.getCollection().findOneAndUpdate(
+        { _id, rental_id: rentalId.toString(), status: { $ne: 'removed' }, 'flags.user_id': { $ne: user } },
+        [
+          { $set: { flags: { $concatArrays: [{ $ifNull: ['$flags', []] }, [flag]] } } },
+          {
+            $set: {
+              status: {
+                $cond: [
+                  { $and: [{ $eq: ['$status', 'published'] }, { $gte: [{ $size: '$flags' }, threshold] }] },
+                  'flagged',
+                  '$status'
+                ]
+              },
+              updated_at: '$$NOW'
+            }
+          }
+        ],
+        { returnDocument: 'after' }
+      ) : null;
+
+      if (!review) {
+        const existing = _id
+          ? await this.getCollection().findOne({ _id, rental_id: rentalId.toString(), status: { $ne: 'removed' } })
+          : null;
+        return existing
+          ? { success: false, conflict: true, error: 'You have already reported this review' }
+          : { success: false, notFound: true, error: 'Review not found' };
+      }
+
+      return { success: true, review };
+    } catch (error) {
+      console.error('Error flagging review:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Flagged reviews waiting for an admin, oldest report first
+  static async listFlagged({ limit = 20, skip = 0 } = {}) {
+    try {
+      const collection = this.getCollection();
+      const [reviews, total] = await Promise.all([
+        collection.find({ status: 'flagged' }).sort({ updated_at: 1 }).skip(skip).limit(limit).toArray(),
+        collection.countDocuments({ status: 'flagged' })
+      ]);
+
+      return { success: true, reviews, total };
+    } catch (error) {
+      console.error('Error listing flagged reviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Approving publishes the review again and clears its flags; removing hides it for good
+  static async moderate(reviewId, { status, moderatorId }) {
+    try {
+      const now = new Date();
+      const review = await this.getCollection().findOneAndUpdate(
+        { _id: toObjectId(reviewId) },
+        {
+          $set: {
+            status,
+            moderated_by: moderatorId.toString(),
+            moderated_at: now,
+            updated_at: now,
+            ...(status === 'published' ? { flags: [] } : {})
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!review) {
+        return { success: false, notFound: true, error: 'Review not found' };
+      }
+
+      return { success: true, review };
+    } catch (error) {
+      console.error('Error moderating review:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async delete(rentalId, reviewId) {
+    try {
+      const _id = toObjectId(reviewId);
+      const result = _id
+        ? await this.getCollection().deleteOne({ _id, rental_id: rentalId.toString() })
+        : { deletedCount: 0 };
+
+      if (result.deletedCount === 0) {
+        return { success: false, notFound: true, error: 'Review not found' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting review:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // What a listing's review_scores and number_of_reviews are computed from: the count
+  // and average ratings of published guest reviews, and how many imported reviews
+  // moderation has taken down
+  static async getRentalTotals(rentalId) {
+    try {
+      const aspectAverages = Object.fromEntries(REVIEW_ASPECTS.map(aspect => [aspect, { $avg: `$scores.${aspect}` }]));
+      const aspectCounts = Object.fromEntries(REVIEW_ASPECTS.map(aspect => [
+        `${aspect}_count`,
+        { $sum: { $cond: [{ $isNumber: `$scores.${aspect}` }, 1, 0] } }
+      ]));
+
+      const [guest = null, hiddenImported = null] = await Promise.all([
+        this.getCollection().aggregate([
+          { $match: { rental_id: rentalId.toString(), imported: false, status: 'published' } },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              rated: { $sum: { $cond: [{ $isNumber: '$rating' }, 1, 0] } },
+              rating: { $avg: '$rating' },
+              ...aspectAverages,
+              ...aspectCounts
+            }
+          }
+        ]).next(),
+        this.getCollection().countDocuments({ rental_id: rentalId.toString(), imported: true, status: { $ne: 'published' } })
+      ]);
+
+      return { success: true, guest, hiddenImported };
+    } catch (error) {
+      console.error('Error totalling reviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Copy a listing's embedded Airbnb reviews into the collection. Safe to run again:
+  // reviews already copied are left as they are.
+  static async importForRental(rentalId, reviews = []) {
+    try {
+      const operations = reviews
+        .filter(review => review && review.comments)
+        .map(review => {
+          const sourceId = (review._id ?? `${review.reviewer_id}-${review.date}`).toString();
+          const createdAt = review.date ? new Date(review.date) : new Date();
+
+          return {
+            updateOne: {
+              filter: { rental_id: rentalId.toString(), source_id: sourceId },
+              update: {
+                $setOnInsert: {
+                  rental_id: rentalId.toString(),
+                  user_id: null,
+                  reviewer_name: review.reviewer_name || 'Guest',
+                  imported: true,
+                  source_id: sourceId,
+                  booking_id: null,
+                  verified_stay: false,
+                  rating: null,
+                  scores: {},
+                  comments: review.comments,
+                  status: 'published',
+                  flags: [],
+                  host_reply: null,
+                  created_at: isNaN(createdAt.getTime()) ? new Date() : createdAt,
+                  updated_at: new Date()
+                }
+              },
+              upsert: true
+            }
+          };
+        });
+
+      if (operations.length === 0) {
+        return { success: true, imported: 0 };
+      }
+
+      const result = await this.getCollection().bulkWrite(operations, { ordered: false });
+      return { success: true, imported: result.upsertedCount };
+    } catch (error) {
+      console.error('Error importing reviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Reviews whose text is searched through review_chunks, optionally for one listing
+  static findForSearchIndex({ rentalId = null } = {}) {
+    return this.getCollection().find(
+      { status: 'published', ...(rentalId ? { rental_id: rentalId.toString() } : {}) },
+      { projection: { rental_id: 1, reviewer_name: 1, comments: 1, status: 1, created_at: 1, search_index: 1 } }
+    );
+  }
+
+  // Hidden or removed reviews that still have chunks in review_chunks
+  static async findUnpublishedIndexedIds() {
+    try {
+      const reviewIds = await this.getCollection().distinct('_id', {
+        status: { $ne: 'published' },
+        search_index: { $exists: true }
+      });
+
+      return { success: true, reviewIds };
+    } catch (error) {
+      console.error('Error finding indexed reviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Record what each review's chunks were built from.
+  // entries: [{ reviewId, searchIndex }]
+  static async setSearchIndex(entries) {
+    try {
+      if (entries.length === 0) {
+        return { success: true };
+      }
+
+      await this.getCollection().bulkWrite(entries.map(({ reviewId, searchIndex }) => ({
+        updateOne: {
+          filter: { _id: toObjectId(reviewId) },
+          update: { $set: { search_index: searchIndex } }
+        }
+      })), { ordered: false });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving review search index state:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async clearSearchIndex(reviewIds) {
+    try {
+      const ids = reviewIds.map(id => toObjectId(id)).filter(Boolean);
+      if (ids.length > 0) {
+        await this.getCollection().updateMany({ _id: { $in: ids } }, { $unset: { search_index: '' } });
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error clearing review search index state:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Which of the given reviews are still published (chunks can outlive a review for a moment)
+  static async filterPublished(reviewIds) {
+    try {
+      const ids = reviewIds.map(id => toObjectId(id)).filter(Boolean);
+      const published = ids.length > 0
+        ? await this.getCollection().distinct('_id', { _id: { $in: ids }, status: 'published' })
+        : [];
+
+      return { success: true, reviewIds: published.map(id => id.toString()) };
+    } catch (error) {
+      console.error('Error checking published reviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async listForUser(userId) {
+    try {
+      const reviews = await this.getCollection()
+        .find({ user_id: userId.toString() }, { projection: { flags: 0 } })
+        .sort({ created_at: -1 })
+        .toArray();
+
+      return { success: true, reviews };
+    } catch (error) {
+      console.error('Error listing user reviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Remove a user's reviews; returns the listings they were on so their scores can be
+  // recomputed, and the review IDs so their chunks can be removed
+  static async deleteForUser(userId) {
+    try {
+      const collection = this.getCollection();
+      const [rentalIds, reviewIds] = await Promise.all([
+        collection.distinct('rental_id', { user_id: userId.toString() }),
+        collection.distinct('_id', { user_id: userId.toString() })
+      ]);
+      const result = await collection.deleteMany({ user_id: userId.toString() });
+
+      return { success: true, deletedCount: result.deletedCount, rentalIds, reviewIds };
+    } catch (error) {
+      console.error('Error deleting reviews for user:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,192 @@
+import { DatabaseManager } from '../config/database.js';
+import { toObjectId } from './model-helpers.js';
+
+export const SAVED_SEARCH_LIMITS = {
+  searchesPerUser: 20,
+  // Listings remembered per search, so each one is announced as new only once
+  knownListings: 1000,
+  // Runs in a row a listing can be missing from the matches before it is forgotten
+  knownMissedRuns: 30
+};
+
+// Search filters a saved search can keep; the same names as the /rentals and /search query params
+export const SAVED_SEARCH_FILTERS = [
+  'location', 'property_type', 'room_type', 'country',
+  'min_price', 'max_price', 'min_bedrooms', 'min_bathrooms', 'min_accommodates',
+  'superhost_only', 'instant_bookable', 'min_rating', 'review_highlights',
+  'near', 'radius_km', 'bbox'
+];
+
+// Saved searches with alerts. The alerts job runs each one when it's due and compares the
+// matches with the listings it has already seen to find new and re-priced listings.
+//
+// {
+//   user_id, name,
+//   query,                      // natural-language query for hybrid search, or null
+//   filters: { location, max_price, ... },
+//   enabled,
+//   known: [{ rental_id, price, missed }],  // listings seen on earlier runs, and how many runs since
+//   last_run_at, next_run_at,
+//   last_result: { new_count, repriced_count, error },
+//   created_at, updated_at
+// }
+export class SavedSearchModel {
+  static getCollection() {
+    const db = DatabaseManager.getDatabase();
+    return db.collection('saved_searches');
+  }
+
+  static async ensureIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ user_id: 1, created_at: -1 });
+    await collection.createIndex({ enabled: 1, next_run_at: 1 });
+  }
+
+  static async create(userId, { name, query = null, filters = {}, known = [], nextRunAt = new Date() }) {
+    try {
+      const collection = this.getCollection();
+      const owner = userId.toString();
+
+      const count = await collection.countDocuments({ user_id: owner });
+      if (count >= SAVED_SEARCH_LIMITS.searchesPerUser) {
+        return { success: false, error: `You can save up to ${SAVED_SEARCH_LIMITS.searchesPerUser} searches` };
+      }
+
+      const now = new Date();
+      const search = {
+        user_id: owner,
+        name,
+        query,
+        filters,
+        enabled: true,
+        known,
+        last_run_at: known.length > 0 ? now : null,
+        next_run_at: nextRunAt,
+        last_result: null,
+        created_at: now,
+        updated_at: now
+      };
+
+      const result = await collection.insertOne(search);
+      return { success: true, search: { _id: result.insertedId, ...search } };
+    } catch (error) {
+      console.error('Error creating saved search:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getById(userId, id) {
+    try {
+      const _id = toObjectId(id);
+      const search = _id ? await this.getCollection().findOne({ _id, user_id: userId.toString() }) : null;
+
+      if (!search) {
+        return { success: false, notFound: true, error: 'Saved search not found' };
+      }
+
+      return { success: true, search };
+    } catch (error) {
+      console.error('Error getting saved search:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async listForUser(userId) {
+    try {
+      const searches = await this.getCollection()
+        .find({ user_id: userId.toString() }, { projection: { known: 0 } })
+        .sort({ created_at: -1 })
+        .toArray();
+
+      return { success: true, searches };
+    } catch (error) {
+      console.error('Error listing saved searches:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async update(userId, id, updates) {
+    try {
+      const search = await this.getCollection().findOneAndUpdate(
+        { _id: toObjectId(id), user_id: userId.toString() },
+        { $set: { ...updates, updated_at: new Date() } },
+        { returnDocument: 'after', projection: { known: 0 } }
+      );
+
+      if (!search) {
+        return { success: false, notFound: true, error: 'Saved search not found' };
+      }
+
+      return { success: true, search };
+    } catch (error) {
+      console.error('Error updating saved search:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async delete(userId, id) {
+    try {
+      const _id = toObjectId(id);
+      const result = _id
+        ? await this.getCollection().deleteOne({ _id, user_id: userId.toString() })
+        : { deletedCount: 0 };
+
+      if (result.deletedCount === 0) {
+        return { success: false, notFound: true, error: 'Saved search not found' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting saved search:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Take the next search that is due and push its next run back, so two alert runs
+  // (or two servers) never process the same search at once
+  static async claimDue(now, intervalMs) {
+    try {
+      const search = await this.getCollection().findOneAndUpdate(
+        { enabled: true, next_run_at: { $lte: now } },
+        { $set: { next_run_at: new Date(now.getTime() + intervalMs) } },
+        { sort: { next_run_at: 1 }, returnDocument: 'after' }
+      );
+
+      return { success: true, search };
+    } catch (error) {
+      console.error('Error claiming saved search:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async recordRun(id, { known, result }) {
+    try {
+      const now = new Date();
+      await this.getCollection().updateOne(
+        { _id: toObjectId(id) },
+        {
+          $set: {
+            last_run_at: now,
+            last_result: result,
+            ...(known ? { known: known.slice(-SAVED_SEARCH_LIMITS.knownListings) } : {})
+          }
+        }
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error recording saved search run:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteForUser(userId) {
+    try {
+      const result = await this.getCollection().deleteMany({ user_id: userId.toString() });
+      return { success: true, deletedCount: result.deletedCount };
+    } catch (error) {
+      console.error('Error deleting saved searches for user:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
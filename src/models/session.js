@@ -0,0 +1,152 @@
+import { DatabaseManager } from '../config/database.js';
+import { randomBytes, randomUUID, createHash } from 'crypto';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Refresh tokens, one document per token. Logging in starts a family; every refresh
+// marks the presented token as rotated and issues the next one in the same family.
+// Only the SHA-256 of a token is stored.
+export class SessionModel {
+  static getCollection() {
+    const db = DatabaseManager.getDatabase();
+    return db.collection('sessions');
+  }
+
+  static async ensureIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ token_hash: 1 }, { unique: true });
+    await collection.createIndex({ family_id: 1 });
+    await collection.createIndex({ user_id: 1, status: 1 });
+    await collection.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  static hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+  }
+
+  static buildToken({ userId, familyId, client = {} }) {
+    const token = randomBytes(48).toString('base64url');
+    const now = new Date();
+
+    return {
+      token,
+      document: {
+        token_hash: this.hashToken(token),
+        family_id: familyId,
+        user_id: userId.toString(),
+        status: 'active',
+        user_agent: client.userAgent || null,
+        ip: client.ip || null,
+        created_at: now,
+        expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+      }
+    };
+  }
+
+  // Start a new family (one per login/device)
+  static async createSession(userId, client = {}) {
+    try {
+      const { token, document } = this.buildToken({ userId, familyId: randomUUID(), client });
+      await this.getCollection().insertOne(document);
+
+      return { success: true, refreshToken: token, familyId: document.family_id };
+    } catch (error) {
+      console.error('Error creating session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Exchange a refresh token for the next one in its family. Presenting a token that
+  // was already rotated means it leaked (or was replayed), so the whole family is revoked.
+  static async rotate(refreshToken, client = {}) {
+    try {
+      const collection = this.getCollection();
+      const tokenHash = this.hashToken(refreshToken);
+      const now = new Date();
+
+      // Claim the token atomically so two concurrent refreshes can't both succeed
+      const current = await collection.findOneAndUpdate(
+        { token_hash: tokenHash, status: 'active', expires_at: { $gt: now } },
+        { $set: { status: 'rotated', rotated_at: now } }
+      );
+
+      if (!current) {
+        const existing = await collection.findOne({ token_hash: tokenHash });
+
+        if (existing?.status === 'rotated') {
+          await this.revokeFamily(existing.family_id, 'reuse_detected');
+          return { success: false, reuse: true, error: 'Refresh token reuse detected; this session has been signed out' };
+        }
+
+        return { success: false, error: 'Invalid or expired refresh token' };
+      }
+
+      const { token, document } = this.buildToken({
+        userId: current.user_id,
+        familyId: current.family_id,
+        client: { userAgent: client.userAgent || current.user_agent, ip: client.ip || current.ip }
+      });
+      await collection.insertOne(document);
+
+      return { success: true, refreshToken: token, userId: current.user_id, familyId: current.family_id };
+    } catch (error) {
+      console.error('Error rotating refresh token:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async findByToken(refreshToken) {
+    try {
+      const session = await this.getCollection().findOne({ token_hash: this.hashToken(refreshToken) });
+      return { success: true, session };
+    } catch (error) {
+      console.error('Error finding session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Revoking marks every token of the family, so any revoked token means the family is gone
+  static async isFamilyRevoked(familyId) {
+    const revoked = await this.getCollection().findOne(
+      { family_id: familyId, status: 'revoked' },
+      { projection: { _id: 1 } }
+    );
+    return !!revoked;
+  }
+
+  static async revokeFamily(familyId, reason = 'logout') {
+    try {
+      const result = await this.getCollection().updateMany(
+        { family_id: familyId, status: { $ne: 'revoked' } },
+        { $set: { status: 'revoked', revoked_at: new Date(), revoked_reason: reason } }
+      );
+      return { success: true, revoked: result.modifiedCount };
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Sign a user out everywhere, optionally keeping one session (e.g. the one changing the password)
+  static async revokeAllForUser(userId, reason = 'logout_all', exceptFamilyId = null) {
+    try {
+      const collection = this.getCollection();
+      const query = { user_id: userId.toString() };
+      if (exceptFamilyId) {
+        query.family_id = { $ne: exceptFamilyId };
+      }
+
+      const families = await collection.distinct('family_id', { ...query, status: 'active' });
+
+      await collection.updateMany(
+        { ...query, status: { $ne: 'revoked' } },
+        { $set: { status: 'revoked', revoked_at: new Date(), revoked_reason: reason } }
+      );
+
+      return { success: true, sessions: families.length };
+    } catch (error) {
+      console.error('Error revoking user sessions:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -2,13 +2,39 @@ import { DatabaseManager } from '../config/database.js';
 import { ObjectId } from 'mongodb';
 import bcrypt from 'bcrypt';
 
+// guest: browse, book and chat; host: also manage their own listings; admin: everything
+export const USER_ROLES = ['guest', 'host', 'admin'];
+export const DEFAULT_ROLE = 'guest';
+
+const PASSWORD_SALT_ROUNDS = 12;
+
+// Progressive lockout: after LOGIN_LOCKOUT_THRESHOLD failed logins in a row the account
+// is locked for a minute, doubling with each further failure up to an hour
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_BASE_SECONDS = 60;
+const LOGIN_LOCKOUT_MAX_SECONDS = 60 * 60;
+
 export class UserModel {
   static getCollection() {
     const db = DatabaseManager.getDatabase();
     return db.collection('users');
   }
 
-  static async createUser(username, password) {
+  // Users created before roles existed are guests
+  static getRole(user) {
+    return USER_ROLES.includes(user?.role) ? user.role : DEFAULT_ROLE;
+  }
+
+  static async hashPassword(password) {
+    return await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+  }
+
+  // Emails are optional and only used for account recovery; stored lowercase
+  static normalizeEmail(email) {
+    return email ? email.trim().toLowerCase() : null;
+  }
+
+  static async createUser(username, password, role = DEFAULT_ROLE, email = null) {
     try {
       const collection = this.getCollection();
       
@@ -18,20 +44,25 @@ export class UserModel {
         return { success: false, error: 'Username already exists' };
       }
 
+      const normalizedEmail = this.normalizeEmail(email);
+      if (normalizedEmail && await collection.findOne({ email: normalizedEmail }, { projection: { _id: 1 } })) {
+        return { success: false, error: 'Email is already in use' };
+      }
+
       // Hash password
-      const saltRounds = 12;
-      const password_hash = await bcrypt.hash(password, saltRounds);
+      const password_hash = await this.hashPassword(password);
 
       const user = {
         username,
         password_hash,
+        role,
+        ...(normalizedEmail ? { email: normalizedEmail } : {}),
         created_at: new Date(),
         updated_at: new Date(),
         profile: {
           preferences: {},
           search_history: [],
           favorite_locations: [],
-          saved_rentals: [],
           last_login: null
         },
         memory_stats: {
@@ -42,6 +73,12 @@ export class UserModel {
       };
 
       const result = await collection.insertOne(user);
+
+      // New hosts own listings under their own user ID
+      if (role === 'host') {
+        user.host_id = result.insertedId.toString();
+        await collection.updateOne({ _id: result.insertedId }, { $set: { host_id: user.host_id } });
+      }
       
       // Remove password hash from returned user
       const { password_hash: _, ...userWithoutPassword } = user;
@@ -66,19 +103,31 @@ export class UserModel {
         return { success: false, error: 'Invalid username or password' };
       }
 
+      // Locked accounts are refused without checking the password
+      const lockedFor = this.getLockoutSeconds(user);
+      if (lockedFor > 0) {
+        return this.lockedResult(lockedFor);
+      }
+
+      // Accounts created through an identity provider have no password
+      if (!user.password_hash) {
+        return { success: false, error: 'Invalid username or password' };
+      }
+
       const isValidPassword = await bcrypt.compare(password, user.password_hash);
       if (!isValidPassword) {
-        return { success: false, error: 'Invalid username or password' };
+        return await this.recordFailedLogin(user);
       }
 
-      // Update last login
+      // Update last login and clear failed attempts
       await collection.updateOne(
         { _id: user._id },
         { 
           $set: { 
             'profile.last_login': new Date(),
             updated_at: new Date()
-          }
+          },
+          $unset: { failed_login_attempts: '', locked_until: '' }
         }
       );
 
@@ -95,6 +144,51 @@ export class UserModel {
     }
   }
 
+  static getLockoutSeconds(user, now = new Date()) {
+    if (!user.locked_until || user.locked_until <= now) {
+      return 0;
+    }
+    return Math.ceil((user.locked_until.getTime() - now.getTime()) / 1000);
+  }
+
+  static lockedResult(seconds) {
+    const minutes = Math.ceil(seconds / 60);
+    return {
+      success: false,
+      locked: true,
+      retryAfter: seconds,
+      error: `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+    };
+  }
+
+  // Count a failed login and lock the account once the threshold is reached
+  static async recordFailedLogin(user) {
+    const collection = this.getCollection();
+    const now = new Date();
+
+    const updated = await collection.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { failed_login_attempts: 1 }, $set: { last_failed_login_at: now } },
+      { returnDocument: 'after', projection: { failed_login_attempts: 1 } }
+    );
+
+    const attempts = updated?.failed_login_attempts || 1;
+    if (attempts < LOGIN_LOCKOUT_THRESHOLD) {
+      return { success: false, error: 'Invalid username or password' };
+    }
+
+    const seconds = Math.min(
+      LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (attempts - LOGIN_LOCKOUT_THRESHOLD),
+      LOGIN_LOCKOUT_MAX_SECONDS
+    );
+    await collection.updateOne(
+      { _id: user._id },
+      { $set: { locked_until: new Date(now.getTime() + seconds * 1000) } }
+    );
+
+    return this.lockedResult(seconds);
+  }
+
   static async getUserById(userId) {
     try {
       const collection = this.getCollection();
@@ -114,137 +208,427 @@ export class UserModel {
     }
   }
 
-  static async updateUserProfile(userId, profileUpdates) {
+  // Change a user's role. Hosts are linked to listings through host_id, which matches
+  // the listings' host.host_id; it defaults to the user's ID for brand new hosts.
+  static async setUserRole(userId, role, hostId = null) {
     try {
+      if (!USER_ROLES.includes(role)) {
+        return { success: false, error: `Role must be one of: ${USER_ROLES.join(', ')}` };
+      }
+
       const collection = this.getCollection();
-      
-      const updateFields = {};
-      Object.keys(profileUpdates).forEach(key => {
-        updateFields[`profile.${key}`] = profileUpdates[key];
-      });
-      updateFields.updated_at = new Date();
+      const user = await collection.findOne({ _id: new ObjectId(userId) }, { projection: { host_id: 1 } });
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      const updateFields = { role, updated_at: new Date() };
+      if (hostId) {
+        updateFields.host_id = hostId.toString();
+      } else if (role === 'host' && !user.host_id) {
+        updateFields.host_id = userId.toString();
+      }
+
+      await collection.updateOne({ _id: user._id }, { $set: updateFields });
+
+      return { success: true, role, hostId: updateFields.host_id || user.host_id || null };
+    } catch (error) {
+      console.error('Error setting user role:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getUserByUsername(username) {
+    try {
+      const collection = this.getCollection();
+      const user = await collection.findOne({ username });
 
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      const { password_hash: _, ...userWithoutPassword } = user;
+      return { success: true, user: userWithoutPassword };
+    } catch (error) {
+      console.error('Error getting user by username:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getUserByEmail(email) {
+    try {
+      const collection = this.getCollection();
+      const user = await collection.findOne({ email: this.normalizeEmail(email) });
+
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      const { password_hash: _, ...userWithoutPassword } = user;
+      return { success: true, user: userWithoutPassword };
+    } catch (error) {
+      console.error('Error getting user by email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async setEmail(userId, email) {
+    try {
+      const collection = this.getCollection();
+      const normalizedEmail = this.normalizeEmail(email);
+
+      const taken = await collection.findOne(
+        { email: normalizedEmail, _id: { $ne: new ObjectId(userId) } },
+        { projection: { _id: 1 } }
+      );
+      if (taken) {
+        return { success: false, error: 'Email is already in use' };
+      }
+
+      await collection.updateOne(
+        { _id: new ObjectId(userId) },
+        { $set: { email: normalizedEmail, updated_at: new Date() } }
+      );
+
+      return { success: true, email: normalizedEmail };
+    } catch (error) {
+      console.error('Error setting user email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // How alerts reach the user: { channels, webhook_url, price_drops }, checked by the notification service
+  static async setNotificationSettings(userId, settings) {
+    try {
+      const collection = this.getCollection();
       const result = await collection.updateOne(
         { _id: new ObjectId(userId) },
-        { $set: updateFields }
+        { $set: { notification_settings: settings, updated_at: new Date() } }
       );
 
-      return { success: true, modifiedCount: result.modifiedCount };
+      if (result.matchedCount === 0) {
+        return { success: false, error: 'User not found' };
+      }
+
+      return { success: true, settings };
     } catch (error) {
-      console.error('Error updating user profile:', error);
+      console.error('Error setting notification settings:', error);
       return { success: false, error: error.message };
     }
   }
 
-  static async incrementUserStats(userId, statType) {
+  static async verifyPassword(userId, password) {
     try {
       const collection = this.getCollection();
-      
-      const incrementField = {};
-      incrementField[`memory_stats.${statType}`] = 1;
+      const user = await collection.findOne({ _id: new ObjectId(userId) }, { projection: { password_hash: 1 } });
 
-      await collection.updateOne(
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      if (!user.password_hash) {
+        return { success: true, valid: false, noPassword: true };
+      }
+
+      return { success: true, valid: await bcrypt.compare(password || '', user.password_hash) };
+    } catch (error) {
+      console.error('Error verifying password:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async updatePassword(userId, newPassword) {
+    try {
+      const collection = this.getCollection();
+      const result = await collection.updateOne(
         { _id: new ObjectId(userId) },
-        { 
-          $inc: incrementField,
-          $set: { updated_at: new Date() }
+        {
+          $set: {
+            password_hash: await this.hashPassword(newPassword),
+            password_changed_at: new Date(),
+            updated_at: new Date()
+          },
+          $unset: { failed_login_attempts: '', locked_until: '' }
         }
       );
 
+      if (result.matchedCount === 0) {
+        return { success: false, error: 'User not found' };
+      }
+
       return { success: true };
     } catch (error) {
-      console.error('Error incrementing user stats:', error);
+      console.error('Error updating password:', error);
       return { success: false, error: error.message };
     }
   }
 
-  static async addToSearchHistory(userId, searchQuery, filters = {}) {
+  // Usernames for accounts created through an identity provider, e.g. "jane.doe" or "jane.doe4821"
+  static async generateUsername(preferred) {
+    const collection = this.getCollection();
+    let base = (preferred || '').toLowerCase().replace(/[^a-z0-9._-]/g, '').slice(0, 24);
+    if (base.length < 3) {
+      base = `guest${base}`;
+    }
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const candidate = attempt === 0 ? base : `${base}${Math.floor(1000 + Math.random() * 9000)}`;
+      if (!await collection.findOne({ username: candidate }, { projection: { _id: 1 } })) {
+        return candidate;
+      }
+    }
+    throw new Error('Could not find a free username');
+  }
+
+  // Sign-in identities from OpenID Connect providers, stored on the user as
+  // identities: [{ provider, subject, email, linked_at }]
+  static async findByIdentity(provider, subject) {
     try {
       const collection = this.getCollection();
-      
-      const searchEntry = {
-        query: searchQuery,
-        filters,
-        timestamp: new Date()
+      const user = await collection.findOne({ identities: { $elemMatch: { provider, subject } } });
+
+      if (!user) {
+        return { success: true, user: null };
+      }
+
+      const { password_hash: _, ...userWithoutPassword } = user;
+      return { success: true, user: userWithoutPassword };
+    } catch (error) {
+      console.error('Error finding user by identity:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // New passwordless account for someone signing in with an identity provider
+  static async createOidcUser({ preferredUsername, email = null, identity }) {
+    try {
+      const collection = this.getCollection();
+      const username = await this.generateUsername(preferredUsername);
+
+      // Only claim the email if no other account uses it
+      const normalizedEmail = this.normalizeEmail(email);
+      const emailTaken = normalizedEmail && await collection.findOne({ email: normalizedEmail }, { projection: { _id: 1 } });
+
+      const user = {
+        username,
+        password_hash: null,
+        role: DEFAULT_ROLE,
+        ...(normalizedEmail && !emailTaken ? { email: normalizedEmail } : {}),
+        identities: [{ ...identity, linked_at: new Date() }],
+        created_at: new Date(),
+        updated_at: new Date(),
+        profile: {
+          preferences: {},
+          search_history: [],
+          favorite_locations: [],
+          last_login: new Date()
+        },
+        memory_stats: {
+          total_conversations: 0,
+          total_searches: 0,
+          memory_entries: 0
+        }
       };
 
-      await collection.updateOne(
-        { _id: new ObjectId(userId) },
-        { 
-          $push: { 
-            'profile.search_history': {
-              $each: [searchEntry],
-              $slice: -50 // Keep only last 50 searches
-            }
-          },
+      const result = await collection.insertOne(user);
+      const { password_hash: _, ...userWithoutPassword } = user;
+
+      return { success: true, user: { ...userWithoutPassword, _id: result.insertedId } };
+    } catch (error) {
+      console.error('Error creating OIDC user:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Link a provider identity to an existing account (one identity per provider)
+  static async linkIdentity(userId, identity) {
+    try {
+      const collection = this.getCollection();
+
+      const owner = await collection.findOne(
+        { identities: { $elemMatch: { provider: identity.provider, subject: identity.subject } } },
+        { projection: { _id: 1 } }
+      );
+      if (owner) {
+        return owner._id.toString() === userId.toString()
+          ? { success: true, alreadyLinked: true }
+          : { success: false, conflict: true, error: 'This account is already linked to another user' };
+      }
+
+      const result = await collection.updateOne(
+        { _id: new ObjectId(userId), 'identities.provider': { $ne: identity.provider } },
+        {
+          $push: { identities: { ...identity, linked_at: new Date() } },
           $set: { updated_at: new Date() }
         }
       );
 
+      if (result.matchedCount === 0) {
+        return { success: false, conflict: true, error: 'Another account from this provider is already linked' };
+      }
+
       return { success: true };
     } catch (error) {
-      console.error('Error adding to search history:', error);
+      console.error('Error linking identity:', error);
       return { success: false, error: error.message };
     }
   }
 
-  static async saveRental(userId, rentalId, rentalData = null) {
+  // Remove a linked identity, unless it's the only way left to sign in
+  static async unlinkIdentity(userId, provider) {
     try {
       const collection = this.getCollection();
-      
-      const savedRental = {
-        rental_id: rentalId,
-        saved_at: new Date(),
-        rental_data: rentalData // Store basic rental info for quick access
-      };
+      const user = await collection.findOne(
+        { _id: new ObjectId(userId) },
+        { projection: { password_hash: 1, identities: 1 } }
+      );
+
+      const identities = user?.identities || [];
+      if (!identities.some(identity => identity.provider === provider)) {
+        return { success: false, notFound: true, error: 'No linked account for this provider' };
+      }
+      if (!user.password_hash && identities.length === 1) {
+        return { success: false, conflict: true, error: 'Set a password before unlinking your only sign-in method' };
+      }
 
-      // Check if rental is already saved
+      await collection.updateOne(
+        { _id: user._id },
+        { $pull: { identities: { provider } }, $set: { updated_at: new Date() } }
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error unlinking identity:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // How a user can sign in: password and/or linked identities
+  static async getSignInMethods(userId) {
+    try {
+      const collection = this.getCollection();
       const user = await collection.findOne(
-        { 
-          _id: new ObjectId(userId),
-          'profile.saved_rentals.rental_id': rentalId
-        }
+        { _id: new ObjectId(userId) },
+        { projection: { password_hash: 1, identities: 1 } }
       );
 
-      if (user) {
-        return { success: false, error: 'Rental already saved' };
+      if (!user) {
+        return { success: false, error: 'User not found' };
       }
 
+      return {
+        success: true,
+        hasPassword: !!user.password_hash,
+        identities: (user.identities || []).map(({ provider, email, linked_at }) => ({ provider, email, linked_at }))
+      };
+    } catch (error) {
+      console.error('Error getting sign-in methods:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async recordLogin(userId) {
+    try {
+      await this.getCollection().updateOne(
+        { _id: new ObjectId(userId) },
+        { $set: { 'profile.last_login': new Date(), updated_at: new Date() } }
+      );
+      return { success: true };
+    } catch (error) {
+      console.error('Error recording login:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Removes the user document, which also holds their profile and saved rentals
+  static async deleteUser(userId) {
+    try {
+      const collection = this.getCollection();
+      const result = await collection.deleteOne({ _id: new ObjectId(userId) });
+      return { success: true, deletedCount: result.deletedCount };
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async updateUserProfile(userId, profileUpdates) {
+    try {
+      const collection = this.getCollection();
+      
+      const updateFields = {};
+      Object.keys(profileUpdates).forEach(key => {
+        updateFields[`profile.${key}`] = profileUpdates[key];
+      });
+      updateFields.updated_at = new Date();
+
+      const result = await collection.updateOne(
+        { _id: new ObjectId(userId) },
+        { $set: updateFields }
+      );
+
+      return { success: true, modifiedCount: result.modifiedCount };
+    } catch (error) {
+      console.error('Error updating user profile:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async incrementUserStats(userId, statType) {
+    try {
+      const collection = this.getCollection();
+      
+      const incrementField = {};
+      incrementField[`memory_stats.${statType}`] = 1;
+
       await collection.updateOne(
         { _id: new ObjectId(userId) },
         { 
-          $push: { 'profile.saved_rentals': savedRental },
+          $inc: incrementField,
           $set: { updated_at: new Date() }
         }
       );
 
       return { success: true };
     } catch (error) {
-      console.error('Error saving rental:', error);
+      console.error('Error incrementing user stats:', error);
       return { success: false, error: error.message };
     }
   }
 
-  static async unsaveRental(userId, rentalId) {
+  static async addToSearchHistory(userId, searchQuery, filters = {}) {
     try {
       const collection = this.getCollection();
       
+      const searchEntry = {
+        query: searchQuery,
+        filters,
+        timestamp: new Date()
+      };
+
       await collection.updateOne(
         { _id: new ObjectId(userId) },
         { 
-          $pull: { 'profile.saved_rentals': { rental_id: rentalId } },
+          $push: { 
+            'profile.search_history': {
+              $each: [searchEntry],
+              $slice: -50 // Keep only last 50 searches
+            }
+          },
           $set: { updated_at: new Date() }
         }
       );
 
       return { success: true };
     } catch (error) {
-      console.error('Error unsaving rental:', error);
+      console.error('Error adding to search history:', error);
       return { success: false, error: error.message };
     }
   }
 
-  static async getSavedRentals(userId) {
+  // Saved rentals from before lists existed (profile.saved_rentals). The wishlist
+  // service moves them into the user's default list on first use.
+  static async getLegacySavedRentals(userId) {
     try {
       const collection = this.getCollection();
       
@@ -267,18 +651,29 @@ export class UserModel {
     }
   }
 
-  static async isRentalSaved(userId, rentalId) {
+  static async getUserIdsWithLegacySavedRentals() {
     try {
-      const collection = this.getCollection();
-      
-      const user = await collection.findOne({
-        _id: new ObjectId(userId),
-        'profile.saved_rentals.rental_id': rentalId
-      });
+      const users = await this.getCollection()
+        .find({ 'profile.saved_rentals.0': { $exists: true } }, { projection: { _id: 1 } })
+        .toArray();
 
-      return { success: true, isSaved: !!user };
+      return { success: true, userIds: users.map(user => user._id) };
+    } catch (error) {
+      console.error('Error finding legacy saved rentals:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async clearLegacySavedRentals(userId) {
+    try {
+      await this.getCollection().updateOne(
+        { _id: new ObjectId(userId) },
+        { $unset: { 'profile.saved_rentals': '' } }
+      );
+
+      return { success: true };
     } catch (error) {
-      console.error('Error checking if rental is saved:', error);
+      console.error('Error clearing legacy saved rentals:', error);
       return { success: false, error: error.message };
     }
   }
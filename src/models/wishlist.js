@@ -0,0 +1,452 @@
+import { DatabaseManager } from '../config/database.js';
+import { toObjectId } from './model-helpers.js';
+
+export const WISHLIST_LIMITS = {
+  listsPerUser: 50,
+  itemsPerList: 500,
+  collaboratorsPerList: 20,
+  tagsPerItem: 10
+};
+
+export const DEFAULT_WISHLIST_NAME = 'Saved';
+
+// Named collections of saved rentals ("wishlists"). Each user has a default list that
+// the heart button saves to. Items only keep the rental ID; rental details are looked
+// up when a list is read so they never go stale.
+//
+// {
+//   owner_id, name, description, is_default,
+//   items: [{ rental_id, added_by, added_at, note, tags, votes: [userId], price_seen }],
+//   collaborators: [{ user_id, username, added_at }],  // can add items and vote
+//   share_token,                                        // read-only link, unset when not shared
+//   created_at, updated_at
+// }
+export class WishlistModel {
+  static getCollection() {
+    const db = DatabaseManager.getDatabase();
+    return db.collection('wishlists');
+  }
+
+  static async ensureIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ owner_id: 1, updated_at: -1 });
+    await collection.createIndex(
+      { owner_id: 1 },
+      { name: 'one_default_list_per_owner', unique: true, partialFilterExpression: { is_default: true } }
+    );
+    await collection.createIndex({ 'collaborators.user_id': 1 });
+    await collection.createIndex({ 'items.rental_id': 1 });
+    await collection.createIndex({ share_token: 1 }, { unique: true, sparse: true });
+  }
+
+  // Lowercase, trimmed, unique tags
+  static normalizeTags(tags = []) {
+    return [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))]
+      .slice(0, WISHLIST_LIMITS.tagsPerItem);
+  }
+
+  // price_seen is the nightly price when the rental was saved, or when the alerts job
+  // last checked it; price drops are measured against it
+  static buildItem(rentalId, userId, { note = '', tags = [], addedAt = new Date(), price = null } = {}) {
+    return {
+      rental_id: rentalId.toString(),
+      added_by: userId.toString(),
+      added_at: addedAt,
+      note,
+      tags: this.normalizeTags(tags),
+      votes: [],
+      ...(price !== null ? { price_seen: price } : {})
+    };
+  }
+
+  static async createList(ownerId, { name, description = '', isDefault = false, items = [] }) {
+    try {
+      const collection = this.getCollection();
+      const owner = ownerId.toString();
+
+      if (!isDefault) {
+        const count = await collection.countDocuments({ owner_id: owner });
+        if (count >= WISHLIST_LIMITS.listsPerUser) {
+          return { success: false, error: `You can have up to ${WISHLIST_LIMITS.listsPerUser} lists` };
+        }
+      }
+
+      const now = new Date();
+      const wishlist = {
+        owner_id: owner,
+        name,
+        description,
+        is_default: isDefault,
+        items,
+        collaborators: [],
+        created_at: now,
+        updated_at: now
+      };
+
+      const result = await collection.insertOne(wishlist);
+      return { success: true, wishlist: { _id: result.insertedId, ...wishlist } };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, duplicate: true, error: 'Default list already exists' };
+      }
+      console.error('Error creating wishlist:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getById(id) {
+    try {
+      const _id = toObjectId(id);
+      const wishlist = _id ? await this.getCollection().findOne({ _id }) : null;
+
+      if (!wishlist) {
+        return { success: false, notFound: true, error: 'List not found' };
+      }
+
+      return { success: true, wishlist };
+    } catch (error) {
+      console.error('Error getting wishlist:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getByShareToken(token) {
+    try {
+      const wishlist = await this.getCollection().findOne({ share_token: token });
+
+      if (!wishlist) {
+        return { success: false, notFound: true, error: 'This shared list does not exist or is no longer shared' };
+      }
+
+      return { success: true, wishlist };
+    } catch (error) {
+      console.error('Error getting shared wishlist:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getDefaultList(ownerId) {
+    try {
+      const wishlist = await this.getCollection().findOne({ owner_id: ownerId.toString(), is_default: true });
+      return { success: true, wishlist };
+    } catch (error) {
+      console.error('Error getting default wishlist:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Lists the user owns or collaborates on, default list first
+  static async getListsForUser(userId) {
+    try {
+      const id = userId.toString();
+      const wishlists = await this.getCollection()
+        .find({ $or: [{ owner_id: id }, { 'collaborators.user_id': id }] })
+        .sort({ is_default: -1, updated_at: -1 })
+        .toArray();
+
+      return { success: true, wishlists };
+    } catch (error) {
+      console.error('Error getting wishlists:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async updateList(id, { name, description }) {
+    try {
+      const update = { updated_at: new Date() };
+      if (name !== undefined) update.name = name;
+      if (description !== undefined) update.description = description;
+
+      const wishlist = await this.getCollection().findOneAndUpdate(
+        { _id: toObjectId(id) },
+        { $set: update },
+        { returnDocument: 'after' }
+      );
+
+      if (!wishlist) {
+        return { success: false, notFound: true, error: 'List not found' };
+      }
+
+      return { success: true, wishlist };
+    } catch (error) {
+      console.error('Error updating wishlist:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteList(id) {
+    try {
+      const result = await this.getCollection().deleteOne({ _id: toObjectId(id), is_default: { $ne: true } });
+      return { success: true, deleted: result.deletedCount > 0 };
+    } catch (error) {
+      console.error('Error deleting wishlist:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Add an item unless the rental is already in the list or the list is full
+  static async addItem(id, item) {
+    try {
+      const _id = toObjectId(id);
+      const result = await this.getCollection().updateOne(
+        {
+          _id,
+          'items.rental_id': { $ne: item.rental_id },
+          [`items.${WISHLIST_LIMITS.itemsPerList - 1}`]: { $exists: false }
+        },
+        {
+          $push: { items: item },
+          $set: { updated_at: new Date() }
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        const existing = await this.getCollection().findOne(
+          { _id, 'items.rental_id': item.rental_id },
+          { projection: { _id: 1 } }
+        );
+        return existing
+          ? { success: false, conflict: true, error: 'Rental already saved in this list' }
+          : { success: false, error: `A list can hold up to ${WISHLIST_LIMITS.itemsPerList} rentals` };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error adding wishlist item:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async updateItem(id, rentalId, { note, tags }) {
+    try {
+      const update = { updated_at: new Date() };
+      if (note !== undefined) update['items.$.note'] = note;
+      if (tags !== undefined) update['items.$.tags'] = this.normalizeTags(tags);
+
+      const result = await this.getCollection().updateOne(
+        { _id: toObjectId(id), 'items.rental_id': rentalId.toString() },
+        { $set: update }
+      );
+
+      if (result.matchedCount === 0) {
+        return { success: false, notFound: true, error: 'Rental is not in this list' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating wishlist item:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async removeItem(id, rentalId) {
+    try {
+      const result = await this.getCollection().updateOne(
+        { _id: toObjectId(id), 'items.rental_id': rentalId.toString() },
+        {
+          $pull: { items: { rental_id: rentalId.toString() } },
+          $set: { updated_at: new Date() }
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        return { success: false, notFound: true, error: 'Rental is not in this list' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error removing wishlist item:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Remove a rental from every list the user owns (un-hearting it)
+  static async removeRentalFromOwnedLists(ownerId, rentalId) {
+    try {
+      const result = await this.getCollection().updateMany(
+        { owner_id: ownerId.toString(), 'items.rental_id': rentalId.toString() },
+        {
+          $pull: { items: { rental_id: rentalId.toString() } },
+          $set: { updated_at: new Date() }
+        }
+      );
+
+      return { success: true, removedFrom: result.modifiedCount };
+    } catch (error) {
+      console.error('Error removing rental from wishlists:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async setVote(id, rentalId, userId, voted) {
+    try {
+      const votes = { 'items.$.votes': userId.toString() };
+      const result = await this.getCollection().updateOne(
+        { _id: toObjectId(id), 'items.rental_id': rentalId.toString() },
+        voted ? { $addToSet: votes } : { $pull: votes }
+      );
+
+      if (result.matchedCount === 0) {
+        return { success: false, notFound: true, error: 'Rental is not in this list' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error voting on wishlist item:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async setShareToken(id, token) {
+    try {
+      const update = token
+        ? { $set: { share_token: token, updated_at: new Date() } }
+        : { $unset: { share_token: '' }, $set: { updated_at: new Date() } };
+
+      await this.getCollection().updateOne({ _id: toObjectId(id) }, update);
+      return { success: true };
+    } catch (error) {
+      console.error('Error sharing wishlist:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async addCollaborator(id, { userId, username }) {
+    try {
+      const result = await this.getCollection().updateOne(
+        {
+          _id: toObjectId(id),
+          'collaborators.user_id': { $ne: userId.toString() },
+          [`collaborators.${WISHLIST_LIMITS.collaboratorsPerList - 1}`]: { $exists: false }
+        },
+        {
+          $push: { collaborators: { user_id: userId.toString(), username, added_at: new Date() } },
+          $set: { updated_at: new Date() }
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        return { success: false, conflict: true, error: `${username} is already a collaborator, or the list has ${WISHLIST_LIMITS.collaboratorsPerList} collaborators` };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error adding wishlist collaborator:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async removeCollaborator(id, userId) {
+    try {
+      const result = await this.getCollection().updateOne(
+        { _id: toObjectId(id), 'collaborators.user_id': userId.toString() },
+        {
+          $pull: { collaborators: { user_id: userId.toString() } },
+          $set: { updated_at: new Date() }
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        return { success: false, notFound: true, error: 'Not a collaborator on this list' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error removing wishlist collaborator:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // How many users saved each of the given rentals, counting each owner once: { [rentalId]: count }
+  static async countSaves(rentalIds) {
+    try {
+      const ids = rentalIds.map(id => id.toString());
+
+      const counts = await this.getCollection().aggregate([
+        { $match: { 'items.rental_id': { $in: ids } } },
+        { $unwind: '$items' },
+        { $match: { 'items.rental_id': { $in: ids } } },
+        { $group: { _id: { rental_id: '$items.rental_id', owner_id: '$owner_id' } } },
+        { $group: { _id: '$_id.rental_id', count: { $sum: 1 } } }
+      ]).toArray();
+
+      return {
+        success: true,
+        counts: Object.fromEntries(counts.map(entry => [entry._id, entry.count]))
+      };
+    } catch (error) {
+      console.error('Error counting rental saves:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Every saved rental with the owners who saved it and the highest price each of them
+  // has seen: [{ rental_id, owners: [{ owner_id, price_seen }] }]
+  static async getWatchedRentals() {
+    try {
+      const rentals = await this.getCollection().aggregate([
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: { rental_id: '$items.rental_id', owner_id: '$owner_id' },
+            price_seen: { $max: '$items.price_seen' }
+          }
+        },
+        {
+          $group: {
+            _id: '$_id.rental_id',
+            owners: { $push: { owner_id: '$_id.owner_id', price_seen: '$price_seen' } }
+          }
+        }
+      ]).toArray();
+
+      return {
+        success: true,
+        rentals: rentals.map(entry => ({ rental_id: entry._id, owners: entry.owners }))
+      };
+    } catch (error) {
+      console.error('Error getting watched rentals:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Remember the current price of a rental in every list it is saved in
+  static async setPriceSeen(rentalId, price) {
+    try {
+      const id = rentalId.toString();
+      await this.getCollection().updateMany(
+        { 'items.rental_id': id },
+        { $set: { 'items.$[item].price_seen': price } },
+        { arrayFilters: [{ 'item.rental_id': id }] }
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating seen rental price:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Account deletion: drop the user's lists and take them off everyone else's
+  static async deleteForUser(userId) {
+    try {
+      const collection = this.getCollection();
+      const id = userId.toString();
+
+      const deleted = await collection.deleteMany({ owner_id: id });
+      await collection.updateMany(
+        { 'collaborators.user_id': id },
+        { $pull: { collaborators: { user_id: id } } }
+      );
+      await collection.updateMany(
+        { 'items.votes': id },
+        { $pull: { 'items.$[].votes': id } }
+      );
+
+      return { success: true, deletedCount: deleted.deletedCount };
+    } catch (error) {
+      console.error('Error deleting wishlists for user:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
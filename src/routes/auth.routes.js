@@ -1,15 +1,25 @@
+import { t } from 'elysia';
 import { AuthController } from '../controllers/auth.controller.js';
-import { AuthMiddleware } from '../middleware/auth.js';
+import { AuthMiddleware, authPlugin } from '../middleware/auth.js';
 import { UserModel } from '../models/user.js';
-import { RentalModel } from '../models/rental.js';
+import { sessionService } from '../services/session.service.js';
+import { accountService } from '../services/account.service.js';
+import { rateLimitMiddleware, rateLimiter, getClientIp, tooManyRequests } from '../middleware/rate-limit.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 const authController = new AuthController();
 
 export const authRoutes = (app) => {
+  // Routes below opt in with { auth: 'required' } or { auth: [roles] }
+  app.use(authPlugin);
+  // Routes below add a stricter limit with { rateLimit: '<policy>' }
+  app.use(rateLimitMiddleware);
+
   // Register endpoint
-  app.post('/auth/register', async ({ body, set }) => {
+  app.post('/auth/register', async ({ body, headers, request, server, set }) => {
     try {
-      const { username, password } = body;
+      const { username, password, role = 'guest', email } = body;
 
       // Validate input
       if (!username || !password) {
@@ -20,6 +30,15 @@ export const authRoutes = (app) => {
         };
       }
 
+      // Anyone can sign up to list their place; admins are appointed by other admins
+      if (role !== 'guest' && role !== 'host') {
+        set.status = 400;
+        return {
+          success: false,
+          error: 'Role must be guest or host'
+        };
+      }
+
       if (username.length < 3) {
         set.status = 400;
         return {
@@ -36,8 +55,17 @@ export const authRoutes = (app) => {
         };
       }
 
+      // Optional, used to recover the account
+      if (email && !EMAIL_PATTERN.test(email)) {
+        set.status = 400;
+        return {
+          success: false,
+          error: 'Email address is not valid'
+        };
+      }
+
       // Create user
-      const result = await UserModel.createUser(username, password);
+      const result = await UserModel.createUser(username, password, role, email);
       
       if (!result.success) {
         set.status = 400;
@@ -47,17 +75,28 @@ export const authRoutes = (app) => {
         };
       }
 
-      // Generate JWT token
-      const token = AuthMiddleware.generateToken(result.userId, username);
+      // Access token + refresh token for a new session
+      const tokens = await sessionService.issueTokens(result.user, sessionService.getClientInfo(headers, request, server));
+      if (!tokens.success) {
+        set.status = tokens.statusCode;
+        return {
+          success: false,
+          error: tokens.error
+        };
+      }
 
       set.status = 201;
       return {
         success: true,
         message: 'User registered successfully',
-        token,
+        token: tokens.token,
+        refresh_token: tokens.refresh_token,
+        expires_in: tokens.expires_in,
         user: {
           id: result.userId,
           username: result.user.username,
+          role,
+          email: result.user.email || null,
           created_at: result.user.created_at
         }
       };
@@ -69,12 +108,21 @@ export const authRoutes = (app) => {
         error: 'Internal server error'
       };
     }
+  }, {
+    rateLimit: 'register'
   });
 
   // Login endpoint
-  app.post('/auth/login', async ({ body, set }) => {
+  app.post('/auth/login', async ({ body, headers, request, server, set }) => {
     try {
       const { username, password } = body;
+      const failureKey = `ip:${getClientIp(headers, request, server)}`;
+
+      // Too many failed logins from this IP, across any accounts
+      const failures = await rateLimiter.peek('login_failures', failureKey);
+      if (!failures.allowed) {
+        return tooManyRequests(failures, 'Too many failed login attempts. Please try again later.');
+      }
 
       // Validate input
       if (!username || !password) {
@@ -89,6 +137,18 @@ export const authRoutes = (app) => {
       const result = await UserModel.authenticateUser(username, password);
       
       if (!result.success) {
+        await rateLimiter.consume('login_failures', failureKey);
+
+        if (result.locked) {
+          set.status = 429;
+          set.headers['Retry-After'] = String(result.retryAfter);
+          return {
+            success: false,
+            error: result.error,
+            retry_after: result.retryAfter
+          };
+        }
+
         set.status = 401;
         return {
           success: false,
@@ -96,16 +156,26 @@ export const authRoutes = (app) => {
         };
       }
 
-      // Generate JWT token
-      const token = AuthMiddleware.generateToken(result.user._id, username);
+      // Every login starts its own session (one per device)
+      const tokens = await sessionService.issueTokens(result.user, sessionService.getClientInfo(headers, request, server));
+      if (!tokens.success) {
+        set.status = tokens.statusCode;
+        return {
+          success: false,
+          error: tokens.error
+        };
+      }
 
       return {
         success: true,
         message: 'Login successful',
-        token,
+        token: tokens.token,
+        refresh_token: tokens.refresh_token,
+        expires_in: tokens.expires_in,
         user: {
           id: result.user._id,
           username: result.user.username,
+          role: UserModel.getRole(result.user),
           profile: result.user.profile,
           memory_stats: result.user.memory_stats
         }
@@ -118,23 +188,18 @@ export const authRoutes = (app) => {
         error: 'Internal server error'
       };
     }
+  }, {
+    rateLimit: 'login'
   });
 
-  // Logout endpoint
-  app.post('/auth/logout', async ({ set }) => {
-    return {
-      success: true,
-      message: 'Logged out successfully'
-    };
-  });
-
-  // Get user stats endpoint
-  app.get('/auth/stats', async ({ set }) => {
+  // Refresh endpoint - rotates the refresh token and returns a new access token.
+  // Replaying an already-used refresh token signs out that whole session.
+  app.post('/auth/refresh', async ({ body, headers, request, server, set }) => {
     try {
-      const result = await UserModel.getUserStats();
-      
+      const result = await sessionService.refresh(body.refresh_token, sessionService.getClientInfo(headers, request, server));
+
       if (!result.success) {
-        set.status = 500;
+        set.status = result.statusCode;
         return {
           success: false,
           error: result.error
@@ -143,152 +208,107 @@ export const authRoutes = (app) => {
 
       return {
         success: true,
-        stats: result.stats
+        token: result.token,
+        refresh_token: result.refresh_token,
+        expires_in: result.expires_in,
+        user: {
+          id: result.user._id,
+          username: result.user.username,
+          role: UserModel.getRole(result.user)
+        }
       };
     } catch (error) {
-      console.error('Get user stats error:', error);
+      console.error('Refresh token error:', error);
       set.status = 500;
       return {
         success: false,
         error: 'Internal server error'
       };
     }
+  }, {
+    body: t.Object({
+      refresh_token: t.String({ minLength: 1 })
+    })
   });
 
-  // Protected routes with auth middleware
-  app.get('/auth/profile', async ({ headers, set }) => {
+  // Logout endpoint - revokes the session of the given refresh token (or of the access token)
+  app.post('/auth/logout', async ({ body, headers, set }) => {
     try {
-      const authHeader = headers.authorization;
-      const token = authHeader && authHeader.split(' ')[1];
+      const token = AuthMiddleware.getBearerToken(headers);
+      const decoded = token ? AuthMiddleware.verifyToken(token) : null;
 
-      if (!token) {
-        set.status = 401;
-        return {
-          success: false,
-          error: 'Access token required'
-        };
-      }
-
-      const decoded = AuthMiddleware.verifyToken(token);
-      if (!decoded) {
-        set.status = 403;
-        return {
-          success: false,
-          error: 'Invalid or expired token'
-        };
-      }
+      const result = await sessionService.logout({
+        refreshToken: body?.refresh_token,
+        sessionId: decoded?.sid
+      });
 
-      const userResult = await UserModel.getUserById(decoded.userId);
-      if (!userResult.success) {
-        set.status = 403;
+      if (!result.success) {
+        set.status = result.statusCode || 500;
         return {
           success: false,
-          error: 'User not found'
+          error: result.error
         };
       }
 
       return {
         success: true,
-        user: {
-          id: userResult.user._id,
-          username: userResult.user.username,
-          profile: userResult.user.profile,
-          memory_stats: userResult.user.memory_stats,
-          created_at: userResult.user.created_at
-        }
+        message: 'Logged out successfully'
       };
     } catch (error) {
-      console.error('Get profile error:', error);
+      console.error('Logout error:', error);
       set.status = 500;
       return {
         success: false,
         error: 'Internal server error'
       };
     }
+  }, {
+    body: t.Optional(t.Object({
+      refresh_token: t.Optional(t.String())
+    }))
   });
 
-  // Validate token endpoint
-  app.get('/auth/validate', async ({ headers, set }) => {
+  // Log out of all devices - revokes every session of the authenticated user
+  app.post('/auth/logout-all', async ({ userId, set }) => {
     try {
-      const authHeader = headers.authorization;
-      const token = authHeader && authHeader.split(' ')[1];
-
-      if (!token) {
-        set.status = 401;
-        return {
-          success: false,
-          error: 'Access token required'
-        };
-      }
-
-      const decoded = AuthMiddleware.verifyToken(token);
-      if (!decoded) {
-        set.status = 403;
-        return {
-          success: false,
-          error: 'Invalid or expired token'
-        };
-      }
-
-      const userResult = await UserModel.getUserById(decoded.userId);
-      if (!userResult.success) {
-        set.status = 403;
+      const result = await sessionService.logoutAll(userId);
+      if (!result.success) {
+        set.status = 500;
         return {
           success: false,
-          error: 'User not found'
+          error: result.error
         };
       }
 
       return {
         success: true,
-        valid: true,
-        user: {
-          id: userResult.user._id,
-          username: userResult.user.username
-        }
+        message: 'Logged out of all devices',
+        sessions_revoked: result.sessions
       };
     } catch (error) {
-      console.error('Validate token error:', error);
+      console.error('Logout all error:', error);
       set.status = 500;
       return {
         success: false,
         error: 'Internal server error'
       };
     }
+  }, {
+    auth: 'required'
   });
 
-  // Update profile endpoint
-  app.put('/auth/profile', async ({ body, headers, set }) => {
+  // Change password - requires the current password; signs out the user's other sessions
+  app.put('/auth/password', async ({ body, auth, set }) => {
     try {
-      const authHeader = headers.authorization;
-      const token = authHeader && authHeader.split(' ')[1];
-
-      if (!token) {
-        set.status = 401;
-        return {
-          success: false,
-          error: 'Access token required'
-        };
-      }
-
-      const decoded = AuthMiddleware.verifyToken(token);
-      if (!decoded) {
-        set.status = 403;
-        return {
-          success: false,
-          error: 'Invalid or expired token'
-        };
-      }
-
-      const { preferences, favorite_locations } = body;
-      const profileUpdates = {};
-      if (preferences) profileUpdates.preferences = preferences;
-      if (favorite_locations) profileUpdates.favorite_locations = favorite_locations;
+      const result = await accountService.changePassword({
+        userId: auth.userId,
+        sessionId: auth.sessionId,
+        currentPassword: body.current_password,
+        newPassword: body.new_password
+      });
 
-      const result = await UserModel.updateUserProfile(decoded.userId, profileUpdates);
-      
       if (!result.success) {
-        set.status = 400;
+        set.status = result.statusCode;
         return {
           success: false,
           error: result.error
@@ -297,68 +317,75 @@ export const authRoutes = (app) => {
 
       return {
         success: true,
-        message: 'Profile updated successfully'
+        message: 'Password changed successfully',
+        sessions_revoked: result.sessionsRevoked
       };
     } catch (error) {
-      console.error('Update profile error:', error);
+      console.error('Change password error:', error);
       set.status = 500;
       return {
         success: false,
         error: 'Internal server error'
       };
     }
+  }, {
+    body: t.Object({
+      current_password: t.Optional(t.String()), // Not needed to set a first password
+      new_password: t.String({ minLength: 6 })
+    }),
+    auth: 'required',
+    detail: {
+      summary: 'Change Password',
+      description: 'Change the password of the authenticated user. Other sessions are signed out.',
+      tags: ['Auth']
+    }
   });
 
-  // Save rental endpoint
-  app.post('/auth/saved-rentals/:rentalId', async ({ params, headers, set }) => {
+  // Forgot password - emails a single-use reset link to the account's email address
+  app.post('/auth/password/forgot', async ({ body, set }) => {
     try {
-      const authHeader = headers.authorization;
-      const token = authHeader && authHeader.split(' ')[1];
+      const result = await accountService.requestPasswordReset(body.identifier.trim());
 
-      if (!token) {
-        set.status = 401;
-        return {
-          success: false,
-          error: 'Access token required'
-        };
-      }
-
-      const decoded = AuthMiddleware.verifyToken(token);
-      if (!decoded) {
-        set.status = 403;
-        return {
-          success: false,
-          error: 'Invalid or expired token'
-        };
-      }
-
-      const { rentalId } = params;
-
-      // Fetch rental data to store basic info
-      const rentalModel = new RentalModel();
-      const rental = await rentalModel.findById(rentalId);
-      
-      if (!rental) {
-        set.status = 404;
+      if (!result.success) {
+        set.status = result.statusCode;
         return {
           success: false,
-          error: 'Rental not found'
+          error: result.error
         };
       }
 
-      // Store minimal rental data for quick access
-      const rentalData = {
-        name: rental.name,
-        property_type: rental.property_type,
-        price: rental.price,
-        location: `${rental.address?.neighbourhood || rental.address?.market || ''}, ${rental.address?.country || ''}`.replace(/^, /, ''),
-        image: rental.images?.thumbnail_url
+      // Same answer whether or not the account exists
+      return {
+        success: true,
+        message: 'If an account with an email address matches, a password reset link has been sent to it'
       };
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      set.status = 500;
+      return {
+        success: false,
+        error: 'Internal server error'
+      };
+    }
+  }, {
+    body: t.Object({
+      identifier: t.String({ minLength: 1 }) // Username or email
+    }),
+    rateLimit: 'password_reset',
+    detail: {
+      summary: 'Request Password Reset',
+      description: 'Send a password reset link to the email address of the account with this username or email',
+      tags: ['Auth']
+    }
+  });
+
+  // Reset password - sets a new password with a reset token and signs out every session
+  app.post('/auth/password/reset', async ({ body, set }) => {
+    try {
+      const result = await accountService.resetPassword(body.token, body.new_password);
 
-      const result = await UserModel.saveRental(decoded.userId, rentalId, rentalData);
-      
       if (!result.success) {
-        set.status = 400;
+        set.status = result.statusCode;
         return {
           success: false,
           error: result.error
@@ -367,10 +394,10 @@ export const authRoutes = (app) => {
 
       return {
         success: true,
-        message: 'Rental saved successfully'
+        message: 'Password has been reset. Sign in with your new password.'
       };
     } catch (error) {
-      console.error('Save rental error:', error);
+      console.error('Reset password error:', error);
       set.status = 500;
       return {
         success: false,
@@ -378,41 +405,24 @@ export const authRoutes = (app) => {
       };
     }
   }, {
+    body: t.Object({
+      token: t.String({ minLength: 1 }),
+      new_password: t.String({ minLength: 6 })
+    }),
     detail: {
-      summary: 'Save Rental',
-      description: 'Save a rental property to user\'s saved list',
+      summary: 'Reset Password',
+      description: 'Set a new password using the token from a password reset email. Every session is signed out.',
       tags: ['Auth']
     }
   });
 
-  // Unsave rental endpoint
-  app.delete('/auth/saved-rentals/:rentalId', async ({ params, headers, set }) => {
+  // Export account data - profile, saved rentals, conversations and bookings
+  app.get('/auth/account/export', async ({ userId, set }) => {
     try {
-      const authHeader = headers.authorization;
-      const token = authHeader && authHeader.split(' ')[1];
+      const result = await accountService.exportAccount(userId);
 
-      if (!token) {
-        set.status = 401;
-        return {
-          success: false,
-          error: 'Access token required'
-        };
-      }
-
-      const decoded = AuthMiddleware.verifyToken(token);
-      if (!decoded) {
-        set.status = 403;
-        return {
-          success: false,
-          error: 'Invalid or expired token'
-        };
-      }
-
-      const { rentalId } = params;
-      const result = await UserModel.unsaveRental(decoded.userId, rentalId);
-      
       if (!result.success) {
-        set.status = 400;
+        set.status = result.statusCode;
         return {
           success: false,
           error: result.error
@@ -421,10 +431,10 @@ export const authRoutes = (app) => {
 
       return {
         success: true,
-        message: 'Rental removed from saved list'
+        export: result.export
       };
     } catch (error) {
-      console.error('Unsave rental error:', error);
+      console.error('Export account error:', error);
       set.status = 500;
       return {
         success: false,
@@ -432,37 +442,60 @@ export const authRoutes = (app) => {
       };
     }
   }, {
+    auth: 'required',
     detail: {
-      summary: 'Unsave Rental',
-      description: 'Remove a rental property from user\'s saved list',
+      summary: 'Export Account Data',
+      description: 'Download everything stored about the authenticated user',
       tags: ['Auth']
     }
   });
 
-  // Get saved rentals endpoint
-  app.get('/auth/saved-rentals', async ({ headers, query, set }) => {
+  // Delete account - removes the user, their conversations and saved rentals
+  app.delete('/auth/account', async ({ body, userId, set }) => {
     try {
-      const authHeader = headers.authorization;
-      const token = authHeader && authHeader.split(' ')[1];
+      const result = await accountService.deleteAccount(userId, body.password, {
+        includeExport: body.export === true
+      });
 
-      if (!token) {
-        set.status = 401;
+      if (!result.success) {
+        set.status = result.statusCode;
         return {
           success: false,
-          error: 'Access token required'
+          error: result.error
         };
       }
 
-      const decoded = AuthMiddleware.verifyToken(token);
-      if (!decoded) {
-        set.status = 403;
-        return {
-          success: false,
-          error: 'Invalid or expired token'
-        };
-      }
+      return {
+        success: true,
+        message: 'Account deleted',
+        deleted: result.deleted,
+        ...(result.export ? { export: result.export } : {})
+      };
+    } catch (error) {
+      console.error('Delete account error:', error);
+      set.status = 500;
+      return {
+        success: false,
+        error: 'Internal server error'
+      };
+    }
+  }, {
+    body: t.Object({
+      password: t.Optional(t.String()), // Required unless the account only signs in with an identity provider
+      export: t.Optional(t.Boolean()) // Include the account export in the response
+    }),
+    auth: 'required',
+    detail: {
+      summary: 'Delete Account',
+      description: 'Permanently delete the authenticated user with their conversations and saved rentals. Upcoming bookings are cancelled. Set export to receive the account data first.',
+      tags: ['Auth']
+    }
+  });
 
-      const result = await UserModel.getSavedRentals(decoded.userId);
+  // Get user stats endpoint
+  app.get('/auth/stats', async ({ set }) => {
+    try {
+      const result = await UserModel.getUserStats();
       
       if (!result.success) {
         set.status = 500;
@@ -472,36 +505,37 @@ export const authRoutes = (app) => {
         };
       }
 
-      // Optionally fetch full rental details if requested
-      const includeDetails = query.include_details === 'true';
-      let savedRentals = result.savedRentals;
-
-      if (includeDetails && savedRentals.length > 0) {
-        const rentalModel = new RentalModel();
-        const detailedRentals = await Promise.all(
-          savedRentals.map(async (saved) => {
-            try {
-              const rental = await rentalModel.findById(saved.rental_id);
-              return {
-                ...saved,
-                full_rental_data: rental
-              };
-            } catch (error) {
-              console.error(`Error fetching rental ${saved.rental_id}:`, error);
-              return saved; // Return basic saved data if full fetch fails
-            }
-          })
-        );
-        savedRentals = detailedRentals;
-      }
+      return {
+        success: true,
+        stats: result.stats
+      };
+    } catch (error) {
+      console.error('Get user stats error:', error);
+      set.status = 500;
+      return {
+        success: false,
+        error: 'Internal server error'
+      };
+    }
+  });
 
+  // Current user's profile
+  app.get('/auth/profile', async ({ user, set }) => {
+    try {
       return {
         success: true,
-        saved_rentals: savedRentals,
-        count: savedRentals.length
+        user: {
+          id: user._id,
+          username: user.username,
+          role: UserModel.getRole(user),
+          email: user.email || null,
+          profile: user.profile,
+          memory_stats: user.memory_stats,
+          created_at: user.created_at
+        }
       };
     } catch (error) {
-      console.error('Get saved rentals error:', error);
+      console.error('Get profile error:', error);
       set.status = 500;
       return {
         success: false,
@@ -509,41 +543,93 @@ export const authRoutes = (app) => {
       };
     }
   }, {
-    detail: {
-      summary: 'Get Saved Rentals',
-      description: 'Get user\'s saved rental properties',
-      tags: ['Auth']
+    auth: 'required'
+  });
+
+  // Validate token endpoint
+  app.get('/auth/validate', async ({ auth, set }) => {
+    try {
+      return {
+        success: true,
+        valid: true,
+        user: {
+          id: auth.user._id,
+          username: auth.username,
+          role: auth.role
+        }
+      };
+    } catch (error) {
+      console.error('Validate token error:', error);
+      set.status = 500;
+      return {
+        success: false,
+        error: 'Internal server error'
+      };
     }
+  }, {
+    auth: 'required'
   });
 
-  // Check if rental is saved endpoint
-  app.get('/auth/saved-rentals/:rentalId/check', async ({ params, headers, set }) => {
+  // Update profile endpoint
+  app.put('/auth/profile', async ({ body, userId, set }) => {
     try {
-      const authHeader = headers.authorization;
-      const token = authHeader && authHeader.split(' ')[1];
+      const { preferences, favorite_locations, email } = body;
+      const profileUpdates = {};
+      if (preferences) profileUpdates.preferences = preferences;
+      if (favorite_locations) profileUpdates.favorite_locations = favorite_locations;
 
-      if (!token) {
-        set.status = 401;
-        return {
-          success: false,
-          error: 'Access token required'
-        };
+      if (email !== undefined) {
+        if (!EMAIL_PATTERN.test(email)) {
+          set.status = 400;
+          return {
+            success: false,
+            error: 'Email address is not valid'
+          };
+        }
+
+        const emailResult = await UserModel.setEmail(userId, email);
+        if (!emailResult.success) {
+          set.status = 400;
+          return {
+            success: false,
+            error: emailResult.error
+          };
+        }
       }
 
-      const decoded = AuthMiddleware.verifyToken(token);
-      if (!decoded) {
-        set.status = 403;
+      const result = await UserModel.updateUserProfile(userId, profileUpdates);
+      
+      if (!result.success) {
+        set.status = 400;
         return {
           success: false,
-          error: 'Invalid or expired token'
+          error: result.error
         };
       }
 
-      const { rentalId } = params;
-      const result = await UserModel.isRentalSaved(decoded.userId, rentalId);
-      
+      return {
+        success: true,
+        message: 'Profile updated successfully'
+      };
+    } catch (error) {
+      console.error('Update profile error:', error);
+      set.status = 500;
+      return {
+        success: false,
+        error: 'Internal server error'
+      };
+    }
+  }, {
+    auth: 'required'
+  });
+
+  // Change a user's role (admin only)
+  app.put('/auth/users/:userId/role', async ({ params, body, set }) => {
+    try {
+      const result = await UserModel.setUserRole(params.userId, body.role, body.host_id);
+
       if (!result.success) {
-        set.status = 500;
+        set.status = result.error === 'User not found' ? 404 : 400;
         return {
           success: false,
           error: result.error
@@ -552,10 +638,12 @@ export const authRoutes = (app) => {
 
       return {
         success: true,
-        is_saved: result.isSaved
+        message: 'Role updated successfully',
+        role: result.role,
+        host_id: result.hostId
       };
     } catch (error) {
-      console.error('Check rental saved error:', error);
+      console.error('Set user role error:', error);
       set.status = 500;
       return {
         success: false,
@@ -563,9 +651,14 @@ export const authRoutes = (app) => {
       };
     }
   }, {
+    body: t.Object({
+      role: t.Union([t.Literal('guest'), t.Literal('host'), t.Literal('admin')]),
+      host_id: t.Optional(t.String({ minLength: 1 })) // Link a host to existing listings' host.host_id
+    }),
+    auth: ['admin'],
     detail: {
-      summary: 'Check if Rental is Saved',
-      description: 'Check if a rental property is in user\'s saved list',
+      summary: 'Set User Role',
+      description: 'Make a user a guest, host or admin. Requires the admin role.',
       tags: ['Auth']
     }
   });
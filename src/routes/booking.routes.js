@@ -0,0 +1,93 @@
+import { Elysia, t } from 'elysia';
+import { BookingController } from '../controllers/booking.controller.js';
+import { authPlugin } from '../middleware/auth.js';
+import { jsonResponse } from './route-helpers.js';
+
+const bookingController = new BookingController();
+
+const bookingSchema = t.Object({
+  rental_id: t.String({ minLength: 1 }),
+  checkin: t.String({ pattern: '^\\d{4}-\\d{2}-\\d{2}$' }),
+  checkout: t.String({ pattern: '^\\d{4}-\\d{2}-\\d{2}$' }),
+  guests: t.Optional(t.Number({ minimum: 1 }))
+});
+
+export const bookingRoutes = new Elysia({ prefix: '/bookings' })
+  .use(authPlugin)
+
+  // POST /bookings - Create a booking
+  .post('/', async (context) => {
+    const result = await bookingController.createBooking({ body: context.body, userId: context.userId });
+
+    return jsonResponse(result, result.statusCode || (result.success ? 200 : 500));
+  }, {
+    body: bookingSchema,
+    auth: 'required',
+    detail: {
+      summary: 'Create booking',
+      description: 'Book a rental for the given dates, enforcing minimum/maximum nights, guest capacity and availability',
+      tags: ['Bookings']
+    }
+  })
+
+  // GET /bookings/mine - List the authenticated user's bookings
+  .get('/mine', async (context) => {
+    const result = await bookingController.getMyBookings({ query: context.query, userId: context.userId });
+
+    if (!result.success) {
+      return jsonResponse(result, result.statusCode || 500);
+    }
+
+    return result;
+  }, {
+    query: t.Object({
+      include_cancelled: t.Optional(t.String())
+    }),
+    auth: 'required',
+    detail: {
+      summary: 'List my bookings',
+      description: 'Retrieve the authenticated user\'s bookings ordered by check-in date',
+      tags: ['Bookings']
+    }
+  })
+
+  // GET /bookings/rental/:rentalId - Availability calendar for a rental
+  .get('/rental/:rentalId', async (context) => {
+    const result = await bookingController.getRentalBookings(context);
+
+    if (!result.success) {
+      return jsonResponse(result, result.statusCode || 500);
+    }
+
+    return result;
+  }, {
+    params: t.Object({
+      rentalId: t.String({ minLength: 1 })
+    }),
+    detail: {
+      summary: 'List rental bookings',
+      description: 'Retrieve the upcoming occupied date ranges for a rental',
+      tags: ['Bookings']
+    }
+  })
+
+  // DELETE /bookings/:id - Cancel a booking
+  .delete('/:id', async (context) => {
+    const result = await bookingController.cancelBooking({ params: context.params, userId: context.userId });
+
+    if (!result.success) {
+      return jsonResponse(result, result.statusCode || 500);
+    }
+
+    return result;
+  }, {
+    params: t.Object({
+      id: t.String({ minLength: 1 })
+    }),
+    auth: 'required',
+    detail: {
+      summary: 'Cancel booking',
+      description: 'Cancel one of the authenticated user\'s bookings, releasing its dates',
+      tags: ['Bookings']
+    }
+  });
@@ -1,6 +1,8 @@
 import { Elysia, t } from 'elysia';
 import { rentalRAGAgent } from '../agents/rental-rag-agent.js';
-import { AuthMiddleware } from '../middleware/auth.js';
+import { authPlugin } from '../middleware/auth.js';
+import { rateLimitMiddleware, getClientIp, tooManyRequests } from '../middleware/rate-limit.js';
+import { chatQuotaService } from '../services/chat-quota.service.js';
 
 let chatController;
 
@@ -12,33 +14,43 @@ async function initializeChatController() {
   return chatController;
 }
 
-// Helper function to extract user info from optional auth
-async function extractUserInfo(headers) {
-  try {
-    const authHeader = headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
-    
-    if (token) {
-      const decoded = AuthMiddleware.verifyToken(token);
-      if (decoded) {
-        return decoded.userId;
-      }
-    }
-    return null;
-  } catch (error) {
-    // Ignore auth errors for optional auth
+// 429 once the caller has used up today's chat token budget
+async function checkChatQuota(subject) {
+  const quota = await chatQuotaService.check(subject);
+  if (quota.allowed) {
     return null;
   }
+
+  return tooManyRequests(quota, subject.userId
+    ? 'You have reached your daily chat limit. Please try again tomorrow.'
+    : 'You have reached the daily chat limit for guests. Sign in to keep chatting.');
 }
 
+// Property the user is currently viewing, passed through to the agent's run context
+const currentPropertySchema = t.Object({
+  id: t.Union([t.String(), t.Number()]),
+  name: t.Optional(t.String()),
+  price: t.Optional(t.Number()),
+  location: t.Optional(t.Any()),
+  features: t.Optional(t.Any())
+});
+
 export const chatRoutes = new Elysia({ prefix: '/chat' })
-  .post('/', async ({ body, headers }) => {
+  .use(authPlugin)
+  .use(rateLimitMiddleware)
+
+  .post('/', async ({ body, userId, headers, request, server }) => {
     try {
+      const clientIp = getClientIp(headers, request, server);
+      const overQuota = await checkChatQuota({ userId, ip: clientIp });
+      if (overQuota) {
+        return overQuota;
+      }
+
       const controller = await initializeChatController();
-      const userId = await extractUserInfo(headers);
       
       // Add userId to the request body
-      const requestData = { ...body, userId };
+      const requestData = { ...body, userId, clientIp };
       
       return await controller.handleChatMessage(requestData);
     } catch (error) {
@@ -60,18 +72,26 @@ export const chatRoutes = new Elysia({ prefix: '/chat' })
       context: t.Optional(t.Object({
         current_search: t.Optional(t.String()),
         filters: t.Optional(t.Object({})),
+        current_property: t.Optional(t.Union([t.Null(), currentPropertySchema])),
         user_preferences: t.Optional(t.Object({}))
       }))
-    })
+    }),
+    auth: 'optional',
+    rateLimit: 'chat'
   })
   
-  .post('/stream', async ({ body, headers }) => {
+  .post('/stream', async ({ body, userId, headers, request, server }) => {
     try {
+      const clientIp = getClientIp(headers, request, server);
+      const overQuota = await checkChatQuota({ userId, ip: clientIp });
+      if (overQuota) {
+        return overQuota;
+      }
+
       const controller = await initializeChatController();
-      const userId = await extractUserInfo(headers);
       
       // Add userId to the request body
-      const requestData = { ...body, userId };
+      const requestData = { ...body, userId, clientIp };
       
       return await controller.handleStreamChat(requestData);
     } catch (error) {
@@ -92,9 +112,12 @@ export const chatRoutes = new Elysia({ prefix: '/chat' })
       context: t.Optional(t.Object({
         current_search: t.Optional(t.String()),
         filters: t.Optional(t.Object({})),
+        current_property: t.Optional(t.Union([t.Null(), currentPropertySchema])),
         user_preferences: t.Optional(t.Object({}))
       }))
-    })
+    }),
+    auth: 'optional',
+    rateLimit: 'chat'
   })
   
   .get('/history/:sessionId', async ({ params: { sessionId }, query: { limit } }) => {
@@ -169,7 +192,8 @@ export const chatRoutes = new Elysia({ prefix: '/chat' })
   }, {
     body: t.Object({
       daysOld: t.Optional(t.Number({ minimum: 1, maximum: 365 }))
-    })
+    }),
+    auth: ['admin']
   })
 
   .get('/health', () => ({
@@ -0,0 +1,153 @@
+import { Elysia, t } from 'elysia';
+import { HostController } from '../controllers/host.controller.js';
+import { authPlugin } from '../middleware/auth.js';
+import { rentalSchema } from './rental.routes.js';
+import { jsonResponse } from './route-helpers.js';
+
+const hostController = new HostController();
+
+// Listing photos are shown to every guest, so only plain http(s) links are accepted
+const imageUrl = t.String({ pattern: '^https?://[^\\s"\'<>]+$', maxLength: 2048 });
+
+// Listing fields hosts edit in the portal on top of the core rental fields
+const listingDetailsSchema = t.Object({
+  description: t.Optional(t.String()),
+  cleaning_fee: t.Optional(t.Number({ minimum: 0 })),
+  security_deposit: t.Optional(t.Number({ minimum: 0 })),
+  extra_people: t.Optional(t.Number({ minimum: 0 })),
+  guests_included: t.Optional(t.Number({ minimum: 1 })),
+  cancellation_policy: t.Optional(t.String()),
+  images: t.Optional(t.Object({
+    picture_url: t.Optional(imageUrl),
+    thumbnail_url: t.Optional(imageUrl),
+    medium_url: t.Optional(imageUrl),
+    xl_picture_url: t.Optional(imageUrl)
+  })),
+  address: t.Optional(t.Object({
+    street: t.Optional(t.String()),
+    suburb: t.Optional(t.String()),
+    government_area: t.Optional(t.String()),
+    market: t.Optional(t.String()),
+    country: t.Optional(t.String()),
+    country_code: t.Optional(t.String()),
+    location: t.Optional(t.Object({
+      type: t.Literal('Point'),
+      coordinates: t.Array(t.Number(), { minItems: 2, maxItems: 2 }) // [lng, lat]
+    }))
+  }))
+});
+
+// Drafts only need a name; the rest is checked when publishing
+const draftSchema = t.Composite([
+  t.Pick(rentalSchema, ['name']),
+  t.Partial(t.Omit(rentalSchema, ['name'])),
+  listingDetailsSchema
+]);
+
+const listingUpdateSchema = t.Composite([t.Partial(rentalSchema), listingDetailsSchema]);
+
+const idSchema = t.Object({
+  id: t.String({ minLength: 1 })
+});
+
+// Every host portal route requires the host or admin role
+export const hostRoutes = new Elysia({ prefix: '/host' })
+  .use(authPlugin)
+  .guard({ auth: ['host', 'admin'] })
+
+  // GET /host/listings - List the caller's listings
+  .get('/listings', async (context) => {
+    const result = await hostController.listMyListings(context);
+    return jsonResponse(result, result.statusCode || (result.success ? 200 : 500));
+  }, {
+    query: t.Object({
+      limit: t.Optional(t.Numeric({ minimum: 1, maximum: 100 })),
+      page: t.Optional(t.Numeric({ minimum: 1 })),
+      status: t.Optional(t.Union([t.Literal('draft'), t.Literal('published'), t.Literal('unpublished')])),
+      host_id: t.Optional(t.String()) // Admins only
+    }),
+    detail: {
+      summary: 'List my listings',
+      description: 'Listings owned by the authenticated host in every status (draft, published, unpublished), with how many users saved each one',
+      tags: ['Host']
+    }
+  })
+
+  // POST /host/listings - Create a draft listing
+  .post('/listings', async (context) => {
+    const result = await hostController.createDraft(context);
+    return jsonResponse(result, result.statusCode || (result.success ? 200 : 500));
+  }, {
+    body: draftSchema,
+    detail: {
+      summary: 'Create draft listing',
+      description: 'Create a listing owned by the authenticated host. Drafts are hidden from guests until published.',
+      tags: ['Host']
+    }
+  })
+
+  // GET /host/listings/:id - Get one of the caller's listings
+  .get('/listings/:id', async (context) => {
+    const result = await hostController.getListing(context);
+    return jsonResponse(result, result.statusCode || (result.success ? 200 : 500));
+  }, {
+    params: idSchema,
+    detail: {
+      summary: 'Get my listing',
+      description: 'Full listing details for editing, in any status',
+      tags: ['Host']
+    }
+  })
+
+  // PATCH /host/listings/:id - Edit photos, amenities, pricing and details
+  .patch('/listings/:id', async (context) => {
+    const result = await hostController.updateListing(context);
+    return jsonResponse(result, result.statusCode || (result.success ? 200 : 500));
+  }, {
+    params: idSchema,
+    body: listingUpdateSchema,
+    detail: {
+      summary: 'Edit my listing',
+      description: 'Partially update a listing. images and address are merged with the stored values.',
+      tags: ['Host']
+    }
+  })
+
+  // POST /host/listings/:id/publish - Make a listing visible to guests
+  .post('/listings/:id/publish', async (context) => {
+    const result = await hostController.setPublished(context, true);
+    return jsonResponse(result, result.statusCode || (result.success ? 200 : 500));
+  }, {
+    params: idSchema,
+    detail: {
+      summary: 'Publish listing',
+      description: 'Publish a draft or unpublished listing. Requires a name, property type, price, photo and address.',
+      tags: ['Host']
+    }
+  })
+
+  // POST /host/listings/:id/unpublish - Hide a listing from search and bookings
+  .post('/listings/:id/unpublish', async (context) => {
+    const result = await hostController.setPublished(context, false);
+    return jsonResponse(result, result.statusCode || (result.success ? 200 : 500));
+  }, {
+    params: idSchema,
+    detail: {
+      summary: 'Unpublish listing',
+      description: 'Pause a listing: it disappears from search and can no longer be booked. Existing bookings are kept.',
+      tags: ['Host']
+    }
+  })
+
+  // GET /host/listings/:id/performance - Saves, chat mentions and bookings
+  .get('/listings/:id/performance', async (context) => {
+    const result = await hostController.getPerformance(context);
+    return jsonResponse(result, result.statusCode || (result.success ? 200 : 500));
+  }, {
+    params: idSchema,
+    detail: {
+      summary: 'Listing performance',
+      description: 'How many users saved the listing, how often the AI assistant surfaced it in chats, and its confirmed bookings',
+      tags: ['Host']
+    }
+  });
@@ -0,0 +1,250 @@
+import { Elysia, t } from 'elysia';
+import { authPlugin } from '../middleware/auth.js';
+import { notificationService } from '../services/notification.service.js';
+import { searchAlertService } from '../services/search-alert.service.js';
+import { respond } from './route-helpers.js';
+
+const idParamsSchema = t.Object({
+  id: t.String({ minLength: 1 })
+});
+
+// Search filters use the same names (and string values) as the /rentals and /search query params
+const filtersSchema = t.Object({
+  location: t.Optional(t.String()),
+  property_type: t.Optional(t.String()),
+  room_type: t.Optional(t.String()),
+  country: t.Optional(t.String()),
+  min_price: t.Optional(t.Union([t.String(), t.Number()])),
+  max_price: t.Optional(t.Union([t.String(), t.Number()])),
+  min_bedrooms: t.Optional(t.Union([t.String(), t.Number()])),
+  min_bathrooms: t.Optional(t.Union([t.String(), t.Number()])),
+  min_accommodates: t.Optional(t.Union([t.String(), t.Number()])),
+  superhost_only: t.Optional(t.Union([t.String(), t.Boolean()])),
+  instant_bookable: t.Optional(t.Union([t.String(), t.Boolean()])),
+  min_rating: t.Optional(t.Union([t.String(), t.Number()])),
+  review_highlights: t.Optional(t.String()),
+  near: t.Optional(t.String()),
+  radius_km: t.Optional(t.Union([t.String(), t.Number()])),
+  bbox: t.Optional(t.String())
+});
+
+const queryTextSchema = t.Union([t.String({ maxLength: 500 }), t.Null()]);
+
+// The notifications inbox and delivery settings
+export const notificationRoutes = new Elysia({ prefix: '/notifications' })
+  .use(authPlugin)
+  .guard({ auth: 'required' }, (app) => app
+    // GET /notifications - My inbox, newest first
+    .get('/', async ({ userId, query }) => {
+      const result = await notificationService.listInbox(userId, {
+        unreadOnly: query.unread_only === 'true',
+        limit: Math.min(parseInt(query.limit) || 20, 100),
+        before: query.before ? new Date(query.before) : null
+      });
+      return respond(result, { notifications: result.notifications, unread_count: result.unread_count });
+    }, {
+      query: t.Object({
+        unread_only: t.Optional(t.String()),
+        limit: t.Optional(t.String()),
+        before: t.Optional(t.String({ format: 'date-time' }))
+      }),
+      detail: {
+        summary: 'List notifications',
+        description: 'In-app notifications, newest first. Page back with before=<created_at of the last one>.',
+        tags: ['Notifications']
+      }
+    })
+
+    // GET /notifications/unread-count - Badge count
+    .get('/unread-count', async ({ userId }) => {
+      const result = await notificationService.countUnread(userId);
+      return respond(result, { unread_count: result.unread_count });
+    }, {
+      detail: {
+        summary: 'Count unread notifications',
+        tags: ['Notifications']
+      }
+    })
+
+    // POST /notifications/read-all - Mark everything read
+    .post('/read-all', async ({ userId }) => {
+      const result = await notificationService.markAllRead(userId);
+      return respond(result, { updated: result.updated });
+    }, {
+      detail: {
+        summary: 'Mark all notifications read',
+        tags: ['Notifications']
+      }
+    })
+
+    // GET /notifications/settings - Delivery channels
+    .get('/settings', async ({ userId }) => {
+      const result = await notificationService.getSettingsForUser(userId);
+      return respond(result, {
+        settings: result.settings,
+        available_channels: result.available_channels,
+        has_email: result.has_email
+      });
+    }, {
+      detail: {
+        summary: 'Get notification settings',
+        description: 'Where alerts are delivered (in_app, email, webhook) and whether price drops on saved rentals are sent',
+        tags: ['Notifications']
+      }
+    })
+
+    // PUT /notifications/settings - Change delivery channels
+    .put('/settings', async ({ userId, body }) => {
+      const result = await notificationService.updateSettings(userId, body);
+      return respond(result, { settings: result.settings });
+    }, {
+      body: t.Object({
+        channels: t.Optional(t.Array(t.String(), { maxItems: 10 })),
+        webhook_url: t.Optional(t.Union([t.String({ maxLength: 2000 }), t.Null()])),
+        price_drops: t.Optional(t.Boolean())
+      }),
+      detail: {
+        summary: 'Update notification settings',
+        description: 'The webhook channel needs webhook_url; the email channel needs an email address on the profile',
+        tags: ['Notifications']
+      }
+    })
+
+    // POST /notifications/test - Send a test notification on every chosen channel
+    .post('/test', async ({ userId }) => {
+      const result = await notificationService.sendTest(userId);
+      return respond(result, { deliveries: result.deliveries });
+    }, {
+      detail: {
+        summary: 'Send test notification',
+        description: 'Delivers a test message on each channel in the settings and reports how each went',
+        tags: ['Notifications']
+      }
+    })
+
+    // POST /notifications/:id/read - Mark one read
+    .post('/:id/read', async ({ userId, params }) => {
+      const result = await notificationService.markRead(userId, params.id);
+      return respond(result, { notification: result.notification });
+    }, {
+      params: idParamsSchema,
+      detail: {
+        summary: 'Mark notification read',
+        tags: ['Notifications']
+      }
+    })
+
+    // DELETE /notifications/:id - Remove from the inbox
+    .delete('/:id', async ({ userId, params }) => {
+      const result = await notificationService.delete(userId, params.id);
+      return respond(result, { message: 'Notification deleted' });
+    }, {
+      params: idParamsSchema,
+      detail: {
+        summary: 'Delete notification',
+        tags: ['Notifications']
+      }
+    })
+  );
+
+// Saved searches that send alerts for new and re-priced listings
+export const savedSearchRoutes = new Elysia({ prefix: '/auth/saved-searches' })
+  .use(authPlugin)
+  .guard({ auth: 'required' }, (app) => app
+    // GET /auth/saved-searches - My saved searches
+    .get('/', async ({ userId }) => {
+      const result = await searchAlertService.listSearches(userId);
+      return respond(result, { searches: result.searches });
+    }, {
+      detail: {
+        summary: 'List saved searches',
+        tags: ['Notifications']
+      }
+    })
+
+    // POST /auth/saved-searches - Save a search
+    .post('/', async ({ userId, body, set }) => {
+      const result = await searchAlertService.createSearch(userId, body);
+      if (result.success) set.status = 201;
+      return respond(result, { search: result.search, matched: result.matched });
+    }, {
+      body: t.Object({
+        name: t.String({ minLength: 1, maxLength: 80 }),
+        query: t.Optional(queryTextSchema),
+        filters: t.Optional(filtersSchema)
+      }),
+      detail: {
+        summary: 'Save a search',
+        description: 'A natural-language query (hybrid search), filters, or both. Listings matching now are recorded, so alerts only report listings that appear or change price later.',
+        tags: ['Notifications']
+      }
+    })
+
+    // GET /auth/saved-searches/suggestions - Recent assistant searches to save
+    .get('/suggestions', async ({ userId }) => {
+      const result = await searchAlertService.getSuggestions(userId);
+      return respond(result, { suggestions: result.suggestions });
+    }, {
+      detail: {
+        summary: 'Suggest searches to save',
+        description: 'The last distinct searches made through the chat assistant, with the filters it used',
+        tags: ['Notifications']
+      }
+    })
+
+    // GET /auth/saved-searches/:id - One saved search
+    .get('/:id', async ({ userId, params }) => {
+      const result = await searchAlertService.getSearch(userId, params.id);
+      return respond(result, { search: result.search });
+    }, {
+      params: idParamsSchema,
+      detail: {
+        summary: 'Get saved search',
+        tags: ['Notifications']
+      }
+    })
+
+    // PATCH /auth/saved-searches/:id - Rename, pause or change criteria
+    .patch('/:id', async ({ userId, params, body }) => {
+      const result = await searchAlertService.updateSearch(userId, params.id, body);
+      return respond(result, { search: result.search });
+    }, {
+      params: idParamsSchema,
+      body: t.Object({
+        name: t.Optional(t.String({ minLength: 1, maxLength: 80 })),
+        query: t.Optional(queryTextSchema),
+        filters: t.Optional(filtersSchema),
+        enabled: t.Optional(t.Boolean())
+      }),
+      detail: {
+        summary: 'Update saved search',
+        description: 'enabled=false pauses alerts. Changing the query or filters starts over from the listings that match then.',
+        tags: ['Notifications']
+      }
+    })
+
+    // DELETE /auth/saved-searches/:id
+    .delete('/:id', async ({ userId, params }) => {
+      const result = await searchAlertService.deleteSearch(userId, params.id);
+      return respond(result, { message: 'Saved search deleted' });
+    }, {
+      params: idParamsSchema,
+      detail: {
+        summary: 'Delete saved search',
+        tags: ['Notifications']
+      }
+    })
+
+    // GET /auth/saved-searches/:id/matches - What it matches now
+    .get('/:id/matches', async ({ userId, params }) => {
+      const result = await searchAlertService.previewSearch(userId, params.id);
+      return respond(result, { matches: result.matches, count: result.matches?.length });
+    }, {
+      params: idParamsSchema,
+      detail: {
+        summary: 'Preview saved search',
+        description: 'Listings the search matches right now; is_new marks ones the next alert would report. Sends nothing.',
+        tags: ['Notifications']
+      }
+    })
+  );
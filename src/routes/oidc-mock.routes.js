@@ -0,0 +1,240 @@
+import { Elysia, t } from 'elysia';
+import jwt from 'jsonwebtoken';
+import { generateKeyPairSync, randomBytes, createHash } from 'crypto';
+import { APP_BASE_URL } from '../config/app.js';
+
+// A minimal OpenID Connect provider for local development and testing (OIDC_MOCK_ENABLED=true).
+// It signs in whoever fills in its form, so it must never be enabled in production.
+
+const ISSUER = `${APP_BASE_URL}/oidc-mock`;
+const CLIENT_ID = 'rentai-local';
+const CLIENT_SECRET = 'mock-secret';
+const REDIRECT_URI = `${APP_BASE_URL}/auth/oidc/mock/callback`;
+const CODE_TTL_MS = 60 * 1000;
+
+// Authorization codes waiting to be exchanged, by code
+const pendingCodes = new Map();
+
+// Drop codes that expired without being exchanged, so abandoned sign-ins don't pile up
+function pruneExpiredCodes(now = Date.now()) {
+  for (const [code, pending] of pendingCodes) {
+    if (pending.expiresAt < now) {
+      pendingCodes.delete(code);
+    }
+  }
+}
+
+// Signing key, created on first use so the server doesn't pay for it when the mock is off
+let signingKey = null;
+function getSigningKey() {
+  if (!signingKey) {
+    const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    signingKey = {
+      kid: `mock-${Date.now()}`,
+      privateKey,
+      jwk: publicKey.export({ format: 'jwk' })
+    };
+  }
+  return signingKey;
+}
+
+function escapeHtml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlResponse(html, status = 200) {
+  return new Response(html, { status, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+function redirect(url) {
+  return new Response(null, { status: 302, headers: { Location: url } });
+}
+
+function tokenError(error, description, status = 400) {
+  return new Response(JSON.stringify({ error, error_description: description }), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+  });
+}
+
+function renderLoginForm(query) {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(query[name])}">`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Mock Identity Provider</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 420px; margin: 60px auto; padding: 0 20px; color: #222; }
+    label { display: block; margin: 14px 0 4px; font-weight: 600; }
+    input[type=text], input[type=email] { width: 100%; padding: 8px; box-sizing: border-box; }
+    .actions { margin-top: 20px; display: flex; gap: 10px; }
+    .note { color: #666; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <h1>Mock Identity Provider</h1>
+  <p class="note">Local testing only: you are signed in as whoever you enter below.</p>
+  <form method="post" action="${ISSUER}/authorize">
+    ${hidden}
+    <label for="sub">Subject (unique user ID)</label>
+    <input type="text" id="sub" name="sub" value="mock-user-1" required>
+    <label for="preferred_username">Username</label>
+    <input type="text" id="preferred_username" name="preferred_username" value="mockuser">
+    <label for="email">Email</label>
+    <input type="email" id="email" name="email" value="mockuser@example.com">
+    <label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label>
+    <div class="actions">
+      <button type="submit" name="decision" value="allow">Sign in</button>
+      <button type="submit" name="decision" value="deny">Cancel</button>
+    </div>
+  </form>
+</body>
+</html>`;
+}
+
+export const oidcMockRoutes = new Elysia({ prefix: '/oidc-mock' })
+  .get('/.well-known/openid-configuration', () => ({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256']
+  }), {
+    detail: { summary: 'Mock OIDC discovery', tags: ['Auth'] }
+  })
+
+  .get('/jwks', () => {
+    const { kid, jwk } = getSigningKey();
+    return { keys: [{ ...jwk, kid, use: 'sig', alg: 'RS256' }] };
+  }, {
+    detail: { summary: 'Mock OIDC signing keys', tags: ['Auth'] }
+  })
+
+  // Sign-in page
+  .get('/authorize', ({ query }) => {
+    if (query.client_id !== CLIENT_ID || query.redirect_uri !== REDIRECT_URI) {
+      return htmlResponse('<h1>Unknown client or redirect URI</h1>', 400);
+    }
+    if (query.code_challenge_method !== 'S256' || !query.code_challenge) {
+      return htmlResponse('<h1>PKCE with S256 is required</h1>', 400);
+    }
+    return htmlResponse(renderLoginForm(query));
+  }, {
+    detail: { summary: 'Mock OIDC sign-in page', tags: ['Auth'] }
+  })
+
+  .post('/authorize', ({ body }) => {
+    if (body.client_id !== CLIENT_ID || body.redirect_uri !== REDIRECT_URI) {
+      return htmlResponse('<h1>Unknown client or redirect URI</h1>', 400);
+    }
+
+    const callback = new URL(REDIRECT_URI);
+    callback.searchParams.set('state', body.state || '');
+
+    if (body.decision === 'deny') {
+      callback.searchParams.set('error', 'access_denied');
+      return redirect(callback.toString());
+    }
+
+    pruneExpiredCodes();
+    const code = randomBytes(24).toString('base64url');
+    pendingCodes.set(code, {
+      codeChallenge: body.code_challenge,
+      nonce: body.nonce,
+      expiresAt: Date.now() + CODE_TTL_MS,
+      claims: {
+        sub: body.sub,
+        preferred_username: body.preferred_username || undefined,
+        email: body.email || undefined,
+        email_verified: body.email_verified === 'true'
+      }
+    });
+
+    callback.searchParams.set('code', code);
+    return redirect(callback.toString());
+  }, {
+    body: t.Object({
+      client_id: t.String(),
+      redirect_uri: t.String(),
+      state: t.Optional(t.String()),
+      nonce: t.Optional(t.String()),
+      code_challenge: t.String(),
+      code_challenge_method: t.Optional(t.String()),
+      sub: t.String({ minLength: 1 }),
+      preferred_username: t.Optional(t.String()),
+      email: t.Optional(t.String()),
+      email_verified: t.Optional(t.String()),
+      decision: t.Optional(t.String())
+    }),
+    detail: { summary: 'Mock OIDC sign-in form submission', tags: ['Auth'] }
+  })
+
+  .post('/token', ({ body, headers }) => {
+    // Client authentication: HTTP Basic or client_secret in the body
+    let clientId = body.client_id;
+    let clientSecret = body.client_secret;
+    if (headers.authorization?.startsWith('Basic ')) {
+      const [id, secret] = Buffer.from(headers.authorization.slice(6), 'base64').toString().split(':');
+      clientId = decodeURIComponent(id);
+      clientSecret = decodeURIComponent(secret || '');
+    }
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+      return tokenError('invalid_client', 'Client authentication failed', 401);
+    }
+
+    if (body.grant_type !== 'authorization_code') {
+      return tokenError('unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    const pending = pendingCodes.get(body.code);
+    pendingCodes.delete(body.code);
+    if (!pending || pending.expiresAt < Date.now() || body.redirect_uri !== REDIRECT_URI) {
+      return tokenError('invalid_grant', 'Authorization code is invalid or expired');
+    }
+
+    const challenge = createHash('sha256').update(body.code_verifier || '').digest('base64url');
+    if (challenge !== pending.codeChallenge) {
+      return tokenError('invalid_grant', 'PKCE verification failed');
+    }
+
+    const { kid, privateKey } = getSigningKey();
+    const idToken = jwt.sign({ ...pending.claims, nonce: pending.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: '5m'
+    });
+
+    return new Response(JSON.stringify({
+      access_token: randomBytes(24).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    }), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+    });
+  }, {
+    body: t.Object({
+      grant_type: t.String(),
+      code: t.String(),
+      redirect_uri: t.String(),
+      code_verifier: t.Optional(t.String()),
+      client_id: t.Optional(t.String()),
+      client_secret: t.Optional(t.String())
+    }),
+    detail: { summary: 'Mock OIDC token endpoint', tags: ['Auth'] }
+  });
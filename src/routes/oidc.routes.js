@@ -0,0 +1,185 @@
+import { Elysia, t } from 'elysia';
+import { authPlugin } from '../middleware/auth.js';
+import { rateLimitMiddleware } from '../middleware/rate-limit.js';
+import { UserModel } from '../models/user.js';
+import { oidcService } from '../services/oidc.service.js';
+import { sessionService } from '../services/session.service.js';
+
+// Back to the app after the provider; the frontend picks the ticket or error up from the URL
+function redirectToApp(params) {
+  return new Response(null, {
+    status: 302,
+    headers: { Location: `/?${new URLSearchParams(params).toString()}` }
+  });
+}
+
+const providerParamsSchema = t.Object({
+  provider: t.String({ minLength: 1 })
+});
+
+// Sign in with OpenID Connect providers (authorization code + PKCE) and manage linked identities
+export const oidcRoutes = new Elysia({ prefix: '/auth' })
+  .use(authPlugin)
+  .use(rateLimitMiddleware)
+
+  // GET /auth/oidc/providers - Providers to show sign-in buttons for
+  .get('/oidc/providers', () => ({
+    success: true,
+    providers: oidcService.listProviders()
+  }), {
+    detail: {
+      summary: 'List sign-in providers',
+      description: 'Identity providers configured for "Sign in with ..." buttons',
+      tags: ['Auth']
+    }
+  })
+
+  // POST /auth/oidc/:provider/start - Begin signing in (or linking) with a provider
+  .post('/oidc/:provider/start', async ({ params, body, userId, set }) => {
+    const mode = body?.mode || 'login';
+    if (mode === 'link' && !userId) {
+      set.status = 401;
+      return { success: false, error: 'Sign in to link another account' };
+    }
+
+    const result = await oidcService.startLogin(params.provider, {
+      linkUserId: mode === 'link' ? userId : null
+    });
+
+    if (!result.success) {
+      set.status = result.statusCode;
+      return { success: false, error: result.error };
+    }
+
+    return {
+      success: true,
+      authorization_url: result.authorizationUrl
+    };
+  }, {
+    params: providerParamsSchema,
+    body: t.Optional(t.Object({
+      mode: t.Optional(t.Union([t.Literal('login'), t.Literal('link')]))
+    })),
+    auth: 'optional',
+    rateLimit: 'login',
+    detail: {
+      summary: 'Start provider sign-in',
+      description: 'Returns the provider URL to send the browser to. With mode "link" (auth required) the provider account is linked to the signed-in user instead.',
+      tags: ['Auth']
+    }
+  })
+
+  // GET /auth/oidc/:provider/callback - The provider redirects the browser here
+  .get('/oidc/:provider/callback', async ({ params, query }) => {
+    const result = await oidcService.handleCallback(params.provider, {
+      code: query.code,
+      state: query.state,
+      error: query.error
+    });
+
+    if (!result.success) {
+      return redirectToApp({ oidc_error: result.error });
+    }
+
+    return redirectToApp({ oidc_ticket: result.ticket });
+  }, {
+    params: providerParamsSchema,
+    query: t.Object({
+      code: t.Optional(t.String()),
+      state: t.Optional(t.String()),
+      error: t.Optional(t.String()),
+      error_description: t.Optional(t.String())
+    }),
+    detail: {
+      summary: 'Provider sign-in callback',
+      description: 'Verifies the authorization code and ID token, then redirects to the app with a one-time ticket',
+      tags: ['Auth']
+    }
+  })
+
+  // POST /auth/oidc/exchange - Trade the one-time ticket for tokens, like /auth/login
+  .post('/oidc/exchange', async ({ body, headers, request, server, set }) => {
+    const result = await oidcService.exchangeTicket(body.ticket);
+    if (!result.success) {
+      set.status = result.statusCode;
+      return { success: false, error: result.error };
+    }
+
+    const tokens = await sessionService.issueTokens(result.user, sessionService.getClientInfo(headers, request, server));
+    if (!tokens.success) {
+      set.status = tokens.statusCode;
+      return { success: false, error: tokens.error };
+    }
+
+    return {
+      success: true,
+      message: result.linked ? 'Account linked' : 'Login successful',
+      token: tokens.token,
+      refresh_token: tokens.refresh_token,
+      expires_in: tokens.expires_in,
+      is_new_user: result.isNewUser,
+      linked: result.linked,
+      user: {
+        id: result.user._id,
+        username: result.user.username,
+        role: UserModel.getRole(result.user),
+        profile: result.user.profile,
+        memory_stats: result.user.memory_stats
+      }
+    };
+  }, {
+    body: t.Object({
+      ticket: t.String({ minLength: 1 })
+    }),
+    rateLimit: 'login',
+    detail: {
+      summary: 'Complete provider sign-in',
+      description: 'Exchange the one-time ticket from the callback redirect for an access token and refresh token',
+      tags: ['Auth']
+    }
+  })
+
+  // GET /auth/identities - How the user can sign in
+  .get('/identities', async ({ userId, set }) => {
+    const result = await UserModel.getSignInMethods(userId);
+    if (!result.success) {
+      set.status = 500;
+      return { success: false, error: result.error };
+    }
+
+    return {
+      success: true,
+      has_password: result.hasPassword,
+      identities: result.identities,
+      providers: oidcService.listProviders()
+    };
+  }, {
+    auth: 'required',
+    detail: {
+      summary: 'List linked accounts',
+      description: 'Whether the user has a password and which identity providers are linked',
+      tags: ['Auth']
+    }
+  })
+
+  // DELETE /auth/identities/:provider - Unlink a provider
+  .delete('/identities/:provider', async ({ params, userId, set }) => {
+    const result = await UserModel.unlinkIdentity(userId, params.provider);
+    if (!result.success) {
+      set.status = result.notFound ? 404 : result.conflict ? 409 : 500;
+      return { success: false, error: result.error };
+    }
+
+    return {
+      success: true,
+      message: 'Account unlinked'
+    };
+  }, {
+    params: providerParamsSchema,
+    auth: 'required',
+    detail: {
+      summary: 'Unlink account',
+      description: 'Remove a linked identity provider. Your only sign-in method cannot be removed.',
+      tags: ['Auth']
+    }
+  });
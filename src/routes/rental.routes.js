@@ -1,5 +1,7 @@
 import { Elysia, t } from 'elysia';
 import { RentalController } from '../controllers/rental.controller.js';
+import { authPlugin } from '../middleware/auth.js';
+import { MAX_COMPARE_RENTALS } from '../services/comparison.service.js';
 
 // Controller will be initialized after database connection
 let rentalController;
@@ -21,7 +23,7 @@ function checkController() {
 }
 
 // Validation schemas
-const rentalSchema = t.Object({
+export const rentalSchema = t.Object({
   name: t.String({ minLength: 1 }),
   summary: t.Optional(t.String()),
   property_type: t.String(),
@@ -56,14 +58,43 @@ const querySchema = t.Object({
   min_rating: t.Optional(t.Numeric({ minimum: 1, maximum: 5 })),
   superhost_only: t.Optional(t.String()),
   instant_bookable: t.Optional(t.String()),
+  review_highlights: t.Optional(t.String()), // Comma-separated, e.g. "quiet,clean"
+  checkin: t.Optional(t.String()), // YYYY-MM-DD, requires checkout
+  checkout: t.Optional(t.String()), // YYYY-MM-DD, requires checkin
+  near: t.Optional(t.String()), // "latitude,longitude" - with sortBy=distance, nearest first
+  radius_km: t.Optional(t.Numeric({ minimum: 0 })), // Radius around near (default 10 km)
+  bbox: t.Optional(t.String()), // "minLng,minLat,maxLng,maxLat" map bounds
   ids: t.Optional(t.String()) // Comma-separated list of rental IDs for AI search results
 });
 
+const hybridQuerySchema = t.Object({
+  q: t.String({ minLength: 1 }),
+  limit: t.Optional(t.Numeric({ minimum: 1, maximum: 50 })),
+  vector_weight: t.Optional(t.Numeric({ minimum: 0 })),
+  text_weight: t.Optional(t.Numeric({ minimum: 0 })),
+  rrf_k: t.Optional(t.Numeric({ minimum: 1 })),
+  location: t.Optional(t.String()),
+  property_type: t.Optional(t.String()),
+  room_type: t.Optional(t.String()),
+  country: t.Optional(t.String()),
+  min_price: t.Optional(t.Numeric({ minimum: 0 })),
+  max_price: t.Optional(t.Numeric({ minimum: 0 })),
+  min_bedrooms: t.Optional(t.Numeric({ minimum: 0 })),
+  min_accommodates: t.Optional(t.Numeric({ minimum: 1 })),
+  superhost_only: t.Optional(t.String()),
+  review_highlights: t.Optional(t.String()),
+  near: t.Optional(t.String()),
+  radius_km: t.Optional(t.Numeric({ minimum: 0 })),
+  bbox: t.Optional(t.String())
+});
+
 const idSchema = t.Object({
   id: t.String({ minLength: 1 }) // Accept any non-empty string ID
 });
 
 export const rentalRoutes = new Elysia({ prefix: '/rentals' })
+  .use(authPlugin)
+
   // GET /rentals - List rentals with filters
   .get('/', async (context) => {
     const notReady = checkController();
@@ -73,7 +104,7 @@ export const rentalRoutes = new Elysia({ prefix: '/rentals' })
     
     if (!result.success) {
       return new Response(JSON.stringify(result), {
-        status: 500,
+        status: result.statusCode || 500,
         headers: { 'Content-Type': 'application/json' }
       });
     }
@@ -83,7 +114,36 @@ export const rentalRoutes = new Elysia({ prefix: '/rentals' })
     query: querySchema,
     detail: {
       summary: 'Get all rentals',
-      description: 'Retrieve rentals with optional filtering, sorting, and pagination',
+      description: 'Retrieve rentals with optional filtering, sorting, and pagination. Geo filters: near="lat,lng" with radius_km, and/or bbox="minLng,minLat,maxLng,maxLat". With near, results include distance_km and sortBy=distance orders nearest first. review_highlights=quiet,clean keeps listings guests praise for all of those (quiet, clean, great_location, responsive_host, as_described).',
+      tags: ['Rentals']
+    }
+  })
+
+  // GET /rentals/compare - Side-by-side comparison
+  .get('/compare', async (context) => {
+    const notReady = checkController();
+    if (notReady) return notReady;
+    
+    const result = await rentalController.compareRentals(context);
+    
+    if (!result.success) {
+      return new Response(JSON.stringify(result), {
+        status: result.statusCode || 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    return result;
+  }, {
+    query: t.Object({
+      ids: t.String({ minLength: 1 }), // Comma-separated rental IDs, in column order
+      checkin: t.Optional(t.String()), // YYYY-MM-DD, requires checkout
+      checkout: t.Optional(t.String()), // YYYY-MM-DD, requires checkin
+      guests: t.Optional(t.Numeric({ minimum: 1 }))
+    }),
+    detail: {
+      summary: 'Compare rentals',
+      description: `Compare 2 to ${MAX_COMPARE_RENTALS} rentals side by side. Returns the listings as columns and sections of rows aligned with them: price, space, ratings (overall and sub-scores out of 5), policies including cancellation, host stats and the amenities only some of them have (shared ones are listed in shared_amenities). Each row has values in column order, best (indexes of the best value, for rows where lower or higher is better) and differs. With checkin and checkout (and guests, default 1) the price section adds each listing's stay total and availability.`,
       tags: ['Rentals']
     }
   })
@@ -107,7 +167,7 @@ export const rentalRoutes = new Elysia({ prefix: '/rentals' })
     params: idSchema,
     detail: {
       summary: 'Get rental by ID',
-      description: 'Retrieve detailed information about a specific rental',
+      description: 'Retrieve detailed information about a specific rental, including review_summary (overview, aspect scores out of 5, pros and cons from guest reviews) once the review summary job has run',
       tags: ['Rentals']
     }
   })
@@ -132,9 +192,10 @@ export const rentalRoutes = new Elysia({ prefix: '/rentals' })
     });
   }, {
     body: rentalSchema,
+    auth: ['host', 'admin'],
     detail: {
       summary: 'Create new rental',
-      description: 'Add a new rental property to the database',
+      description: 'Add a new rental property to the database. Requires the host or admin role; listings created by hosts are owned by them.',
       tags: ['Rentals']
     }
   })
@@ -157,9 +218,10 @@ export const rentalRoutes = new Elysia({ prefix: '/rentals' })
   }, {
     params: idSchema,
     body: t.Partial(rentalSchema),
+    auth: ['host', 'admin'],
     detail: {
       summary: 'Update rental',
-      description: 'Update an existing rental property',
+      description: 'Update an existing rental property. Hosts can only update their own listings; admins can update any.',
       tags: ['Rentals']
     }
   })
@@ -181,9 +243,10 @@ export const rentalRoutes = new Elysia({ prefix: '/rentals' })
     return result;
   }, {
     params: idSchema,
+    auth: ['host', 'admin'],
     detail: {
       summary: 'Delete rental',
-      description: 'Remove a rental property from the database',
+      description: 'Remove a rental property from the database. Hosts can only delete their own listings; admins can delete any.',
       tags: ['Rentals']
     }
   });
@@ -198,7 +261,7 @@ export const searchRoutes = new Elysia({ prefix: '/search' })
     
     if (!result.success) {
       return new Response(JSON.stringify(result), {
-        status: 500,
+        status: result.statusCode || 500,
         headers: { 'Content-Type': 'application/json' }
       });
     }
@@ -211,6 +274,30 @@ export const searchRoutes = new Elysia({ prefix: '/search' })
       description: 'Search rentals with advanced filtering options',
       tags: ['Search']
     }
+  })
+
+  // GET /search/hybrid - Semantic + full-text search fused with reciprocal rank fusion
+  .get('/hybrid', async (context) => {
+    const notReady = checkController();
+    if (notReady) return notReady;
+    
+    const result = await rentalController.hybridSearch(context);
+    
+    if (!result.success) {
+      return new Response(JSON.stringify(result), {
+        status: result.statusCode || 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    return result;
+  }, {
+    query: hybridQuerySchema,
+    detail: {
+      summary: 'Hybrid search',
+      description: 'Combine vector and fuzzy full-text search with weighted reciprocal rank fusion. Each result includes a score_details breakdown (rank, raw score and RRF contribution per search) for relevance tuning.',
+      tags: ['Search']
+    }
   });
 
 // Stats route
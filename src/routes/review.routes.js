@@ -0,0 +1,162 @@
+import { Elysia, t } from 'elysia';
+import { authPlugin } from '../middleware/auth.js';
+import { reviewService } from '../services/review.service.js';
+import { REVIEW_ASPECTS, REVIEW_FLAG_REASONS } from '../models/review.js';
+import { respond } from './route-helpers.js';
+
+const stars = t.Integer({ minimum: 1, maximum: 5 });
+
+const reviewParamsSchema = t.Object({
+  id: t.String({ minLength: 1 }),
+  reviewId: t.String({ minLength: 1 })
+});
+
+// Reviews of a listing: /rentals/:id/reviews
+export const reviewRoutes = new Elysia({ prefix: '/rentals' })
+  .use(authPlugin)
+
+  // GET /rentals/:id/reviews - Published reviews, one page at a time
+  .get('/:id/reviews', async ({ params, query, auth }) => {
+    const result = await reviewService.listReviews(params.id, {
+      sort: query.sort,
+      page: query.page || 1,
+      limit: query.limit || 10
+    }, auth);
+    return respond(result, {
+      reviews: result.reviews,
+      summary: result.summary,
+      pagination: result.pagination,
+      viewer: result.viewer
+    });
+  }, {
+    auth: 'optional',
+    params: t.Object({ id: t.String({ minLength: 1 }) }),
+    query: t.Object({
+      sort: t.Optional(t.Union([t.Literal('newest'), t.Literal('oldest'), t.Literal('highest'), t.Literal('lowest')])),
+      page: t.Optional(t.Numeric({ minimum: 1 })),
+      limit: t.Optional(t.Numeric({ minimum: 1, maximum: 50 }))
+    }),
+    detail: {
+      summary: 'List reviews',
+      description: 'Published reviews of a listing with the rating summary (stars out of 5, count and aspect scores). sort=newest (default), oldest, highest or lowest; imported reviews without a rating come after rated ones when sorting by rating.',
+      tags: ['Reviews']
+    }
+  })
+
+  // POST /rentals/:id/reviews - Review a listing
+  .post('/:id/reviews', async ({ params, body, auth, set }) => {
+    const result = await reviewService.createReview(params.id, auth, body);
+    if (result.success) set.status = 201;
+    return respond(result, { review: result.review, summary: result.summary });
+  }, {
+    auth: 'required',
+    params: t.Object({ id: t.String({ minLength: 1 }) }),
+    body: t.Object({
+      rating: stars,
+      scores: t.Optional(t.Partial(t.Object(Object.fromEntries(REVIEW_ASPECTS.map(aspect => [aspect, stars]))))),
+      comments: t.String({ minLength: 1, maxLength: 2000 })
+    }),
+    detail: {
+      summary: 'Write a review',
+      description: `One review per guest and listing, rated 1-5 overall with optional 1-5 scores for ${REVIEW_ASPECTS.join(', ')}. Reviews backed by a completed stay are marked verified; with REVIEWS_REQUIRE_STAY=true a completed stay is required. Updates the listing's review_scores and number_of_reviews.`,
+      tags: ['Reviews']
+    }
+  })
+
+  // DELETE /rentals/:id/reviews/:reviewId - Delete my review (admins: any review)
+  .delete('/:id/reviews/:reviewId', async ({ params, auth }) => {
+    const result = await reviewService.deleteReview(params.id, params.reviewId, auth);
+    return respond(result, { message: 'Review deleted', summary: result.summary });
+  }, {
+    auth: 'required',
+    params: reviewParamsSchema,
+    detail: {
+      summary: 'Delete review',
+      tags: ['Reviews']
+    }
+  })
+
+  // PUT /rentals/:id/reviews/:reviewId/reply - Host reply
+  .put('/:id/reviews/:reviewId/reply', async ({ params, body, auth }) => {
+    const result = await reviewService.replyToReview(params.id, params.reviewId, auth, body.text);
+    return respond(result, { review: result.review });
+  }, {
+    auth: 'required',
+    params: reviewParamsSchema,
+    body: t.Object({
+      text: t.String({ minLength: 1, maxLength: 1000 })
+    }),
+    detail: {
+      summary: 'Reply to review',
+      description: 'Adds or edits the reply shown under a review. Only the host of the listing (or an admin) can reply; the reviewer is notified of the first reply.',
+      tags: ['Reviews']
+    }
+  })
+
+  // DELETE /rentals/:id/reviews/:reviewId/reply - Remove the host reply
+  .delete('/:id/reviews/:reviewId/reply', async ({ params, auth }) => {
+    const result = await reviewService.deleteReply(params.id, params.reviewId, auth);
+    return respond(result, { review: result.review });
+  }, {
+    auth: 'required',
+    params: reviewParamsSchema,
+    detail: {
+      summary: 'Delete review reply',
+      tags: ['Reviews']
+    }
+  })
+
+  // POST /rentals/:id/reviews/:reviewId/flag - Report a review
+  .post('/:id/reviews/:reviewId/flag', async ({ params, body, auth }) => {
+    const result = await reviewService.flagReview(params.id, params.reviewId, auth, body);
+    return respond(result, { message: 'Thanks, the review has been reported', hidden: result.hidden });
+  }, {
+    auth: 'required',
+    params: reviewParamsSchema,
+    body: t.Object({
+      reason: t.Union(REVIEW_FLAG_REASONS.map(reason => t.Literal(reason))),
+      details: t.Optional(t.String({ maxLength: 500 }))
+    }),
+    detail: {
+      summary: 'Report review',
+      description: 'Each user can report a review once. After REVIEW_FLAG_THRESHOLD reports (default 3) the review is hidden until an admin approves or removes it.',
+      tags: ['Reviews']
+    }
+  });
+
+// Moderation queue for admins
+export const reviewModerationRoutes = new Elysia({ prefix: '/reviews' })
+  .use(authPlugin)
+  .guard({ auth: ['admin'] }, (app) => app
+    // GET /reviews/flagged - Reviews hidden by reports
+    .get('/flagged', async ({ query }) => {
+      const result = await reviewService.listFlagged({ page: query.page || 1, limit: query.limit || 20 });
+      return respond(result, { reviews: result.reviews, pagination: result.pagination });
+    }, {
+      query: t.Object({
+        page: t.Optional(t.Numeric({ minimum: 1 })),
+        limit: t.Optional(t.Numeric({ minimum: 1, maximum: 100 }))
+      }),
+      detail: {
+        summary: 'List flagged reviews',
+        description: 'Reviews hidden after reports, oldest first, with the reasons given. Requires the admin role.',
+        tags: ['Reviews']
+      }
+    })
+
+    // POST /reviews/:reviewId/moderate - Approve or remove a review
+    .post('/:reviewId/moderate', async ({ params, body, auth }) => {
+      const result = await reviewService.moderateReview(params.reviewId, body.action, auth);
+      return respond(result, { review: result.review });
+    }, {
+      params: t.Object({ reviewId: t.String({ minLength: 1 }) }),
+      body: t.Object({
+        action: t.Union([t.Literal('approve'), t.Literal('remove')])
+      }),
+      detail: {
+        summary: 'Moderate review',
+        description: "approve publishes the review again and clears its reports; remove takes it down for good. The listing's scores are recomputed. Requires the admin role.",
+        tags: ['Reviews']
+      }
+    })
+  );
@@ -0,0 +1,17 @@
+// Response helpers shared by the route modules
+
+// A JSON response with an explicit status, for errors returned before the handler's default
+export function jsonResponse(result, status) {
+  return new Response(JSON.stringify(result), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Error response for a failed service call, or the success body
+export function respond(result, body = {}) {
+  if (!result.success) {
+    return jsonResponse({ success: false, error: result.error }, result.statusCode || 500);
+  }
+  return { success: true, ...body };
+}
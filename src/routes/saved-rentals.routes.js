@@ -0,0 +1,329 @@
+import { Elysia, t } from 'elysia';
+import { authPlugin } from '../middleware/auth.js';
+import { wishlistService } from '../services/wishlist.service.js';
+import { respond } from './route-helpers.js';
+
+const tagsSchema = t.Array(t.String({ minLength: 1, maxLength: 30 }), { maxItems: 10 });
+const noteSchema = t.String({ maxLength: 1000 });
+
+const itemSchema = t.Object({
+  note: t.Optional(noteSchema),
+  tags: t.Optional(tagsSchema)
+});
+
+const collectionSchema = t.Object({
+  name: t.String({ minLength: 1, maxLength: 60 }),
+  description: t.Optional(t.String({ maxLength: 500 }))
+});
+
+const listParamsSchema = t.Object({
+  id: t.String({ minLength: 1 })
+});
+
+const itemParamsSchema = t.Object({
+  id: t.String({ minLength: 1 }),
+  rentalId: t.String({ minLength: 1 })
+});
+
+const itemsQuerySchema = t.Object({
+  tag: t.Optional(t.String()),
+  sort: t.Optional(t.Union([t.Literal('added'), t.Literal('votes')]))
+});
+
+// Saved rentals organised in lists ("collections"). The heart button saves to the
+// user's default list; named lists add notes, tags, sharing and collaborators.
+export const savedRentalRoutes = new Elysia({ prefix: '/auth/saved-rentals' })
+  .use(authPlugin)
+
+  // GET /auth/saved-rentals/shared/:token - Read-only view of a shared list (no sign-in)
+  .get('/shared/:token', async ({ params, query }) => {
+    const result = await wishlistService.getShared(params.token, query);
+    return respond(result, { collection: result.collection });
+  }, {
+    params: t.Object({ token: t.String({ minLength: 1 }) }),
+    query: itemsQuerySchema,
+    detail: {
+      summary: 'View shared list',
+      description: 'Read-only view of a list shared by link',
+      tags: ['Saved Rentals']
+    }
+  })
+
+  .guard({ auth: 'required' }, (app) => app
+    // GET /auth/saved-rentals - Every rental in my lists
+    .get('/', async ({ userId, query }) => {
+      const result = await wishlistService.getSavedRentals(userId, { includeDetails: query.include_details === 'true' });
+      return respond(result, {
+        saved_rentals: result.savedRentals,
+        count: result.savedRentals?.length,
+        collections: result.collections
+      });
+    }, {
+      query: t.Object({
+        include_details: t.Optional(t.String())
+      }),
+      detail: {
+        summary: 'Get Saved Rentals',
+        description: 'Every rental in the user\'s own lists, once each, with the lists it is in. include_details=true adds current rental details.',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // GET /auth/saved-rentals/collections - My lists and lists shared with me
+    .get('/collections', async ({ userId }) => {
+      const result = await wishlistService.listCollections(userId);
+      return respond(result, { collections: result.collections });
+    }, {
+      detail: {
+        summary: 'List collections',
+        description: 'Lists the user owns or collaborates on, default list first',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // POST /auth/saved-rentals/collections - Create a list
+    .post('/collections', async ({ userId, body, set }) => {
+      const result = await wishlistService.createCollection(userId, body);
+      if (result.success) set.status = 201;
+      return respond(result, { collection: result.collection });
+    }, {
+      body: collectionSchema,
+      detail: {
+        summary: 'Create collection',
+        description: 'Create a named list such as "Barcelona trip"',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // GET /auth/saved-rentals/collections/:id - A list with its rentals
+    .get('/collections/:id', async ({ userId, params, query }) => {
+      const result = await wishlistService.getCollection(userId, params.id, query);
+      return respond(result, { collection: result.collection });
+    }, {
+      params: listParamsSchema,
+      query: itemsQuerySchema,
+      detail: {
+        summary: 'Get collection',
+        description: 'A list with current rental details, notes, tags and votes. Filter with ?tag= and sort by newest (added) or most votes (votes).',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // PATCH /auth/saved-rentals/collections/:id - Rename a list (owner)
+    .patch('/collections/:id', async ({ userId, params, body }) => {
+      const result = await wishlistService.updateCollection(userId, params.id, body);
+      return respond(result, { collection: result.collection });
+    }, {
+      params: listParamsSchema,
+      body: t.Partial(collectionSchema),
+      detail: {
+        summary: 'Update collection',
+        description: 'Change a list\'s name or description (owner only)',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // DELETE /auth/saved-rentals/collections/:id - Delete a list (owner)
+    .delete('/collections/:id', async ({ userId, params }) => {
+      const result = await wishlistService.deleteCollection(userId, params.id);
+      return respond(result, { message: 'List deleted' });
+    }, {
+      params: listParamsSchema,
+      detail: {
+        summary: 'Delete collection',
+        description: 'Delete a list (owner only). The default list can\'t be deleted.',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // POST /auth/saved-rentals/collections/:id/items - Add a rental to a list
+    .post('/collections/:id/items', async ({ userId, params, body, set }) => {
+      const result = await wishlistService.addItem(userId, params.id, {
+        rentalId: body.rental_id,
+        note: body.note,
+        tags: body.tags
+      });
+      if (result.success) set.status = 201;
+      return respond(result, { message: 'Rental added to list' });
+    }, {
+      params: listParamsSchema,
+      body: t.Composite([t.Object({ rental_id: t.String({ minLength: 1 }) }), itemSchema]),
+      detail: {
+        summary: 'Add rental to collection',
+        description: 'Add a rental with an optional note and tags (owner or collaborator)',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // PATCH /auth/saved-rentals/collections/:id/items/:rentalId - Edit the note and tags
+    .patch('/collections/:id/items/:rentalId', async ({ userId, params, body }) => {
+      const result = await wishlistService.updateItem(userId, params.id, params.rentalId, body);
+      return respond(result, { message: 'Rental updated' });
+    }, {
+      params: itemParamsSchema,
+      body: itemSchema,
+      detail: {
+        summary: 'Update saved rental',
+        description: 'Change the note or tags of a rental in a list (owner or collaborator)',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // DELETE /auth/saved-rentals/collections/:id/items/:rentalId - Remove a rental from a list
+    .delete('/collections/:id/items/:rentalId', async ({ userId, params }) => {
+      const result = await wishlistService.removeItem(userId, params.id, params.rentalId);
+      return respond(result, { message: 'Rental removed from list' });
+    }, {
+      params: itemParamsSchema,
+      detail: {
+        summary: 'Remove rental from collection',
+        description: 'Owners can remove any rental; collaborators only the ones they added',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // POST /auth/saved-rentals/collections/:id/items/:rentalId/move - Move to another list
+    .post('/collections/:id/items/:rentalId/move', async ({ userId, params, body }) => {
+      const result = await wishlistService.moveItem(userId, params.id, params.rentalId, body.collection_id);
+      return respond(result, { message: 'Rental moved' });
+    }, {
+      params: itemParamsSchema,
+      body: t.Object({
+        collection_id: t.String({ minLength: 1 })
+      }),
+      detail: {
+        summary: 'Move saved rental',
+        description: 'Move a rental to another list, keeping its note and tags',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // PUT /auth/saved-rentals/collections/:id/items/:rentalId/vote - Vote for a rental
+    .put('/collections/:id/items/:rentalId/vote', async ({ userId, params }) => {
+      const result = await wishlistService.setVote(userId, params.id, params.rentalId, true);
+      return respond(result, { voted: true });
+    }, {
+      params: itemParamsSchema,
+      detail: {
+        summary: 'Vote for rental',
+        description: 'Vote for a rental in a collaborative list (one vote per member)',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // DELETE /auth/saved-rentals/collections/:id/items/:rentalId/vote - Take the vote back
+    .delete('/collections/:id/items/:rentalId/vote', async ({ userId, params }) => {
+      const result = await wishlistService.setVote(userId, params.id, params.rentalId, false);
+      return respond(result, { voted: false });
+    }, {
+      params: itemParamsSchema,
+      detail: {
+        summary: 'Remove vote',
+        description: 'Take back your vote for a rental',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // POST /auth/saved-rentals/collections/:id/share - Turn on the read-only link (owner)
+    .post('/collections/:id/share', async ({ userId, params }) => {
+      const result = await wishlistService.share(userId, params.id);
+      return respond(result, { share_url: result.shareUrl });
+    }, {
+      params: listParamsSchema,
+      detail: {
+        summary: 'Share collection',
+        description: 'Get a read-only link to the list that works without signing in (owner only)',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // DELETE /auth/saved-rentals/collections/:id/share - Turn the link off (owner)
+    .delete('/collections/:id/share', async ({ userId, params }) => {
+      const result = await wishlistService.unshare(userId, params.id);
+      return respond(result, { message: 'List is no longer shared' });
+    }, {
+      params: listParamsSchema,
+      detail: {
+        summary: 'Stop sharing collection',
+        description: 'Turn off the read-only link; the old link stops working (owner only)',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // POST /auth/saved-rentals/collections/:id/collaborators - Invite a user (owner)
+    .post('/collections/:id/collaborators', async ({ userId, params, body, set }) => {
+      const result = await wishlistService.addCollaborator(userId, params.id, body.username);
+      if (result.success) set.status = 201;
+      return respond(result, { collaborator: result.collaborator });
+    }, {
+      params: listParamsSchema,
+      body: t.Object({
+        username: t.String({ minLength: 1 })
+      }),
+      detail: {
+        summary: 'Add collaborator',
+        description: 'Let another user add rentals to the list and vote (owner only)',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // DELETE /auth/saved-rentals/collections/:id/collaborators/:userId - Remove a collaborator or leave
+    .delete('/collections/:id/collaborators/:collaboratorId', async ({ userId, params }) => {
+      const result = await wishlistService.removeCollaborator(userId, params.id, params.collaboratorId);
+      return respond(result, { message: 'Collaborator removed' });
+    }, {
+      params: t.Object({
+        id: t.String({ minLength: 1 }),
+        collaboratorId: t.String({ minLength: 1 })
+      }),
+      detail: {
+        summary: 'Remove collaborator',
+        description: 'The owner can remove any collaborator; collaborators can remove themselves to leave the list',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // POST /auth/saved-rentals/:rentalId - Save a rental (to the default list unless one is given)
+    .post('/:rentalId', async ({ userId, params, body }) => {
+      const result = await wishlistService.addItem(userId, body?.collection_id || null, {
+        rentalId: params.rentalId,
+        note: body?.note,
+        tags: body?.tags
+      });
+      return respond(result, { message: 'Rental saved successfully', collection_id: result.collectionId });
+    }, {
+      params: t.Object({ rentalId: t.String({ minLength: 1 }) }),
+      body: t.Optional(t.Composite([t.Object({ collection_id: t.Optional(t.String()) }), itemSchema])),
+      detail: {
+        summary: 'Save Rental',
+        description: 'Save a rental to the default list, or to collection_id',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // DELETE /auth/saved-rentals/:rentalId - Unsave a rental from all my lists
+    .delete('/:rentalId', async ({ userId, params }) => {
+      const result = await wishlistService.removeEverywhere(userId, params.rentalId);
+      return respond(result, { message: 'Rental removed from saved list' });
+    }, {
+      params: t.Object({ rentalId: t.String({ minLength: 1 }) }),
+      detail: {
+        summary: 'Unsave Rental',
+        description: 'Remove a rental from every list the user owns',
+        tags: ['Saved Rentals']
+      }
+    })
+
+    // GET /auth/saved-rentals/:rentalId/check - Is the rental in any of my lists
+    .get('/:rentalId/check', async ({ userId, params }) => {
+      const result = await wishlistService.getSavedStatus(userId, params.rentalId);
+      return respond(result, { is_saved: result.isSaved, collection_ids: result.collectionIds });
+    }, {
+      params: t.Object({ rentalId: t.String({ minLength: 1 }) }),
+      detail: {
+        summary: 'Check if Rental is Saved',
+        description: 'Whether the rental is in any of the user\'s own lists, and which ones',
+        tags: ['Saved Rentals']
+      }
+    })
+  );
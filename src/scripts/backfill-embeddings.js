@@ -0,0 +1,70 @@
+import { database } from '../config/database.js';
+import { rentalEmbeddingService } from '../services/rental-embedding.service.js';
+
+// Re-embed listings whose text_embeddings are missing or out of date
+// Usage: bun run src/scripts/backfill-embeddings.js [--batch-size=50] [--limit=N] [--dry-run]
+
+function parseArgs(argv) {
+  const options = { batchSize: 50, limit: null, dryRun: false };
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split('=');
+
+    if (flag === '--batch-size') {
+      options.batchSize = parseInt(value) || options.batchSize;
+    } else if (flag === '--limit') {
+      options.limit = parseInt(value) || null;
+    } else if (flag === '--dry-run') {
+      options.dryRun = true;
+    } else if (flag === '--help' || flag === '-h') {
+      options.help = true;
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(`
+Usage: bun run src/scripts/backfill-embeddings.js [options]
+
+Finds rentals whose embedding is missing, was built from different content
+(name, summary, description, amenities, neighbourhood) or came from a different
+embedding provider than EMBEDDING_PROVIDER, and re-embeds them.
+
+Options:
+  --batch-size=N   Listings embedded per provider request (default 50)
+  --limit=N        Stop after N stale listings
+  --dry-run        Only report how many listings are stale
+`);
+    return;
+  }
+
+  await database.connect();
+
+  try {
+    console.log(`🔍 Scanning rentals for missing or stale embeddings${options.dryRun ? ' (dry run)' : ''}...`);
+    const result = await rentalEmbeddingService.backfill(options);
+
+    if (!result.success) {
+      console.error('❌ Backfill failed:', result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ Scanned ${result.scanned} rentals, ${result.stale} stale, ${result.embedded} embedded, ${result.failed} failed`);
+    if (result.failed > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Backfill error:', error);
+  process.exit(1);
+});
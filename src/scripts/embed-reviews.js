@@ -0,0 +1,77 @@
+import { database } from '../config/database.js';
+import { ReviewChunkModel } from '../models/review-chunk.js';
+import { reviewSearchService } from '../services/review-search.service.js';
+
+// Chunk and embed review text for the assistant's searchReviews tool
+// Usage: bun run src/scripts/embed-reviews.js [--batch-size=50] [--limit=N] [--rental=ID] [--dry-run]
+
+function parseArgs(argv) {
+  const options = { batchSize: 50, limit: null, rentalId: null, dryRun: false };
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split('=');
+
+    if (flag === '--batch-size') {
+      options.batchSize = parseInt(value) || options.batchSize;
+    } else if (flag === '--limit') {
+      options.limit = parseInt(value) || null;
+    } else if (flag === '--rental') {
+      options.rentalId = value || null;
+    } else if (flag === '--dry-run') {
+      options.dryRun = true;
+    } else if (flag === '--help' || flag === '-h') {
+      options.help = true;
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(`
+Usage: bun run src/scripts/embed-reviews.js [options]
+
+Splits published reviews into snippets and embeds them into the review_chunks
+collection. Reviews already chunked from the same text by the current
+EMBEDDING_PROVIDER are skipped; chunks of hidden or removed reviews are dropped.
+Run it after \`bun run reviews:import\` and after changing embedding provider.
+
+Options:
+  --batch-size=N   Reviews embedded per provider request (default 50)
+  --limit=N        Stop after N stale reviews
+  --rental=ID      Only reviews of this listing
+  --dry-run        Only report how many reviews are stale
+`);
+    return;
+  }
+
+  await database.connect();
+
+  try {
+    await ReviewChunkModel.ensureIndexes();
+
+    console.log(`🔍 Scanning reviews for missing or stale chunks${options.dryRun ? ' (dry run)' : ''}...`);
+    const result = await reviewSearchService.backfill(options);
+
+    if (!result.success) {
+      console.error('❌ Review embedding failed:', result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ Scanned ${result.scanned} reviews, ${result.stale} stale, ${result.indexed} embedded (${result.chunks} chunks), ${result.failed} failed, ${result.removed} unpublished removed`);
+    if (result.failed > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Review embedding error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,259 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { VECTOR_SEARCH_INDEX_CONFIG, TEXT_SEARCH_INDEX_CONFIG } from '../config/vector-search.js';
+import { getEmbeddingInfo } from '../services/embedding-provider.js';
+import { searchEvaluationService } from '../services/search-evaluation.service.js';
+import { computeSourceHash } from '../services/service-helpers.js';
+
+// Fixtures are seeded into and searched in their own database on the cluster, never the
+// app's, so `seed --drop` can't wipe real listings
+const EVAL_DB_NAME = process.env.EVAL_DB_NAME || 'rental_app_search_eval';
+
+// Modules that need MONGODB_URI are loaded only for the seed and run commands,
+// so diffing saved runs works without a database
+async function loadDatabaseModules() {
+  const [{ database, DB_NAME }, { vectorSearchService }, { rentalEmbeddingService }] = await Promise.all([
+    import('../config/database.js'),
+    import('../services/vector-search.service.js'),
+    import('../services/rental-embedding.service.js')
+  ]);
+  return { database, DB_NAME, vectorSearchService, rentalEmbeddingService };
+}
+
+// Search relevance evaluation
+// Usage:
+//   bun run src/scripts/eval-search.js seed [--fixtures=eval/fixtures/rentals.json] [--drop]
+//   bun run src/scripts/eval-search.js run [--queries=eval/queries.json] [--k=10] [--strategies=keyword,vector,text,hybrid] [--out=run.json]
+//   bun run src/scripts/eval-search.js diff <baseline.json> <candidate.json>
+
+const USAGE = `
+Usage: bun run src/scripts/eval-search.js <command> [options]
+
+Commands:
+  seed   Load fixture rentals (embedded with EMBEDDING_PROVIDER) and create the search indexes
+         --fixtures=FILE    Fixture listings (default eval/fixtures/rentals.json)
+         --drop             Replace the fixtures of an earlier seed
+
+  run    Run each query through the search strategies and report nDCG@k, recall@k and MRR
+         --queries=FILE     Graded queries (default eval/queries.json)
+         --k=N              Cutoff (default: "k" from the queries file, or 10)
+         --verbose          Also print per-query metrics
+         --strategies=LIST  Comma-separated subset of: ${searchEvaluationService.getStrategyNames().join(', ')}
+         --out=FILE         Save the run as JSON for later diffs
+         --bypass-cache     Embed every query with the provider instead of the embedding cache
+
+  diff   Compare two saved runs
+         eval-search.js diff baseline.json candidate.json
+
+seed and run use the EVAL_DB_NAME database (default rental_app_search_eval),
+never the app's own. For an offline run, point MONGODB_URI at a local Atlas
+deployment (e.g. the mongodb/mongodb-atlas-local Docker image) and set
+EMBEDDING_PROVIDER=hash.
+`;
+
+function parseArgs(argv) {
+  const options = { _: [] };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--')) {
+      const [flag, ...valueParts] = arg.slice(2).split('=');
+      options[flag] = valueParts.length > 0 ? valueParts.join('=') : true;
+    } else {
+      options._.push(arg);
+    }
+  }
+
+  return options;
+}
+
+function readJson(path) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+function formatMetric(value) {
+  return value.toFixed(4);
+}
+
+function formatDelta(value) {
+  const sign = value > 0 ? '+' : '';
+  return `${sign}${value.toFixed(4)}`;
+}
+
+// Wait until Atlas reports both search indexes as queryable
+async function waitForSearchIndexes(collection, names, timeoutMs = 120000) {
+  const startedAt = Date.now();
+
+  while (Date.now() - startedAt < timeoutMs) {
+    const indexes = await collection.listSearchIndexes().toArray();
+    const ready = names.every(name => indexes.find(index => index.name === name)?.queryable);
+    if (ready) return true;
+
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+
+  return false;
+}
+
+async function seed(options, { database, vectorSearchService, rentalEmbeddingService }) {
+  const fixturesPath = options.fixtures || 'eval/fixtures/rentals.json';
+  const fixtures = readJson(fixturesPath);
+  const collection = database.getRentalsCollection();
+
+  const existing = await collection.estimatedDocumentCount();
+  if (existing > 0 && !options.drop) {
+    console.error(`❌ The rentals collection in ${EVAL_DB_NAME} already has ${existing} documents. Re-run with --drop to replace them.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (existing > 0) {
+    await collection.deleteMany({});
+    console.log(`🗑️  Removed ${existing} existing rentals`);
+  }
+
+  console.log(`🧠 Embedding ${fixtures.length} fixtures with ${vectorSearchService.embeddingProvider.name}...`);
+  const texts = fixtures.map(rental => rentalEmbeddingService.buildEmbeddingText(rental));
+  const embeddings = await vectorSearchService.generateEmbeddings(texts);
+  const embeddingInfo = getEmbeddingInfo(vectorSearchService.embeddingProvider);
+
+  await collection.insertMany(fixtures.map((rental, index) => ({
+    ...rental,
+    text_embeddings: embeddings[index],
+    embedding_source_hash: computeSourceHash(texts[index]),
+    ...embeddingInfo,
+    embedding_updated_at: new Date()
+  })));
+  console.log(`📥 Inserted ${fixtures.length} fixture rentals`);
+
+  const existingIndexes = (await collection.listSearchIndexes().toArray()).map(index => index.name);
+  for (const index of existingIndexes) {
+    if (index === VECTOR_SEARCH_INDEX_CONFIG.name || index === TEXT_SEARCH_INDEX_CONFIG.name) {
+      await collection.dropSearchIndex(index);
+    }
+  }
+
+  await collection.createSearchIndexes([
+    { name: VECTOR_SEARCH_INDEX_CONFIG.name, type: 'vectorSearch', definition: VECTOR_SEARCH_INDEX_CONFIG.definition },
+    { name: TEXT_SEARCH_INDEX_CONFIG.name, type: 'search', definition: TEXT_SEARCH_INDEX_CONFIG.definition }
+  ]);
+  console.log('⏳ Waiting for search indexes to become queryable...');
+
+  const ready = await waitForSearchIndexes(collection, [VECTOR_SEARCH_INDEX_CONFIG.name, TEXT_SEARCH_INDEX_CONFIG.name]);
+  if (!ready) {
+    console.error('❌ Search indexes were not ready after 2 minutes');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('✅ Fixtures seeded and indexes ready');
+}
+
+async function runEval(options, { vectorSearchService }) {
+  const querySet = readJson(options.queries || 'eval/queries.json');
+  const evalOptions = {};
+  if (options.k) evalOptions.k = parseInt(options.k);
+  if (options.strategies) evalOptions.strategies = options.strategies.split(',').map(name => name.trim());
+  if (options['bypass-cache']) evalOptions.bypassCache = true;
+
+  const result = await searchEvaluationService.runEvaluation(querySet, vectorSearchService, evalOptions);
+  if (!result.success) {
+    console.error('❌ Evaluation failed:', result.error);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { run } = result;
+  console.log(`\n📊 ${run.query_count} queries, k=${run.k}, embeddings: ${run.embedding.provider}/${run.embedding.model}\n`);
+  console.log(`${'strategy'.padEnd(10)} ${'nDCG@k'.padStart(8)} ${'recall@k'.padStart(9)} ${'MRR'.padStart(8)}`);
+
+  for (const [name, strategy] of Object.entries(run.strategies)) {
+    console.log(`${name.padEnd(10)} ${formatMetric(strategy.mean.ndcg).padStart(8)} ${formatMetric(strategy.mean.recall).padStart(9)} ${formatMetric(strategy.mean.mrr).padStart(8)}`);
+  }
+
+  if (options.verbose) {
+    for (const [name, strategy] of Object.entries(run.strategies)) {
+      console.log(`\n${name}:`);
+      for (const query of strategy.queries) {
+        console.log(`  ${query.id.padEnd(24)} nDCG ${formatMetric(query.ndcg)}  recall ${formatMetric(query.recall)}  MRR ${formatMetric(query.mrr)}`);
+      }
+    }
+  }
+
+  if (options.out) {
+    writeFileSync(options.out, JSON.stringify(run, null, 2));
+    console.log(`\n💾 Saved run to ${options.out}`);
+  }
+}
+
+function diff(options) {
+  const [baselinePath, candidatePath] = options._.slice(1);
+  if (!baselinePath || !candidatePath) {
+    console.error('❌ diff needs a baseline and a candidate run file');
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = searchEvaluationService.diffRuns(readJson(baselinePath), readJson(candidatePath));
+
+  if (result.warning) {
+    console.warn(`⚠️  ${result.warning}`);
+  }
+
+  for (const [name, strategy] of Object.entries(result.strategies)) {
+    console.log(`\n${name}:`);
+    for (const [metric, values] of Object.entries(strategy.mean)) {
+      console.log(`  ${metric.padEnd(7)} ${formatMetric(values.baseline)} -> ${formatMetric(values.candidate)} (${formatDelta(values.delta)})`);
+    }
+
+    if (strategy.changed_queries.length > 0) {
+      console.log('  changed queries:');
+      for (const query of strategy.changed_queries) {
+        console.log(`    ${query.id.padEnd(24)} nDCG ${formatDelta(query.ndcg_delta)}  recall ${formatDelta(query.recall_delta)}  MRR ${formatDelta(query.mrr_delta)}`);
+      }
+    }
+  }
+
+  if (Object.keys(result.strategies).length === 0) {
+    console.log('No strategies in common between the two runs');
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const command = options._[0];
+
+  if (command === 'diff') {
+    diff(options);
+    return;
+  }
+
+  if (command !== 'seed' && command !== 'run') {
+    console.log(USAGE);
+    process.exitCode = command && command !== 'help' ? 1 : 0;
+    return;
+  }
+
+  const modules = await loadDatabaseModules();
+  if (EVAL_DB_NAME === modules.DB_NAME) {
+    console.error(`❌ EVAL_DB_NAME must not be the app database (${modules.DB_NAME})`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await modules.database.connect({ dbName: EVAL_DB_NAME });
+  console.log(`🧪 Using the ${EVAL_DB_NAME} database`);
+
+  try {
+    if (command === 'seed') {
+      await seed(options, modules);
+    } else {
+      await runEval(options, modules);
+    }
+  } finally {
+    await modules.database.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Search evaluation error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+import { database } from '../config/database.js';
+import { RentalModel } from '../models/rental.js';
+import { ReviewModel } from '../models/review.js';
+
+// Copy the reviews embedded in imported Airbnb listings into the reviews collection,
+// where GET /rentals/:id/reviews reads them. Reviews already copied are skipped, so
+// this can run again after seeding more listings.
+// Usage: bun run src/scripts/import-reviews.js
+
+async function main() {
+  await database.connect();
+
+  try {
+    await ReviewModel.ensureIndexes();
+
+    const rentalModel = new RentalModel();
+    const cursor = rentalModel.findWithEmbeddedReviews();
+
+    let listings = 0;
+    let imported = 0;
+    let failed = 0;
+    for await (const rental of cursor) {
+      const result = await ReviewModel.importForRental(rental._id, rental.reviews);
+      if (!result.success) {
+        failed++;
+        console.error(`❌ ${rental._id}: ${result.error}`);
+        continue;
+      }
+
+      listings++;
+      imported += result.imported;
+      // New reviews need a fresh review summary
+      if (result.imported > 0) {
+        await rentalModel.markReviewSummaryStale(rental._id.toString());
+      }
+      if (listings % 500 === 0) {
+        console.log(`📥 ${listings} listings checked, ${imported} reviews imported`);
+      }
+    }
+
+    console.log(`✅ Imported ${imported} reviews from ${listings} listings${failed ? `, ${failed} failed` : ''}`);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Review import error:', error);
+  process.exit(1);
+});
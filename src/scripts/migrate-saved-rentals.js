@@ -0,0 +1,47 @@
+import { database } from '../config/database.js';
+import { UserModel } from '../models/user.js';
+import { WishlistModel } from '../models/wishlist.js';
+import { wishlistService } from '../services/wishlist.service.js';
+
+// Move rentals saved before lists existed (profile.saved_rentals) into each user's
+// default "Saved" list. The app also does this the first time a user opens their
+// lists; running it up front makes host save counts include every user.
+// Usage: bun run src/scripts/migrate-saved-rentals.js
+
+async function main() {
+  await database.connect();
+
+  try {
+    await WishlistModel.ensureIndexes();
+
+    const result = await UserModel.getUserIdsWithLegacySavedRentals();
+    if (!result.success) {
+      console.error(`❌ ${result.error}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`🔍 ${result.userIds.length} users have saved rentals to move`);
+
+    let failed = 0;
+    for (const userId of result.userIds) {
+      const migrated = await wishlistService.getDefaultList(userId);
+      if (!migrated.success) {
+        failed++;
+        console.error(`❌ ${userId}: ${migrated.error}`);
+      }
+    }
+
+    console.log(`✅ Moved saved rentals for ${result.userIds.length - failed} users${failed ? `, ${failed} failed` : ''}`);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+import { database } from '../config/database.js';
+import { SavedSearchModel } from '../models/saved-search.js';
+import { NotificationModel } from '../models/notification.js';
+import { searchAlertService } from '../services/search-alert.service.js';
+
+// One pass of the alerts job: run every saved search that is due and check saved rentals
+// for price drops. The server does this on its own every ALERTS_INTERVAL_MINUTES; use this
+// script from cron when that is turned off (ALERTS_INTERVAL_MINUTES=0), or to try alerts
+// locally with EMAIL_TRANSPORT=file.
+// Usage: bun run src/scripts/run-alerts.js
+
+async function main() {
+  await database.connect();
+
+  try {
+    await SavedSearchModel.ensureIndexes();
+    await NotificationModel.ensureIndexes();
+
+    const result = await searchAlertService.runDue();
+    if (!result.success) {
+      console.error(`❌ ${result.error}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const { searches, price_drops: priceDrops } = result;
+    console.log(`🔍 Saved searches: ${searches.run} run, ${searches.alerts} alerts sent${searches.failed ? `, ${searches.failed} failed` : ''}`);
+    console.log(`💸 Saved rentals: ${priceDrops.checked} checked, ${priceDrops.drops} price drops, ${priceDrops.alerts} alerts sent`);
+    if (searches.failed > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Alerts job error:', error);
+  process.exit(1);
+});
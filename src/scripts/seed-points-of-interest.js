@@ -0,0 +1,113 @@
+import { readFileSync } from 'fs';
+import { database } from '../config/database.js';
+import { PointOfInterestModel } from '../models/point-of-interest.js';
+
+// Load landmarks for the findRentalsNearPlace agent tool
+// Usage: bun run src/scripts/seed-points-of-interest.js <file...> [--market=NAME] [--replace]
+
+const USAGE = `
+Usage: bun run src/scripts/seed-points-of-interest.js <file...> [options]
+
+Each file is one of:
+  - a GeoJSON FeatureCollection of Point features with "name" (plus optional
+    "market", "category" and "aliases") properties
+  - { "market": "...", "places": [{ "name", "lat", "lng", "category", "aliases" }] }
+  - a plain array of such places
+
+Options:
+  --market=NAME   Market for places that don't name one (overrides the file's "market")
+  --replace       Delete the market's existing points of interest first
+`;
+
+function parseArgs(argv) {
+  const options = { files: [], market: null, replace: false };
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split('=');
+
+    if (flag === '--market') {
+      options.market = value;
+    } else if (flag === '--replace') {
+      options.replace = true;
+    } else if (flag === '--help' || flag === '-h') {
+      options.help = true;
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+// Normalize the supported file layouts into { market, entries }
+function readPlacesFile(path) {
+  const content = JSON.parse(readFileSync(path, 'utf8'));
+
+  if (Array.isArray(content)) {
+    return { market: null, entries: content };
+  }
+  if (content.type === 'FeatureCollection') {
+    return { market: content.market || null, entries: content.features || [] };
+  }
+  return { market: content.market || null, entries: content.places || [] };
+}
+
+async function seedFile(path, options) {
+  const { market: fileMarket, entries } = readPlacesFile(path);
+  const defaultMarket = options.market || fileMarket;
+
+  const documents = [];
+  for (const entry of entries) {
+    const { document, error } = PointOfInterestModel.buildDocument(entry, defaultMarket);
+    if (error) {
+      console.warn(`⚠️  ${path}: skipping entry - ${error}`);
+      continue;
+    }
+    documents.push(document);
+  }
+
+  if (options.replace) {
+    for (const market of new Set(documents.map(document => document.market))) {
+      const deleted = await PointOfInterestModel.deleteByMarket(market);
+      if (deleted.success) {
+        console.log(`🗑️  Removed ${deleted.deleted} existing places in ${market}`);
+      }
+    }
+  }
+
+  const result = await PointOfInterestModel.upsertMany(documents);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  console.log(`📍 ${path}: ${result.upserted} added, ${result.modified} updated`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || options.files.length === 0) {
+    console.log(USAGE);
+    process.exitCode = options.help ? 0 : 1;
+    return;
+  }
+
+  await database.connect();
+
+  try {
+    await PointOfInterestModel.ensureIndexes();
+
+    for (const file of options.files) {
+      await seedFile(file, options);
+    }
+
+    console.log('✅ Points of interest seeded');
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Points of interest seed error:', error);
+  process.exit(1);
+});
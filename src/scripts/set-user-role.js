@@ -0,0 +1,49 @@
+import { database } from '../config/database.js';
+import { UserModel, USER_ROLES } from '../models/user.js';
+
+// Set a user's role from the command line, e.g. to appoint the first admin
+// Usage: bun run src/scripts/set-user-role.js <username> <guest|host|admin> [--host-id=ID]
+
+async function main() {
+  const [username, role] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const hostIdArg = process.argv.find(arg => arg.startsWith('--host-id='));
+  const hostId = hostIdArg ? hostIdArg.split('=')[1] : null;
+
+  if (!username || !USER_ROLES.includes(role)) {
+    console.log(`
+Usage: bun run src/scripts/set-user-role.js <username> <${USER_ROLES.join('|')}> [--host-id=ID]
+
+  --host-id=ID   Link a host to existing listings whose host.host_id is ID
+                 (defaults to the user's own ID for new hosts)
+`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await database.connect();
+
+  try {
+    const userResult = await UserModel.getUserByUsername(username);
+    if (!userResult.success) {
+      console.error(`❌ ${userResult.error}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const result = await UserModel.setUserRole(userResult.user._id, role, hostId);
+    if (!result.success) {
+      console.error(`❌ ${result.error}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ ${username} is now ${role}${result.hostId ? ` (host_id ${result.hostId})` : ''}`);
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Set role error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+import { database } from '../config/database.js';
+import { geoService } from '../services/geo.service.js';
+
+// Prepare rentals for geospatial search
+// Usage: bun run src/scripts/setup-geo.js
+//
+// Creates the 2dsphere index on address.location and copies the GeoJSON coordinates
+// to address.latitude / address.longitude, which the vector and full-text search
+// indexes use as geo pre-filters. Safe to re-run.
+
+async function main() {
+  await database.connect();
+
+  try {
+    const collection = database.getRentalsCollection();
+
+    await geoService.ensureIndexes();
+    console.log('🗺️  2dsphere index on address.location is ready');
+
+    const result = await collection.updateMany(
+      {
+        'address.location.coordinates.1': { $exists: true },
+        $or: [
+          { 'address.latitude': { $exists: false } },
+          { 'address.longitude': { $exists: false } },
+          { $expr: { $ne: ['$address.latitude', { $arrayElemAt: ['$address.location.coordinates', 1] }] } },
+          { $expr: { $ne: ['$address.longitude', { $arrayElemAt: ['$address.location.coordinates', 0] }] } }
+        ]
+      },
+      [
+        {
+          $set: {
+            'address.latitude': { $arrayElemAt: ['$address.location.coordinates', 1] },
+            'address.longitude': { $arrayElemAt: ['$address.location.coordinates', 0] }
+          }
+        }
+      ]
+    );
+
+    const missing = await collection.countDocuments({ 'address.location.coordinates.1': { $exists: false } });
+
+    console.log(`✅ Updated coordinates on ${result.modifiedCount} rentals`);
+    if (missing > 0) {
+      console.warn(`⚠️  ${missing} rentals have no address.location and won't appear in geo searches`);
+    }
+    console.log('ℹ️  Update the Atlas search indexes so address.latitude / address.longitude are filterable (see README)');
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Geo setup error:', error);
+  process.exit(1);
+});
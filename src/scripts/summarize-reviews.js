@@ -0,0 +1,77 @@
+import { database } from '../config/database.js';
+import { reviewSummaryService } from '../services/review-summary.service.js';
+
+// Write review summaries, aspect scores and highlights for listings whose reviews changed
+// and reviewed listings that have none yet. The server refreshes a batch every
+// REVIEW_SUMMARY_INTERVAL_MINUTES; use this for the first run after `bun run reviews:import`,
+// or from cron when the schedule is off (REVIEW_SUMMARY_INTERVAL_MINUTES=0).
+// Usage: bun run src/scripts/summarize-reviews.js [--limit=N] [--rental=ID] [--dry-run]
+
+function parseArgs(argv) {
+  const options = { limit: 0, rentalId: null, dryRun: false };
+
+  for (const arg of argv) {
+    const [flag, value] = arg.split('=');
+
+    if (flag === '--limit') {
+      options.limit = parseInt(value) || 0;
+    } else if (flag === '--rental') {
+      options.rentalId = value || null;
+    } else if (flag === '--dry-run') {
+      options.dryRun = true;
+    } else if (flag === '--help' || flag === '-h') {
+      options.help = true;
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(`
+Usage: bun run src/scripts/summarize-reviews.js [options]
+
+Summarizes the newest published reviews of each listing that needs it (reviews
+changed since its last summary, or never summarized) with REVIEW_SUMMARY_MODEL.
+
+Options:
+  --limit=N        Summarize at most N listings (default: all that need it)
+  --rental=ID      Summarize this listing now, whether or not it needs it
+  --dry-run        Only report how many listings need a summary
+`);
+    return;
+  }
+
+  await database.connect();
+
+  try {
+    console.log(`📝 Finding listings that need a review summary${options.dryRun ? ' (dry run)' : ''}...`);
+    const result = await reviewSummaryService.refresh(options);
+
+    if (!result.success) {
+      console.error('❌ Review summaries failed:', result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (result.dryRun) {
+      console.log(`✅ ${result.checked} listings need a review summary`);
+      return;
+    }
+
+    console.log(`✅ ${result.summarized} listings summarized, ${result.too_few_reviews} with too few reviews, ${result.failed} failed`);
+    if (result.failed > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Review summary error:', error);
+  process.exit(1);
+});
@@ -5,9 +5,30 @@ import { database } from './config/database.js';
 import { rentalRoutes, searchRoutes, statsRoutes, initializeController } from './routes/rental.routes.js';
 import { chatRoutes } from './routes/chat.routes.js';
 import { authRoutes } from './routes/auth.routes.js';
+import { bookingRoutes } from './routes/booking.routes.js';
+import { hostRoutes } from './routes/host.routes.js';
+import { oidcRoutes } from './routes/oidc.routes.js';
+import { savedRentalRoutes } from './routes/saved-rentals.routes.js';
+import { notificationRoutes, savedSearchRoutes } from './routes/notifications.routes.js';
+import { reviewRoutes, reviewModerationRoutes } from './routes/review.routes.js';
+import { oidcMockRoutes } from './routes/oidc-mock.routes.js';
+import { vectorSearchService } from './services/vector-search.service.js';
+import { geoService } from './services/geo.service.js';
+import { OIDC_MOCK_ENABLED } from './services/oidc.service.js';
+import { searchAlertService, ALERTS_INTERVAL_MINUTES } from './services/search-alert.service.js';
+import { reviewSummaryService, REVIEW_SUMMARY_INTERVAL_MINUTES } from './services/review-summary.service.js';
+import { SessionModel } from './models/session.js';
+import { PasswordResetModel } from './models/password-reset.js';
+import { OidcLoginModel } from './models/oidc-login.js';
+import { WishlistModel } from './models/wishlist.js';
+import { SavedSearchModel } from './models/saved-search.js';
+import { NotificationModel } from './models/notification.js';
+import { ReviewModel } from './models/review.js';
+import { ReviewChunkModel } from './models/review-chunk.js';
 import { corsMiddleware } from './middleware/cors.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { logger } from './middleware/logger.js';
+import { rateLimitMiddleware, rateLimiter } from './middleware/rate-limit.js';
 
 // Initialize database connection
 await database.connect();
@@ -15,6 +36,86 @@ await database.connect();
 // Initialize controllers after database connection
 initializeController();
 
+// Warn when stored embeddings don't match the configured embedding provider
+const embeddingCheck = await vectorSearchService.checkEmbeddingCompatibility();
+if (embeddingCheck.success) {
+  console.log(`🧠 Embedding provider: ${embeddingCheck.provider} (${embeddingCheck.model}, ${embeddingCheck.dimensions} dimensions)`);
+  if (embeddingCheck.mismatched > 0) {
+    console.warn(`⚠️  ${embeddingCheck.mismatched} rentals have embeddings from a different provider - run "bun run embeddings:backfill" and make sure the vector index uses ${embeddingCheck.dimensions} dimensions`);
+  }
+}
+
+// Geospatial filters and distance sorting need the 2dsphere index on address.location
+try {
+  await geoService.ensureIndexes();
+} catch (error) {
+  console.warn('⚠️  Could not create the geospatial index:', error.message);
+}
+
+// Refresh token lookups by hash, plus TTL expiry of old sessions
+try {
+  await SessionModel.ensureIndexes();
+} catch (error) {
+  console.warn('⚠️  Could not create the sessions indexes:', error.message);
+}
+
+// Reset token lookups by hash, plus TTL expiry of unused tokens
+try {
+  await PasswordResetModel.ensureIndexes();
+} catch (error) {
+  console.warn('⚠️  Could not create the password reset indexes:', error.message);
+}
+
+// Provider sign-ins in progress: ticket lookups, plus TTL expiry of abandoned ones
+try {
+  await OidcLoginModel.ensureIndexes();
+} catch (error) {
+  console.warn('⚠️  Could not create the OIDC login indexes:', error.message);
+}
+
+// Saved rental lists by owner, collaborator and share link; one default list per user
+try {
+  await WishlistModel.ensureIndexes();
+} catch (error) {
+  console.warn('⚠️  Could not create the saved rental list indexes:', error.message);
+}
+
+// Saved searches due for the alerts job, plus the inbox by user and TTL expiry of old notifications
+try {
+  await SavedSearchModel.ensureIndexes();
+  await NotificationModel.ensureIndexes();
+} catch (error) {
+  console.warn('⚠️  Could not create the saved search and notification indexes:', error.message);
+}
+
+// Reviews by listing (newest or by rating), one review per guest and listing, the moderation
+// queue, and review chunks by review for keeping them in step
+try {
+  await ReviewModel.ensureIndexes();
+  await ReviewChunkModel.ensureIndexes();
+} catch (error) {
+  console.warn('⚠️  Could not create the review indexes:', error.message);
+}
+
+// Rate limit windows expire on their own when counted in MongoDB
+if (rateLimiter.store.ensureIndexes) {
+  try {
+    await rateLimiter.store.ensureIndexes();
+  } catch (error) {
+    console.warn('⚠️  Could not create the rate limit indexes:', error.message);
+  }
+}
+
+// Saved search alerts and price drops on saved rentals
+if (searchAlertService.startSchedule()) {
+  console.log(`🔔 Alerts job runs every ${ALERTS_INTERVAL_MINUTES} minutes`);
+}
+
+// Review summaries and highlights for listings whose reviews changed
+if (reviewSummaryService.startSchedule()) {
+  console.log(`📝 Review summary job runs every ${REVIEW_SUMMARY_INTERVAL_MINUTES} minutes`);
+}
+
 // Graceful shutdown handling
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
@@ -50,6 +151,11 @@ const app = new Elysia()
         { name: 'Analytics', description: 'Statistics and analytics' },
         { name: 'Chat', description: 'AI chat and RAG operations' },
         { name: 'Auth', description: 'User authentication and profiles' },
+        { name: 'Bookings', description: 'Reservations and availability' },
+        { name: 'Saved Rentals', description: 'Saved rental lists, sharing and collaboration' },
+        { name: 'Notifications', description: 'Saved search alerts, price drops and the notifications inbox' },
+        { name: 'Reviews', description: 'Listing reviews, host replies and moderation' },
+        { name: 'Host', description: 'Host portal for managing listings' },
         { name: 'Health', description: 'Health checks' }
       ]
     }
@@ -58,6 +164,7 @@ const app = new Elysia()
   // Add middleware
   .use(corsMiddleware)
   .use(logger)
+  .use(rateLimitMiddleware)
   .use(errorHandler)
   
   // API info endpoint
@@ -67,26 +174,58 @@ const app = new Elysia()
     features: [
       'Full CRUD operations for rentals',
       'Advanced search with multiple filters',
+      'Bookings with availability calendars',
+      'Host portal with draft, publish and performance stats',
       'AI-powered RAG chat assistant',
       'Vector search with MongoDB Atlas',
       'Conversation storage in MongoDB',
       'Optimized data projection for frontend',
       'Real-time statistics and analytics',
       'Input validation and error handling',
+      'Rate limiting, login lockout and daily chat quotas',
+      'Sign in with OpenID Connect providers',
+      'Saved rental lists with notes, tags, sharing and collaborators',
+      'Saved search alerts and price drops by in-app, email or webhook notifications',
+      'Guest reviews with host replies, reports and moderation',
+      'Assistant answers from guest reviews, with cited snippets',
+      'Review summaries with aspect scores, pros/cons and highlight filters (e.g. quiet)',
+      'Side-by-side rental comparison with stay totals, in the API, the assistant and the UI',
       'CORS support for web applications',
       'Swagger API documentation'
     ],
     endpoints: {
       'GET /': 'API information',
       'GET /swagger': 'API documentation',
-      'GET /rentals': 'List all rentals with filters',
-      'GET /rentals/:id': 'Get rental by ID',  
+      'GET /rentals': 'List all rentals with filters (checkin/checkout for availability)',
+      'GET /rentals/compare': 'Compare 2-4 rentals side by side (ids=a,b,c; checkin/checkout/guests for stay totals)',
+      'GET /rentals/:id': 'Get rental by ID, with the review summary and highlights',
       'POST /rentals': 'Create new rental',
       'PUT /rentals/:id': 'Update rental',
       'DELETE /rentals/:id': 'Delete rental',
-      'GET /search': 'Advanced search rentals',
+      'GET /rentals/:id/reviews': 'List reviews of a rental (sort=newest|oldest|highest|lowest)',
+      'POST /rentals/:id/reviews': 'Review a rental (auth required)',
+      'DELETE /rentals/:id/reviews/:reviewId': 'Delete my review (auth required; admins: any review)',
+      'PUT /rentals/:id/reviews/:reviewId/reply': 'Reply to a review (host of the listing)',
+      'DELETE /rentals/:id/reviews/:reviewId/reply': 'Remove a reply (host of the listing)',
+      'POST /rentals/:id/reviews/:reviewId/flag': 'Report a review (auth required)',
+      'GET /reviews/flagged': 'Reviews hidden by reports (admin role)',
+      'POST /reviews/:reviewId/moderate': 'Approve or remove a review (admin role)',
+      'GET /search': 'Advanced search rentals (checkin/checkout for availability)',
+      'GET /search/hybrid': 'Hybrid vector + full-text search with score breakdowns',
       'GET /stats': 'Get rental statistics',
+      'POST /bookings': 'Book a rental (auth required)',
+      'GET /bookings/mine': 'List my bookings (auth required)',
+      'GET /bookings/rental/:rentalId': 'Get booked dates for a rental',
+      'DELETE /bookings/:id': 'Cancel a booking (auth required)',
+      'GET /host/listings': 'List my listings in every status (host role)',
+      'POST /host/listings': 'Create a draft listing (host role)',
+      'GET /host/listings/:id': 'Get my listing for editing (host role)',
+      'PATCH /host/listings/:id': 'Edit photos, amenities and pricing (host role)',
+      'POST /host/listings/:id/publish': 'Publish a listing (host role)',
+      'POST /host/listings/:id/unpublish': 'Unpublish a listing (host role)',
+      'GET /host/listings/:id/performance': 'Saves, chat mentions and bookings for a listing (host role)',
       'POST /chat': 'Chat with AI assistant (supports optional auth)',
+      'POST /chat/stream': 'Stream AI assistant reply as Server-Sent Events (supports optional auth)',
       'GET /chat/history/:sessionId': 'Get conversation history',
       'DELETE /chat/history/:sessionId': 'Delete conversation',
       'POST /auth/register': 'Register new user',
@@ -94,11 +233,55 @@ const app = new Elysia()
       'GET /auth/profile': 'Get user profile (auth required)',
       'PUT /auth/profile': 'Update user profile (auth required)',
       'GET /auth/validate': 'Validate JWT token',
-      'POST /auth/logout': 'Logout user',
-      'POST /auth/saved-rentals/:id': 'Save rental (auth required)',
-      'DELETE /auth/saved-rentals/:id': 'Remove saved rental (auth required)',
-      'GET /auth/saved-rentals': 'Get saved rentals (auth required)',
-      'GET /auth/saved-rentals/:id/check': 'Check if rental is saved (auth required)',
+      'POST /auth/refresh': 'Exchange a refresh token for a new access token (rotates the refresh token)',
+      'POST /auth/logout': 'Logout user (revokes the session)',
+      'POST /auth/logout-all': 'Log out of all devices (auth required)',
+      'PUT /auth/password': 'Change password (auth required)',
+      'POST /auth/password/forgot': 'Email a password reset link',
+      'POST /auth/password/reset': 'Set a new password with a reset token',
+      'GET /auth/account/export': 'Export my account data (auth required)',
+      'DELETE /auth/account': 'Delete my account and data, optionally exporting it first (auth required)',
+      'GET /auth/oidc/providers': 'List OpenID Connect sign-in providers',
+      'POST /auth/oidc/:provider/start': 'Start signing in or linking an account with a provider',
+      'GET /auth/oidc/:provider/callback': 'Provider redirect target; redirects to the app with a one-time ticket',
+      'POST /auth/oidc/exchange': 'Exchange the one-time ticket for tokens',
+      'GET /auth/identities': 'List linked sign-in accounts (auth required)',
+      'DELETE /auth/identities/:provider': 'Unlink a sign-in account (auth required)',
+      'POST /auth/saved-rentals/:id': 'Save rental to my default list or a given list (auth required)',
+      'DELETE /auth/saved-rentals/:id': 'Remove a rental from all my lists (auth required)',
+      'GET /auth/saved-rentals': 'Get every rental in my lists (auth required)',
+      'GET /auth/saved-rentals/:id/check': 'Check which of my lists a rental is in (auth required)',
+      'GET /auth/saved-rentals/collections': 'List my saved rental lists and lists shared with me (auth required)',
+      'POST /auth/saved-rentals/collections': 'Create a list (auth required)',
+      'GET /auth/saved-rentals/collections/:id': 'Get a list with its rentals, notes, tags and votes (auth required)',
+      'PATCH /auth/saved-rentals/collections/:id': 'Rename a list (owner)',
+      'DELETE /auth/saved-rentals/collections/:id': 'Delete a list (owner)',
+      'POST /auth/saved-rentals/collections/:id/items': 'Add a rental to a list (owner or collaborator)',
+      'PATCH /auth/saved-rentals/collections/:id/items/:rentalId': 'Edit a saved rental\'s note and tags (owner or collaborator)',
+      'DELETE /auth/saved-rentals/collections/:id/items/:rentalId': 'Remove a rental from a list (owner or collaborator)',
+      'POST /auth/saved-rentals/collections/:id/items/:rentalId/move': 'Move a rental to another list',
+      'PUT /auth/saved-rentals/collections/:id/items/:rentalId/vote': 'Vote for a rental (owner or collaborator)',
+      'DELETE /auth/saved-rentals/collections/:id/items/:rentalId/vote': 'Take back a vote',
+      'POST /auth/saved-rentals/collections/:id/share': 'Get a read-only share link (owner)',
+      'DELETE /auth/saved-rentals/collections/:id/share': 'Turn off the share link (owner)',
+      'POST /auth/saved-rentals/collections/:id/collaborators': 'Invite a collaborator by username (owner)',
+      'DELETE /auth/saved-rentals/collections/:id/collaborators/:userId': 'Remove a collaborator or leave a list',
+      'GET /auth/saved-rentals/shared/:token': 'View a shared list',
+      'GET /auth/saved-searches': 'List my saved searches (auth required)',
+      'POST /auth/saved-searches': 'Save a search to get alerts for new and re-priced listings (auth required)',
+      'GET /auth/saved-searches/suggestions': 'Recent assistant searches to save (auth required)',
+      'GET /auth/saved-searches/:id': 'Get a saved search (auth required)',
+      'PATCH /auth/saved-searches/:id': 'Rename, pause or change a saved search (auth required)',
+      'DELETE /auth/saved-searches/:id': 'Delete a saved search (auth required)',
+      'GET /auth/saved-searches/:id/matches': 'Listings a saved search matches now (auth required)',
+      'GET /notifications': 'My notifications inbox (auth required)',
+      'GET /notifications/unread-count': 'Count unread notifications (auth required)',
+      'POST /notifications/:id/read': 'Mark a notification read (auth required)',
+      'POST /notifications/read-all': 'Mark all notifications read (auth required)',
+      'DELETE /notifications/:id': 'Delete a notification (auth required)',
+      'GET /notifications/settings': 'Get notification channels (auth required)',
+      'PUT /notifications/settings': 'Choose in-app, email and webhook delivery (auth required)',
+      'POST /notifications/test': 'Send a test notification (auth required)',
       'GET /health': 'Health check'
     },
     documentation: '/swagger'
@@ -143,9 +326,23 @@ const app = new Elysia()
   
   // Register route modules
   .use(rentalRoutes)
+  .use(reviewRoutes)
+  .use(reviewModerationRoutes)
   .use(searchRoutes)
   .use(statsRoutes)
-  .use(chatRoutes);
+  .use(bookingRoutes)
+  .use(hostRoutes)
+  .use(chatRoutes)
+  .use(oidcRoutes)
+  .use(savedRentalRoutes)
+  .use(savedSearchRoutes)
+  .use(notificationRoutes);
+
+// Local mock identity provider for trying the OIDC flow without a real one
+if (OIDC_MOCK_ENABLED) {
+  app.use(oidcMockRoutes);
+  console.log('🔑 Mock OIDC provider enabled at /oidc-mock (do not use in production)');
+}
 
 // Register auth routes (using function-based approach)
 authRoutes(app);
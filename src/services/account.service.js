@@ -0,0 +1,192 @@
+import { UserModel } from '../models/user.js';
+import { ConversationModel } from '../models/conversation.js';
+import { BookingModel } from '../models/booking.js';
+import { SessionModel } from '../models/session.js';
+import { PasswordResetModel, PASSWORD_RESET_TTL_MINUTES } from '../models/password-reset.js';
+import { WishlistModel } from '../models/wishlist.js';
+import { SavedSearchModel } from '../models/saved-search.js';
+import { NotificationModel } from '../models/notification.js';
+import { emailService } from './email.service.js';
+import { wishlistService } from './wishlist.service.js';
+import { reviewService } from './review.service.js';
+
+// Password changes, password resets and account deletion
+class AccountService {
+  // Change the password of a signed-in user. Other sessions are signed out; the
+  // session making the change stays signed in. Accounts created through an identity
+  // provider have no password yet and set one without a current password.
+  async changePassword({ userId, sessionId = null, currentPassword, newPassword }) {
+    const check = await UserModel.verifyPassword(userId, currentPassword);
+    if (!check.success) {
+      return { success: false, statusCode: check.error === 'User not found' ? 404 : 500, error: check.error };
+    }
+    if (!check.valid && !check.noPassword) {
+      return { success: false, statusCode: 400, error: 'Current password is incorrect' };
+    }
+    if (currentPassword === newPassword) {
+      return { success: false, statusCode: 400, error: 'New password must be different from the current password' };
+    }
+
+    const updated = await UserModel.updatePassword(userId, newPassword);
+    if (!updated.success) {
+      return { success: false, statusCode: 500, error: updated.error };
+    }
+
+    const revoked = await SessionModel.revokeAllForUser(userId, 'password_changed', sessionId);
+    await PasswordResetModel.deleteForUser(userId);
+
+    return { success: true, sessionsRevoked: revoked.success ? revoked.sessions : 0 };
+  }
+
+  // Email a reset link to the account matching a username or email. The result is the
+  // same whether or not an account (or an email address on it) exists, so the endpoint
+  // can't be used to find out who has an account.
+  async requestPasswordReset(identifier) {
+    const lookup = identifier.includes('@')
+      ? await UserModel.getUserByEmail(identifier)
+      : await UserModel.getUserByUsername(identifier);
+
+    if (!lookup.success || !lookup.user.email) {
+      return { success: true, sent: false };
+    }
+
+    const reset = await PasswordResetModel.createToken(lookup.user._id);
+    if (!reset.success) {
+      return { success: false, statusCode: 500, error: reset.error };
+    }
+
+    const email = await emailService.sendPasswordReset(lookup.user, reset.token, PASSWORD_RESET_TTL_MINUTES);
+    if (!email.success) {
+      return { success: false, statusCode: 500, error: 'Could not send the password reset email' };
+    }
+
+    return { success: true, sent: true };
+  }
+
+  // Set a new password with a reset token. Every session is signed out.
+  async resetPassword(token, newPassword) {
+    const reset = await PasswordResetModel.consume(token);
+    if (!reset.success) {
+      return { success: false, statusCode: reset.invalid ? 400 : 500, error: reset.error };
+    }
+
+    const updated = await UserModel.updatePassword(reset.userId, newPassword);
+    if (!updated.success) {
+      return { success: false, statusCode: updated.error === 'User not found' ? 400 : 500, error: updated.error };
+    }
+
+    await SessionModel.revokeAllForUser(reset.userId, 'password_reset');
+
+    return { success: true };
+  }
+
+  // Everything stored about a user, in a form they can download
+  async exportAccount(userId) {
+    // Lists first: it moves any rentals saved before lists existed off the profile
+    const collections = await wishlistService.exportForUser(userId);
+    const [userResult, conversations, bookings, searches, notifications, reviews] = await Promise.all([
+      UserModel.getUserById(userId),
+      ConversationModel.getConversationsByUser(userId),
+      BookingModel.getBookingsByUser(userId.toString(), true),
+      SavedSearchModel.listForUser(userId),
+      NotificationModel.listForUser(userId, { limit: 0 }),
+      reviewService.exportForUser(userId)
+    ]);
+
+    if (!userResult.success) {
+      return { success: false, statusCode: userResult.error === 'User not found' ? 404 : 500, error: userResult.error };
+    }
+
+    const failed = [conversations, bookings, collections, searches, notifications, reviews].find(result => !result.success);
+    if (failed) {
+      return { success: false, statusCode: 500, error: failed.error };
+    }
+
+    const { profile = {}, ...account } = userResult.user;
+
+    return {
+      success: true,
+      export: {
+        exported_at: new Date().toISOString(),
+        account,
+        profile,
+        saved_rental_lists: collections.collections,
+        conversations: conversations.conversations.map(({ _id, sessionId, messages, createdAt, updatedAt }) => ({
+          id: _id,
+          session_id: sessionId,
+          created_at: createdAt,
+          updated_at: updatedAt,
+          messages: (messages || []).map(({ role, content, timestamp }) => ({ role, content, timestamp }))
+        })),
+        bookings: bookings.bookings,
+        saved_searches: searches.searches.map(({ name, query, filters, enabled, created_at }) => ({ name, query, filters, enabled, created_at })),
+        notifications: notifications.notifications.map(({ type, title, body, read_at, created_at }) => ({ type, title, body, read_at, created_at })),
+        reviews: reviews.reviews
+      }
+    };
+  }
+
+  // Delete a user with their conversations, saved rentals and reviews. Requires the current
+  // password (if the account has one); with includeExport the user's data is returned
+  // before it's removed.
+  async deleteAccount(userId, password, { includeExport = false } = {}) {
+    const check = await UserModel.verifyPassword(userId, password);
+    if (!check.success) {
+      return { success: false, statusCode: check.error === 'User not found' ? 404 : 500, error: check.error };
+    }
+    if (!check.valid && !check.noPassword) {
+      return { success: false, statusCode: 400, error: 'Password is incorrect' };
+    }
+
+    let exported = null;
+    if (includeExport) {
+      const result = await this.exportAccount(userId);
+      if (!result.success) {
+        return result;
+      }
+      exported = result.export;
+    }
+
+    // Sign out first so no session can act for the account while it's being removed
+    const sessions = await SessionModel.revokeAllForUser(userId, 'account_deleted');
+    if (!sessions.success) {
+      return { success: false, statusCode: 500, error: sessions.error };
+    }
+
+    const [conversations, bookings, wishlists, searches, notifications, reviews] = await Promise.all([
+      ConversationModel.deleteConversationsByUser(userId),
+      BookingModel.detachUser(userId.toString()),
+      WishlistModel.deleteForUser(userId),
+      SavedSearchModel.deleteForUser(userId),
+      NotificationModel.deleteForUser(userId),
+      reviewService.deleteForUser(userId),
+      PasswordResetModel.deleteForUser(userId)
+    ]);
+
+    const failed = [conversations, bookings, wishlists, searches, notifications, reviews].find(result => !result.success);
+    if (failed) {
+      return { success: false, statusCode: 500, error: failed.error };
+    }
+
+    const deleted = await UserModel.deleteUser(userId);
+    if (!deleted.success) {
+      return { success: false, statusCode: 500, error: deleted.error };
+    }
+
+    return {
+      success: true,
+      deleted: {
+        conversations: conversations.deletedCount,
+        bookings_cancelled: bookings.cancelled,
+        saved_rental_lists: wishlists.deletedCount,
+        saved_searches: searches.deletedCount,
+        notifications: notifications.deletedCount,
+        reviews: reviews.deletedCount,
+        sessions: sessions.sessions
+      },
+      export: exported
+    };
+  }
+}
+
+export const accountService = new AccountService();
@@ -0,0 +1,28 @@
+import { rateLimiter } from '../middleware/rate-limit.js';
+
+// Daily OpenAI token budget for the chat assistant: per IP for anonymous visitors and
+// per user once signed in. A reply is only charged after it finishes, so the last
+// message of the day can go slightly over the budget.
+class ChatQuotaService {
+  getSubject({ userId = null, ip = 'unknown' }) {
+    return userId
+      ? { policy: 'chat_tokens_user', key: `user:${userId}` }
+      : { policy: 'chat_tokens_anonymous', key: `ip:${ip}` };
+  }
+
+  async check(subject) {
+    const { policy, key } = this.getSubject(subject);
+    return await rateLimiter.peek(policy, key);
+  }
+
+  async recordUsage(subject, usage) {
+    if (!usage?.total_tokens) {
+      return null;
+    }
+
+    const { policy, key } = this.getSubject(subject);
+    return await rateLimiter.consume(policy, key, usage.total_tokens);
+  }
+}
+
+export const chatQuotaService = new ChatQuotaService();
@@ -0,0 +1,249 @@
+import { BookingModel } from '../models/booking.js';
+import { RentalModel, COMPARISON_PROJECTION } from '../models/rental.js';
+import { REVIEW_ASPECTS, RATING_SCALE, ASPECT_SCALE } from '../models/review.js';
+import { quoteService } from './quote.service.js';
+import { plural } from './service-helpers.js';
+
+// A comparison covers two listings up to this many, side by side
+export const MAX_COMPARE_RENTALS = 4;
+
+const ASPECT_LABELS = {
+  accuracy: 'Accuracy',
+  cleanliness: 'Cleanliness',
+  checkin: 'Check-in',
+  communication: 'Communication',
+  location: 'Location',
+  value: 'Value'
+};
+
+// Money, counts, scores and response rates may be numbers, strings ("$85.00", "90%") or Decimal128
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+
+  const parsed = parseFloat(value.toString().replace(/[$,%]/g, ''));
+  return isNaN(parsed) ? null : parsed;
+}
+
+function toStars(score, scale) {
+  const value = toNumber(score);
+  return value === null ? null : Math.round(value / scale * 10) / 10;
+}
+
+// "strict_14_with_grace_period" -> "Strict 14 with grace period"
+function humanize(value) {
+  if (!value) return null;
+  const text = value.toString().replace(/_/g, ' ').trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// One row of the matrix. `prefer` marks which end is better ('low' or 'high') so the
+// best values can be flagged; rows without it are only compared for differences.
+function row(key, label, format, values, prefer = null) {
+  const filled = values.filter(value => value !== null && value !== undefined);
+  const differs = new Set(values.map(value => JSON.stringify(value ?? null))).size > 1;
+
+  let best = [];
+  if (prefer && differs && filled.length > 1) {
+    const target = prefer === 'low' ? Math.min(...filled) : Math.max(...filled);
+    best = values.map((value, index) => value === target ? index : null).filter(index => index !== null);
+  }
+
+  return { key, label, format, values, best, differs };
+}
+
+// Side-by-side comparison of a shortlist: the same rows (price, stay total, space,
+// rating sub-scores, policies, host stats, amenities) aligned across every listing,
+// with the best value of each comparable row flagged.
+class ComparisonService {
+  parseIds(value) {
+    const ids = Array.isArray(value) ? value : (value || '').toString().split(',');
+    return [...new Set(ids.map(id => id.toString().trim()).filter(Boolean))];
+  }
+
+  // Check the optional stay; returns { stay } (null without dates) or { error }
+  parseStay({ checkin, checkout, guests }) {
+    if (!checkin && !checkout) {
+      return { stay: null };
+    }
+
+    const checkinDate = BookingModel.parseDate(checkin);
+    const checkoutDate = BookingModel.parseDate(checkout);
+    if (!checkinDate || !checkoutDate || checkoutDate <= checkinDate) {
+      return { error: 'checkin and checkout must both be YYYY-MM-DD dates with checkout after checkin' };
+    }
+
+    return {
+      stay: {
+        checkin,
+        checkout,
+        checkinDate,
+        checkoutDate,
+        nights: BookingModel.countNights(checkinDate, checkoutDate),
+        guests: Math.max(parseInt(guests) || 1, 1)
+      }
+    };
+  }
+
+  // Quote and availability of each listing for the stay
+  async quoteStays(rentals, stay) {
+    return await Promise.all(rentals.map(async rental => {
+      const reasons = quoteService.checkStayRules(rental, stay.nights, stay.guests);
+
+      const availability = await BookingModel.isRentalAvailable(rental._id, stay.checkinDate, stay.checkoutDate);
+      if (!availability.success) {
+        throw new Error(availability.error);
+      }
+      if (!availability.isAvailable) {
+        reasons.push('The property is already booked for some of these dates');
+      }
+
+      return {
+        available: reasons.length === 0,
+        unavailable_reasons: reasons,
+        quote: quoteService.calculateQuote(rental, stay.nights, stay.guests)
+      };
+    }));
+  }
+
+  buildSections(rentals, stay, quotes) {
+    const values = getter => rentals.map(getter);
+
+    const price = [
+      row('price', 'Nightly price', 'currency', values(rental => toNumber(rental.price)), 'low'),
+      row('cleaning_fee', 'Cleaning fee', 'currency', values(rental => toNumber(rental.cleaning_fee) ?? 0), 'low'),
+      row('extra_people', 'Extra guest fee (per night)', 'currency', values(rental => toNumber(rental.extra_people) ?? 0), 'low'),
+      row('guests_included', 'Guests included', 'number', values(rental => toNumber(rental.guests_included) ?? 1), 'high'),
+      row('security_deposit', 'Security deposit', 'currency', values(rental => toNumber(rental.security_deposit) ?? 0), 'low')
+    ];
+    if (stay) {
+      price.push(
+        row('total', `Total for ${plural(stay.nights, 'night')}, ${plural(stay.guests, 'guest')}`, 'currency', quotes.map(quote => quote.quote.total), 'low'),
+        row('available', 'Available for these dates', 'boolean', quotes.map(quote => quote.available)),
+        row('unavailable_reasons', 'Why not', 'list', quotes.map(quote => quote.unavailable_reasons))
+      );
+    }
+
+    const amenityLists = rentals.map(rental => [...new Set(rental.amenities || [])]);
+    const allAmenities = [...new Set(amenityLists.flat())];
+    const differentAmenities = allAmenities
+      .map(amenity => ({ amenity, has: amenityLists.map(list => list.includes(amenity)) }))
+      .filter(({ has }) => has.some(Boolean) && !has.every(Boolean))
+      // Amenities most of the shortlist has come first: they're the ones a listing is missing
+      .sort((a, b) => b.has.filter(Boolean).length - a.has.filter(Boolean).length || a.amenity.localeCompare(b.amenity));
+
+    return [
+      { key: 'price', label: 'Price', rows: price },
+      {
+        key: 'space',
+        label: 'Space',
+        rows: [
+          row('property_type', 'Property type', 'text', values(rental => rental.property_type || null)),
+          row('room_type', 'Room type', 'text', values(rental => rental.room_type || null)),
+          row('accommodates', 'Guests', 'number', values(rental => toNumber(rental.accommodates)), 'high'),
+          row('bedrooms', 'Bedrooms', 'number', values(rental => toNumber(rental.bedrooms)), 'high'),
+          row('beds', 'Beds', 'number', values(rental => toNumber(rental.beds)), 'high'),
+          row('bathrooms', 'Bathrooms', 'number', values(rental => toNumber(rental.bathrooms)), 'high')
+        ]
+      },
+      {
+        key: 'ratings',
+        label: 'Ratings (out of 5)',
+        rows: [
+          row('rating', 'Overall', 'stars', values(rental => toStars(rental.review_scores?.review_scores_rating, RATING_SCALE)), 'high'),
+          row('number_of_reviews', 'Reviews', 'number', values(rental => rental.number_of_reviews || 0), 'high'),
+          ...REVIEW_ASPECTS.map(aspect => row(
+            aspect,
+            ASPECT_LABELS[aspect],
+            'stars',
+            values(rental => toStars(rental.review_scores?.[`review_scores_${aspect}`], ASPECT_SCALE)),
+            'high'
+          )),
+          row('review_highlights', 'Guests praise', 'list', values(rental => rental.review_highlights || []))
+        ]
+      },
+      {
+        key: 'policies',
+        label: 'Policies',
+        rows: [
+          row('cancellation_policy', 'Cancellation policy', 'text', values(rental => humanize(rental.cancellation_policy))),
+          row('minimum_nights', 'Minimum nights', 'number', values(rental => toNumber(rental.minimum_nights) ?? 1), 'low'),
+          row('maximum_nights', 'Maximum nights', 'number', values(rental => toNumber(rental.maximum_nights))),
+          row('instant_bookable', 'Instant book', 'boolean', values(rental => !!rental.instant_bookable))
+        ]
+      },
+      {
+        key: 'host',
+        label: 'Host',
+        rows: [
+          row('host_name', 'Host', 'text', values(rental => rental.host?.host_name || null)),
+          row('host_is_superhost', 'Superhost', 'boolean', values(rental => !!rental.host?.host_is_superhost)),
+          row('host_response_rate', 'Response rate', 'percent', values(rental => toNumber(rental.host?.host_response_rate)), 'high'),
+          row('host_response_time', 'Response time', 'text', values(rental => rental.host?.host_response_time || null)),
+          row('host_listings_count', 'Listings', 'number', values(rental => toNumber(rental.host?.host_listings_count))),
+          row('host_identity_verified', 'Identity verified', 'boolean', values(rental => !!rental.host?.host_identity_verified))
+        ]
+      },
+      {
+        key: 'amenities',
+        label: 'Amenities',
+        rows: [
+          row('amenity_count', 'Amenities listed', 'number', amenityLists.map(list => list.length), 'high'),
+          ...differentAmenities.map(({ amenity, has }) => row(`amenity:${amenity}`, amenity, 'boolean', has))
+        ]
+      }
+    ];
+  }
+
+  // Compare listings by ID (an array or "a,b,c"), optionally for a stay:
+  // { checkin, checkout, guests } adds the stay total and availability of each
+  async compareRentals(idsValue, { checkin = null, checkout = null, guests = 1 } = {}) {
+    const ids = this.parseIds(idsValue);
+    if (ids.length < 2 || ids.length > MAX_COMPARE_RENTALS) {
+      return { success: false, statusCode: 400, error: `Pick between 2 and ${MAX_COMPARE_RENTALS} different rentals to compare` };
+    }
+
+    const { stay, error } = this.parseStay({ checkin, checkout, guests });
+    if (error) {
+      return { success: false, statusCode: 400, error };
+    }
+
+    try {
+      // Listings guests can't see (drafts, unpublished) are left out like missing ones
+      const { data: found } = await new RentalModel().findMany(
+        RentalModel.buildSearchQuery({ ids }),
+        { limit: ids.length, sort: { _id: 1 }, projection: COMPARISON_PROJECTION }
+      );
+
+      const missing = ids.filter(id => !found.some(rental => rental._id.toString() === id));
+      if (missing.length > 0) {
+        return { success: false, statusCode: 404, error: `Rental not found: ${missing.join(', ')}` };
+      }
+
+      // Columns follow the order the IDs were given in
+      const rentals = ids.map(id => found.find(rental => rental._id.toString() === id));
+      const quotes = stay ? await this.quoteStays(rentals, stay) : null;
+
+      const sections = this.buildSections(rentals, stay, quotes);
+      const amenityLists = rentals.map(rental => rental.amenities || []);
+
+      return {
+        success: true,
+        rentals: rentals.map(rental => ({
+          id: rental._id.toString(),
+          name: rental.name,
+          location: `${rental.address?.neighbourhood || rental.address?.market || ''}, ${rental.address?.country || ''}`.replace(/^, |, $/g, '') || null,
+          image: rental.images?.picture_url || rental.images?.thumbnail_url || null
+        })),
+        stay: stay ? { checkin: stay.checkin, checkout: stay.checkout, nights: stay.nights, guests: stay.guests } : null,
+        sections,
+        shared_amenities: [...new Set(amenityLists[0])].filter(amenity => amenityLists.every(list => list.includes(amenity))).sort()
+      };
+    } catch (error) {
+      console.error('Error comparing rentals:', error);
+      return { success: false, statusCode: 500, error: error.message };
+    }
+  }
+}
+
+export const comparisonService = new ComparisonService();
@@ -0,0 +1,95 @@
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { APP_BASE_URL } from '../config/app.js';
+
+// Email transports share one interface:
+//   name                        - identifies the transport in logs
+//   send({ from, to, subject, text }) - resolves to { id } once the message is handed off
+// The transport is chosen with EMAIL_TRANSPORT (console | file). Production deployments
+// register their own (SMTP, an email API, ...) with emailService.setTransport().
+
+// Prints messages to the server log; the default for local development
+class ConsoleEmailTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    const id = `console-${Date.now()}`;
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id };
+  }
+}
+
+// Writes each message as a JSON file, so local flows (and scripts) can read the links back
+class FileEmailTransport {
+  constructor({ outboxDir = process.env.EMAIL_OUTBOX_DIR || 'tmp/outbox' } = {}) {
+    this.name = 'file';
+    this.outboxDir = outboxDir;
+  }
+
+  async send(message) {
+    await mkdir(this.outboxDir, { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const file = path.join(this.outboxDir, `${id}.json`);
+    await writeFile(file, JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2));
+
+    return { id, file };
+  }
+}
+
+const TRANSPORTS = {
+  console: ConsoleEmailTransport,
+  file: FileEmailTransport
+};
+
+export function createEmailTransport({ transport = process.env.EMAIL_TRANSPORT || 'console', ...options } = {}) {
+  const Transport = TRANSPORTS[transport];
+  if (!Transport) {
+    throw new Error(`Unknown email transport "${transport}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+
+  return new Transport(options);
+}
+
+class EmailService {
+  constructor(transport) {
+    this.transport = transport;
+    this.from = process.env.EMAIL_FROM || 'RentAI <no-reply@localhost>';
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text }) {
+    try {
+      const result = await this.transport.send({ from: this.from, to, subject, text });
+      return { success: true, ...result };
+    } catch (error) {
+      console.error(`Error sending email with the ${this.transport.name} transport:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const link = `${APP_BASE_URL}/?reset_token=${encodeURIComponent(token)}`;
+
+    return await this.send({
+      to: user.email,
+      subject: 'Reset your RentAI password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Someone asked to reset the password for your RentAI account. Open this link to choose a new one:',
+        '',
+        link,
+        '',
+        `The link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't ask for this, you can ignore this email.`
+      ].join('\n')
+    });
+  }
+}
+
+export const emailService = new EmailService(createEmailTransport());
@@ -0,0 +1,170 @@
+import { createHash } from 'crypto';
+import { DatabaseManager } from '../config/database.js';
+
+// Query embedding cache settings
+const CACHE_MAX_ENTRIES = parseInt(process.env.EMBEDDING_CACHE_SIZE || '1000');
+const CACHE_TTL_SECONDS = parseInt(process.env.EMBEDDING_CACHE_TTL_SECONDS || '86400');
+const CACHE_USE_MONGO = process.env.EMBEDDING_CACHE_MONGO === 'true';
+const CACHE_DISABLED = process.env.EMBEDDING_CACHE_DISABLED === 'true';
+
+// Two-level cache for query embeddings: an in-memory LRU in front of an optional
+// MongoDB `embedding_cache` collection shared between server instances.
+// Entries are keyed by normalized text + embedding model so switching providers never
+// returns vectors from another space.
+class EmbeddingCache {
+  constructor() {
+    // Map preserves insertion order, so the first key is always the least recently used
+    this.entries = new Map();
+    this.indexesEnsured = false;
+    this.stats = {
+      memory_hits: 0,
+      mongo_hits: 0,
+      misses: 0,
+      bypassed: 0,
+      errors: 0
+    };
+  }
+
+  getCollection() {
+    const db = DatabaseManager.getDatabase();
+    return db.collection('embedding_cache');
+  }
+
+  // "  Apartment in   BARCELONA " and "apartment in barcelona" share an entry
+  normalizeText(text) {
+    return text.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  buildKey(text, modelId) {
+    return createHash('sha256')
+      .update(`${modelId}\n${this.normalizeText(text)}`)
+      .digest('hex');
+  }
+
+  // Let MongoDB expire old entries itself
+  async ensureIndexes() {
+    if (this.indexesEnsured) return;
+
+    await this.getCollection().createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+    this.indexesEnsured = true;
+  }
+
+  getFromMemory(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.embedding;
+  }
+
+  setInMemory(key, embedding, expiresAt) {
+    this.entries.delete(key);
+    this.entries.set(key, { embedding, expiresAt });
+
+    while (this.entries.size > CACHE_MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async getFromMongo(key) {
+    try {
+      await this.ensureIndexes();
+      const doc = await this.getCollection().findOne({
+        _id: key,
+        expires_at: { $gt: new Date() }
+      });
+
+      return doc ? { embedding: doc.embedding, expiresAt: doc.expires_at.getTime() } : null;
+    } catch (error) {
+      this.stats.errors++;
+      console.error('Error reading embedding cache:', error.message);
+      return null;
+    }
+  }
+
+  async setInMongo(key, modelId, embedding, expiresAt) {
+    try {
+      await this.ensureIndexes();
+      await this.getCollection().updateOne(
+        { _id: key },
+        {
+          $set: {
+            model: modelId,
+            embedding,
+            created_at: new Date(),
+            expires_at: new Date(expiresAt)
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      this.stats.errors++;
+      console.error('Error writing embedding cache:', error.message);
+    }
+  }
+
+  // Return the cached embedding for text, computing and storing it with `compute` on a miss
+  async getOrCompute(text, modelId, compute, { bypass = false } = {}) {
+    if (bypass || CACHE_DISABLED) {
+      this.stats.bypassed++;
+      return await compute(text);
+    }
+
+    const key = this.buildKey(text, modelId);
+
+    const cached = this.getFromMemory(key);
+    if (cached) {
+      this.stats.memory_hits++;
+      return cached;
+    }
+
+    if (CACHE_USE_MONGO) {
+      const stored = await this.getFromMongo(key);
+      if (stored) {
+        this.stats.mongo_hits++;
+        this.setInMemory(key, stored.embedding, stored.expiresAt);
+        return stored.embedding;
+      }
+    }
+
+    this.stats.misses++;
+    const embedding = await compute(text);
+    const expiresAt = Date.now() + CACHE_TTL_SECONDS * 1000;
+
+    this.setInMemory(key, embedding, expiresAt);
+    if (CACHE_USE_MONGO) {
+      await this.setInMongo(key, modelId, embedding, expiresAt);
+    }
+
+    return embedding;
+  }
+
+  getStats() {
+    const hits = this.stats.memory_hits + this.stats.mongo_hits;
+    const lookups = hits + this.stats.misses;
+
+    return {
+      enabled: !CACHE_DISABLED,
+      mongo_enabled: CACHE_USE_MONGO,
+      size: this.entries.size,
+      max_entries: CACHE_MAX_ENTRIES,
+      ttl_seconds: CACHE_TTL_SECONDS,
+      ...this.stats,
+      hits,
+      hit_rate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : 0
+    };
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export const embeddingCache = new EmbeddingCache();
@@ -0,0 +1,172 @@
+import { createHash } from 'crypto';
+import { OpenAI } from 'openai';
+
+// Embedding providers share one interface:
+//   name, model, dimensions  - identify the vector space
+//   embed(texts)             - resolves to one vector per input text, in order
+// The provider is chosen with EMBEDDING_PROVIDER (openai | local | hash).
+
+class OpenAIEmbeddingProvider {
+  constructor({ model = 'text-embedding-3-small', dimensions = 1536 } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.dimensions = dimensions;
+    this.openai = null;
+  }
+
+  // Created on first use so other providers don't need an OpenAI API key
+  getClient() {
+    if (!this.openai) {
+      this.openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY
+      });
+    }
+    return this.openai;
+  }
+
+  async embed(texts) {
+    const response = await this.getClient().embeddings.create({
+      model: this.model,
+      input: texts,
+      // Only the text-embedding-3 models accept a custom dimension count
+      ...(this.model.startsWith('text-embedding-3') ? { dimensions: this.dimensions } : {})
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+// Runs a sentence-transformers model locally through transformers.js (ONNX), no network needed
+// once the model files are cached. Requires the optional @huggingface/transformers package.
+class LocalEmbeddingProvider {
+  constructor({ model = 'Xenova/all-MiniLM-L6-v2', dimensions = 384 } = {}) {
+    this.name = 'local';
+    this.model = model;
+    this.dimensions = dimensions;
+    this.extractor = null;
+  }
+
+  async getExtractor() {
+    if (!this.extractor) {
+      let transformers;
+      try {
+        transformers = await import('@huggingface/transformers');
+      } catch (error) {
+        throw new Error('The local embedding provider requires @huggingface/transformers. Install it with: bun add @huggingface/transformers');
+      }
+
+      this.extractor = await transformers.pipeline('feature-extraction', this.model);
+    }
+    return this.extractor;
+  }
+
+  async embed(texts) {
+    const extractor = await this.getExtractor();
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    const embeddings = output.tolist();
+
+    if (embeddings[0]?.length !== this.dimensions) {
+      throw new Error(`Local model ${this.model} produced ${embeddings[0]?.length}-dimensional embeddings, expected ${this.dimensions}. Set EMBEDDING_DIMENSIONS to match the model.`);
+    }
+
+    return embeddings;
+  }
+}
+
+// Deterministic feature-hashing embedder for tests and CI: texts sharing words get similar
+// vectors, the same text always gets the same vector, and no model or network is involved
+class HashEmbeddingProvider {
+  constructor({ dimensions = 256 } = {}) {
+    this.name = 'hash';
+    this.model = 'feature-hash-v1';
+    this.dimensions = dimensions;
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const token of tokens) {
+      const digest = createHash('sha256').update(token).digest();
+      const index = digest.readUInt32BE(0) % this.dimensions;
+      const sign = digest[4] & 1 ? 1 : -1;
+      vector[index] += sign;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+}
+
+const PROVIDERS = {
+  openai: OpenAIEmbeddingProvider,
+  local: LocalEmbeddingProvider,
+  hash: HashEmbeddingProvider
+};
+
+// Build a provider from explicit options, falling back to the EMBEDDING_* environment variables
+export function createEmbeddingProvider({
+  provider = process.env.EMBEDDING_PROVIDER || 'openai',
+  model = process.env.EMBEDDING_MODEL,
+  dimensions = process.env.EMBEDDING_DIMENSIONS
+} = {}) {
+  const Provider = PROVIDERS[provider];
+  if (!Provider) {
+    throw new Error(`Unknown embedding provider "${provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const options = {};
+  if (model) options.model = model;
+  if (dimensions) options.dimensions = parseInt(dimensions);
+
+  return new Provider(options);
+}
+
+// Embeddings imported from the seed dataset carry no provider fields; they were
+// produced by OpenAI text-embedding-3-small at 1536 dimensions
+export const LEGACY_EMBEDDING_INFO = {
+  embedding_provider: 'openai',
+  embedding_model: 'text-embedding-3-small',
+  embedding_dimensions: 1536
+};
+
+// Fields stored next to each document's embedding so mismatched vectors can be detected
+export function getEmbeddingInfo(provider) {
+  return {
+    embedding_provider: provider.name,
+    embedding_model: provider.model,
+    embedding_dimensions: provider.dimensions
+  };
+}
+
+// Whether a stored embedding was produced by the given provider
+export function isEmbeddingFromProvider(doc, provider) {
+  const stored = doc.embedding_provider ? doc : LEGACY_EMBEDDING_INFO;
+  const expected = getEmbeddingInfo(provider);
+
+  return stored.embedding_provider === expected.embedding_provider &&
+    stored.embedding_model === expected.embedding_model &&
+    stored.embedding_dimensions === expected.embedding_dimensions;
+}
+
+// Query matching documents whose embedding was produced by a different provider
+export function buildEmbeddingMismatchQuery(provider) {
+  const expected = getEmbeddingInfo(provider);
+  const matchesLegacy = isEmbeddingFromProvider({}, provider);
+
+  return {
+    text_embeddings: { $exists: true },
+    $nor: [
+      expected,
+      ...(matchesLegacy ? [{ embedding_provider: { $exists: false } }] : [])
+    ]
+  };
+}
+
+export const embeddingProvider = createEmbeddingProvider();
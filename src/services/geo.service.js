@@ -0,0 +1,168 @@
+import { DatabaseManager } from '../config/database.js';
+
+// Radius used by MongoDB's spherical geometry ($centerSphere, $geoNear)
+const EARTH_RADIUS_KM = 6378.1;
+const KM_PER_DEGREE_LAT = 111.32;
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 500;
+
+// Listings store a GeoJSON point at address.location ({ type: 'Point', coordinates: [lng, lat] }).
+// Atlas Vector Search and Atlas Search filters can't use geo operators, so the coordinates
+// are also copied to the scalar fields address.latitude / address.longitude for range pre-filters.
+class GeoService {
+  // Create the 2dsphere index used by $geoWithin and $geoNear
+  async ensureIndexes() {
+    const collection = DatabaseManager.getRentalsCollection();
+    await collection.createIndex({ 'address.location': '2dsphere' });
+  }
+
+  parseCoordinate(value, min, max) {
+    const number = parseFloat(value);
+    return isNaN(number) || number < min || number > max ? null : number;
+  }
+
+  // Parse near ("lat,lng"), radius_km and bbox ("minLng,minLat,maxLng,maxLat") query params.
+  // Returns { geo: null } when none are set, { geo } when valid and { error } otherwise.
+  parseGeoParams({ near, radius_km, bbox } = {}) {
+    const geo = {};
+
+    if (near) {
+      const [latValue, lngValue, ...rest] = near.toString().split(',');
+      const lat = this.parseCoordinate(latValue, -90, 90);
+      const lng = this.parseCoordinate(lngValue, -180, 180);
+
+      if (lat === null || lng === null || rest.length > 0) {
+        return { error: 'near must be "latitude,longitude"' };
+      }
+
+      const radiusKm = radius_km !== undefined ? parseFloat(radius_km) : DEFAULT_RADIUS_KM;
+      if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        return { error: `radius_km must be between 0 and ${MAX_RADIUS_KM}` };
+      }
+
+      geo.near = { lat, lng };
+      geo.radiusKm = radiusKm;
+    } else if (radius_km !== undefined) {
+      return { error: 'radius_km requires near' };
+    }
+
+    if (bbox) {
+      const parts = bbox.toString().split(',');
+      const [minLng, minLat, maxLng, maxLat] = parts.map((value, index) =>
+        index % 2 === 0 ? this.parseCoordinate(value, -180, 180) : this.parseCoordinate(value, -90, 90)
+      );
+
+      if (parts.length !== 4 || [minLng, minLat, maxLng, maxLat].includes(null) || minLat >= maxLat || minLng >= maxLng) {
+        return { error: 'bbox must be "minLng,minLat,maxLng,maxLat" with min values below max values' };
+      }
+
+      geo.bbox = { minLng, minLat, maxLng, maxLat };
+    }
+
+    return { geo: Object.keys(geo).length > 0 ? geo : null };
+  }
+
+  // MongoDB query clauses on address.location (served by the 2dsphere index)
+  buildGeoQueryClauses(geo) {
+    const clauses = [];
+    if (!geo) return clauses;
+
+    if (geo.near) {
+      clauses.push({
+        'address.location': {
+          $geoWithin: {
+            $centerSphere: [[geo.near.lng, geo.near.lat], geo.radiusKm / EARTH_RADIUS_KM]
+          }
+        }
+      });
+    }
+
+    if (geo.bbox) {
+      const { minLng, minLat, maxLng, maxLat } = geo.bbox;
+      clauses.push({
+        'address.location': {
+          $geoWithin: {
+            $geometry: {
+              type: 'Polygon',
+              coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+            }
+          }
+        }
+      });
+    }
+
+    return clauses;
+  }
+
+  // Latitude/longitude ranges covering the requested area, for search index pre-filters.
+  // A radius becomes its bounding box; callers refine with buildGeoQueryClauses afterwards.
+  buildCoordinateRanges(geo) {
+    if (!geo) return null;
+
+    let minLat = -90, maxLat = 90, minLng = -180, maxLng = 180;
+
+    if (geo.near) {
+      const latDelta = geo.radiusKm / KM_PER_DEGREE_LAT;
+      const lngDelta = geo.radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(geo.near.lat * Math.PI / 180), 0.01));
+
+      minLat = Math.max(minLat, geo.near.lat - latDelta);
+      maxLat = Math.min(maxLat, geo.near.lat + latDelta);
+      minLng = Math.max(minLng, geo.near.lng - lngDelta);
+      maxLng = Math.min(maxLng, geo.near.lng + lngDelta);
+    }
+
+    if (geo.bbox) {
+      minLat = Math.max(minLat, geo.bbox.minLat);
+      maxLat = Math.min(maxLat, geo.bbox.maxLat);
+      minLng = Math.max(minLng, geo.bbox.minLng);
+      maxLng = Math.min(maxLng, geo.bbox.maxLng);
+    }
+
+    return { minLat, maxLat, minLng, maxLng };
+  }
+
+  // Great-circle distance in km between a point and [lng, lat] coordinates
+  distanceKm(from, coordinates) {
+    const [lng, lat] = coordinates;
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(lat - from.lat);
+    const dLng = toRadians(lng - from.lng);
+
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+
+  // Add distance_km (rounded to 10 m) to results that have coordinates
+  addDistances(rentals, near) {
+    if (!near) return rentals;
+
+    return rentals.map(rental => {
+      const coordinates = rental.address?.location?.coordinates;
+      if (!Array.isArray(coordinates) || coordinates.length !== 2) {
+        return rental;
+      }
+
+      return {
+        ...rental,
+        distance_km: Math.round(this.distanceKm(near, coordinates) * 100) / 100
+      };
+    });
+  }
+
+  // Scalar copies of a listing's coordinates for search index filters
+  buildCoordinateFields(address) {
+    const coordinates = address?.location?.coordinates;
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) {
+      return null;
+    }
+
+    return {
+      latitude: coordinates[1],
+      longitude: coordinates[0]
+    };
+  }
+}
+
+export const geoService = new GeoService();
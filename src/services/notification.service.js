@@ -0,0 +1,430 @@
+import { createHmac } from 'crypto';
+import { lookup as dnsLookup } from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import { isIP } from 'net';
+import { APP_BASE_URL } from '../config/app.js';
+import { NotificationModel } from '../models/notification.js';
+import { UserModel } from '../models/user.js';
+import { emailService } from './email.service.js';
+
+// Delivery channels share one interface:
+//   name                                   - what users pick in their notification settings
+//   deliver(user, notification, settings)  - resolves to { id } once delivered, throws when it can't be
+// in_app writes to the inbox, email goes through emailService (EMAIL_TRANSPORT=file keeps it
+// offline) and webhook POSTs JSON to the user's URL. Register more with notificationService.registerChannel().
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  channels: ['in_app'],
+  webhook_url: null,
+  price_drops: true
+};
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS) || 5000;
+// Webhooks to localhost and private networks are refused unless this is set (local testing)
+const WEBHOOK_ALLOW_PRIVATE = process.env.NOTIFICATION_WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Host names that only mean something inside our own network
+const PRIVATE_HOST_PATTERNS = [
+  /^localhost$/,
+  /\.localhost$/,
+  /\.local$/,
+  /\.internal$/
+];
+
+// IPv6 address as its eight 16-bit groups, with a trailing dotted IPv4 part folded in
+function ipv6Groups(address) {
+  let text = address.split('%')[0];
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, -dotted[0].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const parse = part => part ? part.split(':').map(group => parseInt(group, 16)) : [];
+  const [head, tail] = text.split('::');
+  if (tail === undefined) {
+    return parse(head);
+  }
+
+  const headGroups = parse(head);
+  const tailGroups = parse(tail);
+  return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+}
+
+// Loopback, private, link-local, shared (CGNAT), unspecified and multicast/reserved
+// addresses, including IPv4 ones written as IPv6 (::ffff:7f00:1, 64:ff9b::a00:1)
+export function isPrivateAddress(value) {
+  const address = value.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (isIP(address) === 4) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+  if (isIP(address) !== 6) {
+    return false;
+  }
+
+  const groups = ipv6Groups(address);
+  const embedsIPv4 = (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0 || groups[5] === 0xffff)) ||
+    (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0));
+  if (embedsIPv4) {
+    return isPrivateAddress([groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.'));
+  }
+
+  return (groups[0] & 0xfe00) === 0xfc00 || // unique local
+    (groups[0] & 0xffc0) === 0xfe80 || // link-local
+    (groups[0] & 0xffc0) === 0xfec0 || // site-local
+    (groups[0] & 0xff00) === 0xff00; // multicast
+}
+
+// POST a body over a connection pinned to an address that was already checked, so a DNS
+// answer that changes after the check can't point the request somewhere else. Redirects
+// aren't followed. Resolves to { status }.
+function postPinned(url, { headers, body, address, family, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: (hostname, options, callback) => options.all
+        ? callback(null, [{ address, family }])
+        : callback(null, address, family),
+      timeout: timeoutMs
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve({ status: response.statusCode }));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Webhook timed out after ${timeoutMs}ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Returns an error message, or null for a URL webhooks may be sent to
+function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'webhook_url must be a valid URL';
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'webhook_url must use http or https';
+  }
+
+  // Literal addresses and internal names are refused here; names that resolve to private
+  // addresses are caught when a webhook is delivered
+  const host = url.hostname.toLowerCase();
+  if (!WEBHOOK_ALLOW_PRIVATE && (isPrivateAddress(host) || PRIVATE_HOST_PATTERNS.some(pattern => pattern.test(host)))) {
+    return 'webhook_url must point to a public host';
+  }
+
+  return null;
+}
+
+function absoluteLink(link) {
+  return link ? `${APP_BASE_URL}${link}` : APP_BASE_URL;
+}
+
+// Saves the notification to the user's inbox (GET /notifications)
+class InAppChannel {
+  constructor() {
+    this.name = 'in_app';
+  }
+
+  async deliver(user, notification) {
+    const created = await NotificationModel.create(user._id, notification);
+    if (!created.success) {
+      throw new Error(created.error);
+    }
+    return { id: created.notification._id.toString() };
+  }
+}
+
+class EmailChannel {
+  constructor() {
+    this.name = 'email';
+  }
+
+  async deliver(user, notification) {
+    if (!user.email) {
+      throw new Error('The account has no email address');
+    }
+
+    const result = await emailService.send({
+      to: user.email,
+      subject: notification.title,
+      text: [
+        `Hi ${user.username},`,
+        '',
+        notification.body,
+        '',
+        absoluteLink(notification.link),
+        '',
+        'You can change which alerts you get under Notifications in the app.'
+      ].join('\n')
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return { id: result.id };
+  }
+}
+
+// POSTs { event, title, body, link, data, created_at } to the user's webhook URL. With
+// NOTIFICATION_WEBHOOK_SECRET set, X-RentAI-Signature carries "sha256=" and the HMAC of the body.
+// The host is resolved on every delivery and refused if any of its addresses is private.
+class WebhookChannel {
+  constructor({ post = postPinned, lookup = dnsLookup, timeoutMs = WEBHOOK_TIMEOUT_MS, secret = process.env.NOTIFICATION_WEBHOOK_SECRET } = {}) {
+    this.name = 'webhook';
+    this.post = post;
+    this.lookup = lookup;
+    this.timeoutMs = timeoutMs;
+    this.secret = secret || null;
+  }
+
+  // The address to connect to: { address, family }
+  async resolveAddress(url) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = isIP(host)
+      ? [{ address: host, family: isIP(host) }]
+      : await this.lookup(host, { all: true });
+
+    if (addresses.length === 0) {
+      throw new Error(`Webhook host ${host} did not resolve`);
+    }
+    if (!WEBHOOK_ALLOW_PRIVATE && addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new Error(`Webhook host ${host} resolves to a private address`);
+    }
+    return addresses[0];
+  }
+
+  async deliver(user, notification, settings) {
+    if (!settings.webhook_url) {
+      throw new Error('No webhook URL is set');
+    }
+
+    // Settings saved before a URL rule changed are checked again here
+    const invalid = validateWebhookUrl(settings.webhook_url);
+    if (invalid) {
+      throw new Error(invalid);
+    }
+
+    const url = new URL(settings.webhook_url);
+    const { address, family } = await this.resolveAddress(url);
+
+    const body = JSON.stringify({
+      event: notification.type,
+      user_id: user._id.toString(),
+      title: notification.title,
+      body: notification.body,
+      link: absoluteLink(notification.link),
+      data: notification.data || {},
+      created_at: new Date().toISOString()
+    });
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'RentAI-Webhooks',
+      'X-RentAI-Event': notification.type
+    };
+    if (this.secret) {
+      headers['X-RentAI-Signature'] = `sha256=${createHmac('sha256', this.secret).update(body).digest('hex')}`;
+    }
+
+    const response = await this.post(url, { headers, body, address, family, timeoutMs: this.timeoutMs });
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Webhook answered with status ${response.status}`);
+    }
+    return { id: `webhook-${Date.now()}` };
+  }
+}
+
+class NotificationService {
+  constructor() {
+    this.channels = new Map();
+    [new InAppChannel(), new EmailChannel(), new WebhookChannel()].forEach(channel => this.registerChannel(channel));
+  }
+
+  // Add a delivery channel, or replace one with the same name (e.g. a webhook channel with a stub post)
+  registerChannel(channel) {
+    this.channels.set(channel.name, channel);
+  }
+
+  getChannelNames() {
+    return [...this.channels.keys()];
+  }
+
+  getSettings(user) {
+    return { ...DEFAULT_NOTIFICATION_SETTINGS, ...(user.notification_settings || {}) };
+  }
+
+  validateWebhookUrl(value) {
+    return validateWebhookUrl(value);
+  }
+
+  async getSettingsForUser(userId) {
+    const result = await UserModel.getUserById(userId);
+    if (!result.success) {
+      return { success: false, statusCode: result.error === 'User not found' ? 404 : 500, error: result.error };
+    }
+
+    return {
+      success: true,
+      settings: this.getSettings(result.user),
+      available_channels: this.getChannelNames(),
+      has_email: !!result.user.email
+    };
+  }
+
+  async updateSettings(userId, { channels, webhook_url, price_drops }) {
+    const current = await UserModel.getUserById(userId);
+    if (!current.success) {
+      return { success: false, statusCode: current.error === 'User not found' ? 404 : 500, error: current.error };
+    }
+
+    const settings = { ...this.getSettings(current.user) };
+    if (channels !== undefined) settings.channels = [...new Set(channels)];
+    if (webhook_url !== undefined) settings.webhook_url = webhook_url || null;
+    if (price_drops !== undefined) settings.price_drops = price_drops;
+
+    const unknown = settings.channels.filter(name => !this.channels.has(name));
+    if (unknown.length > 0) {
+      return { success: false, statusCode: 400, error: `Unknown channel: ${unknown.join(', ')}. Use one of: ${this.getChannelNames().join(', ')}` };
+    }
+
+    if (settings.webhook_url) {
+      const error = this.validateWebhookUrl(settings.webhook_url);
+      if (error) {
+        return { success: false, statusCode: 400, error };
+      }
+    }
+
+    if (settings.channels.includes('webhook') && !settings.webhook_url) {
+      return { success: false, statusCode: 400, error: 'Set webhook_url to get notifications by webhook' };
+    }
+
+    if (settings.channels.includes('email') && !current.user.email) {
+      return { success: false, statusCode: 400, error: 'Add an email address to your profile to get notifications by email' };
+    }
+
+    const saved = await UserModel.setNotificationSettings(userId, settings);
+    if (!saved.success) {
+      return { success: false, statusCode: 500, error: saved.error };
+    }
+
+    return { success: true, settings };
+  }
+
+  // Deliver a notification ({ type, title, body, data, link }) on every channel the user
+  // picked. A failing channel doesn't stop the others; each outcome is in `deliveries`.
+  async notify(userId, notification) {
+    const result = await UserModel.getUserById(userId);
+    if (!result.success) {
+      return { success: false, statusCode: result.error === 'User not found' ? 404 : 500, error: result.error };
+    }
+
+    const user = result.user;
+    const settings = this.getSettings(user);
+
+    const deliveries = await Promise.all(settings.channels.map(async (name) => {
+      const channel = this.channels.get(name);
+      if (!channel) {
+        return { channel: name, success: false, error: 'Channel is not available' };
+      }
+
+      try {
+        const delivered = await channel.deliver(user, notification, settings);
+        return { channel: name, success: true, id: delivered?.id ?? null };
+      } catch (error) {
+        console.error(`Error delivering ${notification.type} notification to ${user.username} by ${name}:`, error.message);
+        return { channel: name, success: false, error: error.message };
+      }
+    }));
+
+    return { success: true, deliveries };
+  }
+
+  async sendTest(userId) {
+    return await this.notify(userId, {
+      type: 'test',
+      title: 'Test notification',
+      body: 'Notifications are set up. Alerts for your saved searches and price drops on your saved rentals will arrive like this one.',
+      data: {},
+      link: '/'
+    });
+  }
+
+  format(notification) {
+    return {
+      id: notification._id,
+      type: notification.type,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data || {},
+      link: notification.link,
+      read: !!notification.read_at,
+      read_at: notification.read_at,
+      created_at: notification.created_at
+    };
+  }
+
+  async listInbox(userId, options = {}) {
+    const [list, unread] = await Promise.all([
+      NotificationModel.listForUser(userId, options),
+      NotificationModel.countUnread(userId)
+    ]);
+
+    const failed = [list, unread].find(result => !result.success);
+    if (failed) {
+      return { success: false, statusCode: 500, error: failed.error };
+    }
+
+    return {
+      success: true,
+      notifications: list.notifications.map(notification => this.format(notification)),
+      unread_count: unread.count
+    };
+  }
+
+  async countUnread(userId) {
+    const result = await NotificationModel.countUnread(userId);
+    return result.success
+      ? { success: true, unread_count: result.count }
+      : { success: false, statusCode: 500, error: result.error };
+  }
+
+  async markRead(userId, notificationId) {
+    const result = await NotificationModel.markRead(userId, notificationId);
+    if (!result.success) {
+      return { success: false, statusCode: result.notFound ? 404 : 500, error: result.error };
+    }
+    return { success: true, notification: this.format(result.notification) };
+  }
+
+  async markAllRead(userId) {
+    const result = await NotificationModel.markAllRead(userId);
+    return result.success
+      ? { success: true, updated: result.modifiedCount }
+      : { success: false, statusCode: 500, error: result.error };
+  }
+
+  async delete(userId, notificationId) {
+    const result = await NotificationModel.delete(userId, notificationId);
+    return result.success
+      ? { success: true }
+      : { success: false, statusCode: result.notFound ? 404 : 500, error: result.error };
+  }
+}
+
+export const notificationService = new NotificationService();
@@ -0,0 +1,296 @@
+import jwt from 'jsonwebtoken';
+import { randomBytes, createHash, createPublicKey } from 'crypto';
+import { APP_BASE_URL } from '../config/app.js';
+import { UserModel } from '../models/user.js';
+import { OidcLoginModel } from '../models/oidc-login.js';
+
+// Algorithms accepted for ID token signatures
+const ID_TOKEN_ALGORITHMS = ['RS256', 'PS256', 'ES256'];
+
+export const OIDC_MOCK_ENABLED = process.env.OIDC_MOCK_ENABLED === 'true';
+
+// Providers are configured with OIDC_PROVIDERS=google,okta and, for each ID,
+// OIDC_<ID>_ISSUER, OIDC_<ID>_CLIENT_ID, OIDC_<ID>_CLIENT_SECRET and optionally
+// OIDC_<ID>_NAME (button label) and OIDC_<ID>_SCOPES. OIDC_MOCK_ENABLED=true adds
+// the local mock provider served under /oidc-mock.
+function loadProviders() {
+  const providers = {};
+
+  for (const id of (process.env.OIDC_PROVIDERS || '').split(',').map(value => value.trim()).filter(Boolean)) {
+    const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    const issuer = process.env[`${prefix}_ISSUER`];
+    const clientId = process.env[`${prefix}_CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      console.warn(`⚠️  OIDC provider "${id}" needs ${prefix}_ISSUER and ${prefix}_CLIENT_ID; skipping it`);
+      continue;
+    }
+
+    providers[id] = {
+      id,
+      name: process.env[`${prefix}_NAME`] || id.charAt(0).toUpperCase() + id.slice(1),
+      issuer: issuer.replace(/\/$/, ''),
+      clientId,
+      clientSecret: process.env[`${prefix}_CLIENT_SECRET`] || null,
+      scopes: process.env[`${prefix}_SCOPES`] || 'openid email profile'
+    };
+  }
+
+  if (OIDC_MOCK_ENABLED) {
+    providers.mock = {
+      id: 'mock',
+      name: 'Mock Identity Provider',
+      issuer: `${APP_BASE_URL}/oidc-mock`,
+      clientId: 'rentai-local',
+      clientSecret: 'mock-secret',
+      scopes: 'openid email profile'
+    };
+  }
+
+  return providers;
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64url');
+}
+
+// Generic OpenID Connect client: authorization code flow with PKCE (S256)
+class OidcService {
+  constructor() {
+    this.providers = loadProviders();
+    this.discoveryCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  listProviders() {
+    return Object.values(this.providers).map(({ id, name }) => ({ id, name }));
+  }
+
+  getProvider(id) {
+    return this.providers[id] || null;
+  }
+
+  getRedirectUri(provider) {
+    return `${APP_BASE_URL}/auth/oidc/${provider.id}/callback`;
+  }
+
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error_description || data.error || `Request to ${url} failed with status ${response.status}`);
+    }
+    return data;
+  }
+
+  async discover(provider) {
+    if (!this.discoveryCache.has(provider.id)) {
+      const config = await this.fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+      this.discoveryCache.set(provider.id, config);
+    }
+    return this.discoveryCache.get(provider.id);
+  }
+
+  // Signing key for an ID token; the key set is re-fetched once when the kid is unknown
+  // because providers rotate keys
+  async getSigningKey(provider, kid) {
+    const findKey = (keys) => keys.find(key => !kid || key.kid === kid);
+
+    let keys = this.jwksCache.get(provider.id);
+    if (!keys || !findKey(keys)) {
+      const config = await this.discover(provider);
+      keys = (await this.fetchJson(config.jwks_uri)).keys || [];
+      this.jwksCache.set(provider.id, keys);
+    }
+
+    const jwk = findKey(keys);
+    if (!jwk) {
+      throw new Error('ID token was signed with an unknown key');
+    }
+    return createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  async verifyIdToken(provider, idToken, nonce) {
+    const config = await this.discover(provider);
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error('Provider returned an invalid ID token');
+    }
+
+    const key = await this.getSigningKey(provider, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: config.issuer,
+      audience: provider.clientId
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce does not match the sign-in request');
+    }
+    return claims;
+  }
+
+  // Begin a sign-in: remember the PKCE verifier and nonce, and return the provider URL
+  // to send the browser to. With linkUserId the identity is linked to that account.
+  async startLogin(providerId, { linkUserId = null } = {}) {
+    const provider = this.getProvider(providerId);
+    if (!provider) {
+      return { success: false, statusCode: 404, error: 'Unknown sign-in provider' };
+    }
+
+    try {
+      const config = await this.discover(provider);
+      const state = base64url(randomBytes(24));
+      const nonce = base64url(randomBytes(24));
+      const codeVerifier = base64url(randomBytes(48));
+      const codeChallenge = base64url(createHash('sha256').update(codeVerifier).digest());
+
+      const created = await OidcLoginModel.createLogin({ state, provider: provider.id, codeVerifier, nonce, linkUserId });
+      if (!created.success) {
+        return { success: false, statusCode: 500, error: created.error };
+      }
+
+      const url = new URL(config.authorization_endpoint);
+      url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: this.getRedirectUri(provider),
+        scope: provider.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      }).toString();
+
+      return { success: true, authorizationUrl: url.toString() };
+    } catch (error) {
+      console.error(`Error starting ${providerId} sign-in:`, error);
+      return { success: false, statusCode: 502, error: 'The sign-in provider is not reachable' };
+    }
+  }
+
+  async exchangeCode(provider, code, codeVerifier) {
+    const config = await this.discover(provider);
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.getRedirectUri(provider),
+      code_verifier: codeVerifier,
+      client_id: provider.clientId
+    });
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    if (provider.clientSecret) {
+      const methods = config.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+      if (methods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        body.set('client_secret', provider.clientSecret);
+      }
+    }
+
+    return await this.fetchJson(config.token_endpoint, { method: 'POST', headers, body });
+  }
+
+  // Find, link or create the account for a verified identity
+  async resolveUser(provider, claims, linkUserId) {
+    const identity = { provider: provider.id, subject: claims.sub, email: claims.email || null };
+
+    if (linkUserId) {
+      const linked = await UserModel.linkIdentity(linkUserId, identity);
+      if (!linked.success) {
+        return linked;
+      }
+      return { success: true, userId: linkUserId, linked: true };
+    }
+
+    const existing = await UserModel.findByIdentity(provider.id, claims.sub);
+    if (!existing.success) {
+      return existing;
+    }
+    if (existing.user) {
+      await UserModel.recordLogin(existing.user._id);
+      return { success: true, userId: existing.user._id };
+    }
+
+    // Matching emails are not linked automatically: whoever controls the provider
+    // account would get into the existing account. Users link from their account menu.
+    const created = await UserModel.createOidcUser({
+      preferredUsername: claims.preferred_username || claims.email?.split('@')[0] || claims.name,
+      email: claims.email_verified ? claims.email : null,
+      identity
+    });
+    if (!created.success) {
+      return created;
+    }
+    return { success: true, userId: created.user._id, isNewUser: true };
+  }
+
+  // Handle the provider's redirect back to us; resolves to a one-time ticket for the browser
+  async handleCallback(providerId, { code, state, error }) {
+    const provider = this.getProvider(providerId);
+    if (!provider) {
+      return { success: false, error: 'Unknown sign-in provider' };
+    }
+    if (!state) {
+      return { success: false, error: 'Sign-in response is missing its state' };
+    }
+
+    const claimed = await OidcLoginModel.claim(state, provider.id);
+    if (!claimed.success) {
+      return claimed;
+    }
+    if (error) {
+      return { success: false, error: error === 'access_denied' ? 'Sign-in was cancelled' : `Sign-in failed: ${error}` };
+    }
+    if (!code) {
+      return { success: false, error: 'Sign-in response is missing its authorization code' };
+    }
+
+    try {
+      const tokens = await this.exchangeCode(provider, code, claimed.login.code_verifier);
+      if (!tokens.id_token) {
+        return { success: false, error: 'The sign-in provider did not return an ID token' };
+      }
+
+      const claims = await this.verifyIdToken(provider, tokens.id_token, claimed.login.nonce);
+      const resolved = await this.resolveUser(provider, claims, claimed.login.link_user_id);
+      if (!resolved.success) {
+        return resolved;
+      }
+
+      const completed = await OidcLoginModel.complete(state, resolved);
+      if (!completed.success) {
+        return completed;
+      }
+
+      return { success: true, ticket: completed.ticket, linked: !!resolved.linked };
+    } catch (callbackError) {
+      console.error(`Error completing ${providerId} sign-in:`, callbackError);
+      return { success: false, error: 'Could not verify the sign-in with the provider' };
+    }
+  }
+
+  // Trade the one-time ticket for the signed-in user
+  async exchangeTicket(ticket) {
+    const exchanged = await OidcLoginModel.exchangeTicket(ticket);
+    if (!exchanged.success) {
+      return { success: false, statusCode: exchanged.invalid ? 400 : 500, error: exchanged.error };
+    }
+
+    const userResult = await UserModel.getUserById(exchanged.login.user_id);
+    if (!userResult.success) {
+      return { success: false, statusCode: 400, error: 'User not found' };
+    }
+
+    return {
+      success: true,
+      user: userResult.user,
+      isNewUser: !!exchanged.login.is_new_user,
+      linked: !!exchanged.login.linked
+    };
+  }
+}
+
+export const oidcService = new OidcService();
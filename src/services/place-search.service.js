@@ -0,0 +1,99 @@
+import { PointOfInterestModel } from '../models/point-of-interest.js';
+import { RentalModel, SEARCH_PROJECTION } from '../models/rental.js';
+import { vectorSearchService } from './vector-search.service.js';
+import { geoService } from './geo.service.js';
+
+// Streets are rarely straight lines: walking routes average ~1.3x the straight-line distance
+const WALKING_DETOUR_FACTOR = 1.3;
+const WALKING_SPEED_KMH = 4.8;
+const DEFAULT_WALKING_RADIUS_KM = 2;
+
+class PlaceSearchService {
+  // Estimated walking distance and time for a straight-line distance
+  estimateWalk(distanceKm) {
+    const walkingKm = distanceKm * WALKING_DETOUR_FACTOR;
+    return {
+      walking_distance_km: Math.round(walkingKm * 100) / 100,
+      walking_minutes: Math.max(1, Math.round((walkingKm / WALKING_SPEED_KMH) * 60))
+    };
+  }
+
+  // Agent search filters use booleans; the rental query builder expects query-string values
+  toRentalQueryParams(filters = {}) {
+    const params = {};
+    for (const [key, value] of Object.entries(filters || {})) {
+      if (value === null || value === undefined) continue;
+      params[key] = typeof value === 'boolean' ? value.toString() : value;
+    }
+    return params;
+  }
+
+  // Resolve a named place in a market and return rentals within walking range of it,
+  // nearest first. With a query, candidates come from hybrid search (so "quiet loft"
+  // still matters) and are then ordered by distance.
+  async findRentalsNearPlace({ place, market = null, radiusKm = DEFAULT_WALKING_RADIUS_KM, query = null, filters = {}, limit = 5 }) {
+    try {
+      const resolved = await PointOfInterestModel.findByName(place, market);
+      if (!resolved.success) {
+        return { success: false, error: resolved.error };
+      }
+
+      if (!resolved.place) {
+        const known = await PointOfInterestModel.listNames(market);
+        return {
+          success: false,
+          error: `No known place called "${place}"${market ? ` in ${market}` : ''}`,
+          suggestions: known.success ? known.places.map(poi => poi.name) : []
+        };
+      }
+
+      const poi = resolved.place;
+      const [lng, lat] = poi.location.coordinates;
+      // The walking radius is converted to the straight-line radius used by geo queries
+      const geo = { near: { lat, lng }, radiusKm: radiusKm / WALKING_DETOUR_FACTOR };
+
+      // The landmark already pins down the area, so the market/location filter is dropped
+      const { location, ...otherFilters } = this.toRentalQueryParams(filters);
+
+      let rentals;
+      if (query) {
+        const candidates = await vectorSearchService.hybridSearch(query, {
+          ...otherFilters,
+          near: `${lat},${lng}`,
+          radius_km: geo.radiusKm
+        }, limit * 4);
+
+        rentals = candidates
+          .sort((a, b) => a.distance_km - b.distance_km)
+          .slice(0, limit);
+      } else {
+        const rentalModel = new RentalModel();
+        const result = await rentalModel.findMany(
+          RentalModel.buildSearchQuery({ ...otherFilters, geo }),
+          { limit, sort: { distance: 1 }, projection: SEARCH_PROJECTION, near: geo.near }
+        );
+        rentals = result.data;
+      }
+
+      return {
+        success: true,
+        place: {
+          name: poi.name,
+          market: poi.market,
+          category: poi.category,
+          location: poi.location
+        },
+        radius_km: radiusKm,
+        rentals: rentals.map(rental => ({
+          ...rental,
+          ...this.estimateWalk(rental.distance_km)
+        }))
+      };
+    } catch (error) {
+      console.error('Error finding rentals near place:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export const placeSearchService = new PlaceSearchService();
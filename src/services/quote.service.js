@@ -0,0 +1,120 @@
+import { BookingModel } from '../models/booking.js';
+import { RentalModel } from '../models/rental.js';
+
+// Taxes are not part of the listing data, so a flat rate is applied to the stay subtotal
+const TAX_RATE = parseFloat(process.env.BOOKING_TAX_RATE || '0.12');
+
+class QuoteService {
+  // Listing money fields may be numbers, "$1,200.00" strings or Decimal128 values
+  parseAmount(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'number') return value;
+
+    const parsed = parseFloat(value.toString().replace(/[$,]/g, ''));
+    return isNaN(parsed) ? 0 : parsed;
+  }
+
+  roundCurrency(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  // Check the listing's stay rules, returning a list of human readable violations
+  checkStayRules(rental, nights, guests) {
+    const violations = [];
+    const minimumNights = parseInt(rental.minimum_nights) || 1;
+    const maximumNights = parseInt(rental.maximum_nights) || null;
+
+    if (nights < minimumNights) {
+      violations.push(`This rental requires a minimum stay of ${minimumNights} night${minimumNights !== 1 ? 's' : ''}`);
+    }
+
+    if (maximumNights && nights > maximumNights) {
+      violations.push(`This rental allows a maximum stay of ${maximumNights} night${maximumNights !== 1 ? 's' : ''}`);
+    }
+
+    if (rental.accommodates && guests > rental.accommodates) {
+      violations.push(`This rental accommodates at most ${rental.accommodates} guest${rental.accommodates !== 1 ? 's' : ''}`);
+    }
+
+    if (RentalModel.isHidden(rental)) {
+      violations.push('This rental is not currently accepting bookings');
+    }
+
+    return violations;
+  }
+
+  // Itemized price for a stay, computed from the listing document
+  calculateQuote(rental, nights, guests) {
+    const nightlyPrice = this.parseAmount(rental.price);
+    const cleaningFee = this.parseAmount(rental.cleaning_fee);
+    const extraPersonFee = this.parseAmount(rental.extra_people);
+    const guestsIncluded = parseInt(rental.guests_included) || 1;
+    const extraGuests = Math.max(0, guests - guestsIncluded);
+
+    const accommodation = this.roundCurrency(nightlyPrice * nights);
+    const extraGuestTotal = this.roundCurrency(extraPersonFee * extraGuests * nights);
+    const subtotal = this.roundCurrency(accommodation + cleaningFee + extraGuestTotal);
+    const taxes = this.roundCurrency(subtotal * TAX_RATE);
+
+    return {
+      currency: 'USD',
+      nights,
+      guests,
+      nightly_price: nightlyPrice,
+      line_items: [
+        { label: `$${nightlyPrice} x ${nights} night${nights !== 1 ? 's' : ''}`, amount: accommodation },
+        { label: 'Cleaning fee', amount: cleaningFee },
+        {
+          label: `Extra guest fee (${extraGuests} guest${extraGuests !== 1 ? 's' : ''} x $${extraPersonFee}/night)`,
+          amount: extraGuestTotal
+        },
+        { label: `Taxes (${this.roundCurrency(TAX_RATE * 100)}%)`, amount: taxes }
+      ],
+      subtotal,
+      taxes,
+      total: this.roundCurrency(subtotal + taxes),
+      security_deposit: this.parseAmount(rental.security_deposit)
+    };
+  }
+
+  // Availability plus itemized quote for a stay at a given rental
+  async checkAvailabilityAndQuote(rentalId, checkinValue, checkoutValue, guests = 1) {
+    const checkin = BookingModel.parseDate(checkinValue);
+    const checkout = BookingModel.parseDate(checkoutValue);
+
+    if (!checkin || !checkout || checkout <= checkin) {
+      return { success: false, error: 'Check-in and check-out must be YYYY-MM-DD dates with check-out after check-in' };
+    }
+
+    const rentalModel = new RentalModel();
+    const rental = await rentalModel.findById(rentalId.toString(), true);
+
+    if (!rental) {
+      return { success: false, error: `Property with ID ${rentalId} not found` };
+    }
+
+    const nights = BookingModel.countNights(checkin, checkout);
+    const reasons = this.checkStayRules(rental, nights, guests);
+
+    const availability = await BookingModel.isRentalAvailable(rental._id, checkin, checkout);
+    if (!availability.success) {
+      return availability;
+    }
+    if (!availability.isAvailable) {
+      reasons.push('The property is already booked for some of these dates');
+    }
+
+    return {
+      success: true,
+      property_id: rental._id,
+      property_name: rental.name,
+      checkin: checkinValue,
+      checkout: checkoutValue,
+      available: reasons.length === 0,
+      unavailable_reasons: reasons,
+      quote: this.calculateQuote(rental, nights, guests)
+    };
+  }
+}
+
+export const quoteService = new QuoteService();
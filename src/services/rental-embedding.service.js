@@ -0,0 +1,146 @@
+import { DatabaseManager } from '../config/database.js';
+import { vectorSearchService } from './vector-search.service.js';
+import { getEmbeddingInfo, isEmbeddingFromProvider } from './embedding-provider.js';
+import { computeSourceHash } from './service-helpers.js';
+
+// Top-level fields whose content feeds the listing's text embedding
+const EMBEDDING_SOURCE_FIELDS = ['name', 'summary', 'description', 'amenities', 'address'];
+
+// Projection needed to rebuild the embedding text and compare hashes
+const EMBEDDING_SOURCE_PROJECTION = {
+  name: 1,
+  summary: 1,
+  description: 1,
+  amenities: 1,
+  'address.neighbourhood': 1,
+  embedding_source_hash: 1,
+  embedding_provider: 1,
+  embedding_model: 1,
+  embedding_dimensions: 1
+};
+
+class RentalEmbeddingService {
+  // Text that gets embedded for a listing
+  buildEmbeddingText(rental) {
+    const amenities = Array.isArray(rental.amenities) ? rental.amenities.join(', ') : rental.amenities;
+
+    return [
+      rental.name,
+      rental.summary,
+      rental.description,
+      amenities ? `Amenities: ${amenities}` : null,
+      rental.address?.neighbourhood ? `Neighbourhood: ${rental.address.neighbourhood}` : null
+    ].filter(Boolean).join('\n');
+  }
+
+  // An embedding is current when it was built from the same text by the configured provider
+  isEmbeddingCurrent(rental, hash) {
+    return hash === rental.embedding_source_hash &&
+      isEmbeddingFromProvider(rental, vectorSearchService.embeddingProvider);
+  }
+
+  // Provider, model and dimensions stored alongside every embedding
+  getEmbeddingInfo() {
+    return getEmbeddingInfo(vectorSearchService.embeddingProvider);
+  }
+
+  // Whether an update payload touches any field the embedding is built from
+  affectsEmbedding(updateData) {
+    return Object.keys(updateData).some(key =>
+      EMBEDDING_SOURCE_FIELDS.includes(key.split('.')[0])
+    );
+  }
+
+  // Embedding fields to store for a listing, or null when its current embedding is still valid
+  async buildEmbeddingFields(rental) {
+    const text = this.buildEmbeddingText(rental);
+    if (!text) return null;
+
+    const hash = computeSourceHash(text);
+    if (this.isEmbeddingCurrent(rental, hash)) return null;
+
+    // Listing text goes straight to the provider; the embedding cache is for search queries
+    const [embedding] = await vectorSearchService.generateEmbeddings([text]);
+
+    return {
+      text_embeddings: embedding,
+      embedding_source_hash: hash,
+      ...this.getEmbeddingInfo(),
+      embedding_updated_at: new Date()
+    };
+  }
+
+  // Re-embed listings whose embedding is missing, was built from different content or
+  // came from another provider. Listings without a source hash (e.g. imported data) are treated as stale.
+  async backfill({ batchSize = 50, limit = null, dryRun = false } = {}) {
+    const collection = DatabaseManager.getRentalsCollection();
+    const stats = { scanned: 0, stale: 0, embedded: 0, failed: 0 };
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const pending = batch;
+      batch = [];
+
+      if (dryRun) return;
+
+      try {
+        const embeddings = await vectorSearchService.generateEmbeddings(pending.map(item => item.text));
+        const embeddingInfo = this.getEmbeddingInfo();
+        const now = new Date();
+
+        await collection.bulkWrite(pending.map((item, index) => ({
+          updateOne: {
+            filter: { _id: item._id },
+            update: {
+              $set: {
+                text_embeddings: embeddings[index],
+                embedding_source_hash: item.hash,
+                ...embeddingInfo,
+                embedding_updated_at: now
+              }
+            }
+          }
+        })));
+
+        stats.embedded += pending.length;
+        console.log(`🧠 Embedded ${stats.embedded}/${stats.stale} stale listings`);
+      } catch (error) {
+        stats.failed += pending.length;
+        console.error('Error embedding batch:', error.message);
+      }
+    };
+
+    try {
+      const cursor = collection.find({}, { projection: EMBEDDING_SOURCE_PROJECTION });
+
+      for await (const rental of cursor) {
+        stats.scanned++;
+
+        const text = this.buildEmbeddingText(rental);
+        if (!text) continue;
+
+        const hash = computeSourceHash(text);
+        if (this.isEmbeddingCurrent(rental, hash)) continue;
+
+        stats.stale++;
+        batch.push({ _id: rental._id, text, hash });
+
+        if (batch.length >= batchSize) {
+          await flush();
+        }
+
+        if (limit && stats.stale >= limit) break;
+      }
+
+      await flush();
+
+      return { success: true, dryRun, ...stats };
+    } catch (error) {
+      console.error('Error backfilling embeddings:', error);
+      return { success: false, error: error.message, ...stats };
+    }
+  }
+}
+
+export const rentalEmbeddingService = new RentalEmbeddingService();
@@ -0,0 +1,302 @@
+import { ReviewModel } from '../models/review.js';
+import { ReviewChunkModel } from '../models/review-chunk.js';
+import { RentalModel } from '../models/rental.js';
+import { vectorSearchService } from './vector-search.service.js';
+import { getEmbeddingInfo, isEmbeddingFromProvider } from './embedding-provider.js';
+import { failure, computeSourceHash } from './service-helpers.js';
+
+// Longest snippet embedded on its own; most reviews fit in one
+const CHUNK_MAX_CHARS = 500;
+// A search covers one listing or a shortlist of up to this many
+const MAX_SEARCH_RENTALS = 10;
+const MAX_SNIPPETS_PER_RENTAL = 5;
+
+// Break a sentence longer than a chunk at word boundaries
+function splitLongSentence(sentence) {
+  if (sentence.length <= CHUNK_MAX_CHARS) {
+    return [sentence];
+  }
+
+  const pieces = [];
+  let current = '';
+  for (const word of sentence.split(' ')) {
+    if (current && current.length + 1 + word.length > CHUNK_MAX_CHARS) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${word}` : word;
+  }
+  if (current) pieces.push(current);
+
+  return pieces;
+}
+
+// Semantic search over what guests wrote. Review text is split into sentence-aligned
+// snippets in review_chunks, each embedded with the configured provider, and searched
+// one listing at a time so every property in a shortlist gets its own snippets.
+class ReviewSearchService {
+  // Provider, model and dimensions stored alongside every chunk embedding
+  getEmbeddingInfo() {
+    return getEmbeddingInfo(vectorSearchService.embeddingProvider);
+  }
+
+  // A review's chunks are current when built from the same text by the configured provider
+  isIndexCurrent(review, hash) {
+    return !!review.search_index &&
+      review.search_index.source_hash === hash &&
+      isEmbeddingFromProvider(review.search_index, vectorSearchService.embeddingProvider);
+  }
+
+  // Split review text into snippets of whole sentences up to CHUNK_MAX_CHARS. Each snippet
+  // after the first repeats the previous one's last sentence, so a remark spread over two
+  // sentences is still found in one piece.
+  chunkText(text) {
+    const normalized = (text || '').replace(/\s+/g, ' ').trim();
+    if (!normalized) return [];
+    if (normalized.length <= CHUNK_MAX_CHARS) return [normalized];
+
+    const sentences = (normalized.match(/[^.!?]+(?:[.!?]+|$)/g) || [normalized])
+      .map(sentence => sentence.trim())
+      .filter(Boolean)
+      .flatMap(splitLongSentence);
+
+    const chunks = [];
+    let current = [];
+    for (const sentence of sentences) {
+      if (current.length > 0 && [...current, sentence].join(' ').length > CHUNK_MAX_CHARS) {
+        chunks.push(current.join(' '));
+        const overlap = current[current.length - 1];
+        current = overlap.length + 1 + sentence.length <= CHUNK_MAX_CHARS ? [overlap] : [];
+      }
+      current.push(sentence);
+    }
+    if (current.length > 0) chunks.push(current.join(' '));
+
+    return chunks;
+  }
+
+  // Store freshly embedded chunks for several reviews and record what they were built from.
+  // pending: [{ review, texts, hash }]; embeddings line up with every review's texts in order.
+  async saveChunks(pending, embeddings) {
+    const embeddingInfo = this.getEmbeddingInfo();
+    const now = new Date();
+    let offset = 0;
+
+    const entries = pending.map(({ review, texts }) => {
+      const chunks = texts.map((text, index) => ({
+        rental_id: review.rental_id.toString(),
+        chunk_index: index,
+        text,
+        reviewer_name: review.reviewer_name,
+        review_date: review.created_at,
+        embedding: embeddings[offset + index],
+        ...embeddingInfo,
+        created_at: now
+      }));
+      offset += texts.length;
+      return { reviewId: review._id, chunks };
+    });
+
+    const saved = await ReviewChunkModel.replaceForReviews(entries);
+    if (!saved.success) {
+      return saved;
+    }
+
+    return await ReviewModel.setSearchIndex(pending.map(({ review, texts, hash }) => ({
+      reviewId: review._id,
+      searchIndex: { source_hash: hash, chunk_count: texts.length, ...embeddingInfo, indexed_at: now }
+    })));
+  }
+
+  // Build a review's chunks after it is written or published again. Failures are logged
+  // and the review is left for `bun run reviews:embed`; they never fail the write itself.
+  async indexReview(review) {
+    try {
+      if (review.status !== 'published') {
+        return await this.removeReviews([review._id]);
+      }
+
+      const hash = computeSourceHash(review.comments || '');
+      if (this.isIndexCurrent(review, hash)) {
+        return { success: true, indexed: false };
+      }
+
+      const texts = this.chunkText(review.comments);
+      const embeddings = texts.length > 0 ? await vectorSearchService.generateEmbeddings(texts) : [];
+
+      const saved = await this.saveChunks([{ review, texts, hash }], embeddings);
+      if (!saved.success) {
+        console.error('Error indexing review:', saved.error);
+        return failure(saved);
+      }
+
+      return { success: true, indexed: true };
+    } catch (error) {
+      console.error('Error indexing review:', error);
+      return { success: false, statusCode: 500, error: error.message };
+    }
+  }
+
+  // Drop the chunks of reviews that were deleted, hidden by reports or removed
+  async removeReviews(reviewIds) {
+    const deleted = await ReviewChunkModel.deleteForReviews(reviewIds);
+    if (!deleted.success) {
+      return failure(deleted);
+    }
+
+    const cleared = await ReviewModel.clearSearchIndex(reviewIds);
+    return cleared.success ? { success: true, deletedCount: deleted.deletedCount } : failure(cleared);
+  }
+
+  // Chunk and embed published reviews that have no chunks yet, were edited since, or were
+  // embedded by another provider; and drop chunks of reviews that are no longer published
+  async backfill({ batchSize = 50, limit = null, dryRun = false, rentalId = null } = {}) {
+    const stats = { scanned: 0, stale: 0, indexed: 0, chunks: 0, failed: 0, removed: 0 };
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const pending = batch;
+      batch = [];
+
+      if (dryRun) return;
+
+      try {
+        const texts = pending.flatMap(item => item.texts);
+        const embeddings = texts.length > 0 ? await vectorSearchService.generateEmbeddings(texts) : [];
+
+        const saved = await this.saveChunks(pending, embeddings);
+        if (!saved.success) {
+          throw new Error(saved.error);
+        }
+
+        stats.indexed += pending.length;
+        stats.chunks += texts.length;
+        console.log(`🧠 Embedded ${stats.indexed}/${stats.stale} stale reviews (${stats.chunks} chunks)`);
+      } catch (error) {
+        stats.failed += pending.length;
+        console.error('Error embedding review batch:', error.message);
+      }
+    };
+
+    try {
+      if (!rentalId) {
+        const unpublished = await ReviewModel.findUnpublishedIndexedIds();
+        if (!unpublished.success) {
+          return { ...failure(unpublished), ...stats };
+        }
+
+        stats.removed = unpublished.reviewIds.length;
+        if (!dryRun && unpublished.reviewIds.length > 0) {
+          const removed = await this.removeReviews(unpublished.reviewIds);
+          if (!removed.success) {
+            return { ...removed, ...stats };
+          }
+        }
+      }
+
+      for await (const review of ReviewModel.findForSearchIndex({ rentalId })) {
+        stats.scanned++;
+
+        const hash = computeSourceHash(review.comments || '');
+        if (this.isIndexCurrent(review, hash)) continue;
+
+        stats.stale++;
+        batch.push({ review, texts: this.chunkText(review.comments), hash });
+
+        if (batch.length >= batchSize) {
+          await flush();
+        }
+
+        if (limit && stats.stale >= limit) break;
+      }
+
+      await flush();
+
+      return { success: true, dryRun, ...stats };
+    } catch (error) {
+      console.error('Error backfilling review chunks:', error);
+      return { success: false, statusCode: 500, error: error.message, ...stats };
+    }
+  }
+
+  // Best snippet per review, from reviews that are still published
+  pickSnippets(chunks, publishedIds, limit) {
+    const seen = new Set();
+    const snippets = [];
+
+    for (const chunk of chunks) {
+      if (snippets.length >= limit) break;
+      if (seen.has(chunk.review_id) || !publishedIds.has(chunk.review_id)) continue;
+      seen.add(chunk.review_id);
+
+      snippets.push({
+        review_id: chunk.review_id,
+        text: chunk.text,
+        reviewer_name: chunk.reviewer_name,
+        date: chunk.review_date,
+        score: chunk.score
+      });
+    }
+
+    return snippets;
+  }
+
+  // The review snippets most relevant to `query` for each listing, in the order given.
+  // Listings guests can't see are skipped.
+  async searchReviews(query, { rentalIds = [], limit = 3 } = {}) {
+    const ids = [...new Set(rentalIds.filter(Boolean).map(id => id.toString()))].slice(0, MAX_SEARCH_RENTALS);
+    if (ids.length === 0) {
+      return { success: false, statusCode: 400, error: 'No properties to search' };
+    }
+
+    const perRental = Math.min(Math.max(parseInt(limit) || 3, 1), MAX_SNIPPETS_PER_RENTAL);
+
+    try {
+      const { data: found } = await new RentalModel().findMany(
+        RentalModel.buildSearchQuery({ ids }),
+        { limit: ids.length, sort: { _id: 1 }, projection: { name: 1, number_of_reviews: 1 } }
+      );
+      const rentals = ids
+        .map(id => found.find(rental => rental._id.toString() === id))
+        .filter(Boolean);
+
+      if (rentals.length === 0) {
+        return { success: false, statusCode: 404, error: 'Rental not found' };
+      }
+
+      const queryVector = await vectorSearchService.generateEmbedding(query);
+
+      // A review can match in several chunks, so look a little further than needed
+      const results = await Promise.all(rentals.map(rental =>
+        ReviewChunkModel.vectorSearch(rental._id, queryVector, perRental * 3)
+      ));
+      const failed = results.find(result => !result.success);
+      if (failed) {
+        return failure(failed);
+      }
+
+      const reviewIds = [...new Set(results.flatMap(result => result.chunks.map(chunk => chunk.review_id)))];
+      const published = await ReviewModel.filterPublished(reviewIds);
+      if (!published.success) {
+        return failure(published);
+      }
+      const publishedIds = new Set(published.reviewIds);
+
+      return {
+        success: true,
+        rentals: rentals.map((rental, index) => ({
+          id: rental._id.toString(),
+          name: rental.name,
+          number_of_reviews: rental.number_of_reviews || 0,
+          snippets: this.pickSnippets(results[index].chunks, publishedIds, perRental)
+        }))
+      };
+    } catch (error) {
+      console.error('Error searching reviews:', error);
+      return { success: false, statusCode: 500, error: error.message };
+    }
+  }
+}
+
+export const reviewSearchService = new ReviewSearchService();
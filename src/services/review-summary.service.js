@@ -0,0 +1,233 @@
+import { Agent, run } from '@openai/agents';
+import { z } from 'zod';
+import { ReviewModel, REVIEW_SUMMARY_ASPECTS } from '../models/review.js';
+import { RentalModel } from '../models/rental.js';
+import { failure, plural } from './service-helpers.js';
+import { ScheduledJob } from './scheduled-job.js';
+
+const REVIEW_SUMMARY_MODEL = process.env.REVIEW_SUMMARY_MODEL || 'gpt-5-mini';
+// Listings with fewer published reviews get no summary
+const REVIEW_SUMMARY_MIN_REVIEWS = parseInt(process.env.REVIEW_SUMMARY_MIN_REVIEWS) || 3;
+// How often the server refreshes summaries of listings with new reviews, and how many
+// listings each pass summarizes. Every summary is a paid model call, so the built-in
+// schedule is off unless this is set; `bun run reviews:summarize` works from cron too.
+export const REVIEW_SUMMARY_INTERVAL_MINUTES = parseInt(process.env.REVIEW_SUMMARY_INTERVAL_MINUTES) || 0;
+const REVIEW_SUMMARY_BATCH_SIZE = parseInt(process.env.REVIEW_SUMMARY_BATCH_SIZE) || 25;
+// A listing whose summary fails is retried after an hour, doubling with each further
+// failure up to a week, so one bad listing doesn't take a model call every pass
+const RETRY_BASE_MS = 60 * 60 * 1000;
+const RETRY_MAX_MS = 7 * 24 * 60 * 60 * 1000;
+
+// The newest reviews read per listing, and how much of each
+const MAX_REVIEWS_PER_SUMMARY = 60;
+const MAX_REVIEW_CHARS = 600;
+const MAX_BULLETS = 5;
+const MAX_BULLET_CHARS = 160;
+// An aspect becomes a search highlight (e.g. "quiet") at this score out of 5, once enough reviews mention it
+const HIGHLIGHT_MIN_SCORE = 4;
+const HIGHLIGHT_MIN_MENTIONS = 2;
+
+const ASPECT_DESCRIPTIONS = {
+  cleanliness: 'how clean the place was',
+  noise: 'how quiet it was (5 = very quiet, 1 = very noisy: street, neighbours, nightlife, thin walls)',
+  location: 'the neighbourhood, transport and what is nearby',
+  communication: 'how responsive and helpful the host was',
+  accuracy: 'whether the place matched the listing and photos'
+};
+
+const aspectSchema = z.object({
+  score: z.number().nullable().describe('1-5, higher is better; null when no review mentions it'),
+  mentions: z.number().describe('How many of the reviews mention this aspect')
+});
+
+const reviewSummarySchema = z.object({
+  summary: z.string().describe('Two or three sentences on what guests say overall'),
+  aspects: z.object(Object.fromEntries(Object.keys(REVIEW_SUMMARY_ASPECTS).map(aspect => [aspect, aspectSchema]))),
+  pros: z.array(z.string()).describe('Up to 5 short points guests liked'),
+  cons: z.array(z.string()).describe('Up to 5 short points guests complained about')
+});
+
+function cleanBullets(bullets) {
+  return (bullets || [])
+    .map(bullet => bullet.toString().trim())
+    .filter(Boolean)
+    .slice(0, MAX_BULLETS)
+    .map(bullet => bullet.length > MAX_BULLET_CHARS ? `${bullet.slice(0, MAX_BULLET_CHARS - 3)}...` : bullet);
+}
+
+// Per-listing review summaries: an overview, aspect scores and pros/cons written by a
+// model from the newest published reviews and stored on the listing as review_summary,
+// plus review_highlights (e.g. "quiet") for the aspects guests rate well, which search
+// can filter on. Listings are refreshed when their reviews change.
+class ReviewSummaryService {
+  constructor({ model = REVIEW_SUMMARY_MODEL, minReviews = REVIEW_SUMMARY_MIN_REVIEWS } = {}) {
+    this.model = model;
+    this.minReviews = minReviews;
+    this.job = new ScheduledJob({
+      name: 'Review summary job',
+      intervalMinutes: REVIEW_SUMMARY_INTERVAL_MINUTES,
+      run: (options) => this.runPass(options),
+      report: (result) => {
+        if (result.summarized > 0) {
+          console.log(`📝 Review summary job: ${plural(result.summarized, 'listing')} summarized`);
+        }
+      }
+    });
+
+    this.agent = new Agent({
+      name: 'ReviewSummarizer',
+      model,
+      instructions: `You summarize guest reviews of a vacation rental for people deciding whether to book it.
+
+Use only what the reviews say. Score each aspect from 1 to 5 (higher is better) based on the reviews that mention it, and count those reviews; when no review mentions an aspect, its score is null and mentions is 0.
+
+Aspects:
+${Object.entries(ASPECT_DESCRIPTIONS).map(([aspect, description]) => `- ${aspect}: ${description}`).join('\n')}
+
+Pros and cons are short phrases (under 12 words) about things several guests mention, most common first. Leave cons empty rather than inventing complaints. Write in English whatever language the reviews are in.`,
+      outputType: reviewSummarySchema
+    });
+  }
+
+  buildPrompt(rental, reviews) {
+    const lines = reviews.map(review => {
+      const date = review.created_at ? new Date(review.created_at).toISOString().split('T')[0] : 'undated';
+      const text = review.comments.replace(/\s+/g, ' ').trim();
+      return `- [${date}${review.rating ? `, ${review.rating}/5` : ''}] ${text.length > MAX_REVIEW_CHARS ? `${text.slice(0, MAX_REVIEW_CHARS)}...` : text}`;
+    });
+
+    const details = [rental.property_type, rental.address?.market && `in ${rental.address.market}`].filter(Boolean).join(' ');
+
+    return `Listing: ${rental.name || 'Unnamed listing'}${details ? ` (${details})` : ''}
+Reviews (newest first):
+${lines.join('\n')}`;
+  }
+
+  async generateSummary(rental, reviews) {
+    const result = await run(this.agent, this.buildPrompt(rental, reviews));
+    return result.finalOutput;
+  }
+
+  // Keep model output in range: scores 1-5 to one decimal, mention counts within the reviews read
+  normalizeSummary(output, reviewCount) {
+    const aspects = {};
+    for (const aspect of Object.keys(REVIEW_SUMMARY_ASPECTS)) {
+      const { score = null, mentions = 0 } = output.aspects?.[aspect] || {};
+      const count = Math.min(Math.max(Math.round(mentions) || 0, 0), reviewCount);
+      aspects[aspect] = {
+        score: typeof score === 'number' && count > 0 ? Math.round(Math.min(Math.max(score, 1), 5) * 10) / 10 : null,
+        mentions: count
+      };
+    }
+
+    return {
+      summary: (output.summary || '').trim(),
+      aspects,
+      pros: cleanBullets(output.pros),
+      cons: cleanBullets(output.cons)
+    };
+  }
+
+  buildHighlights(aspects) {
+    return Object.entries(REVIEW_SUMMARY_ASPECTS)
+      .filter(([aspect]) => aspects[aspect].score >= HIGHLIGHT_MIN_SCORE && aspects[aspect].mentions >= HIGHLIGHT_MIN_MENTIONS)
+      .map(([, highlight]) => highlight);
+  }
+
+  // Summarize one listing's reviews and store the result on it
+  async summarizeRental(rental) {
+    try {
+      const readAt = new Date();
+      const listed = await ReviewModel.listForRental(rental._id, { sort: 'newest', limit: MAX_REVIEWS_PER_SUMMARY });
+      if (!listed.success) {
+        return failure(listed);
+      }
+
+      const rentalModel = new RentalModel();
+      const reviews = listed.reviews.filter(review => review.comments?.trim());
+      if (reviews.length < this.minReviews) {
+        await rentalModel.saveReviewSummary(rental._id.toString(), { summary: null, highlights: [], readAt });
+        return { success: true, summarized: false };
+      }
+
+      const output = this.normalizeSummary(await this.generateSummary(rental, reviews), reviews.length);
+      const summary = {
+        ...output,
+        based_on_reviews: reviews.length,
+        total_reviews: listed.total,
+        latest_review_at: reviews[0].created_at,
+        model: this.model,
+        generated_at: new Date()
+      };
+      const highlights = this.buildHighlights(summary.aspects);
+
+      await rentalModel.saveReviewSummary(rental._id.toString(), { summary, highlights, readAt });
+      return { success: true, summarized: true, summary, highlights };
+    } catch (error) {
+      console.error('Error summarizing reviews:', error);
+      return { success: false, statusCode: 500, error: error.message };
+    }
+  }
+
+  // Summarize listings whose reviews changed, then reviewed listings never summarized.
+  // Concurrent calls share the pass that is already running.
+  async refresh({ limit = REVIEW_SUMMARY_BATCH_SIZE, rentalId = null, dryRun = false } = {}) {
+    return await this.job.run({ limit, rentalId, dryRun });
+  }
+
+  async runPass({ limit, rentalId, dryRun }) {
+    const stats = { checked: 0, summarized: 0, too_few_reviews: 0, failed: 0 };
+
+    try {
+      const rentals = await new RentalModel().findNeedingReviewSummary({ limit, rentalId });
+      stats.checked = rentals.length;
+      if (dryRun) {
+        return { success: true, dryRun, ...stats };
+      }
+
+      for (const rental of rentals) {
+        const result = await this.summarizeRental(rental);
+        if (!result.success) {
+          stats.failed++;
+          console.error(`Review summary failed for ${rental._id}:`, result.error);
+          await this.recordFailure(rental, result.error);
+        } else if (result.summarized) {
+          stats.summarized++;
+        } else {
+          stats.too_few_reviews++;
+        }
+      }
+
+      return { success: true, dryRun, ...stats };
+    } catch (error) {
+      console.error('Error refreshing review summaries:', error);
+      return { success: false, error: error.message, ...stats };
+    }
+  }
+
+  async recordFailure(rental, error, now = new Date()) {
+    const failures = (rental.review_summary_failures || 0) + 1;
+    const delay = Math.min(RETRY_BASE_MS * Math.pow(2, failures - 1), RETRY_MAX_MS);
+
+    try {
+      await new RentalModel().recordReviewSummaryFailure(rental._id.toString(), {
+        failures,
+        retryAt: new Date(now.getTime() + delay),
+        error
+      });
+    } catch (recordError) {
+      console.error(`Error recording review summary failure for ${rental._id}:`, recordError);
+    }
+  }
+
+  // Refresh summaries every REVIEW_SUMMARY_INTERVAL_MINUTES inside the server process
+  startSchedule() {
+    return this.job.start();
+  }
+
+  stopSchedule() {
+    this.job.stop();
+  }
+}
+
+export const reviewSummaryService = new ReviewSummaryService();
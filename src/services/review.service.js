@@ -0,0 +1,410 @@
+import { ReviewModel, REVIEW_ASPECTS, RATING_SCALE, ASPECT_SCALE } from '../models/review.js';
+import { RentalModel } from '../models/rental.js';
+import { BookingModel } from '../models/booking.js';
+import { AuthMiddleware } from '../middleware/auth.js';
+import { notificationService } from './notification.service.js';
+import { reviewSearchService } from './review-search.service.js';
+import { failure } from './service-helpers.js';
+
+// With REVIEWS_REQUIRE_STAY=true only guests with a completed stay can review a listing;
+// otherwise anyone signed in can, and reviews backed by a stay are marked verified
+const REVIEWS_REQUIRE_STAY = process.env.REVIEWS_REQUIRE_STAY === 'true';
+// Reports that hide a review until an admin has looked at it
+const REVIEW_FLAG_THRESHOLD = parseInt(process.env.REVIEW_FLAG_THRESHOLD) || 3;
+
+// Weighted average of the listing's imported score and the guests' ratings
+function combineScore(baselineScore, baselineCount, guestAverage, guestCount, scale) {
+  const baselineWeight = typeof baselineScore === 'number' ? baselineCount : 0;
+  const guestWeight = typeof guestAverage === 'number' ? guestCount : 0;
+  if (baselineWeight + guestWeight === 0) {
+    return null;
+  }
+
+  const baselineTotal = baselineWeight > 0 ? baselineScore * baselineWeight : 0;
+  const guestTotal = guestWeight > 0 ? guestAverage * scale * guestWeight : 0;
+  return (baselineTotal + guestTotal) / (baselineWeight + guestWeight);
+}
+
+// Reading and writing listing reviews: guest reviews, host replies, reports and
+// moderation. Every write recomputes the listing's review_scores and number_of_reviews,
+// which search filters such as min_rating run on, and keeps the review's searchable
+// chunks (review_chunks) in step with what guests can see.
+class ReviewService {
+  constructor({ requireStay = REVIEWS_REQUIRE_STAY, flagThreshold = REVIEW_FLAG_THRESHOLD } = {}) {
+    this.requireStay = requireStay;
+    this.flagThreshold = flagThreshold;
+  }
+
+  // A listing guests can see; drafts and unpublished listings are not found
+  async loadRental(rentalId) {
+    try {
+      const rental = await new RentalModel().findReviewStats(rentalId);
+      if (!rental || RentalModel.isHidden(rental)) {
+        return { success: false, statusCode: 404, error: 'Rental not found' };
+      }
+      return { success: true, rental };
+    } catch (error) {
+      return { success: false, statusCode: error.message.includes('Invalid') ? 400 : 500, error: error.message };
+    }
+  }
+
+  // Hosts can't review their own listings; they reply instead
+  isOwnListing(auth, rental) {
+    return auth?.role === 'host' && AuthMiddleware.canManageRental(auth, rental);
+  }
+
+  summarize(rental) {
+    const rating = rental.review_scores?.review_scores_rating;
+    return {
+      rating: typeof rating === 'number' ? Math.round(rating / RATING_SCALE * 10) / 10 : null,
+      count: rental.number_of_reviews || 0,
+      scores: rental.review_scores || {}
+    };
+  }
+
+  format(review, { auth = null, rental = null } = {}) {
+    const isAuthor = !!auth && review.user_id === auth.userId?.toString();
+    const reply = review.host_reply;
+
+    return {
+      id: review._id,
+      rating: review.rating,
+      scores: review.scores || {},
+      comments: review.comments,
+      reviewer_name: review.reviewer_name,
+      verified_stay: !!review.verified_stay,
+      imported: !!review.imported,
+      host_reply: reply
+        ? { text: reply.text, author_name: reply.author_name, created_at: reply.created_at, updated_at: reply.updated_at }
+        : null,
+      created_at: review.created_at,
+      is_mine: isAuthor,
+      can_delete: isAuthor || auth?.role === 'admin',
+      can_flag: !!auth && !isAuthor,
+      can_reply: !!auth && !!rental && AuthMiddleware.canManageRental(auth, rental)
+    };
+  }
+
+  // Recompute a listing's review_scores and number_of_reviews from its published guest
+  // reviews and the imported scores (kept in review_baseline the first time this runs)
+  async recomputeScores(rentalId, { reviewedAt = null } = {}) {
+    try {
+      const rentalModel = new RentalModel();
+      const rental = await rentalModel.ensureReviewBaseline(rentalId.toString());
+      if (!rental) {
+        return { success: false, statusCode: 404, error: 'Rental not found' };
+      }
+
+      const totals = await ReviewModel.getRentalTotals(rental._id);
+      if (!totals.success) {
+        return failure(totals);
+      }
+
+      const baseline = rental.review_baseline || { count: 0, scores: {} };
+      const guest = totals.guest || { count: 0, rated: 0, rating: null };
+
+      const reviewScores = {};
+      const rating = combineScore(baseline.scores?.review_scores_rating, baseline.count, guest.rating, guest.rated, RATING_SCALE);
+      if (rating !== null) {
+        reviewScores.review_scores_rating = Math.round(rating);
+      }
+      for (const aspect of REVIEW_ASPECTS) {
+        const field = `review_scores_${aspect}`;
+        const score = combineScore(baseline.scores?.[field], baseline.count, guest[aspect], guest[`${aspect}_count`], ASPECT_SCALE);
+        if (score !== null) {
+          reviewScores[field] = Math.round(score * 10) / 10;
+        }
+      }
+
+      const numberOfReviews = Math.max(baseline.count - totals.hiddenImported, 0) + guest.count;
+      await rentalModel.updateReviewStats(rental._id.toString(), { numberOfReviews, reviewScores, reviewedAt });
+
+      return {
+        success: true,
+        summary: this.summarize({ ...rental, number_of_reviews: numberOfReviews, review_scores: reviewScores })
+      };
+    } catch (error) {
+      console.error('Error recomputing review scores:', error);
+      return { success: false, statusCode: 500, error: error.message };
+    }
+  }
+
+  async listReviews(rentalId, { sort = 'newest', page = 1, limit = 10 } = {}, auth = null) {
+    const loaded = await this.loadRental(rentalId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const { rental } = loaded;
+    const skip = (page - 1) * limit;
+    const result = await ReviewModel.listForRental(rental._id, { sort, limit, skip });
+    if (!result.success) {
+      return failure(result);
+    }
+
+    return {
+      success: true,
+      reviews: result.reviews.map(review => this.format(review, { auth, rental })),
+      summary: this.summarize(rental),
+      pagination: {
+        total: result.total,
+        limit,
+        skip,
+        page,
+        totalPages: Math.ceil(result.total / limit),
+        hasMore: skip + limit < result.total
+      },
+      viewer: {
+        can_review: !!auth && !this.isOwnListing(auth, rental),
+        can_reply: !!auth && AuthMiddleware.canManageRental(auth, rental),
+        requires_stay: this.requireStay
+      }
+    };
+  }
+
+  async createReview(rentalId, auth, { rating, scores = {}, comments }) {
+    const loaded = await this.loadRental(rentalId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const { rental } = loaded;
+    if (this.isOwnListing(auth, rental)) {
+      return { success: false, statusCode: 403, error: "You can't review your own listing" };
+    }
+
+    const text = comments.trim();
+    if (!text) {
+      return { success: false, statusCode: 400, error: 'Write a few words about your stay' };
+    }
+
+    const stay = await BookingModel.findCompletedStay(rental._id, auth.userId.toString());
+    if (!stay.success) {
+      return failure(stay);
+    }
+    if (this.requireStay && !stay.booking) {
+      return { success: false, statusCode: 403, error: 'You can review this rental after a completed stay' };
+    }
+
+    const created = await ReviewModel.create({
+      rental_id: rental._id,
+      user_id: auth.userId,
+      reviewer_name: auth.username,
+      booking_id: stay.booking ? stay.booking._id.toString() : null,
+      rating,
+      scores: Object.fromEntries(REVIEW_ASPECTS.filter(aspect => scores[aspect] !== undefined).map(aspect => [aspect, scores[aspect]])),
+      comments: text
+    });
+    if (!created.success) {
+      return failure(created);
+    }
+
+    const recomputed = await this.recomputeScores(rental._id, { reviewedAt: created.review.created_at });
+    await reviewSearchService.indexReview(created.review);
+
+    return {
+      success: true,
+      review: this.format(created.review, { auth, rental }),
+      summary: recomputed.success ? recomputed.summary : this.summarize(rental)
+    };
+  }
+
+  // Authors can delete their reviews, admins any review
+  async deleteReview(rentalId, reviewId, auth) {
+    const loaded = await this.loadRental(rentalId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const { rental } = loaded;
+    const existing = await ReviewModel.getById(rental._id, reviewId);
+    if (!existing.success) {
+      return failure(existing);
+    }
+    if (existing.review.user_id !== auth.userId.toString() && auth.role !== 'admin') {
+      return { success: false, statusCode: 403, error: 'You can only delete your own reviews' };
+    }
+
+    const deleted = await ReviewModel.delete(rental._id, reviewId);
+    if (!deleted.success) {
+      return failure(deleted);
+    }
+
+    const recomputed = await this.recomputeScores(rental._id);
+    await reviewSearchService.removeReviews([existing.review._id]);
+    return { success: true, summary: recomputed.success ? recomputed.summary : this.summarize(rental) };
+  }
+
+  // The listing's host (or an admin) answers a review; the reviewer is notified of the first reply
+  async replyToReview(rentalId, reviewId, auth, text) {
+    const loaded = await this.loadRental(rentalId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const { rental } = loaded;
+    if (!AuthMiddleware.canManageRental(auth, rental)) {
+      return { success: false, statusCode: 403, error: 'Only the host of this listing can reply to its reviews' };
+    }
+
+    const replyText = text.trim();
+    if (!replyText) {
+      return { success: false, statusCode: 400, error: 'Reply text is required' };
+    }
+
+    const existing = await ReviewModel.getById(rental._id, reviewId);
+    if (!existing.success) {
+      return failure(existing);
+    }
+
+    const now = new Date();
+    const previous = existing.review.host_reply;
+    const updated = await ReviewModel.setHostReply(rental._id, reviewId, {
+      text: replyText,
+      author_id: auth.userId.toString(),
+      author_name: rental.host?.host_name || auth.username,
+      created_at: previous?.created_at || now,
+      updated_at: now
+    });
+    if (!updated.success) {
+      return failure(updated);
+    }
+
+    if (!previous && updated.review.user_id) {
+      await notificationService.notify(updated.review.user_id, {
+        type: 'review_reply',
+        title: `The host replied to your review of ${rental.name}`,
+        body: replyText.length > 280 ? `${replyText.slice(0, 277)}...` : replyText,
+        data: { review_id: updated.review._id.toString(), rental_id: rental._id.toString() },
+        link: `/?reviews=${rental._id}`
+      });
+    }
+
+    return { success: true, review: this.format(updated.review, { auth, rental }) };
+  }
+
+  async deleteReply(rentalId, reviewId, auth) {
+    const loaded = await this.loadRental(rentalId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const { rental } = loaded;
+    if (!AuthMiddleware.canManageRental(auth, rental)) {
+      return { success: false, statusCode: 403, error: 'Only the host of this listing can remove replies to its reviews' };
+    }
+
+    const updated = await ReviewModel.setHostReply(rental._id, reviewId, null);
+    return updated.success
+      ? { success: true, review: this.format(updated.review, { auth, rental }) }
+      : failure(updated);
+  }
+
+  // Report a review. Enough reports hide it until an admin approves or removes it.
+  async flagReview(rentalId, reviewId, auth, { reason, details = '' }) {
+    const loaded = await this.loadRental(rentalId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const { rental } = loaded;
+    const existing = await ReviewModel.getById(rental._id, reviewId);
+    if (!existing.success) {
+      return failure(existing);
+    }
+    if (existing.review.user_id === auth.userId.toString()) {
+      return { success: false, statusCode: 400, error: "You can't report your own review" };
+    }
+
+    const flagged = await ReviewModel.addFlag(rental._id, reviewId, {
+      userId: auth.userId,
+      reason,
+      details: details.trim()
+    }, this.flagThreshold);
+    if (!flagged.success) {
+      return failure(flagged);
+    }
+
+    const hidden = existing.review.status === 'published' && flagged.review.status === 'flagged';
+    if (hidden) {
+      await this.recomputeScores(rental._id);
+      await reviewSearchService.removeReviews([flagged.review._id]);
+    }
+
+    return { success: true, hidden };
+  }
+
+  formatForModeration(review) {
+    return {
+      ...this.format(review),
+      rental_id: review.rental_id,
+      status: review.status,
+      flags: (review.flags || []).map(({ reason, details, created_at }) => ({ reason, details, created_at }))
+    };
+  }
+
+  async listFlagged({ page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+    const result = await ReviewModel.listFlagged({ limit, skip });
+    if (!result.success) {
+      return failure(result);
+    }
+
+    return {
+      success: true,
+      reviews: result.reviews.map(review => this.formatForModeration(review)),
+      pagination: {
+        total: result.total,
+        limit,
+        skip,
+        page,
+        totalPages: Math.ceil(result.total / limit),
+        hasMore: skip + limit < result.total
+      }
+    };
+  }
+
+  // approve: publish again and clear the reports; remove: hide for good
+  async moderateReview(reviewId, action, auth) {
+    const status = action === 'approve' ? 'published' : 'removed';
+    const result = await ReviewModel.moderate(reviewId, { status, moderatorId: auth.userId });
+    if (!result.success) {
+      return failure(result);
+    }
+
+    await this.recomputeScores(result.review.rental_id);
+    await reviewSearchService.indexReview(result.review);
+    return { success: true, review: this.formatForModeration(result.review) };
+  }
+
+  async exportForUser(userId) {
+    const result = await ReviewModel.listForUser(userId);
+    if (!result.success) {
+      return failure(result);
+    }
+
+    return {
+      success: true,
+      reviews: result.reviews.map(({ rental_id, rating, scores, comments, status, host_reply, created_at }) => ({
+        rental_id, rating, scores, comments, status, host_reply: host_reply?.text || null, created_at
+      }))
+    };
+  }
+
+  // Delete a user's reviews and their chunks, and recompute the scores of the listings they were on
+  async deleteForUser(userId) {
+    const result = await ReviewModel.deleteForUser(userId);
+    if (!result.success) {
+      return failure(result);
+    }
+
+    for (const rentalId of result.rentalIds) {
+      await this.recomputeScores(rentalId);
+    }
+    await reviewSearchService.removeReviews(result.reviewIds);
+
+    return { success: true, deletedCount: result.deletedCount };
+  }
+}
+
+export const reviewService = new ReviewService();
@@ -0,0 +1,45 @@
+// A background job the server runs every `intervalMinutes` (0 leaves the schedule off, for
+// running the job's script from cron instead). `run(options)` does one pass and resolves to
+// { success, error, ... }; `report(result)` logs what a scheduled pass did.
+export class ScheduledJob {
+  constructor({ name, intervalMinutes, run, report = () => {} }) {
+    this.name = name;
+    this.intervalMinutes = intervalMinutes;
+    this.runPass = run;
+    this.report = report;
+    this.currentRun = null;
+    this.timer = null;
+  }
+
+  // One pass of the job. Concurrent calls share the pass that is already running.
+  async run(options = {}) {
+    if (!this.currentRun) {
+      this.currentRun = this.runPass(options).finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return await this.currentRun;
+  }
+
+  // Returns false when the schedule is off or already running
+  start() {
+    if (!this.intervalMinutes || this.timer) return false;
+
+    this.timer = setInterval(async () => {
+      const result = await this.run();
+      if (!result.success) {
+        console.error(`${this.name} failed:`, result.error);
+      } else {
+        this.report(result);
+      }
+    }, this.intervalMinutes * 60 * 1000);
+    this.timer.unref?.();
+
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
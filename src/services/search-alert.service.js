@@ -0,0 +1,453 @@
+import { SavedSearchModel, SAVED_SEARCH_FILTERS, SAVED_SEARCH_LIMITS } from '../models/saved-search.js';
+import { WishlistModel } from '../models/wishlist.js';
+import { UserModel } from '../models/user.js';
+import { RentalModel } from '../models/rental.js';
+import { vectorSearchService } from './vector-search.service.js';
+import { geoService } from './geo.service.js';
+import { quoteService } from './quote.service.js';
+import { wishlistService } from './wishlist.service.js';
+import { notificationService } from './notification.service.js';
+import { failure, plural } from './service-helpers.js';
+import { ScheduledJob } from './scheduled-job.js';
+
+// How often each saved search runs and saved rentals are checked for price drops.
+// The server checks for due work this often too; 0 turns the built-in schedule off
+// (run `bun run alerts:run` from cron instead).
+export const ALERTS_INTERVAL_MINUTES = parseInt(process.env.ALERTS_INTERVAL_MINUTES ?? '60') || 0;
+
+// Matches compared per run: the top hybrid search results, or the cheapest filter matches
+const QUERY_MATCH_LIMIT = 50;
+const FILTER_MATCH_LIMIT = 200;
+// Listings named in one alert; the rest are summed up
+const RENTALS_PER_ALERT = 10;
+
+const BOOLEAN_FILTERS = ['superhost_only', 'instant_bookable'];
+
+function parsePrice(value) {
+  return quoteService.parseAmount(value) || null;
+}
+
+function describeRental(rental) {
+  const price = rental.previous_price
+    ? `$${rental.previous_price} → $${rental.price}`
+    : rental.price ? `$${rental.price}` : 'price on request';
+  return `- ${rental.name || 'Unnamed listing'}: ${price}/night`;
+}
+
+function describeRentals(rentals) {
+  const lines = rentals.slice(0, RENTALS_PER_ALERT).map(describeRental);
+  if (rentals.length > RENTALS_PER_ALERT) {
+    lines.push(`...and ${rentals.length - RENTALS_PER_ALERT} more`);
+  }
+  return lines;
+}
+
+// Saved searches that alert on new and re-priced listings, and price drop alerts for
+// saved rentals. runDue() does one pass of both; the server calls it on a schedule.
+class SearchAlertService {
+  constructor() {
+    this.job = new ScheduledJob({
+      name: 'Alerts job',
+      intervalMinutes: ALERTS_INTERVAL_MINUTES,
+      run: ({ now = new Date() }) => this.runPass(now),
+      report: (result) => {
+        if (result.searches.alerts > 0 || result.price_drops.alerts > 0) {
+          console.log(`🔔 Alerts job: ${plural(result.searches.alerts, 'search alert')}, ${plural(result.price_drops.alerts, 'price drop alert')}`);
+        }
+      }
+    });
+  }
+
+  // Keep the known search filters as query-param strings, the shape buildSearchQuery and
+  // hybridSearch expect. Returns { filters } or { error }.
+  normalizeFilters(input = {}) {
+    const filters = {};
+
+    for (const key of SAVED_SEARCH_FILTERS) {
+      let value = input[key];
+      if (value === undefined || value === null || value === '' || value === false) continue;
+      if (BOOLEAN_FILTERS.includes(key)) {
+        if (value === true || value === 'true') filters[key] = 'true';
+        continue;
+      }
+      filters[key] = value.toString().trim();
+    }
+
+    const { error } = geoService.parseGeoParams(filters);
+    return error ? { error } : { filters };
+  }
+
+  // Listings that match a saved search right now: [{ rental_id, name, price }]
+  async findMatches({ query, filters = {} }) {
+    let rentals;
+    if (query) {
+      rentals = await vectorSearchService.hybridSearch(query, filters, QUERY_MATCH_LIMIT);
+    } else {
+      const { near, radius_km, bbox, ...otherFilters } = filters;
+      const { geo } = geoService.parseGeoParams({ near, radius_km, bbox });
+      const result = await new RentalModel().findMany(
+        RentalModel.buildSearchQuery({ ...otherFilters, geo }),
+        { limit: FILTER_MATCH_LIMIT, sort: { price: 1 } }
+      );
+      rentals = result.data;
+    }
+
+    return rentals.map(rental => ({
+      rental_id: rental._id.toString(),
+      name: rental.name,
+      price: parsePrice(rental.price)
+    }));
+  }
+
+  // Compare matches with the listings seen before. Listings that drop out of the results
+  // stay known for a while, so one that comes back isn't announced as new again; after
+  // SAVED_SEARCH_LIMITS.knownMissedRuns runs without it, it is forgotten.
+  diffMatches(known, matches) {
+    const previous = new Map(known.map(entry => [entry.rental_id, entry.price]));
+    const added = [];
+    const repriced = [];
+
+    for (const match of matches) {
+      if (!previous.has(match.rental_id)) {
+        added.push(match);
+        continue;
+      }
+
+      const previousPrice = previous.get(match.rental_id);
+      if (match.price !== null && previousPrice !== null && match.price !== previousPrice) {
+        repriced.push({ ...match, previous_price: previousPrice });
+      }
+    }
+
+    const matchedIds = new Set(matches.map(match => match.rental_id));
+    const nextKnown = [
+      ...known
+        .filter(entry => !matchedIds.has(entry.rental_id))
+        .map(entry => ({ ...entry, missed: (entry.missed || 0) + 1 }))
+        .filter(entry => entry.missed <= SAVED_SEARCH_LIMITS.knownMissedRuns),
+      ...matches.map(({ rental_id, price }) => ({ rental_id, price, missed: 0 }))
+    ];
+
+    return { added, repriced, known: nextKnown };
+  }
+
+  buildSearchAlert(search, added, repriced) {
+    const summary = [
+      added.length > 0 ? plural(added.length, 'new listing') : null,
+      repriced.length > 0 ? plural(repriced.length, 'price change') : null
+    ].filter(Boolean).join(' and ');
+
+    return {
+      type: 'search_alert',
+      title: `${summary} for "${search.name}"`,
+      body: [
+        ...(added.length > 0 ? ['New listings:', ...describeRentals(added)] : []),
+        ...(added.length > 0 && repriced.length > 0 ? [''] : []),
+        ...(repriced.length > 0 ? ['New prices:', ...describeRentals(repriced)] : [])
+      ].join('\n'),
+      data: {
+        saved_search_id: search._id.toString(),
+        new: added,
+        repriced
+      },
+      link: `/?saved_search=${search._id}`
+    };
+  }
+
+  buildPriceDropAlert(drops) {
+    const title = drops.length === 1
+      ? `Price drop: ${drops[0].name || 'a saved rental'} is now $${drops[0].price}/night`
+      : `${plural(drops.length, 'saved rental')} dropped in price`;
+
+    return {
+      type: 'price_drop',
+      title,
+      body: describeRentals(drops).join('\n'),
+      data: { rentals: drops },
+      link: '/?tab=saved'
+    };
+  }
+
+  // Run one saved search and send an alert for what changed. The first run of a search
+  // only records what it matches.
+  async runSearch(search) {
+    let matches;
+    try {
+      matches = await this.findMatches(search);
+    } catch (error) {
+      console.error(`Error running saved search ${search._id}:`, error.message);
+      await SavedSearchModel.recordRun(search._id, { result: { error: error.message } });
+      return { success: false, error: error.message };
+    }
+
+    const { added, repriced, known } = this.diffMatches(search.known || [], matches);
+    const isFirstRun = !search.last_run_at;
+
+    let notified = false;
+    if (!isFirstRun && (added.length > 0 || repriced.length > 0)) {
+      const sent = await notificationService.notify(search.user_id, this.buildSearchAlert(search, added, repriced));
+      notified = sent.success && sent.deliveries.some(delivery => delivery.success);
+    }
+
+    const result = {
+      matched: matches.length,
+      new_count: isFirstRun ? 0 : added.length,
+      repriced_count: isFirstRun ? 0 : repriced.length,
+      notified,
+      error: null
+    };
+    await SavedSearchModel.recordRun(search._id, { known, result });
+
+    return { success: true, ...result };
+  }
+
+  // Compare every saved rental's price with the one seen last time and tell the owners
+  // of the lists it's in when it went down
+  async checkPriceDrops() {
+    const watched = await WishlistModel.getWatchedRentals();
+    if (!watched.success) {
+      return { success: false, error: watched.error };
+    }
+
+    const rentals = await wishlistService.loadRentals(watched.rentals.map(entry => entry.rental_id));
+    const dropsByOwner = new Map();
+
+    for (const entry of watched.rentals) {
+      const rental = rentals.get(entry.rental_id);
+      const price = rental ? parsePrice(rental.price) : null;
+      if (price === null) continue;
+
+      for (const owner of entry.owners) {
+        if (typeof owner.price_seen === 'number' && price < owner.price_seen) {
+          if (!dropsByOwner.has(owner.owner_id)) dropsByOwner.set(owner.owner_id, []);
+          dropsByOwner.get(owner.owner_id).push({
+            rental_id: entry.rental_id,
+            name: rental.name,
+            price,
+            previous_price: owner.price_seen
+          });
+        }
+      }
+
+      // Later drops are measured from today's price, up or down
+      if (entry.owners.some(owner => owner.price_seen !== price)) {
+        await WishlistModel.setPriceSeen(entry.rental_id, price);
+      }
+    }
+
+    let notified = 0;
+    for (const [ownerId, drops] of dropsByOwner) {
+      const owner = await UserModel.getUserById(ownerId);
+      if (!owner.success || !notificationService.getSettings(owner.user).price_drops) continue;
+
+      const sent = await notificationService.notify(ownerId, this.buildPriceDropAlert(drops));
+      if (sent.success) notified++;
+    }
+
+    return {
+      success: true,
+      checked: watched.rentals.length,
+      drops: [...dropsByOwner.values()].reduce((total, drops) => total + drops.length, 0),
+      notified
+    };
+  }
+
+  // One pass of the alerts job: every saved search that is due, then saved rental prices.
+  // Concurrent calls share the pass that is already running.
+  async runDue({ now = new Date() } = {}) {
+    return await this.job.run({ now });
+  }
+
+  async runPass(now) {
+    const intervalMs = (ALERTS_INTERVAL_MINUTES || 60) * 60 * 1000;
+    const searches = { run: 0, failed: 0, alerts: 0 };
+
+    for (;;) {
+      const claimed = await SavedSearchModel.claimDue(now, intervalMs);
+      if (!claimed.success) {
+        return { success: false, error: claimed.error };
+      }
+      if (!claimed.search) break;
+
+      const result = await this.runSearch(claimed.search);
+      searches.run++;
+      if (!result.success) searches.failed++;
+      if (result.notified) searches.alerts++;
+    }
+
+    const priceDrops = await this.checkPriceDrops();
+    if (!priceDrops.success) {
+      return { success: false, error: priceDrops.error, searches };
+    }
+
+    return {
+      success: true,
+      searches,
+      price_drops: { checked: priceDrops.checked, drops: priceDrops.drops, alerts: priceDrops.notified }
+    };
+  }
+
+  // Run the alerts job every ALERTS_INTERVAL_MINUTES inside the server process
+  startSchedule() {
+    return this.job.start();
+  }
+
+  stopSchedule() {
+    this.job.stop();
+  }
+
+  formatSearch(search) {
+    return {
+      id: search._id,
+      name: search.name,
+      query: search.query,
+      filters: search.filters,
+      enabled: search.enabled,
+      last_run_at: search.last_run_at,
+      next_run_at: search.next_run_at,
+      last_result: search.last_result,
+      created_at: search.created_at,
+      updated_at: search.updated_at
+    };
+  }
+
+  // Check and normalize a saved search's name, query and filters (for create and update)
+  validateCriteria({ query, filters }) {
+    const normalizedQuery = query !== undefined ? (query?.trim() || null) : undefined;
+    const normalized = filters !== undefined ? this.normalizeFilters(filters) : { filters: undefined };
+    if (normalized.error) {
+      return { success: false, statusCode: 400, error: normalized.error };
+    }
+
+    return { success: true, query: normalizedQuery, filters: normalized.filters };
+  }
+
+  async listSearches(userId) {
+    const result = await SavedSearchModel.listForUser(userId);
+    return result.success
+      ? { success: true, searches: result.searches.map(search => this.formatSearch(search)) }
+      : failure(result);
+  }
+
+  async getSearch(userId, searchId) {
+    const result = await SavedSearchModel.getById(userId, searchId);
+    return result.success ? { success: true, search: this.formatSearch(result.search) } : failure(result);
+  }
+
+  // Save a search. Its current matches are recorded right away, so the first alert only
+  // has listings that appear after saving.
+  async createSearch(userId, { name, query, filters = {} }) {
+    const criteria = this.validateCriteria({ query: query ?? null, filters });
+    if (!criteria.success) {
+      return criteria;
+    }
+    if (!criteria.query && Object.keys(criteria.filters).length === 0) {
+      return { success: false, statusCode: 400, error: 'A saved search needs a query or at least one filter' };
+    }
+
+    let known = [];
+    try {
+      known = (await this.findMatches(criteria)).map(({ rental_id, price }) => ({ rental_id, price }));
+    } catch (error) {
+      // The first scheduled run records the matches instead
+      console.warn(`Could not record matches for new saved search "${name}":`, error.message);
+    }
+
+    const created = await SavedSearchModel.create(userId, {
+      name: name.trim(),
+      query: criteria.query,
+      filters: criteria.filters,
+      known,
+      nextRunAt: new Date(Date.now() + (ALERTS_INTERVAL_MINUTES || 60) * 60 * 1000)
+    });
+    if (!created.success) {
+      return failure(created, 400);
+    }
+
+    return { success: true, search: this.formatSearch(created.search), matched: known.length };
+  }
+
+  // Changing the query or filters starts over: the next run only records what matches
+  async updateSearch(userId, searchId, { name, query, filters, enabled }) {
+    const existing = await SavedSearchModel.getById(userId, searchId);
+    if (!existing.success) {
+      return failure(existing);
+    }
+
+    const criteria = this.validateCriteria({ query, filters });
+    if (!criteria.success) {
+      return criteria;
+    }
+
+    const nextQuery = criteria.query !== undefined ? criteria.query : existing.search.query;
+    const nextFilters = criteria.filters !== undefined ? criteria.filters : existing.search.filters;
+    if (!nextQuery && Object.keys(nextFilters).length === 0) {
+      return { success: false, statusCode: 400, error: 'A saved search needs a query or at least one filter' };
+    }
+
+    const updates = {};
+    if (name !== undefined) updates.name = name.trim();
+    if (enabled !== undefined) updates.enabled = enabled;
+    if (criteria.query !== undefined || criteria.filters !== undefined) {
+      Object.assign(updates, {
+        query: nextQuery,
+        filters: nextFilters,
+        known: [],
+        last_run_at: null,
+        last_result: null,
+        next_run_at: new Date()
+      });
+    }
+
+    const updated = await SavedSearchModel.update(userId, searchId, updates);
+    return updated.success ? { success: true, search: this.formatSearch(updated.search) } : failure(updated);
+  }
+
+  async deleteSearch(userId, searchId) {
+    const result = await SavedSearchModel.delete(userId, searchId);
+    return result.success ? { success: true } : failure(result);
+  }
+
+  // What the saved search matches right now, without sending anything
+  async previewSearch(userId, searchId) {
+    const existing = await SavedSearchModel.getById(userId, searchId);
+    if (!existing.success) {
+      return failure(existing);
+    }
+
+    try {
+      const matches = await this.findMatches(existing.search);
+      const known = new Set((existing.search.known || []).map(entry => entry.rental_id));
+      return {
+        success: true,
+        matches: matches.map(match => ({ ...match, is_new: !known.has(match.rental_id) }))
+      };
+    } catch (error) {
+      return { success: false, statusCode: 500, error: error.message };
+    }
+  }
+
+  // Recent searches from the chat assistant (profile.search_history) that could be saved
+  async getSuggestions(userId) {
+    const result = await UserModel.getUserById(userId);
+    if (!result.success) {
+      return { success: false, statusCode: result.error === 'User not found' ? 404 : 500, error: result.error };
+    }
+
+    const seen = new Set();
+    const suggestions = [];
+    for (const entry of [...(result.user.profile?.search_history || [])].reverse()) {
+      const key = entry.query?.trim().toLowerCase();
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+
+      const { filters = {} } = this.normalizeFilters(entry.filters || {});
+      suggestions.push({ query: entry.query, filters, searched_at: entry.timestamp });
+      if (suggestions.length === 10) break;
+    }
+
+    return { success: true, suggestions };
+  }
+}
+
+export const searchAlertService = new SearchAlertService();
@@ -0,0 +1,185 @@
+// Search strategies that can be evaluated, keyed by the name used on the command line.
+// The search service is passed in so metrics and diffs work without a database connection.
+// `keyword` is the regex search hybrid search replaced, kept as the baseline.
+const STRATEGIES = {
+  keyword: (searchService, query, filters, limit) => searchService.traditionalSearch(query, filters, limit),
+  vector: (searchService, query, filters, limit, options) => searchService.vectorSearch(query, filters, limit, options),
+  text: (searchService, query, filters, limit) => searchService.fullTextSearch(query, filters, limit),
+  hybrid: (searchService, query, filters, limit, options) => searchService.hybridSearch(query, filters, limit, options)
+};
+
+const METRICS = ['ndcg', 'recall', 'mrr'];
+
+class SearchEvaluationService {
+  getStrategyNames() {
+    return Object.keys(STRATEGIES);
+  }
+
+  // nDCG@k with graded relevance: gain is 2^grade - 1, discounted by log2(rank + 1)
+  ndcgAtK(resultIds, relevance, k) {
+    const dcg = (grades) => grades
+      .slice(0, k)
+      .reduce((sum, grade, index) => sum + (Math.pow(2, grade) - 1) / Math.log2(index + 2), 0);
+
+    const ideal = dcg(Object.values(relevance).sort((a, b) => b - a));
+    if (ideal === 0) return 0;
+
+    return dcg(resultIds.map(id => relevance[id] || 0)) / ideal;
+  }
+
+  // Share of relevant listings (grade > 0) found in the top k
+  recallAtK(resultIds, relevance, k) {
+    const relevantIds = Object.keys(relevance).filter(id => relevance[id] > 0);
+    if (relevantIds.length === 0) return 0;
+
+    const topK = new Set(resultIds.slice(0, k));
+    return relevantIds.filter(id => topK.has(id)).length / relevantIds.length;
+  }
+
+  // Reciprocal rank of the first relevant listing in the top k (0 if none)
+  reciprocalRank(resultIds, relevance, k) {
+    const index = resultIds.slice(0, k).findIndex(id => (relevance[id] || 0) > 0);
+    return index === -1 ? 0 : 1 / (index + 1);
+  }
+
+  scoreQuery(resultIds, relevance, k) {
+    return {
+      ndcg: this.ndcgAtK(resultIds, relevance, k),
+      recall: this.recallAtK(resultIds, relevance, k),
+      mrr: this.reciprocalRank(resultIds, relevance, k)
+    };
+  }
+
+  averageMetrics(queryResults) {
+    return METRICS.reduce((acc, metric) => {
+      const total = queryResults.reduce((sum, result) => sum + result[metric], 0);
+      acc[metric] = queryResults.length > 0 ? total / queryResults.length : 0;
+      return acc;
+    }, {});
+  }
+
+  // Validate the queries file: { k?, queries: [{ id, query, filters?, relevant: { listingId: grade } }] }
+  validateQuerySet(querySet) {
+    if (!querySet || !Array.isArray(querySet.queries) || querySet.queries.length === 0) {
+      return 'Query file must contain a non-empty "queries" array';
+    }
+
+    for (const [index, entry] of querySet.queries.entries()) {
+      if (!entry.query || typeof entry.query !== 'string') {
+        return `Query #${index + 1} is missing a "query" string`;
+      }
+      if (!entry.relevant || typeof entry.relevant !== 'object' || Object.keys(entry.relevant).length === 0) {
+        return `Query "${entry.id || entry.query}" needs a "relevant" map of listing IDs to grades`;
+      }
+    }
+
+    return null;
+  }
+
+  // Run every query through each strategy of the given search service and score the results.
+  // bypassCache skips the query embedding cache so runs measure the provider itself.
+  async runEvaluation(querySet, searchService, { k = querySet.k || 10, strategies = this.getStrategyNames(), bypassCache = false } = {}) {
+    const validationError = this.validateQuerySet(querySet);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const unknown = strategies.filter(name => !STRATEGIES[name]);
+    if (unknown.length > 0) {
+      return { success: false, error: `Unknown strategies: ${unknown.join(', ')}` };
+    }
+
+    try {
+      const run = {
+        created_at: new Date().toISOString(),
+        k,
+        embedding: {
+          provider: searchService.embeddingProvider.name,
+          model: searchService.embeddingProvider.model,
+          dimensions: searchService.embeddingProvider.dimensions
+        },
+        query_count: querySet.queries.length,
+        strategies: {}
+      };
+
+      for (const name of strategies) {
+        const queryResults = [];
+
+        for (const [index, entry] of querySet.queries.entries()) {
+          const relevance = Object.fromEntries(
+            Object.entries(entry.relevant).map(([id, grade]) => [id.toString(), Number(grade)])
+          );
+          const results = await STRATEGIES[name](searchService, entry.query, entry.filters || {}, k, { bypassCache });
+          const resultIds = results.map(result => result._id.toString());
+
+          queryResults.push({
+            id: entry.id || `q${index + 1}`,
+            query: entry.query,
+            ...this.scoreQuery(resultIds, relevance, k),
+            results: resultIds
+          });
+        }
+
+        run.strategies[name] = {
+          mean: this.averageMetrics(queryResults),
+          queries: queryResults
+        };
+      }
+
+      return { success: true, run };
+    } catch (error) {
+      console.error('Error running search evaluation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Compare two evaluation runs: mean deltas per strategy plus the queries that moved
+  diffRuns(baseline, candidate) {
+    const strategies = Object.keys(candidate.strategies || {})
+      .filter(name => baseline.strategies?.[name]);
+
+    const diff = {
+      baseline: baseline.created_at,
+      candidate: candidate.created_at,
+      k: candidate.k,
+      strategies: {}
+    };
+
+    if (baseline.k !== candidate.k) {
+      diff.warning = `Runs used different k (${baseline.k} vs ${candidate.k})`;
+    }
+
+    for (const name of strategies) {
+      const before = baseline.strategies[name];
+      const after = candidate.strategies[name];
+      const beforeQueries = new Map(before.queries.map(query => [query.id, query]));
+
+      const mean = METRICS.reduce((acc, metric) => {
+        acc[metric] = {
+          baseline: before.mean[metric],
+          candidate: after.mean[metric],
+          delta: after.mean[metric] - before.mean[metric]
+        };
+        return acc;
+      }, {});
+
+      const changedQueries = after.queries
+        .filter(query => beforeQueries.has(query.id))
+        .map(query => ({
+          id: query.id,
+          query: query.query,
+          ndcg_delta: query.ndcg - beforeQueries.get(query.id).ndcg,
+          recall_delta: query.recall - beforeQueries.get(query.id).recall,
+          mrr_delta: query.mrr - beforeQueries.get(query.id).mrr
+        }))
+        .filter(query => METRICS.some(metric => Math.abs(query[`${metric}_delta`]) > 1e-9))
+        .sort((a, b) => Math.abs(b.ndcg_delta) - Math.abs(a.ndcg_delta));
+
+      diff.strategies[name] = { mean, changed_queries: changedQueries };
+    }
+
+    return diff;
+  }
+}
+
+export const searchEvaluationService = new SearchEvaluationService();
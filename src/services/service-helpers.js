@@ -0,0 +1,23 @@
+import { createHash } from 'crypto';
+
+// Helpers shared by the services
+
+// A failed model result ({ success, error, notFound, conflict, duplicate }) as the
+// { success, statusCode, error } result routes send back: missing records are 404, clashes 409
+export function failure(result, statusCode = 500) {
+  return {
+    success: false,
+    statusCode: result.notFound ? 404 : result.conflict || result.duplicate ? 409 : statusCode,
+    error: result.error
+  };
+}
+
+// "1 listing", "3 listings"
+export function plural(count, word) {
+  return `${count} ${word}${count !== 1 ? 's' : ''}`;
+}
+
+// Hash of the text an embedding was built from, to tell when it needs rebuilding
+export function computeSourceHash(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
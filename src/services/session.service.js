@@ -0,0 +1,84 @@
+import jwt from 'jsonwebtoken';
+import { SessionModel } from '../models/session.js';
+import { UserModel } from '../models/user.js';
+import { AuthMiddleware } from '../middleware/auth.js';
+import { getClientIp } from '../middleware/rate-limit.js';
+
+// Issues access + refresh token pairs and handles refresh, logout and logout-everywhere
+class SessionService {
+  // Device details stored with a session so users can recognise it later. The IP is
+  // resolved like the rate limiter's, so proxy headers only count behind TRUST_PROXY.
+  getClientInfo(headers = {}, request = null, server = null) {
+    const ip = getClientIp(headers, request, server);
+    return {
+      userAgent: headers['user-agent'] || null,
+      ip: ip === 'unknown' ? null : ip
+    };
+  }
+
+  buildTokenResponse(user, refreshToken, sessionId) {
+    const token = AuthMiddleware.generateToken(user._id, user.username, UserModel.getRole(user), sessionId);
+    const { exp, iat } = jwt.decode(token);
+
+    return {
+      token,
+      refresh_token: refreshToken,
+      expires_in: exp - iat
+    };
+  }
+
+  // Start a new session for a user who just logged in or registered
+  async issueTokens(user, client = {}) {
+    const session = await SessionModel.createSession(user._id, client);
+    if (!session.success) {
+      return { success: false, statusCode: 500, error: session.error };
+    }
+
+    return { success: true, ...this.buildTokenResponse(user, session.refreshToken, session.familyId) };
+  }
+
+  // Swap a refresh token for a new access token and the next refresh token
+  async refresh(refreshToken, client = {}) {
+    const rotated = await SessionModel.rotate(refreshToken, client);
+    if (!rotated.success) {
+      return { success: false, statusCode: rotated.reuse || rotated.error.includes('Invalid') ? 401 : 500, error: rotated.error };
+    }
+
+    const userResult = await UserModel.getUserById(rotated.userId);
+    if (!userResult.success) {
+      await SessionModel.revokeFamily(rotated.familyId, 'user_deleted');
+      return { success: false, statusCode: 401, error: 'User not found' };
+    }
+
+    return {
+      success: true,
+      user: userResult.user,
+      ...this.buildTokenResponse(userResult.user, rotated.refreshToken, rotated.familyId)
+    };
+  }
+
+  // End one session, identified by its refresh token or by the access token's session ID
+  async logout({ refreshToken = null, sessionId = null }) {
+    let familyId = sessionId;
+
+    if (refreshToken) {
+      const found = await SessionModel.findByToken(refreshToken);
+      if (!found.success) {
+        return { success: false, statusCode: 500, error: found.error };
+      }
+      familyId = found.session?.family_id || familyId;
+    }
+
+    if (!familyId) {
+      return { success: true, revoked: 0 };
+    }
+
+    return await SessionModel.revokeFamily(familyId, 'logout');
+  }
+
+  async logoutAll(userId) {
+    return await SessionModel.revokeAllForUser(userId);
+  }
+}
+
+export const sessionService = new SessionService();
@@ -1,28 +1,87 @@
 import { DatabaseManager } from '../config/database.js';
-import { OpenAI } from 'openai';
 import { ObjectId } from 'mongodb';
+import { VECTOR_SEARCH_INDEX_CONFIG, TEXT_SEARCH_INDEX_CONFIG, HYBRID_SEARCH_CONFIG } from '../config/vector-search.js';
+import { embeddingProvider, buildEmbeddingMismatchQuery } from './embedding-provider.js';
+import { embeddingCache } from './embedding-cache.service.js';
+import { geoService } from './geo.service.js';
+import { HIDDEN_LISTING_STATUSES } from '../models/rental.js';
+import { parseReviewHighlights } from '../models/review.js';
+
+// Fields returned by vector, full-text, keyword and hybrid search results
+const SEARCH_RESULT_PROJECTION = {
+  name: 1,
+  description: 1,
+  property_type: 1,
+  room_type: 1,
+  price: 1,
+  bedrooms: 1,
+  bathrooms: 1,
+  accommodates: 1,
+  "address.neighbourhood": 1,
+  "address.market": 1,
+  "address.country": 1,
+  "address.location": 1,
+  "images.picture_url": 1,
+  "host.host_is_superhost": 1,
+  "review_scores.review_scores_rating": 1,
+  review_highlights: 1
+};
 
 class VectorSearchService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    // Configured by EMBEDDING_PROVIDER; queries and documents must use the same one
+    this.embeddingProvider = embeddingProvider;
   }
 
-  async generateEmbedding(text) {
+  // Embed a search query, served from the embedding cache when possible.
+  // Pass bypassCache to always call the provider (e.g. for evaluation runs).
+  async generateEmbedding(text, { bypassCache = false } = {}) {
     try {
-      const response = await this.openai.embeddings.create({
-        model: "text-embedding-3-small",
-        input: text,
-      });
+      const { name, model, dimensions } = this.embeddingProvider;
       
-      return response.data[0].embedding;
+      return await embeddingCache.getOrCompute(
+        text,
+        `${name}:${model}:${dimensions}`,
+        async (input) => (await this.embeddingProvider.embed([input]))[0],
+        { bypass: bypassCache }
+      );
     } catch (error) {
       console.error('Error generating embedding:', error);
       throw error;
     }
   }
 
+  // Embed several texts in one request; results are returned in input order
+  async generateEmbeddings(texts) {
+    try {
+      return await this.embeddingProvider.embed(texts);
+    } catch (error) {
+      console.error('Error generating embeddings:', error);
+      throw error;
+    }
+  }
+
+  // Count rentals whose stored embedding came from a different provider/model/dimension
+  // than the configured one - those are invisible to (or break) vector search until re-embedded
+  async checkEmbeddingCompatibility() {
+    try {
+      const db = DatabaseManager.getDatabase();
+      const collection = db.collection('rentals');
+      const mismatched = await collection.countDocuments(buildEmbeddingMismatchQuery(this.embeddingProvider));
+
+      return {
+        success: true,
+        provider: this.embeddingProvider.name,
+        model: this.embeddingProvider.model,
+        dimensions: this.embeddingProvider.dimensions,
+        mismatched
+      };
+    } catch (error) {
+      console.error('Error checking embedding compatibility:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async getPropertyById(propertyId) {
     try {
       const db = DatabaseManager.getDatabase();
@@ -58,37 +117,27 @@ class VectorSearchService {
     }
   }
 
-  async vectorSearch(queryText, filters = {}, limit = 10) {
+  async vectorSearch(queryText, filters = {}, limit = 10, { bypassCache = false } = {}) {
     try {
-      const queryEmbedding = await this.generateEmbedding(queryText);
+      const queryEmbedding = await this.generateEmbedding(queryText, { bypassCache });
+      const { geo } = geoService.parseGeoParams(filters);
       
       const pipeline = [
         {
           $vectorSearch: {
-            index: "rental_vector_search",
+            index: VECTOR_SEARCH_INDEX_CONFIG.name,
             path: "text_embeddings",
             queryVector: queryEmbedding,
-            numCandidates: 100,
+            numCandidates: Math.max(100, limit * 10),
             limit: limit,
             filter: this.buildVectorSearchFilter(filters)
           }
         },
+        this.buildVisibilityStage(),
+        ...this.buildGeoRefinementStages(geo),
         {
           $project: {
-            name: 1,
-            description: 1,
-            property_type: 1,
-            room_type: 1,
-            price: 1,
-            bedrooms: 1,
-            bathrooms: 1,
-            accommodates: 1,
-            "address.neighbourhood": 1,
-            "address.market": 1,
-            "address.country": 1,
-            "images.picture_url": 1,
-            "host.host_is_superhost": 1,
-            "review_scores.review_scores_rating": 1,
+            ...SEARCH_RESULT_PROJECTION,
             score: { $meta: "vectorSearchScore" }
           }
         }
@@ -98,7 +147,7 @@ class VectorSearchService {
       const collection = db.collection('rentals');
       const results = await collection.aggregate(pipeline).toArray();
       
-      return results;
+      return geoService.addDistances(results, geo?.near);
     } catch (error) {
       console.error('Error performing vector search:', error);
       throw error;
@@ -147,50 +196,156 @@ class VectorSearchService {
       vectorFilter["address.market"] = { $eq: filters.location };
     }
     
+    // Every requested highlight must be among the listing's review_highlights
+    const highlights = parseReviewHighlights(filters.review_highlights);
+    if (highlights.length === 1) {
+      vectorFilter.review_highlights = { $eq: highlights[0] };
+    } else if (highlights.length > 1) {
+      vectorFilter.$and = highlights.map(highlight => ({ review_highlights: { $eq: highlight } }));
+    }
+    
+    // Geo pre-filter on the scalar coordinates (vector search filters have no geo operators)
+    const ranges = geoService.buildCoordinateRanges(geoService.parseGeoParams(filters).geo);
+    if (ranges) {
+      vectorFilter["address.latitude"] = { $gte: ranges.minLat, $lte: ranges.maxLat };
+      vectorFilter["address.longitude"] = { $gte: ranges.minLng, $lte: ranges.maxLng };
+    }
+    
     return Object.keys(vectorFilter).length > 0 ? vectorFilter : {};
   }
 
-  async hybridSearch(queryText, filters = {}, limit = 10) {
-    try {
-      // Perform both vector search and traditional search
-      const [vectorResults, traditionalResults] = await Promise.all([
-        this.vectorSearch(queryText, filters, Math.ceil(limit * 0.7)),
-        this.traditionalSearch(queryText, filters, Math.ceil(limit * 0.3))
-      ]);
+  // Drafts and unpublished listings aren't indexed as filter fields, so they're dropped after the search stage
+  buildVisibilityStage() {
+    return { $match: { status: { $nin: HIDDEN_LISTING_STATUSES } } };
+  }
 
-      // Combine and deduplicate results
-      const combinedResults = [...vectorResults];
-      const vectorIds = new Set(vectorResults.map(r => r._id.toString()));
+  // Pre-filters only narrow a radius down to its bounding box; drop the corners afterwards
+  buildGeoRefinementStages(geo) {
+    if (!geo?.near) {
+      return [];
+    }
+
+    return [{ $match: geoService.buildGeoQueryClauses({ near: geo.near, radiusKm: geo.radiusKm })[0] }];
+  }
+
+  // Atlas Search filter clauses equivalent to buildVectorSearchFilter
+  buildTextSearchFilter(filters) {
+    const clauses = [];
+    
+    if (!filters) {
+      return clauses;
+    }
+    
+    if (filters.property_type) {
+      clauses.push({ equals: { path: 'property_type', value: filters.property_type } });
+    }
+    
+    if (filters.room_type) {
+      clauses.push({ equals: { path: 'room_type', value: filters.room_type } });
+    }
+    
+    if (filters.min_price || filters.max_price) {
+      const range = { path: 'price' };
+      if (filters.min_price) range.gte = parseInt(filters.min_price);
+      if (filters.max_price) range.lte = parseInt(filters.max_price);
+      clauses.push({ range });
+    }
+    
+    if (filters.min_bedrooms) {
+      clauses.push({ range: { path: 'bedrooms', gte: parseInt(filters.min_bedrooms) } });
+    }
+    
+    if (filters.min_accommodates) {
+      clauses.push({ range: { path: 'accommodates', gte: parseInt(filters.min_accommodates) } });
+    }
+    
+    if (filters.superhost_only === 'true') {
+      clauses.push({ equals: { path: 'host.host_is_superhost', value: true } });
+    }
+    
+    if (filters.country) {
+      clauses.push({ equals: { path: 'address.country', value: filters.country } });
+    }
+    
+    if (filters.location) {
+      clauses.push({ equals: { path: 'address.market', value: filters.location } });
+    }
+    
+    for (const highlight of parseReviewHighlights(filters.review_highlights)) {
+      clauses.push({ equals: { path: 'review_highlights', value: highlight } });
+    }
+    
+    const ranges = geoService.buildCoordinateRanges(geoService.parseGeoParams(filters).geo);
+    if (ranges) {
+      clauses.push({ range: { path: 'address.latitude', gte: ranges.minLat, lte: ranges.maxLat } });
+      clauses.push({ range: { path: 'address.longitude', gte: ranges.minLng, lte: ranges.maxLng } });
+    }
+    
+    return clauses;
+  }
+
+  // Full-text search through the Atlas Search index, tolerant of typos
+  async fullTextSearch(queryText, filters = {}, limit = 10) {
+    try {
+      const fuzzy = { maxEdits: 1, prefixLength: 2 };
+      const filterClauses = this.buildTextSearchFilter(filters);
+      const { geo } = geoService.parseGeoParams(filters);
       
-      for (const result of traditionalResults) {
-        if (!vectorIds.has(result._id.toString())) {
-          combinedResults.push({ ...result, score: 0.5 });
+      const pipeline = [
+        {
+          $search: {
+            index: TEXT_SEARCH_INDEX_CONFIG.name,
+            compound: {
+              should: [
+                { text: { query: queryText, path: 'name', fuzzy, score: { boost: { value: 3 } } } },
+                { text: { query: queryText, path: 'address.neighbourhood', fuzzy, score: { boost: { value: 2 } } } },
+                { text: { query: queryText, path: ['summary', 'description'], fuzzy } }
+              ],
+              minimumShouldMatch: 1,
+              ...(filterClauses.length > 0 ? { filter: filterClauses } : {})
+            }
+          }
+        },
+        this.buildVisibilityStage(),
+        ...this.buildGeoRefinementStages(geo),
+        { $limit: limit },
+        {
+          $project: {
+            ...SEARCH_RESULT_PROJECTION,
+            score: { $meta: "searchScore" }
+          }
         }
-      }
+      ];
 
-      // Sort by score and limit
-      return combinedResults
-        .sort((a, b) => (b.score || 0) - (a.score || 0))
-        .slice(0, limit);
+      const db = DatabaseManager.getDatabase();
+      const collection = db.collection('rentals');
+      const results = await collection.aggregate(pipeline).toArray();
+      
+      return geoService.addDistances(results, geo?.near);
     } catch (error) {
-      console.error('Error performing hybrid search:', error);
+      console.error('Error performing full-text search:', error);
       throw error;
     }
   }
 
+  // Keyword search with case-insensitive regexes over names, descriptions and places.
+  // No longer used by hybridSearch; kept as the baseline the search evaluation compares
+  // the Atlas Search strategies against.
   async traditionalSearch(queryText, filters = {}, limit = 10) {
     try {
       const db = DatabaseManager.getDatabase();
       const collection = db.collection('rentals');
+      const pattern = queryText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
       
       const searchQuery = {
         $or: [
-          { name: { $regex: queryText, $options: 'i' } },
-          { description: { $regex: queryText, $options: 'i' } },
-          { "address.neighbourhood": { $regex: queryText, $options: 'i' } },
-          { "address.market": { $regex: queryText, $options: 'i' } },
-          { property_type: { $regex: queryText, $options: 'i' } }
-        ]
+          { name: { $regex: pattern, $options: 'i' } },
+          { description: { $regex: pattern, $options: 'i' } },
+          { "address.neighbourhood": { $regex: pattern, $options: 'i' } },
+          { "address.market": { $regex: pattern, $options: 'i' } },
+          { property_type: { $regex: pattern, $options: 'i' } }
+        ],
+        status: { $nin: HIDDEN_LISTING_STATUSES }
       };
 
       // Add filters
@@ -206,22 +361,7 @@ class VectorSearchService {
 
       const results = await collection
         .find(searchQuery)
-        .project({
-          name: 1,
-          description: 1,
-          property_type: 1,
-          room_type: 1,
-          price: 1,
-          bedrooms: 1,
-          bathrooms: 1,
-          accommodates: 1,
-          "address.neighbourhood": 1,
-          "address.market": 1,
-          "address.country": 1,
-          "images.picture_url": 1,
-          "host.host_is_superhost": 1,
-          "review_scores.review_scores_rating": 1
-        })
+        .project(SEARCH_RESULT_PROJECTION)
         .limit(limit)
         .toArray();
 
@@ -232,6 +372,70 @@ class VectorSearchService {
     }
   }
 
+  // Combine vector and full-text results with weighted reciprocal rank fusion:
+  // each list contributes weight / (k + rank), so ranks rather than the two
+  // incomparable raw scores decide the fused order. Every result carries a
+  // score_details breakdown for relevance tuning.
+  async hybridSearch(queryText, filters = {}, limit = 10, options = {}) {
+    const {
+      vectorWeight = HYBRID_SEARCH_CONFIG.vectorWeight,
+      textWeight = HYBRID_SEARCH_CONFIG.textWeight,
+      rrfK = HYBRID_SEARCH_CONFIG.rrfK,
+      candidateMultiplier = HYBRID_SEARCH_CONFIG.candidateMultiplier,
+      bypassCache = false
+    } = options;
+
+    try {
+      const candidates = limit * candidateMultiplier;
+      
+      const [vectorResults, textResults] = await Promise.all([
+        vectorWeight > 0 ? this.vectorSearch(queryText, filters, candidates, { bypassCache }) : [],
+        textWeight > 0 ? this.fullTextSearch(queryText, filters, candidates) : []
+      ]);
+
+      const fused = new Map();
+      const addRankedResults = (results, source, weight) => {
+        results.forEach((result, index) => {
+          const key = result._id.toString();
+          const rank = index + 1;
+          const contribution = weight / (rrfK + rank);
+          
+          if (!fused.has(key)) {
+            fused.set(key, {
+              result,
+              score: 0,
+              details: { vector: null, text: null }
+            });
+          }
+          
+          const entry = fused.get(key);
+          entry.score += contribution;
+          entry.details[source] = { rank, score: result.score, contribution };
+        });
+      };
+
+      addRankedResults(vectorResults, 'vector', vectorWeight);
+      addRankedResults(textResults, 'text', textWeight);
+
+      return [...fused.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ result, score, details }) => ({
+          ...result,
+          score,
+          score_details: {
+            rrf_k: rrfK,
+            vector_weight: vectorWeight,
+            text_weight: textWeight,
+            ...details
+          }
+        }));
+    } catch (error) {
+      console.error('Error performing hybrid search:', error);
+      throw error;
+    }
+  }
+
   async getPropertyById(propertyId) {
     try {
       const db = DatabaseManager.getDatabase();
@@ -254,6 +458,9 @@ class VectorSearchService {
         };
       }
 
+      // Drafts and unpublished listings aren't shown to guests
+      query.status = { $nin: HIDDEN_LISTING_STATUSES };
+
       const property = await collection.findOne(query);
       return property;
     } catch (error) {
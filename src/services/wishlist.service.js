@@ -0,0 +1,497 @@
+import { randomBytes } from 'crypto';
+import { APP_BASE_URL } from '../config/app.js';
+import { WishlistModel, DEFAULT_WISHLIST_NAME } from '../models/wishlist.js';
+import { UserModel } from '../models/user.js';
+import { RentalModel, HIDDEN_LISTING_STATUSES } from '../models/rental.js';
+import { quoteService } from './quote.service.js';
+import { failure } from './service-helpers.js';
+
+// Saved rental lists: the default list behind the heart button, named lists with notes
+// and tags, read-only share links, and collaborators who can add rentals and vote
+class WishlistService {
+  // The user's default list, created on first use. Rentals saved before lists existed
+  // (profile.saved_rentals) are moved into it.
+  async getDefaultList(userId) {
+    const existing = await WishlistModel.getDefaultList(userId);
+    if (!existing.success) {
+      return failure(existing);
+    }
+    if (existing.wishlist) {
+      return { success: true, wishlist: existing.wishlist };
+    }
+
+    const legacy = await UserModel.getLegacySavedRentals(userId);
+    if (!legacy.success) {
+      return failure(legacy, legacy.error === 'User not found' ? 404 : 500);
+    }
+
+    const seen = new Set();
+    const items = legacy.savedRentals
+      .filter(saved => saved.rental_id && !seen.has(saved.rental_id.toString()) && seen.add(saved.rental_id.toString()))
+      .map(saved => WishlistModel.buildItem(saved.rental_id, userId, {
+        addedAt: saved.saved_at ? new Date(saved.saved_at) : new Date()
+      }));
+
+    const created = await WishlistModel.createList(userId, { name: DEFAULT_WISHLIST_NAME, isDefault: true, items });
+    if (!created.success && !created.duplicate) {
+      return failure(created);
+    }
+
+    if (legacy.savedRentals.length > 0) {
+      await UserModel.clearLegacySavedRentals(userId);
+    }
+
+    // Another request created it first
+    if (created.duplicate) {
+      const again = await WishlistModel.getDefaultList(userId);
+      return again.success ? { success: true, wishlist: again.wishlist } : failure(again);
+    }
+
+    return { success: true, wishlist: created.wishlist };
+  }
+
+  getRole(wishlist, userId) {
+    if (!userId) return null;
+    const id = userId.toString();
+    if (wishlist.owner_id === id) return 'owner';
+    if ((wishlist.collaborators || []).some(collaborator => collaborator.user_id === id)) return 'collaborator';
+    return null;
+  }
+
+  // Load a list the user can see; lists they can't see are reported as not found
+  async loadList(listId, userId, { ownerOnly = false } = {}) {
+    const result = await WishlistModel.getById(listId);
+    if (!result.success) {
+      return failure(result);
+    }
+
+    const role = this.getRole(result.wishlist, userId);
+    if (!role) {
+      return { success: false, statusCode: 404, error: 'List not found' };
+    }
+    if (ownerOnly && role !== 'owner') {
+      return { success: false, statusCode: 403, error: 'Only the owner of this list can do that' };
+    }
+
+    return { success: true, wishlist: result.wishlist, role };
+  }
+
+  getShareUrl(token) {
+    return `${APP_BASE_URL}/?shared_list=${encodeURIComponent(token)}`;
+  }
+
+  // Current details of the rentals in a list. Rentals that were deleted or unpublished
+  // are left out of the map and shown as unavailable.
+  async loadRentals(rentalIds) {
+    const rentalModel = new RentalModel();
+    const rentals = new Map();
+
+    await Promise.all([...new Set(rentalIds)].map(async (rentalId) => {
+      try {
+        const rental = await rentalModel.findById(rentalId);
+        if (rental && !HIDDEN_LISTING_STATUSES.includes(rental.status)) {
+          rentals.set(rentalId, rental);
+        }
+      } catch (error) {
+        console.error(`Error fetching rental ${rentalId}:`, error);
+      }
+    }));
+
+    return rentals;
+  }
+
+  formatSummary(wishlist, userId) {
+    const role = this.getRole(wishlist, userId);
+    return {
+      id: wishlist._id,
+      name: wishlist.name,
+      description: wishlist.description || '',
+      is_default: !!wishlist.is_default,
+      role,
+      owner_id: wishlist.owner_id,
+      item_count: wishlist.items.length,
+      collaborators: (wishlist.collaborators || []).map(({ user_id, username }) => ({ user_id, username })),
+      shared: !!wishlist.share_token,
+      ...(role === 'owner' && wishlist.share_token ? { share_url: this.getShareUrl(wishlist.share_token) } : {}),
+      created_at: wishlist.created_at,
+      updated_at: wishlist.updated_at
+    };
+  }
+
+  formatItem(item, rentals, userId = null) {
+    const votes = item.votes || [];
+    return {
+      rental_id: item.rental_id,
+      added_by: item.added_by,
+      added_at: item.added_at,
+      note: item.note || '',
+      tags: item.tags || [],
+      vote_count: votes.length,
+      ...(userId ? { voted: votes.includes(userId.toString()) } : {}),
+      available: rentals.has(item.rental_id),
+      rental: rentals.get(item.rental_id) || null
+    };
+  }
+
+  // Items filtered by tag, newest first or most votes first
+  async formatItems(wishlist, userId, { tag, sort = 'added' } = {}) {
+    let items = wishlist.items;
+    if (tag) {
+      const wanted = tag.trim().toLowerCase();
+      items = items.filter(item => (item.tags || []).includes(wanted));
+    }
+
+    items = [...items].sort((a, b) => sort === 'votes'
+      ? (b.votes || []).length - (a.votes || []).length || b.added_at - a.added_at
+      : b.added_at - a.added_at);
+
+    const rentals = await this.loadRentals(items.map(item => item.rental_id));
+    return items.map(item => this.formatItem(item, rentals, userId));
+  }
+
+  // Lists the user owns or collaborates on, making sure the default list exists
+  async loadUserLists(userId) {
+    const defaultList = await this.getDefaultList(userId);
+    if (!defaultList.success) {
+      return defaultList;
+    }
+
+    const result = await WishlistModel.getListsForUser(userId);
+    return result.success ? { success: true, wishlists: result.wishlists } : failure(result);
+  }
+
+  async listCollections(userId) {
+    const result = await this.loadUserLists(userId);
+    if (!result.success) {
+      return result;
+    }
+
+    return { success: true, collections: result.wishlists.map(wishlist => this.formatSummary(wishlist, userId)) };
+  }
+
+  async createCollection(userId, { name, description = '' }) {
+    const created = await WishlistModel.createList(userId, { name: name.trim(), description });
+    if (!created.success) {
+      return failure(created, 400);
+    }
+
+    return { success: true, collection: this.formatSummary(created.wishlist, userId) };
+  }
+
+  async getCollection(userId, listId, options = {}) {
+    const loaded = await this.loadList(listId, userId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const { wishlist } = loaded;
+    return {
+      success: true,
+      collection: {
+        ...this.formatSummary(wishlist, userId),
+        tags: [...new Set(wishlist.items.flatMap(item => item.tags || []))].sort(),
+        items: await this.formatItems(wishlist, userId, options)
+      }
+    };
+  }
+
+  async updateCollection(userId, listId, { name, description }) {
+    const loaded = await this.loadList(listId, userId, { ownerOnly: true });
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const updated = await WishlistModel.updateList(listId, { name: name?.trim(), description });
+    if (!updated.success) {
+      return failure(updated);
+    }
+
+    return { success: true, collection: this.formatSummary(updated.wishlist, userId) };
+  }
+
+  async deleteCollection(userId, listId) {
+    const loaded = await this.loadList(listId, userId, { ownerOnly: true });
+    if (!loaded.success) {
+      return loaded;
+    }
+    if (loaded.wishlist.is_default) {
+      return { success: false, statusCode: 400, error: "Your default list can't be deleted" };
+    }
+
+    const deleted = await WishlistModel.deleteList(listId);
+    return deleted.success ? { success: true } : failure(deleted);
+  }
+
+  // Save a rental to a list (the default list when no list is given)
+  async addItem(userId, listId, { rentalId, note = '', tags = [] }) {
+    const loaded = listId ? await this.loadList(listId, userId) : await this.getDefaultList(userId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const rentals = await this.loadRentals([rentalId]);
+    if (!rentals.has(rentalId)) {
+      return { success: false, statusCode: 404, error: 'Rental not found' };
+    }
+
+    const price = quoteService.parseAmount(rentals.get(rentalId).price) || null;
+    const added = await WishlistModel.addItem(loaded.wishlist._id, WishlistModel.buildItem(rentalId, userId, { note, tags, price }));
+    if (!added.success) {
+      return failure(added, 400);
+    }
+
+    return { success: true, collectionId: loaded.wishlist._id };
+  }
+
+  async updateItem(userId, listId, rentalId, { note, tags }) {
+    const loaded = await this.loadList(listId, userId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const updated = await WishlistModel.updateItem(listId, rentalId, { note, tags });
+    return updated.success ? { success: true } : failure(updated);
+  }
+
+  // Collaborators can only take out the rentals they added themselves
+  checkCanRemove(loaded, rentalId, userId) {
+    const item = loaded.wishlist.items.find(entry => entry.rental_id === rentalId);
+    if (!item) {
+      return { success: false, statusCode: 404, error: 'Rental is not in this list' };
+    }
+    if (loaded.role !== 'owner' && item.added_by !== userId.toString()) {
+      return { success: false, statusCode: 403, error: 'Collaborators can only remove rentals they added' };
+    }
+    return { success: true, item };
+  }
+
+  async removeItem(userId, listId, rentalId) {
+    const loaded = await this.loadList(listId, userId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const check = this.checkCanRemove(loaded, rentalId, userId);
+    if (!check.success) {
+      return check;
+    }
+
+    const removed = await WishlistModel.removeItem(listId, rentalId);
+    return removed.success ? { success: true } : failure(removed);
+  }
+
+  // Un-heart: take a rental out of every list the user owns
+  async removeEverywhere(userId, rentalId) {
+    const removed = await WishlistModel.removeRentalFromOwnedLists(userId, rentalId);
+    return removed.success ? { success: true, removedFrom: removed.removedFrom } : failure(removed);
+  }
+
+  // Move a rental to another list, keeping its note and tags. Votes stay behind
+  // because the lists can have different collaborators.
+  async moveItem(userId, listId, rentalId, targetListId) {
+    if (listId === targetListId) {
+      return { success: false, statusCode: 400, error: 'The rental is already in this list' };
+    }
+
+    const [source, target] = await Promise.all([
+      this.loadList(listId, userId),
+      this.loadList(targetListId, userId)
+    ]);
+    if (!source.success) return source;
+    if (!target.success) return target;
+
+    const check = this.checkCanRemove(source, rentalId, userId);
+    if (!check.success) {
+      return check;
+    }
+
+    // Add first so a failure never loses the rental; if the target already has it,
+    // moving just takes it out of the source
+    const added = await WishlistModel.addItem(targetListId, { ...check.item, added_at: new Date(), votes: [] });
+    if (!added.success && !added.conflict) {
+      return failure(added, 400);
+    }
+
+    const removed = await WishlistModel.removeItem(listId, rentalId);
+    return removed.success ? { success: true } : failure(removed);
+  }
+
+  async setVote(userId, listId, rentalId, voted) {
+    const loaded = await this.loadList(listId, userId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const result = await WishlistModel.setVote(listId, rentalId, userId, voted);
+    return result.success ? { success: true } : failure(result);
+  }
+
+  // Turn on the read-only link (the same link if it's already shared)
+  async share(userId, listId) {
+    const loaded = await this.loadList(listId, userId, { ownerOnly: true });
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const token = loaded.wishlist.share_token || randomBytes(18).toString('base64url');
+    const result = await WishlistModel.setShareToken(listId, token);
+    if (!result.success) {
+      return failure(result);
+    }
+
+    return { success: true, shareUrl: this.getShareUrl(token) };
+  }
+
+  async unshare(userId, listId) {
+    const loaded = await this.loadList(listId, userId, { ownerOnly: true });
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const result = await WishlistModel.setShareToken(listId, null);
+    return result.success ? { success: true } : failure(result);
+  }
+
+  // Read-only view for anyone with the link: no member IDs, just the rentals, notes and tags
+  async getShared(token, options = {}) {
+    const result = await WishlistModel.getByShareToken(token);
+    if (!result.success) {
+      return failure(result);
+    }
+
+    const { wishlist } = result;
+    const owner = await UserModel.getUserById(wishlist.owner_id);
+    const items = await this.formatItems(wishlist, null, options);
+
+    return {
+      success: true,
+      collection: {
+        name: wishlist.name,
+        description: wishlist.description || '',
+        owner: owner.success ? owner.user.username : null,
+        item_count: wishlist.items.length,
+        updated_at: wishlist.updated_at,
+        items: items.map(({ added_by, ...item }) => item)
+      }
+    };
+  }
+
+  async addCollaborator(userId, listId, username) {
+    const loaded = await this.loadList(listId, userId, { ownerOnly: true });
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const invitee = await UserModel.getUserByUsername(username);
+    if (!invitee.success) {
+      return { success: false, statusCode: 404, error: 'User not found' };
+    }
+    if (invitee.user._id.toString() === userId.toString()) {
+      return { success: false, statusCode: 400, error: 'You already own this list' };
+    }
+
+    const added = await WishlistModel.addCollaborator(listId, { userId: invitee.user._id, username: invitee.user.username });
+    if (!added.success) {
+      return failure(added);
+    }
+
+    return { success: true, collaborator: { user_id: invitee.user._id.toString(), username: invitee.user.username } };
+  }
+
+  // The owner can remove anyone; collaborators can remove themselves (leave the list)
+  async removeCollaborator(userId, listId, collaboratorId) {
+    const loaded = await this.loadList(listId, userId);
+    if (!loaded.success) {
+      return loaded;
+    }
+    if (loaded.role !== 'owner' && collaboratorId !== userId.toString()) {
+      return { success: false, statusCode: 403, error: 'Only the owner of this list can do that' };
+    }
+
+    const removed = await WishlistModel.removeCollaborator(listId, collaboratorId);
+    return removed.success ? { success: true } : failure(removed);
+  }
+
+  // Every rental in the user's own lists, once per rental, with the lists it's in.
+  // includeShared adds the lists the user collaborates on.
+  async getSavedRentals(userId, { includeDetails = false, includeShared = false } = {}) {
+    const result = await this.loadUserLists(userId);
+    if (!result.success) {
+      return result;
+    }
+
+    const saved = new Map();
+    const lists = includeShared ? result.wishlists : result.wishlists.filter(list => list.owner_id === userId.toString());
+    for (const wishlist of lists) {
+      for (const item of wishlist.items) {
+        const entry = saved.get(item.rental_id) || {
+          rental_id: item.rental_id,
+          saved_at: item.added_at,
+          notes: [],
+          tags: [],
+          collections: []
+        };
+
+        if (item.added_at < entry.saved_at) entry.saved_at = item.added_at;
+        if (item.note) entry.notes.push(item.note);
+        entry.tags = [...new Set([...entry.tags, ...(item.tags || [])])];
+        entry.collections.push({ id: wishlist._id, name: wishlist.name });
+        saved.set(item.rental_id, entry);
+      }
+    }
+
+    let savedRentals = [...saved.values()].sort((a, b) => b.saved_at - a.saved_at);
+    if (includeDetails && savedRentals.length > 0) {
+      const rentals = await this.loadRentals(savedRentals.map(entry => entry.rental_id));
+      savedRentals = savedRentals.map(entry => ({
+        ...entry,
+        available: rentals.has(entry.rental_id),
+        full_rental_data: rentals.get(entry.rental_id) || null
+      }));
+    }
+
+    return {
+      success: true,
+      savedRentals,
+      collections: result.wishlists.map(wishlist => this.formatSummary(wishlist, userId))
+    };
+  }
+
+  // Which of the user's own lists contain a rental
+  async getSavedStatus(userId, rentalId) {
+    const result = await this.loadUserLists(userId);
+    if (!result.success) {
+      return result;
+    }
+
+    const collectionIds = result.wishlists
+      .filter(wishlist => wishlist.owner_id === userId.toString() && wishlist.items.some(item => item.rental_id === rentalId))
+      .map(wishlist => wishlist._id);
+
+    return { success: true, isSaved: collectionIds.length > 0, collectionIds };
+  }
+
+  // Lists the user owns, for the account export
+  async exportForUser(userId) {
+    const result = await this.loadUserLists(userId);
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      collections: result.wishlists
+        .filter(wishlist => wishlist.owner_id === userId.toString())
+        .map(wishlist => ({
+          name: wishlist.name,
+          description: wishlist.description || '',
+          is_default: !!wishlist.is_default,
+          collaborators: (wishlist.collaborators || []).map(collaborator => collaborator.username),
+          created_at: wishlist.created_at,
+          items: wishlist.items.map(({ rental_id, added_at, note, tags }) => ({ rental_id, added_at, note, tags }))
+        }))
+    };
+  }
+}
+
+export const wishlistService = new WishlistService();
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The model module reads these while loading; building queries doesn't touch MongoDB
+process.env.MONGODB_URI ??= 'mongodb://localhost:27017/rental-test';
+process.env.EMBEDDING_PROVIDER ??= 'hash';
+
+const { RentalModel, HIDDEN_LISTING_STATUSES } = await import('../src/models/rental.js');
+
+test('search by IDs leaves out drafts and unpublished listings', () => {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    for (const ids of ['10006546', '5f1e8a3b2c9d4e0012345678', ['10006546', '5f1e8a3b2c9d4e0012345678']]) {
+      const query = RentalModel.buildSearchQuery({ ids });
+      assert.deepEqual(query.status, { $nin: HIDDEN_LISTING_STATUSES });
+    }
+  } finally {
+    console.log = originalLog;
+  }
+});
+
+test('filtered search leaves out drafts and unpublished listings', () => {
+  const query = RentalModel.buildSearchQuery({ property_type: 'Apartment' });
+  assert.deepEqual(query.status, { $nin: HIDDEN_LISTING_STATUSES });
+});
@@ -0,0 +1,171 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The agent module reads these while loading; nothing here talks to MongoDB or OpenAI
+process.env.MONGODB_URI ??= 'mongodb://localhost:27017/rental-test';
+process.env.OPENAI_API_KEY ??= 'test-key';
+process.env.EMBEDDING_PROVIDER ??= 'hash';
+
+const { setTracingDisabled } = await import('@openai/agents');
+const { rentalRAGAgent } = await import('../src/agents/rental-rag-agent.js');
+const { vectorSearchService } = await import('../src/services/vector-search.service.js');
+const { wishlistService } = await import('../src/services/wishlist.service.js');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Each chat searches for its own city and lists the caller's saved rentals. The first chat's
+// tools are slower, so both runs are inside their tools at the same time and finish in the
+// opposite order to the one they started in.
+const USERS = {
+  alice: { city: 'Barcelona', rentalIds: ['barcelona-1', 'barcelona-2'], toolDelay: 60 },
+  bob: { city: 'Porto', rentalIds: ['porto-1'], toolDelay: 10 }
+};
+
+function userForQuery(query) {
+  return Object.values(USERS).find(user => query.includes(user.city));
+}
+
+function lastUserText(input) {
+  const message = [...input].reverse().find(item => item.role === 'user');
+  return typeof message.content === 'string' ? message.content : message.content.map(part => part.text).join('');
+}
+
+// A model that asks for both tools on its first turn and answers once their outputs are in
+function modelResponse(request) {
+  const input = typeof request.input === 'string' ? [{ role: 'user', content: request.input }] : request.input;
+  const text = lastUserText(input);
+  const usage = { requests: 1, inputTokens: 1, outputTokens: 1, totalTokens: 2 };
+
+  if (!input.some(item => item.type === 'function_call_result')) {
+    return {
+      usage,
+      output: [
+        { type: 'function_call', callId: `search-${text}`, name: 'searchRentals', arguments: JSON.stringify({ query: text, limit: 5 }), status: 'completed' },
+        { type: 'function_call', callId: `saved-${text}`, name: 'getSavedRentals', arguments: JSON.stringify({ includeDetails: true }), status: 'completed' }
+      ]
+    };
+  }
+
+  return {
+    usage,
+    output: [{
+      type: 'message',
+      role: 'assistant',
+      status: 'completed',
+      content: [{ type: 'output_text', text: `Here are rentals for ${text}` }]
+    }]
+  };
+}
+
+const stubModel = {
+  async getResponse(request) {
+    await delay(5);
+    return modelResponse(request);
+  },
+  async *getStreamedResponse(request) {
+    await delay(5);
+    const { usage, output } = modelResponse(request);
+    yield { type: 'response_done', response: { id: 'stub', usage, output } };
+  }
+};
+
+const savedRentalsByUser = {};
+const originals = {};
+
+before(() => {
+  setTracingDisabled(true);
+
+  // The agent logs every run and tool call in detail
+  originals.log = console.log;
+  console.log = () => {};
+
+  originals.model = rentalRAGAgent.agent.model;
+  originals.hybridSearch = vectorSearchService.hybridSearch;
+  originals.getSavedRentals = wishlistService.getSavedRentals;
+
+  rentalRAGAgent.agent.model = stubModel;
+
+  vectorSearchService.hybridSearch = async (query) => {
+    const user = userForQuery(query);
+    await delay(user.toolDelay);
+    return user.rentalIds.map(id => ({ _id: id, name: `${user.city} flat`, address: { market: user.city } }));
+  };
+
+  wishlistService.getSavedRentals = async (userId) => {
+    await delay(USERS[userId].toolDelay);
+    savedRentalsByUser[userId] = (savedRentalsByUser[userId] || 0) + 1;
+    return { success: true, savedRentals: [], collections: [] };
+  };
+});
+
+after(() => {
+  console.log = originals.log;
+  rentalRAGAgent.agent.model = originals.model;
+  vectorSearchService.hybridSearch = originals.hybridSearch;
+  wishlistService.getSavedRentals = originals.getSavedRentals;
+});
+
+function assertOwnResults(userId, metadata, agentContext = null) {
+  const { city, rentalIds } = USERS[userId];
+
+  assert.equal(metadata.search_query, `rentals in ${city}`);
+  assert.deepEqual(metadata.rental_ids, rentalIds);
+
+  if (agentContext) {
+    assert.equal(agentContext.userId, userId);
+    assert.deepEqual(agentContext.lastSearchResults.map(rental => rental._id), rentalIds);
+  }
+}
+
+test('concurrent chats keep their user and search results apart', async () => {
+  for (const key of Object.keys(savedRentalsByUser)) delete savedRentalsByUser[key];
+
+  const [alice, bob] = await Promise.all([
+    rentalRAGAgent.chat('rentals in Barcelona', [], { userId: 'alice' }),
+    rentalRAGAgent.chat('rentals in Porto', [], { userId: 'bob' })
+  ]);
+
+  assert.equal(alice.success, true);
+  assert.equal(bob.success, true);
+  assertOwnResults('alice', alice.metadata);
+  assertOwnResults('bob', bob.metadata);
+
+  // Each run's getSavedRentals saw its own user
+  assert.deepEqual(savedRentalsByUser, { alice: 1, bob: 1 });
+});
+
+test('concurrent streamed chats keep their user and search results apart', async () => {
+  for (const key of Object.keys(savedRentalsByUser)) delete savedRentalsByUser[key];
+
+  const runs = await Promise.all([
+    rentalRAGAgent.streamChat('rentals in Barcelona', [], { userId: 'alice' }),
+    rentalRAGAgent.streamChat('rentals in Porto', [], { userId: 'bob' })
+  ]);
+
+  // Consume both streams at once, as two open chat connections would
+  await Promise.all(runs.map(async ({ stream }) => {
+    for await (const event of stream) {
+      void event;
+    }
+    await stream.completed;
+  }));
+
+  const [alice, bob] = runs.map(({ stream, agentContext }, index) =>
+    rentalRAGAgent.buildChatResponse(stream, index === 0 ? 'rentals in Barcelona' : 'rentals in Porto', agentContext)
+  );
+
+  assertOwnResults('alice', alice.metadata, runs[0].agentContext);
+  assertOwnResults('bob', bob.metadata, runs[1].agentContext);
+  assert.deepEqual(savedRentalsByUser, { alice: 1, bob: 1 });
+});
+
+test('search metadata only reads the context it is given', () => {
+  const searchCall = [{ name: 'searchRentals', arguments: { query: 'rentals in Porto' } }];
+  const aliceContext = rentalRAGAgent.createRunContext({ userId: 'alice' });
+  const bobContext = rentalRAGAgent.createRunContext({ userId: 'bob' });
+  aliceContext.lastSearchResults = [{ _id: 'barcelona-1' }];
+
+  assert.deepEqual(rentalRAGAgent.extractSearchMetadata(searchCall, 'rentals in Porto', aliceContext).rental_ids, ['barcelona-1']);
+  assert.equal(rentalRAGAgent.extractSearchMetadata(searchCall, 'rentals in Porto', bobContext).rental_ids, undefined);
+  assert.equal(rentalRAGAgent.extractSearchMetadata(searchCall, 'rentals in Porto').rental_ids, undefined);
+});